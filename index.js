@@ -3,27 +3,56 @@ import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
 import { ListToolsRequestSchema, CallToolRequestSchema } from '@modelcontextprotocol/sdk/types.js';
 import exifr from 'exifr';
-import { readFile, rename, stat, mkdir, writeFile } from 'fs/promises';
+import { readFile, rename, stat, mkdir, writeFile, readdir, copyFile, unlink } from 'fs/promises';
 import path from 'path';
-import { existsSync, createWriteStream } from 'fs';
+import { existsSync, createWriteStream, constants as fsConstants } from 'fs';
+import { createHash } from 'crypto';
 import archiver from 'archiver';
 import sharp from 'sharp';
+import { detectImageFormat, extractMetadata, writeMetadata, LOSSLESS_FORMATS } from './lib/containers.js';
+import { filterMetadata, applyLocationPrivacy, listsTagGroup, TAG_GROUPS, ANONYMIZE_PRESETS } from './lib/metadata.js';
+import { normalizeLocationPrivacy, resolveLocationPrivacy, findPrivacyZone, isValidCoordinate } from './lib/geo.js';
+import { parseTiff, buildTiff, writeTags, readTagValue, validateTagValue, WRITABLE_TAGS } from './lib/exif.js';
+import { parseExifDateTime, formatExifDateTime, parseTimeShift, formatTimeShift, parseDateBound, formatDate } from './lib/time.js';
+import { parseXmp, mergeXmpProperties, parseXmpCoordinate, formatXmpCoordinate, splitKeywords } from './lib/xmp.js';
+import { parseTrackFile, mergeTracks, locateOnTrack, formatDuration, buildGeoJson, buildGpx } from './lib/tracks.js';
+import { buildKml, groupTourDays, numberTourPhotos } from './lib/kml.js';
+import { reverseGeocode, formatPlace } from './lib/geocode.js';
+import { createFileFilter } from './lib/glob.js';
+import { compileTemplate, renderTemplate, formatTemplateDate } from './lib/template.js';
+import { assignEvents, formatTree } from './lib/organize.js';
+import { DUPLICATE_LEVELS, differenceHash, hammingDistance, groupDuplicates } from './lib/duplicates.js';
+import { SEQUENCE_TYPES, addSubSeconds, detectSequences } from './lib/sequences.js';
+import { cameraName, formatShutterSpeed, equivalentFocalLength, analyzeShootingPatterns } from './lib/patterns.js';
+import {
+  ISSUE_CHECKS, checkIso, checkShutter, checkAperture, luminanceStats, checkExposure, laplacianVariance, checkBlur, rankIssues
+} from './lib/issues.js';
+import { segmentTrip } from './lib/trip.js';
+import { OUTLIER_ACTIONS, detectGpsOutliers, interpolatePosition } from './lib/outliers.js';
+import { renderPhotoMapHtml } from './lib/photomap.js';
+import { REPORT_GROUPINGS, groupPhotos, summarizeSettings, plotGpsSvg, renderMarkdownReport, renderHtmlReport } from './lib/report.js';
+import { loadSandboxConfig, resolveSandboxedPath } from './lib/sandbox.js';
+import {
+  resolveJournalDir, startRun, recordRename, recordModify, recordCreate, recordCopy, recordDelete, hashFile, finishRun, readRuns, describeRunChanges,
+  planUndo, applyUndoStep, markUndone
+} from './lib/journal.js';
+import {
+  DEFAULT_COMPANION_EXTENSIONS, normalizeCompanionExtensions, attachCompanions, companionName, isMetadataSidecar
+} from './lib/companions.js';
+
+// Read-only and read-write roots, loaded when the server starts
+let sandbox = null;
+// Folder of the operation journal used by undo_operation
+let journalDir = null;
 
 // Security and validation functions
-function validateFilePath(filepath) {
+function validateFilePath(filepath, access = 'read') {
   if (!filepath || typeof filepath !== 'string') {
     throw new Error('Invalid file path provided');
   }
   
-  // Convert to absolute path to prevent relative path traversal
-  const absolutePath = path.resolve(filepath);
-  
-  // Check for path traversal attempts
-  if (absolutePath.includes('..') || !absolutePath.startsWith(process.cwd())) {
-    throw new Error('Path traversal detected - access denied');
-  }
-  
-  return absolutePath;
+  // Resolve symlinks and check the real location against the sandbox roots for this kind of access
+  return resolveSandboxedPath(filepath, access, sandbox);
 }
 
 function validateFileExists(filepath) {
@@ -32,12 +61,13 @@ function validateFileExists(filepath) {
   }
 }
 
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.tiff', '.tif', '.heic', '.heif', '.webp', '.avif'];
+
 function validateImageFile(filepath) {
   const ext = path.extname(filepath).toLowerCase();
-  const allowedExts = ['.jpg', '.jpeg', '.png', '.tiff', '.tif', '.heic', '.heif', '.webp', '.avif'];
   
-  if (!allowedExts.includes(ext)) {
-    throw new Error(`Unsupported file type: ${ext}. Supported types: ${allowedExts.join(', ')}`);
+  if (!IMAGE_EXTENSIONS.includes(ext)) {
+    throw new Error(`Unsupported file type: ${ext}. Supported types: ${IMAGE_EXTENSIONS.join(', ')}`);
   }
 }
 
@@ -54,7 +84,7 @@ function createSafeBackupDir(originalPath) {
     counter++;
   }
   
-  return finalBackupDir;
+  return validateFilePath(finalBackupDir, 'write');
 }
 
 // Input validation functions
@@ -95,6 +125,175 @@ function validateStringInput(value, name, maxLength = 1000) {
   return value;
 }
 
+function validateTagList(value, name) {
+  if (!Array.isArray(value)) {
+    throw new Error(`${name} must be an array`);
+  }
+  if (value.length > 200) {
+    throw new Error(`${name} can list at most 200 tags`);
+  }
+  for (const tag of value) {
+    validateStringInput(tag, `${name} entry`, 100);
+  }
+  return value;
+}
+
+// Track log formats geotag_from_gpx can read
+const TRACK_EXTENSIONS = ['.gpx', '.kml', '.geojson', '.json'];
+
+// Capture time tags shift_capture_time moves, in order of preference for reference photos
+const DATE_TAGS = ['DateTimeOriginal', 'CreateDate', 'ModifyDate'];
+
+// Tags strip_exif keeps unless explicitly removed, so the photo still displays the same way
+const PRESERVED_TAGS = ['Orientation'];
+
+// File extensions expected for each detected image container
+const FORMAT_EXTENSIONS = {
+  jpeg: ['.jpg', '.jpeg'],
+  png: ['.png'],
+  webp: ['.webp'],
+  tiff: ['.tif', '.tiff'],
+  heif: ['.heic', '.heif'],
+  avif: ['.avif']
+};
+
+// Shared input schema for private zones and coordinate coarsening
+const LOCATION_PRIVACY_SCHEMA = {
+  type: 'object',
+  description: 'Private zones and coordinate coarsening. Photos inside a zone get their GPS removed or snapped to a coarse grid; ' +
+    'photos outside all zones are rounded to `precision` decimals if set',
+  properties: {
+    zones: {
+      type: 'array',
+      description: 'Circles ({latitude, longitude, radius} in metres) or polygons ({polygon: [[lat, lon], ...]})',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', description: 'Label shown in results (e.g., "Home")' },
+          latitude: { type: 'number' },
+          longitude: { type: 'number' },
+          radius: { type: 'number', description: 'Zone radius in metres' },
+          polygon: {
+            type: 'array',
+            items: { type: 'array', items: { type: 'number' } },
+            description: 'Zone outline as [latitude, longitude] points'
+          },
+          action: {
+            type: 'string',
+            enum: ['remove', 'snap'],
+            description: 'remove: drop GPS entirely (default). snap: move to the centre of a coarse grid cell'
+          },
+          gridSize: {
+            type: 'number',
+            description: 'Grid cell size in metres for snap (default: 1000, use 10000 for roughly city level)'
+          }
+        }
+      }
+    },
+    precision: {
+      type: 'integer',
+      description: 'Decimal places kept for photos outside all zones (2 ≈ 1 km, 3 ≈ 100 m). Default: unchanged'
+    }
+  }
+};
+
+// Shared input schema for choosing the files a batch tool works on
+const FILE_SELECTION_PROPERTIES = {
+  directory: {
+    type: 'string',
+    description: 'Folder of images to process, instead of or in addition to filepaths'
+  },
+  recursive: {
+    type: 'boolean',
+    description: 'Include images in subdirectories of the given directories (default: false)',
+    default: false
+  },
+  include: {
+    type: 'array',
+    items: { type: 'string' },
+    description: 'Only process files matching one of these glob patterns, e.g. ["*.jpg", "2024-*/**"]. ' +
+      'Patterns without a slash match file names, others match paths relative to the directory'
+  },
+  exclude: {
+    type: 'array',
+    items: { type: 'string' },
+    description: 'Skip files matching any of these glob patterns, e.g. ["**/rejects/**", "*_edit.*"]'
+  },
+  extensions: {
+    type: 'array',
+    items: { type: 'string' },
+    description: `Only process these file extensions (default: ${IMAGE_EXTENSIONS.join(', ')})`
+  }
+};
+
+// Options of tools that detect bursts and brackets
+const SEQUENCE_PROPERTIES = {
+  maxGapSeconds: {
+    type: 'number',
+    description: 'Longest pause between two frames of one sequence, in seconds (0.1-60, default: 2)',
+    default: 2
+  },
+  minFrames: {
+    type: 'integer',
+    description: 'Fewest frames that count as a burst (2-100, default: 3). Brackets need two',
+    default: 3
+  }
+};
+
+// Options of tools that split a journey into stops and legs
+const TRIP_PROPERTIES = {
+  stopRadiusMeters: {
+    type: 'number',
+    description: 'Photos within this many metres of the first photo of a stop belong to that stop (10-50000, default: 250)',
+    default: 250
+  },
+  stopGapMinutes: {
+    type: 'number',
+    description: 'Longest pause between two photos of one stop, in minutes (1-1440, default: 60)',
+    default: 60
+  }
+};
+
+// Options of tools that clean up wrong GPS fixes before plotting a journey
+const GPS_OUTLIER_PROPERTIES = {
+  gpsOutliers: {
+    type: 'string',
+    enum: OUTLIER_ACTIONS,
+    description: 'What to do with GPS outliers: null-island (0, 0) fixes, fixes with a large GPSHPositioningError or GPSDOP, and single photos that jump far away and back. ' +
+      '"keep" plots them as they are (default), "drop" leaves them out, "snap" moves them to a position interpolated by time from their neighbours. The summary lists them either way',
+    default: 'keep'
+  },
+  maxSpeedKmh: {
+    type: 'number',
+    description: 'Implied speed to and from a photo above which its jump counts as an outlier, in km/h (10-5000, default: 300)',
+    default: 300
+  },
+  maxPositioningError: {
+    type: 'number',
+    description: 'Largest acceptable GPSHPositioningError in metres (1-100000, default: 100)',
+    default: 100
+  },
+  maxDop: {
+    type: 'number',
+    description: 'Largest acceptable GPSDOP (dilution of precision) (1-100, default: 10)',
+    default: 10
+  }
+};
+
+// Options of tools that carry companion files (RAW, Live Photo clips, sidecars) along with a photo
+const COMPANION_PROPERTIES = {
+  companions: {
+    type: 'boolean',
+    description: 'Carry along files that share the photo\'s name, e.g. IMG_1234.CR3, IMG_1234.MOV, IMG_1234.xmp and IMG_1234.AAE (default: true)',
+    default: true
+  },
+  companionExtensions: {
+    type: 'array',
+    items: { type: 'string' },
+    description: `Extensions treated as companion files (default: ${DEFAULT_COMPANION_EXTENSIONS.join(', ')})`
+  }
+};
+
 // Create server instance
 const server = new Server(
   {
@@ -163,14 +362,24 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               items: {
                 type: 'string'
               },
-              description: 'Array of paths to image files'
+              description: 'Image files and/or directories to parse'
             },
+            ...FILE_SELECTION_PROPERTIES,
             options: {
               type: 'object',
               description: 'Optional parsing options (same as parse_exif)'
+            },
+            offset: {
+              type: 'integer',
+              description: 'Number of selected files to skip, for paging through large folders (default: 0)',
+              default: 0
+            },
+            limit: {
+              type: 'integer',
+              description: 'Maximum number of files to parse in this call (default: 100, max: 1000)',
+              default: 100
             }
-          },
-          required: ['filepaths']
+          }
         }
       },
       {
@@ -198,21 +407,25 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               items: {
                 type: 'string'
               },
-              description: 'Array of image file paths to rename'
+              description: 'Image files and/or directories to rename'
             },
+            ...FILE_SELECTION_PROPERTIES,
+            ...COMPANION_PROPERTIES,
             template: {
               type: 'string',
-              description: 'Naming template. Available variables: {date}, {time}, {datetime}, {camera}, {model}, {lens}, {location}, {city}, {country}, {original}, {counter}. Default: "{datetime}_{camera}_{original}"',
+              description: 'Naming template. Variables: {date}, {time}, {datetime}, {year}, {month}, {monthname}, {day}, {camera}, {model}, {lens}, {location}, {city}, {region}, {country}, {countrycode}, {original}, {counter}, {dircounter} (restarts in each directory), or any parsed tag such as {ISO} or {FocalLength}. ' +
+                'Formats: {date:YYYYMMDD}, {counter:4} (zero-padded width). Filters: {camera|lower}, {Model|slug}, {FocalLength|round}; also upper, title, trim, ascii, int, pad:N, truncate:N. ' +
+                'Fallbacks: {city?location?"unknown"}. Default: "{datetime}_{camera}_{original}"',
               default: '{datetime}_{camera}_{original}'
             },
             dateFormat: {
               type: 'string',
-              description: 'Date format (default: "YYYY-MM-DD")',
+              description: 'Default format for {date} and {datetime}, using YYYY, YY, MMMM, MMM, MM and DD (default: "YYYY-MM-DD")',
               default: 'YYYY-MM-DD'
             },
             timeFormat: {
               type: 'string',
-              description: 'Time format (default: "HHmmss")',
+              description: 'Default format for {time} and {datetime}, using HH, mm and ss (default: "HHmmss")',
               default: 'HHmmss'
             },
             dryRun: {
@@ -227,16 +440,84 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
             },
             counterStart: {
               type: 'integer',
-              description: 'Starting number for {counter} variable (default: 1)',
+              description: 'Starting number for the {counter} and {dircounter} variables (default: 1)',
               default: 1
             }
+          }
+        }
+      },
+      {
+        name: 'organize_photos',
+        description: 'Move or copy photos into a folder tree built from their EXIF data, e.g. 2024/07-July/2024-07-09_Munich',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            filepaths: {
+              type: 'array',
+              items: {
+                type: 'string'
+              },
+              description: 'Image files and/or directories to organize'
+            },
+            ...FILE_SELECTION_PROPERTIES,
+            ...COMPANION_PROPERTIES,
+            destination: {
+              type: 'string',
+              description: 'Root folder of the new tree'
+            },
+            pattern: {
+              type: 'string',
+              description: 'Folder pattern; "/" separates folder levels. Takes every rename_by_exif template variable, filter and fallback, plus {year}, {month}, {monthname}, {day} and {event}. Default: "{year}/{month}-{monthname}/{date}_{city}"',
+              default: '{year}/{month}-{monthname}/{date}_{city}'
+            },
+            mode: {
+              type: 'string',
+              enum: ['copy', 'move'],
+              description: 'Copy the files (default) or move them',
+              default: 'copy'
+            },
+            unsortedFolder: {
+              type: 'string',
+              description: 'Folder below the destination for photos without a capture date (default: "Unsorted")',
+              default: 'Unsorted'
+            },
+            eventGapHours: {
+              type: 'number',
+              description: 'Split a day into separate events when shots are more than this many hours apart. Later events get a _2, _3, ... suffix on the last folder unless the pattern uses {event}'
+            },
+            onCollision: {
+              type: 'string',
+              enum: ['rename', 'skip'],
+              description: 'When a different file already has the name: add a _1, _2, ... suffix (default) or skip the photo. Identical files are always skipped',
+              default: 'rename'
+            },
+            dateFormat: {
+              type: 'string',
+              description: 'Default format for {date} (default: "YYYY-MM-DD")',
+              default: 'YYYY-MM-DD'
+            },
+            timeFormat: {
+              type: 'string',
+              description: 'Default format for {time} (default: "HHmmss")',
+              default: 'HHmmss'
+            },
+            dryRun: {
+              type: 'boolean',
+              description: 'Preview the folder tree without copying or moving anything (default: true)',
+              default: true
+            },
+            backup: {
+              type: 'boolean',
+              description: 'Back up moved files first (default: true; not needed for copies)',
+              default: true
+            }
           },
-          required: ['filepaths']
+          required: ['destination']
         }
       },
       {
         name: 'strip_exif',
-        description: 'Remove EXIF data from photos for privacy',
+        description: 'Remove EXIF/IPTC/XMP metadata from photos for privacy without re-encoding the image',
         inputSchema: {
           type: 'object',
           properties: {
@@ -251,12 +532,201 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
             keep: {
               type: 'array',
               items: { type: 'string' },
-              description: 'List of EXIF fields to preserve (e.g., ["Make", "Model"])'
+              description: `Tags or groups to preserve, everything else is removed (e.g., ["Make", "Model", "Copyright"]). Groups: ${Object.keys(TAG_GROUPS).join(', ')}`
+            },
+            remove: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Tags or groups to remove, everything else is preserved (e.g., ["GPS", "Serial"]). Cannot be combined with keep'
+            },
+            allowReencode: {
+              type: 'boolean',
+              description: 'TIFF/HEIC/AVIF only: allow re-encoding the image in its own format to drop metadata (default: false). JPEG, PNG and WebP are always stripped losslessly',
+              default: false
+            },
+            locationPrivacy: {
+              ...LOCATION_PRIVACY_SCHEMA,
+              description: `${LOCATION_PRIVACY_SCHEMA.description}. GPS is kept for this unless listed in remove`
+            },
+            ...COMPANION_PROPERTIES,
+            companions: {
+              ...COMPANION_PROPERTIES.companions,
+              description: 'Also handle files that share the photo\'s name: when all metadata is removed, XMP sidecars are set aside ' +
+                '(kept as .xmp.original with backup); RAW files and videos are listed because they keep their own metadata (default: true)'
             }
           },
           required: ['filepath']
         }
       },
+      {
+        name: 'write_exif',
+        description: 'Set or correct individual EXIF fields in place without re-encoding the image',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            filepath: {
+              type: 'string',
+              description: 'Path to the image file (JPEG, PNG or WebP)'
+            },
+            tags: {
+              type: 'object',
+              description: 'Map of tag name to new value, e.g. {"Artist": "Tim", "DateTimeOriginal": "2024:07:04 14:30:22", ' +
+                '"GPSLatitude": 41.8781, "GPSLongitude": -87.6298}. Use null to delete a tag. ' +
+                `Writable tags: ${Object.keys(WRITABLE_TAGS).join(', ')}`
+            },
+            backup: {
+              type: 'boolean',
+              description: 'Keep original with .original extension (default: true)'
+            },
+            dryRun: {
+              type: 'boolean',
+              description: 'Show the before/after values without writing anything (default: false)',
+              default: false
+            }
+          },
+          required: ['filepath', 'tags']
+        }
+      },
+      {
+        name: 'shift_capture_time',
+        description: 'Shift DateTimeOriginal, CreateDate and ModifyDate across a batch to correct camera clock drift or a wrong timezone',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            filepaths: {
+              type: 'array',
+              items: {
+                type: 'string'
+              },
+              description: 'Image files and/or directories to correct'
+            },
+            shift: {
+              type: 'string',
+              description: 'Fixed offset to apply, e.g. "+01:00:00" or "-3d 00:04:12". Use either shift or referencePhoto'
+            },
+            referencePhoto: {
+              type: 'string',
+              description: 'Photo whose correct time is known; the offset is computed from it and applied to every file'
+            },
+            referenceTime: {
+              type: 'string',
+              description: 'Correct capture time of referencePhoto, e.g. "2024:07:04 14:30:22"'
+            },
+            offsetTime: {
+              type: 'string',
+              description: 'Also set OffsetTimeOriginal to this UTC offset, e.g. "+02:00"'
+            },
+            ...FILE_SELECTION_PROPERTIES,
+            dryRun: {
+              type: 'boolean',
+              description: 'Preview changes without modifying files (default: true)',
+              default: true
+            },
+            backup: {
+              type: 'boolean',
+              description: 'Copy original files to a backup folder first (default: true)',
+              default: true
+            }
+          }
+        }
+      },
+      {
+        name: 'geotag_from_gpx',
+        description: 'Add GPS positions to photos by matching their capture time against GPX/KML/GeoJSON track logs',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            filepaths: {
+              type: 'array',
+              items: {
+                type: 'string'
+              },
+              description: 'Image files and/or directories to geotag'
+            },
+            trackFiles: {
+              type: 'array',
+              items: {
+                type: 'string'
+              },
+              description: 'Track logs: GPX, KML (gx:Track or timestamped points) or GeoJSON (LineString with coordTimes)'
+            },
+            timeOffset: {
+              type: 'string',
+              description: 'How far the camera clock is ahead of UTC, e.g. "+02:00" or "-05:00:30" for a drifting clock. ' +
+                'Default: each photo\'s OffsetTimeOriginal, or UTC when it has none'
+            },
+            maxGap: {
+              type: 'integer',
+              description: 'Maximum seconds between a photo and the track (or between the trackpoints around it) to still match (default: 300)',
+              default: 300
+            },
+            writeTo: {
+              type: 'string',
+              enum: ['file', 'sidecar'],
+              description: 'Write GPS into the image itself (JPEG/PNG/WebP, no re-encoding) or into an XMP sidecar next to it (default: file)',
+              default: 'file'
+            },
+            overwrite: {
+              type: 'boolean',
+              description: 'Replace GPS positions photos already have (default: false)',
+              default: false
+            },
+            ...FILE_SELECTION_PROPERTIES,
+            dryRun: {
+              type: 'boolean',
+              description: 'Preview matches without modifying files (default: true)',
+              default: true
+            },
+            backup: {
+              type: 'boolean',
+              description: 'Copy files (or existing sidecars) to a backup folder before changing them (default: true)',
+              default: true
+            }
+          },
+          required: ['trackFiles']
+        }
+      },
+      {
+        name: 'anonymize_photos',
+        description: 'Batch remove sensitive metadata for sharing, writing cleaned copies to a separate folder',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            filepaths: {
+              type: 'array',
+              items: {
+                type: 'string'
+              },
+              description: 'Image files and/or directories to anonymize'
+            },
+            preset: {
+              type: 'string',
+              enum: Object.keys(ANONYMIZE_PRESETS),
+              description: `Sharing preset. ${Object.entries(ANONYMIZE_PRESETS).map(([name, p]) => `${name}: ${p.description}`).join('. ')}`
+            },
+            outputDir: {
+              type: 'string',
+              description: 'Destination folder for the cleaned copies (originals are never modified)'
+            },
+            ...FILE_SELECTION_PROPERTIES,
+            overwrite: {
+              type: 'boolean',
+              description: 'Overwrite files that already exist in the destination folder (default: false)',
+              default: false
+            },
+            allowReencode: {
+              type: 'boolean',
+              description: 'Allow re-encoding TIFF/HEIC/AVIF files, which cannot be stripped losslessly (default: false)',
+              default: false
+            },
+            locationPrivacy: {
+              ...LOCATION_PRIVACY_SCHEMA,
+              description: `${LOCATION_PRIVACY_SCHEMA.description}. Applies only to presets that keep GPS; presets that drop location always remove it`
+            }
+          },
+          required: ['preset', 'outputDir']
+        }
+      },
       {
         name: 'create_photo_tour_kmz',
         description: 'Create a KMZ file with geotagged photos showing your journey path',
@@ -268,8 +738,9 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               items: {
                 type: 'string'
               },
-              description: 'Array of image file paths in chronological order'
+              description: 'Image files and/or directories to include (photos are ordered by capture time)'
             },
+            ...FILE_SELECTION_PROPERTIES,
             outputPath: {
               type: 'string',
               description: 'Path for the output KMZ file (e.g., /path/to/photo-tour.kmz)'
@@ -303,342 +774,2539 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               type: 'boolean',
               description: 'Number photos in chronological order',
               default: true
-            }
+            },
+            locationPrivacy: {
+              ...LOCATION_PRIVACY_SCHEMA,
+              description: `${LOCATION_PRIVACY_SCHEMA.description}. No placemark or path point is ever plotted inside a zone`
+            },
+            collapseSequences: {
+              type: 'boolean',
+              description: 'Show each burst, exposure bracket or focus bracket as one placemark with a representative frame (default: false)',
+              default: false
+            },
+            ...SEQUENCE_PROPERTIES,
+            flyThrough: {
+              type: 'boolean',
+              description: 'Add an animated Google Earth tour (gx:Tour) that flies from photo to photo and opens each balloon, and split photos and path into per-day folders with their own colour and time span for the time slider (default: false)',
+              default: false
+            },
+            tourTilt: {
+              type: 'number',
+              description: 'Fly-through camera tilt in degrees, 0 looking straight down (0-90, default: 60)',
+              default: 60
+            },
+            tourRange: {
+              type: 'number',
+              description: 'Fly-through camera distance from each photo in metres (10-100000, default: 500)',
+              default: 500
+            },
+            tourDwellSeconds: {
+              type: 'number',
+              description: 'Seconds the fly-through pauses at each photo with its balloon open (0-60, default: 4)',
+              default: 4
+            },
+            tourFlySeconds: {
+              type: 'number',
+              description: 'Seconds the fly-through takes to travel to each photo (0.5-60, default: 3)',
+              default: 3
+            },
+            ...GPS_OUTLIER_PROPERTIES,
+            groupStops: {
+              type: 'boolean',
+              description: 'Cluster photos taken close together into stops shown as one placemark with a gallery of their photos, draw the path from stop to stop and add distance, time, speed and elevation of each leg to the summary (default: false)',
+              default: false
+            },
+            ...TRIP_PROPERTIES
           },
-          required: ['filepaths', 'outputPath']
+          required: ['outputPath']
         }
-      }
-    ]
-  };
-});
-
-// Handle tool calls
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
-  const { name, arguments: args } = request.params;
-
-  try {
-    switch (name) {
-      case 'parse_exif': {
-        const { filepath, options = {} } = args;
-        
-        // Validate and sanitize file path
-        const safePath = validateFilePath(filepath);
-        validateFileExists(safePath);
-        validateImageFile(safePath);
-        
-        // Default options
-        const parseOptions = {
-          gps: options.gps !== false,
-          thumbnail: options.thumbnail === true,
-          xmp: options.xmp !== false,
-          icc: options.icc === true,
-          iptc: options.iptc !== false,
-          ...options
-        };
-        
-        // Parse EXIF data
-        const exifData = await exifr.parse(safePath, parseOptions);
-        
-        if (!exifData) {
-          return {
+      },
+      {
+        name: 'analyze_trip',
+        description: 'Split a journey into stops (photos taken close together in place and time) and the legs between them, with the distance, elapsed time, average speed and elevation gain of each leg from GPS positions and GPSAltitude. Returns a text summary and the same figures as JSON',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            filepaths: {
+              type: 'array',
+              items: {
+                type: 'string'
+              },
+              description: 'Image files and/or directories of the trip (photos are ordered by capture time)'
+            },
+            ...FILE_SELECTION_PROPERTIES,
+            ...TRIP_PROPERTIES,
+            ...GPS_OUTLIER_PROPERTIES,
+            locationPrivacy: {
+              ...LOCATION_PRIVACY_SCHEMA,
+              description: `${LOCATION_PRIVACY_SCHEMA.description}. Photos inside a zone are left out of the trip`
+            }
+          }
+        }
+      },
+      {
+        name: 'export_to_lightroom',
+        description: 'Write Lightroom- and darktable-compatible XMP sidecars next to images or into a target folder, without touching the originals: rating, colour label, hierarchical keywords, title and caption, ' +
+          'plus the GPS position and capture time the images carry now (e.g. after geotag_from_gpx or shift_capture_time). Existing sidecars are merged, never overwritten',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            filepaths: {
+              type: 'array',
+              items: {
+                type: 'string'
+              },
+              description: 'Image files and/or directories to write sidecars for'
+            },
+            ...FILE_SELECTION_PROPERTIES,
+            outputDir: {
+              type: 'string',
+              description: 'Write the sidecars into this folder, mirroring the folder structure, instead of next to the images'
+            },
+            sidecarStyle: {
+              type: 'string',
+              enum: ['lightroom', 'darktable'],
+              description: 'Sidecar names: "lightroom" replaces the extension (IMG_1234.xmp), "darktable" appends to it (IMG_1234.CR2.xmp) (default: lightroom)',
+              default: 'lightroom'
+            },
+            rating: {
+              type: 'integer',
+              description: 'Star rating from 0 to 5, or -1 for rejected (xmp:Rating)'
+            },
+            label: {
+              type: 'string',
+              description: 'Colour label, e.g. "Red", "Yellow", "Green", "Blue" or "Purple" (xmp:Label)'
+            },
+            keywords: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Keywords to add; "Places|Italy|Rome" is a hierarchy (lr:hierarchicalSubject, with every level in dc:subject). Keywords already in a sidecar are kept'
+            },
+            title: {
+              type: 'string',
+              description: 'Title (dc:title)'
+            },
+            caption: {
+              type: 'string',
+              description: 'Caption (dc:description)'
+            },
+            includeGps: {
+              type: 'boolean',
+              description: 'Copy the GPS position embedded in each image into its sidecar (default: true). Positions already in a sidecar are kept when the image has none',
+              default: true
+            },
+            includeCaptureTime: {
+              type: 'boolean',
+              description: 'Copy DateTimeOriginal and OffsetTimeOriginal into the sidecar as its capture time (default: true)',
+              default: true
+            },
+            dryRun: {
+              type: 'boolean',
+              description: 'Preview the sidecars without writing anything (default: true)',
+              default: true
+            },
+            backup: {
+              type: 'boolean',
+              description: 'Copy existing sidecars to a backup folder before merging into them (default: true)',
+              default: true
+            }
+          }
+        }
+      },
+      {
+        name: 'analyze_shooting_patterns',
+        description: 'Collection statistics: aperture, shutter speed, ISO and 35mm-equivalent focal length histograms, camera and lens usage, shots per hour and weekday, flash usage and favourite focal lengths of zoom lenses. Returns a text summary and the same statistics as JSON',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            filepaths: {
+              type: 'array',
+              items: {
+                type: 'string'
+              },
+              description: 'Image files and/or directories to analyze'
+            },
+            ...FILE_SELECTION_PROPERTIES,
+            startDate: {
+              type: 'string',
+              description: 'Only photos taken on or after this date ("YYYY-MM-DD" or "YYYY-MM-DD HH:MM:SS")'
+            },
+            endDate: {
+              type: 'string',
+              description: 'Only photos taken on or before this date ("YYYY-MM-DD" covers the whole day)'
+            },
+            camera: {
+              type: 'string',
+              description: 'Only photos from cameras whose make, model or serial number contains this text (case-insensitive)'
+            }
+          }
+        }
+      },
+      {
+        name: 'detect_photo_issues',
+        description: 'Quality pass before delivery: flags high ISO, shutter speeds too slow to hand-hold, very wide apertures close up, clipped or badly exposed images and likely blur. Returns the photos ranked by how many and how serious their issues are',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            filepaths: {
+              type: 'array',
+              items: {
+                type: 'string'
+              },
+              description: 'Image files and/or directories to check'
+            },
+            ...FILE_SELECTION_PROPERTIES,
+            checks: {
+              type: 'array',
+              items: {
+                type: 'string',
+                enum: ISSUE_CHECKS
+              },
+              description: 'Checks to run (default: all). "exposure" and "blur" decode the image, the others only read EXIF'
+            },
+            isoThresholds: {
+              type: 'object',
+              additionalProperties: { type: 'number' },
+              description: 'Highest acceptable ISO per camera, e.g. { "EOS R5": 12800, "iPhone": 800 }, matched against make and model. ' +
+                'Other cameras use 6400 for full frame, 3200 for APS-C, 1600 for Micro Four Thirds and 800 for smaller sensors'
+            },
+            stabilizationStops: {
+              type: 'number',
+              description: 'Stops of image stabilization to allow on top of the 1/(focal length × crop) handheld rule (0-8, default: 0)',
+              default: 0
+            },
+            blurThreshold: {
+              type: 'number',
+              description: 'Laplacian variance below which a photo counts as blurred, measured at up to 1024 px (default: 100)',
+              default: 100
+            }
+          }
+        }
+      },
+      {
+        name: 'export_photo_locations',
+        description: 'Export the locations of geotagged photos as GeoJSON (for Leaflet, Mapbox and other web maps) or GPX (for hiking apps and GPS devices), with one point per photo and an optional path through them. Photos are selected, ordered and filtered like create_photo_tour_kmz',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            filepaths: {
+              type: 'array',
+              items: {
+                type: 'string'
+              },
+              description: 'Image files and/or directories to include (photos are ordered by capture time)'
+            },
+            ...FILE_SELECTION_PROPERTIES,
+            outputPath: {
+              type: 'string',
+              description: 'Output file ending in .geojson (or .json) for GeoJSON, or .gpx for GPX'
+            },
+            title: {
+              type: 'string',
+              description: 'Name of the collection or GPX file',
+              default: 'My Photo Journey'
+            },
+            drawPath: {
+              type: 'boolean',
+              description: 'Add a line (GeoJSON LineString or GPX track) through the photo locations',
+              default: true
+            },
+            includeThumbnails: {
+              type: 'boolean',
+              description: 'Write thumbnails to a <name>_images folder next to the output and link them from each point (default: true)',
+              default: true
+            },
+            thumbnailSize: {
+              type: 'integer',
+              description: 'Thumbnail size in pixels (100-2000, default: 400)',
+              default: 400
+            },
+            locationPrivacy: {
+              ...LOCATION_PRIVACY_SCHEMA,
+              description: `${LOCATION_PRIVACY_SCHEMA.description}. No point or path vertex is ever exported inside a zone`
+            },
+            collapseSequences: {
+              type: 'boolean',
+              description: 'Export each burst, exposure bracket or focus bracket as one point with a representative frame (default: false)',
+              default: false
+            },
+            ...SEQUENCE_PROPERTIES,
+            ...GPS_OUTLIER_PROPERTIES
+          },
+          required: ['outputPath']
+        }
+      },
+      {
+        name: 'create_photo_map',
+        description: 'Create a self-contained, offline photo map for people without Google Earth: a folder with an index.html and thumbnails that plots the photo locations and path as SVG with pan and zoom, a timeline scrubber and photo cards with camera settings. Needs no CDN or tile server. Photos are selected, ordered and filtered like create_photo_tour_kmz',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            filepaths: {
+              type: 'array',
+              items: {
+                type: 'string'
+              },
+              description: 'Image files and/or directories to include (photos are ordered by capture time)'
+            },
+            ...FILE_SELECTION_PROPERTIES,
+            outputDir: {
+              type: 'string',
+              description: 'Folder to write index.html and the images folder into (created if missing)'
+            },
+            title: {
+              type: 'string',
+              description: 'Title of the page',
+              default: 'My Photo Journey'
+            },
+            description: {
+              type: 'string',
+              description: 'Text shown under the title',
+              default: ''
+            },
+            basemap: {
+              type: 'string',
+              description: 'Optional GeoJSON file (.geojson or .json) whose lines and polygons are drawn beneath the photos, e.g. a coastline or country outline'
+            },
+            drawPath: {
+              type: 'boolean',
+              description: 'Draw the path between photo locations',
+              default: true
+            },
+            thumbnailSize: {
+              type: 'integer',
+              description: 'Thumbnail size in pixels (100-2000, default: 600)',
+              default: 600
+            },
+            includeFullImages: {
+              type: 'boolean',
+              description: 'Also write full-size images, opened by clicking the photo in a card (warning: large folder)',
+              default: false
+            },
+            locationPrivacy: {
+              ...LOCATION_PRIVACY_SCHEMA,
+              description: `${LOCATION_PRIVACY_SCHEMA.description}. No photo or path point is ever plotted inside a zone`
+            },
+            collapseSequences: {
+              type: 'boolean',
+              description: 'Show each burst, exposure bracket or focus bracket as one photo with a representative frame (default: false)',
+              default: false
+            },
+            ...SEQUENCE_PROPERTIES,
+            ...GPS_OUTLIER_PROPERTIES
+          },
+          required: ['outputDir']
+        }
+      },
+      {
+        name: 'generate_photo_report',
+        description: 'Write a shareable Markdown or self-contained HTML report of a shoot: photos grouped by date, location, camera or event, with counts, capture-setting summaries, thumbnail strips and an optional map of the GPS points',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            filepaths: {
+              type: 'array',
+              items: {
+                type: 'string'
+              },
+              description: 'Image files and/or directories to report on'
+            },
+            ...FILE_SELECTION_PROPERTIES,
+            outputPath: {
+              type: 'string',
+              description: 'Report file ending in .md or .html. Markdown reports keep their images in a <name>_files folder next to it'
+            },
+            title: {
+              type: 'string',
+              description: 'Report title',
+              default: 'Photo Report'
+            },
+            groupBy: {
+              type: 'string',
+              enum: REPORT_GROUPINGS,
+              description: 'How to group the photos (default: date)',
+              default: 'date'
+            },
+            eventGapHours: {
+              type: 'number',
+              description: 'With groupBy "event": start a new event when shots are more than this many hours apart (default: 3)',
+              default: 3
+            },
+            thumbnailsPerGroup: {
+              type: 'integer',
+              description: 'Thumbnails in each group\'s strip, spread over the group (0-50, default: 8)',
+              default: 8
+            },
+            thumbnailSize: {
+              type: 'integer',
+              description: 'Thumbnail size in pixels (50-800, default: 200)',
+              default: 200
+            },
+            includeMap: {
+              type: 'boolean',
+              description: 'Plot the GPS positions as an SVG map (default: true)',
+              default: true
+            },
+            locationPrivacy: {
+              ...LOCATION_PRIVACY_SCHEMA,
+              description: `${LOCATION_PRIVACY_SCHEMA.description}. Places and map points inside a zone are left out of the report`
+            },
+            ...GPS_OUTLIER_PROPERTIES
+          },
+          required: ['outputPath']
+        }
+      },
+      {
+        name: 'find_duplicates',
+        description: 'Find duplicate photos: exact copies, the same image with different metadata, and resized or recompressed copies. Suggests a keeper per group and can move the rest to a quarantine folder',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            filepaths: {
+              type: 'array',
+              items: {
+                type: 'string'
+              },
+              description: 'Image files and/or directories to check'
+            },
+            ...FILE_SELECTION_PROPERTIES,
+            levels: {
+              type: 'array',
+              items: { type: 'string', enum: DUPLICATE_LEVELS },
+              description: 'Which duplicates to look for: "exact" (identical files), "pixels" (same image, different metadata), "similar" (resized or recompressed copies). Default: all three'
+            },
+            maxDistance: {
+              type: 'integer',
+              description: 'How many of the 64 perceptual hash bits may differ for "similar" copies (0-16, default: 6)',
+              default: 6
+            },
+            quarantineDir: {
+              type: 'string',
+              description: 'Move every copy except the suggested keeper into this folder, mirroring the original folder layout'
+            },
+            dryRun: {
+              type: 'boolean',
+              description: 'With quarantineDir: only show what would be moved (default: true)',
+              default: true
+            },
+            ...COMPANION_PROPERTIES
+          }
+        }
+      },
+      {
+        name: 'find_sequences',
+        description: 'Find bursts, exposure brackets (HDR) and focus brackets among photos using sub-second capture times, camera serial numbers, exposure bias and focus distance',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            filepaths: {
+              type: 'array',
+              items: {
+                type: 'string'
+              },
+              description: 'Image files and/or directories to check'
+            },
+            ...FILE_SELECTION_PROPERTIES,
+            ...SEQUENCE_PROPERTIES
+          }
+        }
+      },
+      {
+        name: 'list_operations',
+        description: 'List recent runs recorded in the operation journal (renames, strips and metadata writes) that can be undone',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            limit: {
+              type: 'integer',
+              description: 'Number of runs to show, newest first (default: 20)',
+              default: 20
+            },
+            tool: {
+              type: 'string',
+              description: 'Only show runs of this tool, e.g. "rename_by_exif"'
+            }
+          }
+        }
+      },
+      {
+        name: 'undo_operation',
+        description: 'Revert a journaled run: restore original file names or contents and remove files it created',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            runId: {
+              type: 'string',
+              description: 'Run ID shown in the tool output or by list_operations'
+            },
+            dryRun: {
+              type: 'boolean',
+              description: 'Preview what would be restored without changing files (default: true)',
+              default: true
+            },
+            skipConflicts: {
+              type: 'boolean',
+              description: 'Restore everything that is safe and leave files that changed since the run alone. ' +
+                'By default nothing is restored while any conflict exists (default: false)',
+              default: false
+            }
+          },
+          required: ['runId']
+        }
+      }
+    ]
+  };
+});
+
+// Handle tool calls
+server.setRequestHandler(CallToolRequestSchema, async (request) => {
+  const { name, arguments: args } = request.params;
+
+  try {
+    switch (name) {
+      case 'parse_exif': {
+        const { filepath, options = {} } = args;
+        
+        // Validate and sanitize file path
+        const safePath = validateFilePath(filepath);
+        validateFileExists(safePath);
+        validateImageFile(safePath);
+        
+        // Default options
+        const parseOptions = {
+          gps: options.gps !== false,
+          thumbnail: options.thumbnail === true,
+          xmp: options.xmp !== false,
+          icc: options.icc === true,
+          iptc: options.iptc !== false,
+          ...options
+        };
+        
+        // Parse EXIF data
+        const exifData = await exifr.parse(safePath, parseOptions);
+        
+        if (!exifData) {
+          return {
+            content: [{
+              type: 'text',
+              text: `No EXIF data found in ${path.basename(safePath)}`
+            }]
+          };
+        }
+        
+        // Format the output
+        const formatted = formatExifData(exifData, safePath);
+        
+        return {
+          content: [{
+            type: 'text',
+            text: formatted
+          }]
+        };
+      }
+      
+      case 'parse_exif_batch': {
+        const { options = {}, offset = 0, limit = 100 } = args;
+        
+        validateNumericInput(offset, 'offset', 0);
+        validateNumericInput(limit, 'limit', 1, 1000);
+        
+        const selection = await selectBatchFiles(args);
+        // Page through large selections instead of parsing everything at once
+        const page = selection.files.slice(offset, offset + limit);
+        const results = offset === 0
+          ? selection.errors.map(({ original, error }) => ({ filepath: path.basename(original), data: null, status: 'error', error }))
+          : [];
+        
+        for (const file of page) {
+          const safePath = file.filepath;
+          try {
+            const exifData = await exifr.parse(safePath, {
+              gps: options.gps !== false,
+              thumbnail: options.thumbnail === true,
+              xmp: options.xmp !== false,
+              icc: options.icc === true,
+              iptc: options.iptc !== false,
+              ...options
+            });
+            
+            if (exifData) {
+              results.push({
+                filepath: path.basename(safePath),
+                data: exifData,
+                status: 'success'
+              });
+            } else {
+              results.push({
+                filepath: path.basename(safePath),
+                data: null,
+                status: 'no_exif'
+              });
+            }
+          } catch (error) {
+            results.push({
+              filepath: path.basename(safePath),
+              data: null,
+              status: 'error',
+              error: error.message
+            });
+          }
+        }
+        
+        const nextOffset = offset + page.length < selection.files.length ? offset + page.length : null;
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify({
+              files: {
+                discovered: selection.discovered,
+                skipped: selection.skipped,
+                selected: selection.files.length,
+                processed: page.length,
+                offset,
+                nextOffset
+              },
+              results
+            }, null, 2)
+          }]
+        };
+      }
+      
+      case 'get_gps_coordinates': {
+        const { filepath } = args;
+        
+        // Validate and sanitize file path
+        const safePath = validateFilePath(filepath);
+        validateFileExists(safePath);
+        validateImageFile(safePath);
+        
+        // Parse only GPS data
+        const gpsData = await exifr.gps(safePath);
+        
+        if (!gpsData) {
+          return {
+            content: [{
+              type: 'text',
+              text: `No GPS data found in ${path.basename(safePath)}`
+            }]
+          };
+        }
+        
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify({
+              filepath: path.basename(safePath),
+              coordinates: {
+                latitude: gpsData.latitude,
+                longitude: gpsData.longitude,
+                altitude: gpsData.altitude || null
+              },
+              googleMapsUrl: `https://www.google.com/maps?q=${gpsData.latitude},${gpsData.longitude}`
+            }, null, 2)
+          }]
+        };
+      }
+      
+      case 'rename_by_exif': {
+        const { 
+          template = '{datetime}_{camera}_{original}',
+          dateFormat = 'YYYY-MM-DD',
+          timeFormat = 'HHmmss',
+          dryRun = true,
+          backup = true,
+          counterStart = 1
+        } = args;
+        
+        // Validate template and other inputs; syntax errors are reported before any file is touched
+        validateTemplateString(template);
+        const compiledTemplate = compileTemplate(template);
+        validateStringInput(dateFormat, 'dateFormat', 50);
+        validateStringInput(timeFormat, 'timeFormat', 50);
+        validateBooleanInput(dryRun, 'dryRun');
+        validateBooleanInput(backup, 'backup');
+        validateNumericInput(counterStart, 'counterStart', 1, 9999);
+        const companionRules = getCompanionRules(args);
+        
+        const selection = await selectBatchFiles(args, { access: dryRun ? 'read' : 'write' });
+        const files = await withCompanions(selection.files, companionRules);
+        const results = [...selection.errors];
+        let counter = counterStart;
+        // {dircounter} restarts at counterStart in every directory
+        const dirCounters = new Map();
+        let backupDir;
+        
+        // Create backup directory if needed and not in dry run
+        if (backup && !dryRun && files.length > 0) {
+          backupDir = createSafeBackupDir(files[0].filepath);
+          await mkdir(backupDir, { recursive: true });
+        }
+        
+        const run = startRun('rename_by_exif', journalDir, { template });
+        
+        for (const file of files) {
+          const { filepath: safePath, relativePath } = file;
+          try {
+            validateCompanions(file, dryRun ? 'read' : 'write');
+            const exifData = await readTemplateExif(safePath);
+            
+            // Build new filename from template
+            const dir = path.dirname(safePath);
+            const ext = path.extname(safePath);
+            const originalName = path.basename(safePath, ext);
+            const dirCounter = dirCounters.get(dir) ?? counterStart;
+            
+            let newName = renderPhotoTemplate(compiledTemplate, exifData, {
+              ...getPhotoTemplateFields(exifData),
+              original: originalName,
+              counter,
+              dircounter: dirCounter
+            }, { dateFormat, timeFormat });
+            
+            newName = cleanFilenamePart(newName) || originalName;
+            
+            // Check if any target of the photo or its companions exists and handle duplicates
+            const sources = [safePath, ...file.companions.map(companion => companion.filepath)];
+            let targets = getGroupTargets(file, dir, newName);
+            let dupCounter = 1;
+            while (targets.some((target, index) => target !== sources[index] && existsSync(target))) {
+              targets = getGroupTargets(file, dir, `${newName}_${dupCounter}`);
+              dupCounter++;
+            }
+            
+            results.push({
+              original: path.basename(safePath),
+              new: path.basename(targets[0]),
+              companions: file.companions.map((companion, index) => ({
+                original: path.basename(companion.filepath),
+                new: path.basename(targets[index + 1])
+              })),
+              status: dryRun ? 'preview' : 'pending',
+              exifFound: !!exifData
+            });
+            
+            // Actually rename if not dry run
+            if (!dryRun) {
+              // Backup if requested, keeping a copy under the original name
+              if (backup) {
+                await copyToBackup(safePath, relativePath, backupDir);
+                for (const companion of file.companions) {
+                  await copyToBackup(companion.filepath, companion.relativePath, backupDir);
+                }
+              }
+              for (const [index, source] of sources.entries()) {
+                if (targets[index] !== source) {
+                  await rename(source, targets[index]);
+                  await recordRename(run, source, targets[index]);
+                }
+              }
+              results[results.length - 1].status = 'renamed';
+            }
+            
+            counter++;
+            dirCounters.set(dir, dirCounter + 1);
+            
+          } catch (error) {
+            results.push({
+              original: path.basename(safePath),
+              new: null,
+              status: 'error',
+              error: error.message
+            });
+          }
+        }
+        
+        // Format results
+        let output = `📸 Batch Rename Results\n${'='.repeat(50)}\n\n`;
+        output += `Mode: ${dryRun ? '🔍 PREVIEW MODE (no files changed)' : '✅ RENAME MODE'}\n`;
+        output += `Template: "${template}"\n`;
+        output += `${formatFileCounts(selection, selection.files.length)}\n`;
+        if (backupDir) {output += `Backups: ${backupDir}\n`;}
+        output += `\n`;
+        
+        let successCount = 0;
+        let errorCount = 0;
+        
+        for (const result of results) {
+          if (result.status === 'error') {
+            output += `❌ ERROR: ${path.basename(result.original)}\n`;
+            output += `   ${result.error}\n\n`;
+            errorCount++;
+          } else {
+            output += `${result.exifFound ? '✅' : '⚠️'} ${path.basename(result.original)}\n`;
+            output += `   → ${path.basename(result.new)}\n`;
+            for (const companion of result.companions) {
+              output += `   + ${companion.original} → ${companion.new}\n`;
+            }
+            output += `\n`;
+            successCount++;
+          }
+        }
+        
+        output += `\nSummary: ${successCount} files ${dryRun ? 'would be' : 'were'} renamed` +
+          `${formatCompanionCount(results)}, ${errorCount} errors\n`;
+        
+        if (dryRun) {
+          output += `\n💡 Tip: Set dryRun to false to actually rename the files.`;
+        } else if (await finishRun(run)) {
+          output += `\n${formatRunFooter(run)}`;
+        }
+        
+        return {
+          content: [{
+            type: 'text',
+            text: output
+          }]
+        };
+      }
+      
+      case 'organize_photos': {
+        const {
+          destination,
+          pattern = '{year}/{month}-{monthname}/{date}_{city}',
+          mode = 'copy',
+          unsortedFolder = 'Unsorted',
+          eventGapHours,
+          onCollision = 'rename',
+          dateFormat = 'YYYY-MM-DD',
+          timeFormat = 'HHmmss',
+          dryRun = true,
+          backup = true
+        } = args;
+        
+        // Validate the pattern and other inputs before any file is touched
+        validateTemplateString(pattern);
+        const compiledPattern = compileTemplate(pattern);
+        validateStringInput(destination, 'destination');
+        validateStringInput(unsortedFolder, 'unsortedFolder', 255);
+        validateStringInput(dateFormat, 'dateFormat', 50);
+        validateStringInput(timeFormat, 'timeFormat', 50);
+        validateBooleanInput(dryRun, 'dryRun');
+        validateBooleanInput(backup, 'backup');
+        if (!['copy', 'move'].includes(mode)) {
+          throw new Error('mode must be "copy" or "move"');
+        }
+        if (!['rename', 'skip'].includes(onCollision)) {
+          throw new Error('onCollision must be "rename" or "skip"');
+        }
+        if (eventGapHours !== undefined) {
+          validateNumericInput(eventGapHours, 'eventGapHours', 0.1, 168);
+        }
+        const companionRules = getCompanionRules(args);
+        const unsortedSegments = toFolderSegments(unsortedFolder);
+        if (unsortedSegments.length === 0) {
+          throw new Error('unsortedFolder must contain a usable folder name');
+        }
+        
+        const safeDestination = validateFilePath(destination, dryRun ? 'read' : 'write');
+        const moving = mode === 'move';
+        // Never pick up files that are already inside the destination tree
+        const selection = await selectBatchFiles(args, {
+          excludePaths: [safeDestination],
+          access: dryRun || !moving ? 'read' : 'write'
+        });
+        const files = await withCompanions(selection.files, companionRules);
+        const results = [...selection.errors];
+        
+        // Read every photo first: events depend on the other shots of the same day
+        const photos = [];
+        for (const file of files) {
+          try {
+            validateCompanions(file, dryRun || !moving ? 'read' : 'write');
+            const exifData = await readTemplateExif(file.filepath);
+            photos.push({ ...file, exifData, fields: getPhotoTemplateFields(exifData) });
+          } catch (error) {
+            results.push({ original: file.filepath, status: 'error', error: error.message });
+          }
+        }
+        const events = assignEvents(photos.map(photo => photo.fields.date), eventGapHours);
+        const usesEvent = compiledPattern.variables.includes('event');
+        
+        let backupDir;
+        if (moving && backup && !dryRun && photos.length > 0) {
+          backupDir = createSafeBackupDir(photos[0].filepath);
+          await mkdir(backupDir, { recursive: true });
+        }
+        
+        const run = startRun('organize_photos', journalDir, { pattern, mode, destination: safeDestination });
+        const claimedTargets = new Set();
+        
+        for (const [index, photo] of photos.entries()) {
+          try {
+            let folder = unsortedSegments;
+            if (photo.fields.date) {
+              const rendered = renderPhotoTemplate(compiledPattern, photo.exifData, {
+                ...photo.fields,
+                original: path.basename(photo.filepath, path.extname(photo.filepath)),
+                event: events[index]
+              }, { dateFormat, timeFormat, pathSafe: true });
+              folder = toFolderSegments(rendered);
+              if (events[index] > 1 && !usesEvent) {
+                folder = folder.length > 0
+                  ? [...folder.slice(0, -1), `${folder[folder.length - 1]}_${events[index]}`]
+                  : [`event_${events[index]}`];
+              }
+            }
+            
+            // The photo and its companions must all fit under one name in the target folder
+            const targetDir = path.join(safeDestination, ...folder);
+            const baseName = path.basename(photo.filepath, path.extname(photo.filepath));
+            const sources = [photo.filepath, ...photo.companions.map(companion => companion.filepath)];
+            let targets = getGroupTargets(photo, targetDir, baseName);
+            let status = dryRun ? 'preview' : 'pending';
+            let dupCounter = 1;
+            while (targets[0] !== photo.filepath &&
+              targets.some((target, i) => claimedTargets.has(target) || (target !== sources[i] && existsSync(target)))) {
+              if (!claimedTargets.has(targets[0]) && existsSync(targets[0]) && await isSameFileContent(photo.filepath, targets[0])) {
+                status = 'duplicate';
+                break;
+              }
+              if (onCollision === 'skip') {
+                status = 'skipped';
+                break;
+              }
+              targets = getGroupTargets(photo, targetDir, `${baseName}_${dupCounter}`);
+              dupCounter++;
+            }
+            if (targets[0] === photo.filepath) {
+              status = 'in place';
+            }
+            
+            const result = {
+              original: photo.filepath,
+              folder,
+              target: targets[0],
+              companions: targets.slice(1).map(target => path.basename(target)),
+              status
+            };
+            results.push(result);
+            
+            if (!dryRun && status === 'pending') {
+              // Subfolders of the destination may be symlinks, so check the real target as well
+              validateFilePath(targetDir, 'write');
+              await mkdir(targetDir, { recursive: true });
+              const groupFiles = [photo, ...photo.companions];
+              for (const [i, file] of groupFiles.entries()) {
+                if (moving) {
+                  if (backup) {
+                    await copyToBackup(file.filepath, file.relativePath, backupDir);
+                  }
+                  await moveFile(file.filepath, targets[i]);
+                  await recordRename(run, file.filepath, targets[i]);
+                } else {
+                  // Hash the source first, so a file that cannot be read is not copied outside the journal
+                  const digest = await hashFile(file.filepath);
+                  await copyFile(file.filepath, targets[i], fsConstants.COPYFILE_EXCL);
+                  recordCopy(run, targets[i], digest);
+                }
+              }
+              result.status = moving ? 'moved' : 'copied';
+            }
+            targets.forEach(target => claimedTargets.add(target));
+          } catch (error) {
+            results.push({ original: photo.filepath, status: 'error', error: error.message });
+          }
+        }
+        
+        // Format results
+        const verb = moving ? 'moved' : 'copied';
+        const placed = results.filter(result => ['preview', 'moved', 'copied'].includes(result.status));
+        let output = `🗂️  Organize Photos Results\n${'='.repeat(50)}\n\n`;
+        output += `Mode: ${dryRun ? '🔍 PREVIEW MODE (no files changed)' : `✅ ${mode.toUpperCase()} MODE`}\n`;
+        output += `Pattern: "${pattern}"\n`;
+        output += `Destination: ${safeDestination}\n`;
+        output += `${formatFileCounts(selection, selection.files.length)}\n`;
+        if (backupDir) {output += `Backups: ${backupDir}\n`;}
+        output += `\n`;
+        
+        if (placed.length > 0) {
+          output += `📂 ${safeDestination}\n`;
+          output += `${formatTree(placed.map(result => ({
+            folder: result.folder,
+            label: (path.basename(result.target) === path.basename(result.original)
+              ? path.basename(result.target)
+              : `${path.basename(result.target)} (was ${path.basename(result.original)})`) +
+              (result.companions.length > 0 ? ` + ${result.companions.join(', ')}` : '')
+          })))}\n\n`;
+        }
+        
+        for (const result of results) {
+          if (result.status === 'error') {
+            output += `❌ ERROR: ${path.basename(result.original)}\n`;
+            output += `   ${result.error}\n\n`;
+          } else if (result.status === 'duplicate') {
+            output += `⏭️  ${path.basename(result.original)}: identical file already at ${path.relative(safeDestination, result.target)}\n`;
+          } else if (result.status === 'skipped') {
+            output += `⏭️  ${path.basename(result.original)}: ${path.relative(safeDestination, result.target)} already exists\n`;
+          } else if (result.status === 'in place') {
+            output += `⏭️  ${path.basename(result.original)}: already in place\n`;
+          }
+        }
+        
+        const count = (status) => results.filter(result => result.status === status).length;
+        const folderCount = new Set(placed.map(result => result.folder.join('/'))).size;
+        output += `\nSummary: ${placed.length} files ${dryRun ? 'would be' : 'were'} ${verb} into ${folderCount} folders` +
+          `${formatCompanionCount(placed)}, ` +
+          `${count('duplicate')} duplicates, ${count('skipped') + count('in place')} skipped, ${count('error')} errors\n`;
+        
+        if (dryRun) {
+          output += `\n💡 Tip: Set dryRun to false to actually ${mode} the files.`;
+        } else if (await finishRun(run)) {
+          output += `\n${formatRunFooter(run)}`;
+        }
+        
+        return {
+          content: [{
+            type: 'text',
+            text: output
+          }]
+        };
+      }
+      
+      case 'create_photo_tour_kmz': {
+        const {
+          outputPath,
+          title = 'My Photo Journey',
+          description = '',
+          thumbnailSize = 800,
+          includeFullImages = false,
+          drawPath = true,
+          numberPhotos = true,
+          flyThrough = false,
+          tourTilt = 60,
+          tourRange = 500,
+          tourDwellSeconds = 4,
+          tourFlySeconds = 3,
+          groupStops = false
+        } = args;
+        
+        // Validate output path
+        const safeOutputPath = validateFilePath(outputPath, 'write');
+        if (!safeOutputPath.endsWith('.kmz')) {
+          throw new Error('Output path must end with .kmz extension');
+        }
+        
+        // Validate other inputs
+        validateStringInput(title, 'title', 200);
+        validateStringInput(description, 'description', 2000);
+        validateNumericInput(thumbnailSize, 'thumbnailSize', 100, 2000);
+        validateBooleanInput(includeFullImages, 'includeFullImages');
+        validateBooleanInput(drawPath, 'drawPath');
+        validateBooleanInput(numberPhotos, 'numberPhotos');
+        validateBooleanInput(flyThrough, 'flyThrough');
+        validateNumericInput(tourTilt, 'tourTilt', 0, 90);
+        validateNumericInput(tourRange, 'tourRange', 10, 100000);
+        validateNumericInput(tourDwellSeconds, 'tourDwellSeconds', 0, 60);
+        validateNumericInput(tourFlySeconds, 'tourFlySeconds', 0.5, 60);
+        validateBooleanInput(groupStops, 'groupStops');
+        const tour = flyThrough ? { tilt: tourTilt, range: tourRange, dwellSeconds: tourDwellSeconds, flySeconds: tourFlySeconds } : null;
+        
+        const { selection, photoData, hidden, coarsened, sequences, privacy, collapseSequences, outliers, outlierAction } = await collectTourPhotos(args);
+        if (photoData.length === 0) {
+          return {
+            content: [{
+              type: 'text',
+              text: `${hidden > 0
+                ? `All photos with GPS data (${hidden}) are inside private zones, so no tour was created.`
+                : 'No photos with GPS data found in the provided files.'}\n${formatGpsOutliers(outliers, outlierAction)}${formatFileCounts(selection, selection.files.length)}`
+            }]
+          };
+        }
+        
+        // Cluster photos into stops; placemarks, path and fly-through then go from stop to stop
+        const trip = groupStops ? segmentTourPhotos(photoData, args, privacy) : null;
+        const stops = trip ? trip.stops.map(stop => ({
+          id: `stop_${stop.number.toString().padStart(3, '0')}`,
+          number: stop.number,
+          datetime: stop.photos[0].datetime,
+          latitude: stop.latitude,
+          longitude: stop.longitude,
+          altitude: stop.altitude ?? 0,
+          place: stop.place,
+          photos: stop.photos
+        })) : null;
+        
+        // Generate KML content
+        const kmlContent = buildKml(photoData, { title, description, drawPath, numberPhotos, tour, stops });
+        
+        // Create temporary directory for KMZ contents
+        const tempDir = path.join(path.dirname(safeOutputPath), `.kmz_temp_${Date.now()}`);
+        await mkdir(tempDir, { recursive: true });
+        await mkdir(path.join(tempDir, 'images'), { recursive: true });
+        
+        // Write KML file
+        await writeFile(path.join(tempDir, 'doc.kml'), kmlContent);
+        
+        // Generate thumbnails
+        await createThumbnails(photoData, path.join(tempDir, 'images'), thumbnailSize, includeFullImages);
+        
+        // Create KMZ archive
+        const output = createWriteStream(safeOutputPath);
+        const archive = archiver('zip', { zlib: { level: 9 } });
+        
+        archive.pipe(output);
+        archive.directory(tempDir, false);
+        
+        await new Promise((resolve, reject) => {
+          output.on('close', resolve);
+          archive.on('error', reject);
+          archive.finalize();
+        });
+        
+        // Clean up temp directory
+        await removeDir(tempDir);
+        
+        // Generate summary
+        const summary = `🌍 Photo Tour KMZ Created!\n${'='.repeat(50)}\n\n` +
+          `📍 Title: ${title}\n` +
+          `📂 ${formatFileCounts(selection, selection.files.length)}\n` +
+          `📸 Photos with GPS: ${photoData.length}\n` +
+          `📏 Path: ${drawPath ? 'Yes' : 'No'}\n` +
+          `🔢 Numbered: ${numberPhotos ? 'Yes' : 'No'}\n${ 
+          formatGpsOutliers(outliers, outlierAction)
+          }${
+          privacy ? `🔒 Privacy: ${hidden} hidden in private zones, ${coarsened} coarsened\n` : '' 
+          }${
+          collapseSequences ? `🎞️  Sequences: ${sequences.length} collapsed (${sequences.reduce((total, sequence) => total + sequence.frames.length - 1, 0)} frames hidden)\n` : ''
+          }${
+          trip ? `🛑 Stops: ${trip.stops.length} stops, ${trip.legs.length} legs, ${formatDistance(trip.totals.distance)} in total\n` : ''
+          }${
+          tour ? `🎬 Fly-through: ${(stops || photoData).length} stops over ${groupTourDays(stops || photoData).length} days, ` +
+            `about ${formatDuration((stops || photoData).length * (tourFlySeconds + tourDwellSeconds))}\n` : ''
+          }` +
+          `📦 File size: ${(await stat(safeOutputPath)).size / 1024 / 1024}MB\n` +
+          `📁 Output: ${path.basename(safeOutputPath)}\n\n` +
+          `Journey Timeline:\n${ 
+          photoData.slice(0, 5).map(p => 
+            `  ${p.number}. ${formatDate(p.datetime)} - ${p.filename}`
+          ).join('\n') 
+          }${photoData.length > 5 ? `\n  ... and ${photoData.length - 5} more photos` : '' 
+          }${trip && trip.legs.length > 0 ? `\n\nLegs:\n${formatTripLegs(trip).join('\n')}` : ''
+          }\n\n💡 Open in Google Earth to view your photo journey!`;
+        
+        const content = [{
+          type: 'text',
+          text: summary
+        }];
+        if (trip) {
+          content.push({
+            type: 'text',
+            text: JSON.stringify(formatTripJson(trip), null, 2)
+          });
+        }
+        return { content };
+      }
+      
+      case 'analyze_trip': {
+        const { selection, photoData, hidden, coarsened, privacy, outliers, outlierAction } = await collectTourPhotos(args);
+        if (photoData.length === 0) {
+          return {
+            content: [{
+              type: 'text',
+              text: `${hidden > 0
+                ? `All photos with GPS data (${hidden}) are inside private zones, so there is no trip to analyze.`
+                : 'No photos with GPS data found in the provided files.'}\n${formatGpsOutliers(outliers, outlierAction)}${formatFileCounts(selection, selection.files.length)}`
+            }]
+          };
+        }
+        
+        const trip = segmentTourPhotos(photoData, args, privacy);
+        const { totals } = trip;
+        
+        let output = `🧭 Trip Analysis\n${'='.repeat(50)}\n\n`;
+        output += `📂 ${formatFileCounts(selection, selection.files.length)}\n`;
+        output += `📸 Photos with GPS: ${photoData.length}\n`;
+        output += formatGpsOutliers(outliers, outlierAction);
+        if (privacy) {
+          output += `🔒 Privacy: ${hidden} hidden in private zones, ${coarsened} coarsened\n`;
+        }
+        output += `🛑 Stops: ${trip.stops.length}, legs: ${trip.legs.length}\n`;
+        output += `📏 Distance: ${formatDistance(totals.distance)}\n`;
+        output += `⏱️  Duration: ${formatDuration(totals.duration)}, ${formatDuration(totals.travelTime)} of it between stops\n`;
+        if (totals.averageSpeed !== null) {
+          output += `🚀 Average speed: ${totals.averageSpeed.toFixed(1)} km/h\n`;
+        }
+        if (totals.elevationGain !== null) {
+          output += `⛰️  Elevation change between stops: ↑${Math.round(totals.elevationGain)} m ↓${Math.round(totals.elevationLoss)} m\n`;
+        }
+        
+        output += '\nStops:\n';
+        for (const stop of trip.stops) {
+          const period = stop.photos.length > 1
+            ? `${formatDate(stop.photos[0].datetime)} – ${formatDate(stop.photos[stop.photos.length - 1].datetime)}`
+            : formatDate(stop.photos[0].datetime);
+          output += `  ${stop.number}. ${stop.place || `${stop.latitude.toFixed(5)}, ${stop.longitude.toFixed(5)}`} - ` +
+            `${stop.photos.length} photo${stop.photos.length === 1 ? '' : 's'}, ${period}` +
+            `${stop.altitude !== null ? `, ${Math.round(stop.altitude)} m` : ''}\n`;
+        }
+        if (trip.legs.length > 0) {
+          output += `\nLegs:\n${formatTripLegs(trip).join('\n')}\n`;
+        }
+        
+        return {
+          content: [
+            {
+              type: 'text',
+              text: output.trimEnd()
+            },
+            {
+              type: 'text',
+              text: JSON.stringify(formatTripJson(trip), null, 2)
+            }
+          ]
+        };
+      }
+      
+      case 'strip_exif': {
+        const { filepath, backup = true, keep = [], remove = [], allowReencode = false, locationPrivacy } = args;
+        
+        // Validate and sanitize file path
+        const safePath = validateFilePath(filepath, 'write');
+        validateFileExists(safePath);
+        validateImageFile(safePath);
+        
+        // Validate inputs
+        validateBooleanInput(backup, 'backup');
+        validateBooleanInput(allowReencode, 'allowReencode');
+        validateTagList(keep, 'keep');
+        validateTagList(remove, 'remove');
+        if (keep.length > 0 && remove.length > 0) {
+          throw new Error('Use either keep or remove, not both');
+        }
+        const privacy = locationPrivacy === undefined ? null : normalizeLocationPrivacy(locationPrivacy);
+        const companionRules = getCompanionRules(args);
+        
+        try {
+          const [{ companions }] = await withCompanions([{ filepath: safePath, relativePath: path.basename(safePath) }], companionRules);
+          validateCompanions({ companions }, 'write');
+          // XMP sidecars hold metadata too, so a full strip sets them aside; keep/remove lists only apply to the photo
+          const fullStrip = keep.length === 0 && remove.length === 0;
+          const sidecars = fullStrip ? companions.filter(companion => isMetadataSidecar(companion.filepath)) : [];
+          
+          const originalData = await readFile(safePath);
+          
+          // Build the clean image first so a corrupt file fails before anything is written
+          const { buffer: cleanImageBuffer, filtered, format, lossless, location } =
+            await stripImageMetadata(originalData, { keep, remove, allowReencode, privacy });
+          
+          // Create backup if requested
+          let backupPath = null;
+          if (backup) {
+            backupPath = validateFilePath(`${safePath}.original`, 'write');
+            
+            // Check if backup already exists
+            const existingBackup = [backupPath, ...sidecars.map(sidecar => `${sidecar.filepath}.original`)].find(existsSync);
+            if (existingBackup) {
+              throw new Error(`Backup file ${path.basename(existingBackup)} already exists. Remove it first or set backup=false.`);
+            }
+            
+            // Copy original to backup
+            await writeFile(backupPath, originalData);
+          }
+          
+          // Write the clean image back
+          await writeFile(safePath, cleanImageBuffer);
+          
+          const run = startRun('strip_exif', journalDir, { file: safePath });
+          await recordModify(run, safePath, originalData, cleanImageBuffer, backupPath);
+          
+          // Set sidecars aside next to the photo, or into the journal only when no backup is wanted
+          for (const sidecar of sidecars) {
+            if (backup) {
+              await rename(sidecar.filepath, `${sidecar.filepath}.original`);
+              await recordRename(run, sidecar.filepath, `${sidecar.filepath}.original`);
+            } else {
+              await recordDelete(run, sidecar.filepath, await readFile(sidecar.filepath));
+              await unlink(sidecar.filepath);
+            }
+          }
+          await finishRun(run);
+          
+          let summary = formatStripSummary(safePath, backup, { keep, remove, filtered, format, lossless, location });
+          if (companions.length > 0) {
+            summary += `\n📎 Companion files:\n`;
+            for (const companion of companions) {
+              const name = path.basename(companion.filepath);
+              if (sidecars.includes(companion)) {
+                summary += `   🗑️  ${name}: sidecar ${backup ? `moved to ${name}.original` : 'removed'}\n`;
+              } else if (isMetadataSidecar(companion.filepath)) {
+                summary += `   ⚠️  ${name}: sidecar left unchanged, keep/remove only apply to the photo\n`;
+              } else {
+                summary += `   ⚠️  ${name}: not stripped, may still contain metadata\n`;
+              }
+            }
+          }
+          
+          return {
             content: [{
               type: 'text',
-              text: `No EXIF data found in ${path.basename(safePath)}`
+              text: `${summary}\n${formatRunFooter(run)}`
+            }]
+          };
+          
+        } catch (error) {
+          throw new Error(`Failed to strip EXIF data: ${error.message}`);
+        }
+      }
+      
+      case 'write_exif': {
+        const { filepath, tags, backup = true, dryRun = false } = args;
+        
+        // Validate and sanitize file path; a preview only needs read access
+        const safePath = validateFilePath(filepath, dryRun === true ? 'read' : 'write');
+        validateFileExists(safePath);
+        validateImageFile(safePath);
+        
+        // Validate inputs
+        validateBooleanInput(backup, 'backup');
+        validateBooleanInput(dryRun, 'dryRun');
+        if (!tags || typeof tags !== 'object' || Array.isArray(tags) || Object.keys(tags).length === 0) {
+          throw new Error('tags must be a non-empty object mapping tag names to values');
+        }
+        if (Object.keys(tags).length > 50) {
+          throw new Error('Maximum 50 tags allowed per write');
+        }
+        const values = {};
+        for (const [tagName, value] of Object.entries(tags)) {
+          values[tagName] = validateTagValue(tagName, value);
+        }
+        
+        try {
+          const originalData = await readFile(safePath);
+          const { buffer, changes, format, shadowed } = writeImageTags(originalData, values);
+          
+          let run = null;
+          if (!dryRun) {
+            // Create backup if requested
+            let backupPath = null;
+            if (backup) {
+              backupPath = validateFilePath(`${safePath}.original`, 'write');
+              
+              // Check if backup already exists
+              if (existsSync(backupPath)) {
+                throw new Error('Backup file already exists. Remove it first or set backup=false.');
+              }
+              
+              await writeFile(backupPath, originalData);
+            }
+            
+            await writeFile(safePath, buffer);
+            
+            run = startRun('write_exif', journalDir, { file: safePath });
+            await recordModify(run, safePath, originalData, buffer, backupPath);
+            await finishRun(run);
+          }
+          
+          const summary = formatWriteSummary(safePath, { backup, dryRun, changes, format, shadowed });
+          return {
+            content: [{
+              type: 'text',
+              text: run ? `${summary}\n${formatRunFooter(run)}` : summary
             }]
           };
+          
+        } catch (error) {
+          throw new Error(`Failed to write EXIF data: ${error.message}`);
+        }
+      }
+      
+      case 'shift_capture_time': {
+        const {
+          shift,
+          referencePhoto,
+          referenceTime,
+          offsetTime,
+          dryRun = true,
+          backup = true
+        } = args;
+        
+        validateBooleanInput(dryRun, 'dryRun');
+        validateBooleanInput(backup, 'backup');
+        if (offsetTime !== undefined) {
+          validateTagValue('OffsetTimeOriginal', offsetTime);
+        }
+        if ((shift === undefined) === (referencePhoto === undefined)) {
+          throw new Error('Provide either shift or referencePhoto with referenceTime');
+        }
+        
+        // Work out the offset, either given directly or from a photo with a known correct time
+        let shiftSeconds;
+        let shiftSource;
+        if (shift !== undefined) {
+          validateStringInput(shift, 'shift', 50);
+          shiftSeconds = parseTimeShift(shift);
+          shiftSource = 'fixed offset';
+        } else {
+          const safeReference = validateFilePath(referencePhoto);
+          validateFileExists(safeReference);
+          validateImageFile(safeReference);
+          const correctMs = typeof referenceTime === 'string' ? parseExifDateTime(referenceTime) : null;
+          if (correctMs === null) {
+            throw new Error('referenceTime must be a date like "2024:07:04 14:30:22"');
+          }
+          const cameraMs = await readCaptureTime(safeReference);
+          shiftSeconds = Math.round((correctMs - cameraMs) / 1000);
+          shiftSource = `${path.basename(safeReference)} taken at ${formatExifDateTime(cameraMs)}, ` +
+            `actually ${formatExifDateTime(correctMs)}`;
+        }
+        
+        const selection = await selectBatchFiles(args, { access: dryRun ? 'read' : 'write' });
+        const { files } = selection;
+        const results = [...selection.errors];
+        let backupDir;
+        
+        // Create backup directory if needed and not in dry run
+        if (backup && !dryRun && files.length > 0) {
+          backupDir = createSafeBackupDir(files[0].filepath);
+          await mkdir(backupDir, { recursive: true });
+        }
+        
+        const run = startRun('shift_capture_time', journalDir, { shift: formatTimeShift(shiftSeconds) });
+        
+        for (const file of files) {
+          try {
+            const originalData = await readFile(file.filepath);
+            const { buffer, changes, shadowed, skipped } = shiftImageTimes(originalData, shiftSeconds, offsetTime);
+            
+            if (!dryRun) {
+              const backupPath = backup ? await copyToBackup(file.filepath, file.relativePath, backupDir) : null;
+              await writeFile(file.filepath, buffer);
+              await recordModify(run, file.filepath, originalData, buffer, backupPath);
+            }
+            
+            results.push({
+              original: file.filepath,
+              status: dryRun ? 'preview' : 'shifted',
+              changes,
+              shadowed,
+              skipped
+            });
+          } catch (error) {
+            results.push({
+              original: file.filepath,
+              status: 'error',
+              error: error.message
+            });
+          }
+        }
+        
+        // Format results
+        let output = `🕐 Shift Capture Time Results\n${'='.repeat(50)}\n\n`;
+        output += `Mode: ${dryRun ? '🔍 PREVIEW MODE (no files changed)' : '✅ SHIFT MODE'}\n`;
+        output += `Shift: ${formatTimeShift(shiftSeconds)} (${shiftSource})\n`;
+        if (offsetTime) {output += `OffsetTimeOriginal: ${offsetTime}\n`;}
+        output += `${formatFileCounts(selection, files.length)}\n`;
+        if (backupDir) {output += `Backups: ${backupDir}\n`;}
+        output += `\n`;
+        
+        let successCount = 0;
+        let errorCount = 0;
+        
+        for (const result of results) {
+          if (result.status === 'error') {
+            output += `❌ ERROR: ${path.basename(result.original)}\n`;
+            output += `   ${result.error}\n\n`;
+            errorCount++;
+          } else {
+            output += `✅ ${path.basename(result.original)}\n`;
+            for (const change of result.changes) {
+              output += `   ${change.name}: ${change.before || '(not set)'} → ${change.after}\n`;
+            }
+            for (const skipped of result.skipped) {
+              output += `   ⚠️  Skipped ${skipped}\n`;
+            }
+            if (result.shadowed.length > 0) {
+              output += `   ⚠️  XMP copies of ${result.shadowed.join(', ')} were not changed\n`;
+            }
+            output += `\n`;
+            successCount++;
+          }
+        }
+        
+        output += `\nSummary: ${successCount} files ${dryRun ? 'would be' : 'were'} shifted, ${errorCount} errors\n`;
+        
+        if (dryRun) {
+          output += `\n💡 Tip: Set dryRun to false to actually update the files.`;
+        } else if (await finishRun(run)) {
+          output += `\n${formatRunFooter(run)}`;
+        }
+        
+        return {
+          content: [{
+            type: 'text',
+            text: output
+          }]
+        };
+      }
+      
+      case 'geotag_from_gpx': {
+        const {
+          trackFiles,
+          timeOffset,
+          maxGap = 300,
+          writeTo = 'file',
+          overwrite = false,
+          dryRun = true,
+          backup = true
+        } = args;
+        
+        // Validate input
+        if (!Array.isArray(trackFiles) || trackFiles.length === 0 || trackFiles.length > 100) {
+          throw new Error('trackFiles must be an array of 1 to 100 track files');
+        }
+        
+        validateNumericInput(maxGap, 'maxGap', 1, 86400);
+        validateBooleanInput(overwrite, 'overwrite');
+        validateBooleanInput(dryRun, 'dryRun');
+        validateBooleanInput(backup, 'backup');
+        if (writeTo !== 'file' && writeTo !== 'sidecar') {
+          throw new Error('writeTo must be "file" or "sidecar"');
+        }
+        let offsetSeconds = null;
+        if (timeOffset !== undefined) {
+          validateStringInput(timeOffset, 'timeOffset', 50);
+          offsetSeconds = parseTimeShift(timeOffset);
+        }
+        
+        // Load and merge every track log
+        const tracks = [];
+        for (const trackFile of trackFiles) {
+          const safeTrack = validateFilePath(trackFile);
+          validateFileExists(safeTrack);
+          if (!TRACK_EXTENSIONS.includes(path.extname(safeTrack).toLowerCase())) {
+            throw new Error(`Unsupported track file: ${path.basename(safeTrack)}. Use ${TRACK_EXTENSIONS.join(', ')}`);
+          }
+          if ((await stat(safeTrack)).size > 50 * 1024 * 1024) {
+            throw new Error(`Track file too large: ${path.basename(safeTrack)} (max 50MB)`);
+          }
+          tracks.push(parseTrackFile(await readFile(safeTrack, 'utf8'), path.basename(safeTrack)));
+        }
+        const trackPoints = mergeTracks(tracks);
+        
+        // Sidecar mode only writes next to the images, which is checked per sidecar
+        const selection = await selectBatchFiles(args, { access: !dryRun && writeTo === 'file' ? 'write' : 'read' });
+        const { files } = selection;
+        const results = [...selection.errors];
+        let backupDir;
+        
+        // Create backup directory if needed and not in dry run
+        if (backup && !dryRun && files.length > 0) {
+          backupDir = createSafeBackupDir(files[0].filepath);
+          await mkdir(backupDir, { recursive: true });
+        }
+        
+        const run = startRun('geotag_from_gpx', journalDir, { writeTo });
+        
+        for (const file of files) {
+          try {
+            const timing = await readPhotoTiming(file.filepath);
+            if (timing.cameraMs === null) {
+              throw new Error('No DateTimeOriginal or CreateDate to match against the track');
+            }
+            
+            const hasGps = timing.hasGps || (writeTo === 'sidecar' && !!(await readSidecarPosition(file.filepath)));
+            if (hasGps && !overwrite) {
+              results.push({ original: file.filepath, status: 'skipped', reason: 'already has GPS (set overwrite=true to replace it)' });
+              continue;
+            }
+            
+            // Convert the camera's local clock to UTC to compare with the track
+            const photoOffset = offsetSeconds !== null
+              ? offsetSeconds
+              : (timing.offsetTime ? parseTimeShift(timing.offsetTime) : 0);
+            const utcMs = timing.cameraMs - photoOffset * 1000;
+            const match = locateOnTrack(trackPoints, utcMs, maxGap);
+            
+            if (!match.matched) {
+              results.push({ original: file.filepath, status: 'unmatched', reason: match.reason });
+              continue;
+            }
+            
+            if (!dryRun) {
+              if (writeTo === 'sidecar') {
+                const sidecarPath = getSidecarPath(file.filepath, 'write');
+                const backupPath = backup && existsSync(sidecarPath)
+                  ? await copyToBackup(sidecarPath, path.join(path.dirname(file.relativePath), path.basename(sidecarPath)), backupDir)
+                  : null;
+                const { previous, xml } = await writeGpsSidecar(file.filepath, match);
+                if (previous === null) {
+                  recordCreate(run, sidecarPath, xml);
+                } else {
+                  await recordModify(run, sidecarPath, previous, xml, backupPath);
+                }
+              } else {
+                const originalData = await readFile(file.filepath);
+                if (!LOSSLESS_FORMATS.includes(detectImageFormat(originalData))) {
+                  throw new Error('This format cannot be edited in place; use writeTo "sidecar" instead');
+                }
+                const values = {
+                  GPSLatitude: validateTagValue('GPSLatitude', Number(match.latitude.toFixed(7))),
+                  GPSLongitude: validateTagValue('GPSLongitude', Number(match.longitude.toFixed(7)))
+                };
+                if (match.altitude !== null) {
+                  values.GPSAltitude = validateTagValue('GPSAltitude', Number(match.altitude.toFixed(1)));
+                }
+                const { buffer } = writeImageTags(originalData, values);
+                const backupPath = backup ? await copyToBackup(file.filepath, file.relativePath, backupDir) : null;
+                await writeFile(file.filepath, buffer);
+                await recordModify(run, file.filepath, originalData, buffer, backupPath);
+              }
+            }
+            
+            results.push({ original: file.filepath, status: dryRun ? 'preview' : 'geotagged', match, photoOffset });
+          } catch (error) {
+            results.push({
+              original: file.filepath,
+              status: 'error',
+              error: error.message
+            });
+          }
+        }
+        
+        // Format results
+        const trackStart = new Date(trackPoints[0].time).toISOString();
+        const trackEnd = new Date(trackPoints[trackPoints.length - 1].time).toISOString();
+        let output = `🛰️  Geotag From Track Results\n${'='.repeat(50)}\n\n`;
+        output += `Mode: ${dryRun ? '🔍 PREVIEW MODE (no files changed)' : '✅ GEOTAG MODE'}\n`;
+        output += `Track: ${trackPoints.length} points from ${trackFiles.length} file(s), ${trackStart} to ${trackEnd}\n`;
+        output += `Camera offset: ${offsetSeconds !== null ? formatTimeShift(offsetSeconds) : 'OffsetTimeOriginal per photo, otherwise UTC'}\n`;
+        output += `Max gap: ${formatDuration(maxGap)}\n`;
+        output += `Write to: ${writeTo === 'sidecar' ? 'XMP sidecar files' : 'image files'}\n`;
+        output += `${formatFileCounts(selection, files.length)}\n`;
+        if (backupDir) {output += `Backups: ${backupDir}\n`;}
+        output += `\n`;
+        
+        const counts = { matched: 0, unmatched: 0, skipped: 0, error: 0 };
+        
+        for (const result of results) {
+          if (result.status === 'error') {
+            output += `❌ ERROR: ${path.basename(result.original)}\n`;
+            output += `   ${result.error}\n\n`;
+            counts.error++;
+          } else if (result.status === 'unmatched') {
+            output += `⏭️  ${path.basename(result.original)}: out of range, ${result.reason}\n\n`;
+            counts.unmatched++;
+          } else if (result.status === 'skipped') {
+            output += `⏭️  ${path.basename(result.original)}: ${result.reason}\n\n`;
+            counts.skipped++;
+          } else {
+            const { match } = result;
+            output += `✅ ${path.basename(result.original)}\n`;
+            output += `   📍 ${match.latitude.toFixed(6)}, ${match.longitude.toFixed(6)}` +
+              `${match.altitude !== null ? `, ${match.altitude.toFixed(1)}m` : ''}\n`;
+            output += `   ${match.interpolated ? 'Interpolated between trackpoints' : 'Taken from the nearest trackpoint'}; ` +
+              `nearest trackpoint is ${formatDuration(match.nearestGap)} and ${Math.round(match.nearestDistance)} m away\n\n`;
+            counts.matched++;
+          }
+        }
+        
+        output += `\nSummary: ${counts.matched} photos ${dryRun ? 'would be' : 'were'} geotagged, ${counts.unmatched} out of range, ` +
+          `${counts.skipped} skipped, ${counts.error} errors\n`;
+        
+        if (dryRun) {
+          output += `\n💡 Tip: Set dryRun to false to write the positions.`;
+        } else if (await finishRun(run)) {
+          output += `\n${formatRunFooter(run)}`;
+        }
+        
+        return {
+          content: [{
+            type: 'text',
+            text: output
+          }]
+        };
+      }
+      
+      case 'anonymize_photos': {
+        const {
+          preset,
+          outputDir,
+          overwrite = false,
+          allowReencode = false,
+          locationPrivacy
+        } = args;
+        
+        const presetConfig = ANONYMIZE_PRESETS[preset];
+        if (!presetConfig) {
+          throw new Error(`preset must be one of: ${Object.keys(ANONYMIZE_PRESETS).join(', ')}`);
+        }
+        // Location privacy only coarsens GPS the preset keeps; presets that drop location drop it outright
+        const keepsGps = listsTagGroup(presetConfig.keep, 'GPS');
+        
+        validateBooleanInput(overwrite, 'overwrite');
+        validateBooleanInput(allowReencode, 'allowReencode');
+        const privacy = locationPrivacy === undefined ? null : normalizeLocationPrivacy(locationPrivacy);
+        const safeOutputDir = validateFilePath(outputDir, 'write');
+        
+        // Expand directories, never picking up files from the destination folder itself
+        const selection = await selectBatchFiles(args, { excludePaths: [safeOutputDir] });
+        const { files } = selection;
+        
+        await mkdir(safeOutputDir, { recursive: true });
+        
+        const results = [...selection.errors];
+        const usedTargets = new Set();
+        
+        for (const file of files) {
+          try {
+            // Mirror the layout below each input directory inside the destination folder
+            const ext = path.extname(file.relativePath);
+            const base = file.relativePath.slice(0, -ext.length);
+            let targetPath = path.join(safeOutputDir, file.relativePath);
+            let dupCounter = 1;
+            while (usedTargets.has(targetPath)) {
+              targetPath = path.join(safeOutputDir, `${base}_${dupCounter}${ext}`);
+              dupCounter++;
+            }
+            
+            if (targetPath === file.filepath) {
+              throw new Error('Destination would overwrite the original file');
+            }
+            if (existsSync(targetPath) && !overwrite) {
+              throw new Error(`Destination already exists: ${path.relative(safeOutputDir, targetPath)} (set overwrite=true to replace it)`);
+            }
+            usedTargets.add(targetPath);
+            
+            const originalData = await readFile(file.filepath);
+            const { buffer, filtered, format, lossless, location } =
+              await stripImageMetadata(originalData, { keep: presetConfig.keep, allowReencode, privacy: keepsGps ? privacy : null });
+            
+            // Subfolders of the destination may be symlinks, so check the real target as well
+            validateFilePath(targetPath, 'write');
+            await mkdir(path.dirname(targetPath), { recursive: true });
+            await writeFile(targetPath, buffer);
+            
+            results.push({
+              original: file.filepath,
+              output: path.relative(safeOutputDir, targetPath),
+              status: 'anonymized',
+              format,
+              lossless,
+              kept: filtered ? filtered.kept : [],
+              removedCount: filtered ? filtered.removed.length : null,
+              location
+            });
+          } catch (error) {
+            results.push({
+              original: file.filepath,
+              status: 'error',
+              error: error.message
+            });
+          }
+        }
+        
+        // Format results
+        let output = `🕶️  Anonymize Photos Results\n${'='.repeat(50)}\n\n`;
+        output += `Preset: ${preset} - ${presetConfig.description}\n`;
+        if (privacy && keepsGps) {
+          output += `Location: GPS kept under ${privacy.zones.length} private zone(s)` +
+            `${privacy.precision !== undefined ? `, rounded to ${privacy.precision} decimals elsewhere` : ''}\n`;
+        } else if (privacy) {
+          output += `Location: GPS removed by the ${preset} preset, so locationPrivacy was not needed\n`;
+        }
+        output += `${formatFileCounts(selection, files.length)}\n`;
+        output += `Output: ${safeOutputDir}\n\n`;
+        
+        let successCount = 0;
+        let errorCount = 0;
+        
+        for (const result of results) {
+          if (result.status === 'error') {
+            output += `❌ ERROR: ${path.basename(result.original)}\n`;
+            output += `   ${result.error}\n\n`;
+            errorCount++;
+          } else {
+            output += `✅ ${path.basename(result.original)} → ${result.output}\n`;
+            if (result.lossless) {
+              output += `   Removed ${result.removedCount} tags, kept: ${result.kept.length > 0 ? result.kept.join(', ') : 'none'}\n`;
+              if (result.location) {
+                output += `   📍 ${formatLocationDecision(result.location)}\n`;
+              }
+              output += '\n';
+            } else {
+              output += `   Re-encoded as ${result.format.toUpperCase()}, all metadata removed\n\n`;
+            }
+            successCount++;
+          }
+        }
+        
+        output += `\nSummary: ${successCount} files anonymized, ${errorCount} errors\n`;
+        output += `Originals were not modified.`;
+        
+        return {
+          content: [{
+            type: 'text',
+            text: output
+          }]
+        };
+      }
+      
+      case 'export_to_lightroom': {
+        const {
+          outputDir,
+          sidecarStyle = 'lightroom',
+          rating,
+          label,
+          keywords = [],
+          title,
+          caption,
+          includeGps = true,
+          includeCaptureTime = true,
+          dryRun = true,
+          backup = true
+        } = args;
+        
+        const safeOutputDir = outputDir === undefined ? null : validateFilePath(outputDir, 'write');
+        if (!['lightroom', 'darktable'].includes(sidecarStyle)) {
+          throw new Error('sidecarStyle must be "lightroom" or "darktable"');
+        }
+        if (rating !== undefined && (!Number.isInteger(rating) || rating < -1 || rating > 5)) {
+          throw new Error('rating must be an integer from -1 (rejected) to 5');
+        }
+        if (label !== undefined) {validateStringInput(label, 'label', 100);}
+        if (title !== undefined) {validateStringInput(title, 'title', 500);}
+        if (caption !== undefined) {validateStringInput(caption, 'caption', 2000);}
+        validateTagList(keywords, 'keywords');
+        validateBooleanInput(includeGps, 'includeGps');
+        validateBooleanInput(includeCaptureTime, 'includeCaptureTime');
+        validateBooleanInput(dryRun, 'dryRun');
+        validateBooleanInput(backup, 'backup');
+        
+        // Values shared by every sidecar
+        const { subjects, hierarchical } = splitKeywords(keywords);
+        const shared = [];
+        if (rating !== undefined) {shared.push({ prefix: 'xmp', name: 'Rating', value: String(rating) });}
+        if (label !== undefined) {shared.push({ prefix: 'xmp', name: 'Label', value: label });}
+        if (subjects.length > 0) {
+          shared.push({ prefix: 'dc', name: 'subject', value: subjects, merge: true });
+          shared.push({ prefix: 'lr', name: 'hierarchicalSubject', value: hierarchical, merge: true });
+        }
+        if (title !== undefined) {shared.push({ prefix: 'dc', name: 'title', value: title, type: 'alt' });}
+        if (caption !== undefined) {shared.push({ prefix: 'dc', name: 'description', value: caption, type: 'alt' });}
+        
+        const selection = await selectBatchFiles(args);
+        const { files } = selection;
+        const results = [...selection.errors];
+        let backupDir;
+        if (backup && !dryRun && files.length > 0) {
+          backupDir = createSafeBackupDir(safeOutputDir ? path.join(safeOutputDir, 'sidecar') : files[0].filepath);
         }
+        const run = startRun('export_to_lightroom', journalDir, { outputDir: safeOutputDir, sidecarStyle });
         
-        // Format the output
-        const formatted = formatExifData(exifData, safePath);
+        for (const file of files) {
+          try {
+            const base = path.basename(file.filepath);
+            const names = { lightroom: `${path.basename(base, path.extname(base))}.xmp`, darktable: `${base}.xmp` };
+            const sidecarName = names[sidecarStyle];
+            const target = validateFilePath(safeOutputDir
+              ? path.join(safeOutputDir, path.dirname(file.relativePath), sidecarName)
+              : path.join(path.dirname(file.filepath), sidecarName), 'write');
+            
+            // A new sidecar starts from one already next to the image, in either naming style, so nothing there is lost
+            const existing = existsSync(target) ? await readFile(target, 'utf8') : null;
+            const seedPath = existing === null
+              ? [sidecarName, ...Object.values(names).filter(name => name !== sidecarName)]
+                .map(name => path.join(path.dirname(file.filepath), name))
+                .find(candidate => candidate !== target && existsSync(candidate))
+              : null;
+            const seed = seedPath ? await readFile(validateFilePath(seedPath), 'utf8') : existing;
+            
+            const updates = [...shared];
+            const added = [];
+            const imageData = includeGps || includeCaptureTime ? await readLightroomExif(file.filepath) : {};
+            if (includeGps && imageData.position) {
+              updates.push(...formatGpsSidecarProperties(imageData.position));
+              added.push('GPS');
+            }
+            if (includeCaptureTime && imageData.captureTime) {
+              updates.push({ prefix: 'exif', name: 'DateTimeOriginal', value: imageData.captureTime });
+              updates.push({ prefix: 'photoshop', name: 'DateCreated', value: imageData.captureTime });
+              added.push(`capture time ${imageData.captureTime}`);
+            }
+            if (updates.length === 0) {
+              results.push({ original: file.filepath, status: 'skipped', reason: 'nothing to write' });
+              continue;
+            }
+            
+            const xml = mergeXmpProperties(seed, updates);
+            if (!dryRun) {
+              await mkdir(path.dirname(target), { recursive: true });
+              const backupPath = backupDir && existing !== null
+                ? await copyToBackup(target, path.join(path.dirname(file.relativePath), sidecarName), backupDir)
+                : null;
+              await writeFile(target, xml);
+              if (existing === null) {
+                recordCreate(run, target, xml);
+              } else {
+                await recordModify(run, target, existing, xml, backupPath);
+              }
+            }
+            results.push({ original: file.filepath, status: existing !== null ? 'merged' : 'created', target, seedPath, added });
+          } catch (error) {
+            results.push({ original: file.filepath, status: 'error', error: error.message });
+          }
+        }
+        
+        let output = `🗂️  Lightroom Sidecar Export\n${'='.repeat(50)}\n\n`;
+        output += `Mode: ${dryRun ? '🔍 PREVIEW MODE (no files changed)' : '✅ WRITE MODE'}\n`;
+        output += `Sidecars: ${sidecarStyle === 'darktable' ? 'IMG_1234.CR2.xmp (darktable)' : 'IMG_1234.xmp (Lightroom)'}` +
+          `${safeOutputDir ? ` in ${safeOutputDir}` : ' next to the images'}\n`;
+        const fields = [
+          rating !== undefined ? `rating ${rating === -1 ? 'rejected' : `${rating}★`}` : null,
+          label !== undefined ? `label ${label}` : null,
+          hierarchical.length > 0 ? `keywords ${hierarchical.join(', ')}` : null,
+          title !== undefined ? 'title' : null,
+          caption !== undefined ? 'caption' : null
+        ].filter(Boolean);
+        if (fields.length > 0) {output += `Setting: ${fields.join('; ')}\n`;}
+        output += `${formatFileCounts(selection, files.length)}\n`;
+        if (backupDir && existsSync(backupDir)) {output += `Backups: ${backupDir}\n`;}
+        output += '\n';
+        
+        const counts = { written: 0, skipped: 0, error: 0 };
+        for (const result of results) {
+          if (result.status === 'error') {
+            output += `❌ ERROR: ${path.basename(result.original)}\n   ${result.error}\n\n`;
+            counts.error++;
+          } else if (result.status === 'skipped') {
+            output += `⏭️  ${path.basename(result.original)}: ${result.reason}\n\n`;
+            counts.skipped++;
+          } else {
+            output += `✅ ${path.basename(result.original)} → ${path.basename(result.target)} ` +
+              `(${dryRun ? `would ${result.status === 'merged' ? 'merge into' : 'create'}` : result.status}` +
+              `${result.seedPath ? `, starting from ${path.basename(result.seedPath)}` : ''})\n`;
+            if (result.added.length > 0) {
+              output += `   From the image: ${result.added.join(', ')}\n`;
+            }
+            output += '\n';
+            counts.written++;
+          }
+        }
+        
+        output += `Summary: ${counts.written} sidecars ${dryRun ? 'would be' : 'were'} written, ${counts.skipped} skipped, ${counts.error} errors\n`;
+        if (dryRun) {
+          output += `\n💡 Tip: Set dryRun to false to write the sidecars.`;
+        } else {
+          output += `\n💡 In Lightroom, select the photos and choose Metadata > Read Metadata from Files.`;
+          if (await finishRun(run)) {
+            output += `\n${formatRunFooter(run)}`;
+          }
+        }
         
         return {
           content: [{
             type: 'text',
-            text: formatted
+            text: output
           }]
         };
       }
       
-      case 'parse_exif_batch': {
-        const { filepaths, options = {} } = args;
-        const results = [];
-        
-        // Validate input
-        if (!Array.isArray(filepaths) || filepaths.length === 0) {
-          throw new Error('filepaths must be a non-empty array');
+      case 'analyze_shooting_patterns': {
+        const { startDate, endDate, camera } = args;
+        const start = startDate === undefined ? null : parseDateBound(startDate, 'startDate');
+        const end = endDate === undefined ? null : parseDateBound(endDate, 'endDate', { end: true });
+        if (start !== null && end !== null && start > end) {
+          throw new Error('startDate must not be after endDate');
+        }
+        if (camera !== undefined) {
+          validateStringInput(camera, 'camera', 100);
         }
         
-        for (const filepath of filepaths) {
+        const selection = await selectBatchFiles(args);
+        const shots = [];
+        const errors = [...selection.errors];
+        let filteredOut = 0;
+        for (const file of selection.files) {
           try {
-            // Validate and sanitize file path
-            const safePath = validateFilePath(filepath);
-            validateFileExists(safePath);
-            validateImageFile(safePath);
-            
-            const exifData = await exifr.parse(safePath, {
-              gps: options.gps !== false,
-              thumbnail: options.thumbnail === true,
-              xmp: options.xmp !== false,
-              icc: options.icc === true,
-              iptc: options.iptc !== false,
-              ...options
-            });
-            
-            if (exifData) {
-              results.push({
-                filepath: path.basename(safePath),
-                data: exifData,
-                status: 'success'
-              });
+            const shot = await readShootingData(file.filepath);
+            const cameraText = `${shot.camera} ${shot.serial || ''}`.toLowerCase();
+            const outsideRange = (start !== null || end !== null) &&
+              (shot.time === null || (start !== null && shot.time < start) || (end !== null && shot.time > end));
+            if (outsideRange || (camera && !cameraText.includes(camera.toLowerCase()))) {
+              filteredOut++;
             } else {
-              results.push({
-                filepath: path.basename(safePath),
-                data: null,
-                status: 'no_exif'
-              });
+              shots.push(shot);
             }
           } catch (error) {
-            results.push({
-              filepath: path.basename(filepath),
-              data: null,
-              status: 'error',
-              error: error.message
-            });
+            errors.push({ original: file.filepath, error: error.message });
+          }
+        }
+        
+        const stats = analyzeShootingPatterns(shots);
+        const filters = { startDate: startDate ?? null, endDate: endDate ?? null, camera: camera ?? null };
+        let output = `📊 Shooting Patterns\n${'='.repeat(50)}\n\n`;
+        output += `${formatFileCounts(selection, selection.files.length)}\n`;
+        output += `Analyzed: ${shots.length} photos${filteredOut > 0 ? ` (${filteredOut} outside the filters)` : ''}${errors.length > 0 ? `, ${errors.length} unreadable` : ''}\n`;
+        output += formatShootingPatterns(stats);
+        
+        return {
+          content: [
+            {
+              type: 'text',
+              text: output
+            },
+            {
+              type: 'text',
+              text: JSON.stringify({
+                files: {
+                  discovered: selection.discovered,
+                  skipped: selection.skipped,
+                  analyzed: shots.length,
+                  filteredOut,
+                  errors: errors.map(({ original, error }) => ({ filepath: path.basename(original), error }))
+                },
+                filters,
+                ...stats
+              }, null, 2)
+            }
+          ]
+        };
+      }
+      
+      case 'detect_photo_issues': {
+        const { checks = ISSUE_CHECKS, isoThresholds = {}, stabilizationStops = 0, blurThreshold = 100 } = args;
+        if (!Array.isArray(checks) || checks.length === 0 || !checks.every(check => ISSUE_CHECKS.includes(check))) {
+          throw new Error(`checks must be a non-empty array of: ${ISSUE_CHECKS.join(', ')}`);
+        }
+        if (typeof isoThresholds !== 'object' || isoThresholds === null || Array.isArray(isoThresholds)) {
+          throw new Error('isoThresholds must be an object mapping camera names to ISO values');
+        }
+        for (const [camera, threshold] of Object.entries(isoThresholds)) {
+          validateStringInput(camera, 'isoThresholds camera name', 100);
+          validateNumericInput(threshold, `isoThresholds["${camera}"]`, 50, 10000000);
+        }
+        validateNumericInput(stabilizationStops, 'stabilizationStops', 0, 8);
+        validateNumericInput(blurThreshold, 'blurThreshold', 1, 100000);
+        
+        const selection = await selectBatchFiles(args);
+        const results = [];
+        const errors = [...selection.errors];
+        for (const file of selection.files) {
+          try {
+            const issues = [];
+            const shot = await readShootingData(file.filepath);
+            if (checks.includes('iso')) {
+              issues.push(...checkIso(shot, isoThresholds));
+            }
+            if (checks.includes('shutter')) {
+              issues.push(...checkShutter(shot, stabilizationStops));
+            }
+            if (checks.includes('aperture')) {
+              issues.push(...checkAperture(shot));
+            }
+            if (checks.includes('exposure') || checks.includes('blur')) {
+              const { pixels, width, height } = await readLuminance(file.filepath);
+              if (checks.includes('exposure')) {
+                issues.push(...checkExposure(luminanceStats(pixels)));
+              }
+              if (checks.includes('blur')) {
+                issues.push(...checkBlur(laplacianVariance(pixels, width, height), blurThreshold));
+              }
+            }
+            results.push({ filepath: file.filepath, relativePath: file.relativePath, issues });
+          } catch (error) {
+            errors.push({ original: file.filepath, error: error.message });
+          }
+        }
+        
+        const ranked = rankIssues(results);
+        const severityIcons = { high: '🔴', medium: '🟠', low: '🟡' };
+        const countBySeverity = (severity) => ranked.reduce((total, result) =>
+          total + result.issues.filter(item => item.severity === severity).length, 0);
+        
+        let output = `🩺 Photo Issues\n${'='.repeat(50)}\n\n`;
+        output += `${formatFileCounts(selection, selection.files.length)}\n`;
+        output += `Checks: ${checks.join(', ')}\n`;
+        output += `Summary: ${ranked.length} of ${results.length} photos with issues ` +
+          `(${Object.keys(severityIcons).map(severity => `${countBySeverity(severity)} ${severity}`).join(', ')})\n\n`;
+        
+        ranked.forEach((result, index) => {
+          output += `${index + 1}. ${result.relativePath} (score ${result.score})\n`;
+          for (const item of result.issues) {
+            output += `   ${severityIcons[item.severity]} ${item.check}: ${item.reason}\n`;
           }
+          output += '\n';
+        });
+        
+        if (results.length > ranked.length) {
+          output += `✅ ${results.length - ranked.length} photos passed every check\n\n`;
+        }
+        for (const error of errors) {
+          output += `❌ ERROR: ${path.basename(error.original)}\n`;
+          output += `   ${error.error}\n\n`;
         }
         
         return {
           content: [{
             type: 'text',
-            text: JSON.stringify(results, null, 2)
+            text: output.trimEnd()
           }]
         };
       }
       
-      case 'get_gps_coordinates': {
-        const { filepath } = args;
-        
-        // Validate and sanitize file path
-        const safePath = validateFilePath(filepath);
-        validateFileExists(safePath);
-        validateImageFile(safePath);
+      case 'export_photo_locations': {
+        const {
+          outputPath,
+          title = 'My Photo Journey',
+          drawPath = true,
+          includeThumbnails = true,
+          thumbnailSize = 400
+        } = args;
         
-        // Parse only GPS data
-        const gpsData = await exifr.gps(safePath);
+        const safeOutputPath = validateFilePath(outputPath, 'write');
+        const format = { '.geojson': 'geojson', '.json': 'geojson', '.gpx': 'gpx' }[path.extname(safeOutputPath).toLowerCase()];
+        if (!format) {
+          throw new Error('Output path must end with .geojson, .json or .gpx extension');
+        }
+        validateStringInput(title, 'title', 200);
+        validateBooleanInput(drawPath, 'drawPath');
+        validateBooleanInput(includeThumbnails, 'includeThumbnails');
+        validateNumericInput(thumbnailSize, 'thumbnailSize', 100, 2000);
         
-        if (!gpsData) {
+        const { selection, photoData, hidden, coarsened, sequences, privacy, collapseSequences, outliers, outlierAction } = await collectTourPhotos(args);
+        if (photoData.length === 0) {
           return {
             content: [{
               type: 'text',
-              text: `No GPS data found in ${path.basename(safePath)}`
+              text: `${hidden > 0
+                ? `All photos with GPS data (${hidden}) are inside private zones, so nothing was exported.`
+                : 'No photos with GPS data found in the provided files.'}\n${formatGpsOutliers(outliers, outlierAction)}${formatFileCounts(selection, selection.files.length)}`
             }]
           };
         }
         
+        await mkdir(path.dirname(safeOutputPath), { recursive: true });
+        const imagesDirName = `${path.basename(safeOutputPath, path.extname(safeOutputPath))}_images`;
+        let thumbnails = new Set();
+        if (includeThumbnails) {
+          const imagesDir = path.join(path.dirname(safeOutputPath), imagesDirName);
+          await mkdir(imagesDir, { recursive: true });
+          thumbnails = await createThumbnails(photoData, imagesDir, thumbnailSize, false);
+        }
+        
+        const waypoints = photoData.map(photo => {
+          const place = reverseGeocode(photo.latitude, photo.longitude);
+          const thumbnail = thumbnails.has(photo.thumbnailName) ? `${imagesDirName}/${photo.thumbnailName}` : null;
+          const properties = {
+            number: photo.number,
+            filename: photo.filename,
+            datetime: new Date(photo.datetime).toISOString(),
+            camera: photo.camera || null,
+            lens: photo.lens || null,
+            place: place ? formatPlace(place) : null,
+            thumbnail,
+            ...(photo.sequence ? { sequence: photo.sequence } : {})
+          };
+          return {
+            latitude: photo.latitude,
+            longitude: photo.longitude,
+            altitude: photo.altitude || null,
+            time: new Date(photo.datetime).getTime(),
+            name: `${photo.number}. ${photo.filename}`,
+            description: [properties.place, properties.camera, properties.lens, photo.sequence].filter(Boolean).join(' · '),
+            link: thumbnail,
+            properties
+          };
+        });
+        const content = format === 'gpx'
+          ? buildGpx(waypoints, { name: title, drawPath })
+          : buildGeoJson(waypoints, { name: title, drawPath });
+        await writeFile(safeOutputPath, content);
+        
+        let output = `🗺️  Photo Locations Exported!\n${'='.repeat(50)}\n\n`;
+        output += `📍 Title: ${title}\n`;
+        output += `📄 Format: ${format === 'gpx' ? 'GPX (waypoints' : 'GeoJSON (points'}${drawPath && photoData.length > 1 ? (format === 'gpx' ? ' and track)' : ' and LineString)') : ')'}\n`;
+        output += `📂 ${formatFileCounts(selection, selection.files.length)}\n`;
+        output += `📸 Photos with GPS: ${photoData.length}\n`;
+        output += formatGpsOutliers(outliers, outlierAction);
+        if (privacy) {
+          output += `🔒 Privacy: ${hidden} hidden in private zones, ${coarsened} coarsened\n`;
+        }
+        if (collapseSequences) {
+          output += `🎞️  Sequences: ${sequences.length} collapsed (${sequences.reduce((total, sequence) => total + sequence.frames.length - 1, 0)} frames hidden)\n`;
+        }
+        if (includeThumbnails) {
+          output += `🖼️  Thumbnails: ${thumbnails.size} in ${imagesDirName}/${thumbnails.size < photoData.length ? ` (${photoData.length - thumbnails.size} could not be created)` : ''}\n`;
+        }
+        output += `📁 Output: ${path.basename(safeOutputPath)}`;
+        
         return {
           content: [{
             type: 'text',
-            text: JSON.stringify({
-              filepath: path.basename(safePath),
-              coordinates: {
-                latitude: gpsData.latitude,
-                longitude: gpsData.longitude,
-                altitude: gpsData.altitude || null
-              },
-              googleMapsUrl: `https://www.google.com/maps?q=${gpsData.latitude},${gpsData.longitude}`
-            }, null, 2)
+            text: output
           }]
         };
       }
       
-      case 'rename_by_exif': {
-        const { 
-          filepaths, 
-          template = '{datetime}_{camera}_{original}',
-          dateFormat = 'YYYY-MM-DD',
-          timeFormat = 'HHmmss',
-          dryRun = true,
-          backup = true,
-          counterStart = 1
+      case 'create_photo_map': {
+        const {
+          outputDir,
+          title = 'My Photo Journey',
+          description = '',
+          basemap,
+          drawPath = true,
+          thumbnailSize = 600,
+          includeFullImages = false
         } = args;
         
-        // Validate input
-        if (!Array.isArray(filepaths) || filepaths.length === 0) {
-          throw new Error('filepaths must be a non-empty array');
+        const safeOutputDir = validateFilePath(outputDir, 'write');
+        validateStringInput(title, 'title', 200);
+        validateStringInput(description, 'description', 2000);
+        validateBooleanInput(drawPath, 'drawPath');
+        validateNumericInput(thumbnailSize, 'thumbnailSize', 100, 2000);
+        validateBooleanInput(includeFullImages, 'includeFullImages');
+        
+        let basemapData = null;
+        if (basemap !== undefined) {
+          const safeBasemap = validateFilePath(basemap);
+          validateFileExists(safeBasemap);
+          if (!['.geojson', '.json'].includes(path.extname(safeBasemap).toLowerCase())) {
+            throw new Error(`Unsupported basemap file: ${path.basename(safeBasemap)}. Use .geojson or .json`);
+          }
+          if ((await stat(safeBasemap)).size > 50 * 1024 * 1024) {
+            throw new Error(`Basemap file too large: ${path.basename(safeBasemap)} (max 50MB)`);
+          }
+          try {
+            basemapData = JSON.parse(await readFile(safeBasemap, 'utf8'));
+          } catch (error) {
+            throw new Error(`Basemap ${path.basename(safeBasemap)} is not valid JSON: ${error.message}`);
+          }
         }
         
-        if (filepaths.length > 1000) {
-          throw new Error('Maximum 1000 files allowed per batch');
+        const { selection, photoData, hidden, coarsened, sequences, privacy, collapseSequences, outliers, outlierAction } = await collectTourPhotos(args);
+        if (photoData.length === 0) {
+          return {
+            content: [{
+              type: 'text',
+              text: `${hidden > 0
+                ? `All photos with GPS data (${hidden}) are inside private zones, so no map was created.`
+                : 'No photos with GPS data found in the provided files.'}\n${formatGpsOutliers(outliers, outlierAction)}${formatFileCounts(selection, selection.files.length)}`
+            }]
+          };
         }
         
-        // Validate template and other inputs
-        validateTemplateString(template);
-        validateStringInput(dateFormat, 'dateFormat', 50);
-        validateStringInput(timeFormat, 'timeFormat', 50);
-        validateBooleanInput(dryRun, 'dryRun');
-        validateBooleanInput(backup, 'backup');
-        validateNumericInput(counterStart, 'counterStart', 1, 9999);
+        const imagesDir = path.join(safeOutputDir, 'images');
+        await mkdir(imagesDir, { recursive: true });
+        const images = await createThumbnails(photoData, imagesDir, thumbnailSize, includeFullImages);
         
-        const results = [];
-        let counter = counterStart;
-        let backupDir;
+        const photos = photoData.map(photo => {
+          const place = reverseGeocode(photo.latitude, photo.longitude);
+          return {
+            number: photo.number,
+            filename: photo.filename,
+            datetime: new Date(photo.datetime).toISOString(),
+            date: formatDate(photo.datetime),
+            latitude: photo.latitude,
+            longitude: photo.longitude,
+            thumbnail: images.has(photo.thumbnailName) ? `images/${photo.thumbnailName}` : null,
+            full: images.has(photo.fullImageName) ? `images/${photo.fullImageName}` : null,
+            place: place ? formatPlace(place) : null,
+            camera: photo.camera || null,
+            lens: photo.lens || null,
+            settings: [photo.settings, photo.sequence].filter(Boolean).join(' · ') || null
+          };
+        });
+        const html = renderPhotoMapHtml({ title, description, photos, basemap: basemapData, drawPath });
+        const indexPath = path.join(safeOutputDir, 'index.html');
+        await writeFile(indexPath, html);
         
-        // Create backup directory if needed and not in dry run
-        if (backup && !dryRun) {
-          backupDir = createSafeBackupDir(filepaths[0]);
-          await mkdir(backupDir, { recursive: true });
+        const thumbnailCount = photoData.filter(photo => images.has(photo.thumbnailName)).length;
+        let output = `🗺️  Photo Map Created!\n${'='.repeat(50)}\n\n`;
+        output += `📍 Title: ${title}\n`;
+        output += `📂 ${formatFileCounts(selection, selection.files.length)}\n`;
+        output += `📸 Photos with GPS: ${photoData.length}\n`;
+        output += formatGpsOutliers(outliers, outlierAction);
+        if (privacy) {
+          output += `🔒 Privacy: ${hidden} hidden in private zones, ${coarsened} coarsened\n`;
+        }
+        if (collapseSequences) {
+          output += `🎞️  Sequences: ${sequences.length} collapsed (${sequences.reduce((total, sequence) => total + sequence.frames.length - 1, 0)} frames hidden)\n`;
+        }
+        output += `🖼️  Thumbnails: ${thumbnailCount}${thumbnailCount < photoData.length ? ` (${photoData.length - thumbnailCount} could not be created)` : ''}` +
+          `${includeFullImages ? `, full-size images: ${images.size - thumbnailCount}` : ''}\n`;
+        if (basemapData !== null) {
+          output += `🧭 Basemap: ${path.basename(basemap)}\n`;
+        }
+        output += `📁 Output: ${indexPath}\n\n💡 Open index.html in any browser, no internet connection needed.`;
+        
+        return {
+          content: [{
+            type: 'text',
+            text: output
+          }]
+        };
+      }
+      
+      case 'generate_photo_report': {
+        const {
+          outputPath,
+          title = 'Photo Report',
+          groupBy = 'date',
+          eventGapHours = 3,
+          thumbnailsPerGroup = 8,
+          thumbnailSize = 200,
+          includeMap = true,
+          locationPrivacy
+        } = args;
+        
+        const safeOutputPath = validateFilePath(outputPath, 'write');
+        const format = { '.md': 'markdown', '.html': 'html' }[path.extname(safeOutputPath).toLowerCase()];
+        if (!format) {
+          throw new Error('Output path must end with .md or .html extension');
+        }
+        validateStringInput(title, 'title', 200);
+        if (!REPORT_GROUPINGS.includes(groupBy)) {
+          throw new Error(`groupBy must be one of: ${REPORT_GROUPINGS.join(', ')}`);
         }
+        validateNumericInput(eventGapHours, 'eventGapHours', 0.1, 168);
+        validateNumericInput(thumbnailsPerGroup, 'thumbnailsPerGroup', 0, 50);
+        validateNumericInput(thumbnailSize, 'thumbnailSize', 50, 800);
+        validateBooleanInput(includeMap, 'includeMap');
+        const privacy = locationPrivacy === undefined ? null : normalizeLocationPrivacy(locationPrivacy);
         
-        for (const filepath of filepaths) {
+        const selection = await selectBatchFiles(args);
+        const photos = [];
+        const errors = [...selection.errors];
+        for (const file of selection.files) {
           try {
-            // Validate and sanitize file path
-            const safePath = validateFilePath(filepath);
-            validateFileExists(safePath);
-            validateImageFile(safePath);
-            
-            // Parse EXIF data
-            const exifData = await exifr.parse(safePath, {
-              gps: true,
-              xmp: true,
-              iptc: true
-            });
-            
-            // Get location data if available
-            let location = '';
-            let city = '';
-            let country = '';
-            if (exifData && exifData.latitude && exifData.longitude) {
-              // In a real implementation, you'd use a reverse geocoding API
-              location = `${exifData.latitude.toFixed(4)}_${exifData.longitude.toFixed(4)}`;
-              city = exifData.City || exifData['City'] || '';
-              country = exifData.Country || exifData['Country-PrimaryLocationName'] || '';
-            }
-            
-            // Build new filename from template
-            const dir = path.dirname(safePath);
-            const ext = path.extname(safePath);
-            const originalName = path.basename(safePath, ext);
-            
-            let newName = template;
-            
-            // Replace template variables
-            if (exifData) {
-              const date = exifData.DateTimeOriginal || exifData.CreateDate || new Date();
-              
-              // Format date and time
-              const dateStr = formatDateForRename(date, dateFormat);
-              const timeStr = formatTimeForRename(date, timeFormat);
-              const datetimeStr = `${dateStr}_${timeStr}`;
-              
-              // Camera info
-              const camera = (exifData.Make || 'Unknown').replace(/\s+/g, '');
-              const model = (exifData.Model || '').replace(/\s+/g, '');
-              const lens = (exifData.LensModel || '').replace(/[/\s]+/g, '-');
-              
-              // Replace variables
-              newName = newName
-                .replace(/{date}/g, dateStr)
-                .replace(/{time}/g, timeStr)
-                .replace(/{datetime}/g, datetimeStr)
-                .replace(/{camera}/g, camera)
-                .replace(/{model}/g, model)
-                .replace(/{lens}/g, lens)
-                .replace(/{location}/g, location)
-                .replace(/{city}/g, city)
-                .replace(/{country}/g, country)
-                .replace(/{original}/g, originalName)
-                .replace(/{counter}/g, counter.toString().padStart(3, '0'));
-            } else {
-              // No EXIF data, use basic replacement
-              newName = newName
-                .replace(/{date}/g, 'NoDate')
-                .replace(/{time}/g, 'NoTime')
-                .replace(/{datetime}/g, 'NoDateTime')
-                .replace(/{camera}/g, 'NoCamera')
-                .replace(/{model}/g, '')
-                .replace(/{lens}/g, '')
-                .replace(/{location}/g, '')
-                .replace(/{city}/g, '')
-                .replace(/{country}/g, '')
-                .replace(/{original}/g, originalName)
-                .replace(/{counter}/g, counter.toString().padStart(3, '0'));
-            }
-            
-            // Clean up the filename
-            newName = newName
-              .replace(/_{2,}/g, '_')  // Replace multiple underscores
-              .replace(/^_|_$/g, '')   // Remove leading/trailing underscores
-              .replace(/[^\w\-_.]/g, '_'); // Replace invalid characters
-            
-            const newPath = path.join(dir, newName + ext);
-            
-            // Check if target exists and handle duplicates
-            let finalPath = newPath;
-            let dupCounter = 1;
-            while (existsSync(finalPath) && finalPath !== safePath) {
-              const baseName = `${newName}_${dupCounter}`;
-              finalPath = path.join(dir, baseName + ext);
-              dupCounter++;
+            photos.push({ ...(await readShootingData(file.filepath)), filepath: file.filepath, relativePath: file.relativePath });
+          } catch (error) {
+            errors.push({ original: file.filepath, error: error.message });
+          }
+        }
+        if (photos.length === 0) {
+          throw new Error(`No readable photos to report on. ${formatFileCounts(selection, selection.files.length)}`);
+        }
+        
+        // Clean and hide locations before they are named or plotted
+        const { hidden, outliers, outlierAction } = cleanReportLocations(photos, args, privacy);
+        for (const photo of photos) {
+          const place = photo.latitude !== null ? reverseGeocode(photo.latitude, photo.longitude) : null;
+          photo.place = place ? formatPlace(place) : null;
+        }
+        const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+        
+        // Markdown reports reference their images; HTML reports embed them
+        const assetDirName = `${path.basename(safeOutputPath, path.extname(safeOutputPath))}_files`;
+        const assetDir = path.join(path.dirname(safeOutputPath), assetDirName);
+        await mkdir(format === 'markdown' ? assetDir : path.dirname(safeOutputPath), { recursive: true });
+        const embedImage = async (name, buffer, mimeType) => {
+          if (format === 'html') {
+            return `data:${mimeType};base64,${buffer.toString('base64')}`;
+          }
+          await writeFile(path.join(assetDir, name), buffer);
+          return `${encodeURI(assetDirName)}/${encodeURI(name)}`;
+        };
+        
+        const groups = groupPhotos(photos, groupBy, { eventGapHours });
+        const reportGroups = [];
+        let thumbnailCount = 0;
+        let thumbnailFailures = 0;
+        for (const [groupIndex, group] of groups.entries()) {
+          // Spread the strip over the group so it shows the whole shoot rather than its first minutes
+          const step = group.photos.length / Math.min(thumbnailsPerGroup, group.photos.length);
+          const picks = [...new Set(Array.from({ length: Math.min(thumbnailsPerGroup, group.photos.length) }, (value, index) =>
+            group.photos[Math.floor(index * step)]))];
+          const thumbnails = [];
+          for (const photo of picks) {
+            try {
+              const buffer = await createThumbnail(photo.filepath, thumbnailSize);
+              thumbnailCount++;
+              const name = `${String(groupIndex + 1).padStart(2, '0')}_${String(thumbnailCount).padStart(4, '0')}.jpg`;
+              thumbnails.push({ src: await embedImage(name, buffer, 'image/jpeg'), alt: path.basename(photo.relativePath) });
+            } catch (error) {
+              thumbnailFailures++;
             }
-            
-            results.push({
-              original: path.basename(safePath),
-              new: path.basename(finalPath),
-              status: dryRun ? 'preview' : 'pending',
-              exifFound: !!exifData
-            });
-            
-            // Actually rename if not dry run
-            if (!dryRun) {
-              // Backup if requested
-              if (backup) {
-                const backupPath = path.join(backupDir, path.basename(safePath));
-                await rename(safePath, backupPath);
-                await rename(backupPath, finalPath);
-              } else {
-                await rename(safePath, finalPath);
+          }
+          const times = group.photos.map(photo => photo.time).filter(time => time !== null);
+          reportGroups.push({
+            title: group.title,
+            count: group.photos.length,
+            period: times.length > 0 ? formatReportPeriod(times[0], times[times.length - 1]) : '',
+            settings: summarizeSettings(analyzeShootingPatterns(group.photos)),
+            thumbnails
+          });
+        }
+        
+        const located = groups.flatMap((group, groupIndex) => group.photos
+          .filter(photo => photo.latitude !== null)
+          .map(photo => ({ latitude: photo.latitude, longitude: photo.longitude, label: `${photo.relativePath} (${group.title})`, group: groupIndex, time: photo.time })))
+          .sort((a, b) => (a.time ?? Infinity) - (b.time ?? Infinity));
+        let map = null;
+        if (includeMap && located.length > 0) {
+          const svg = plotGpsSvg(located);
+          map = format === 'html' ? svg : await embedImage('map.svg', Buffer.from(svg), 'image/svg+xml');
+        }
+        
+        const stats = analyzeShootingPatterns(photos);
+        const overview = [
+          `${plural(photos.length, 'photo')} in ${plural(groups.length, 'group')} by ${groupBy}`,
+          ...(stats.dateRange ? [`Taken ${formatReportPeriod(parseExifDateTime(stats.dateRange.first), parseExifDateTime(stats.dateRange.last))}`] : []),
+          `${located.length} with a location${hidden > 0 ? ` (${hidden} hidden in private zones)` : ''}` +
+            `${outliers.length > 0 && outlierAction !== 'keep' ? ` (${plural(outliers.length, 'GPS outlier')} ${outlierAction === 'drop' ? 'dropped' : 'snapped'})` : ''}`
+        ];
+        const report = { title, overview, summary: summarizeSettings(stats), map, groups: reportGroups };
+        await writeFile(safeOutputPath, format === 'html' ? renderHtmlReport(report) : renderMarkdownReport(report));
+        
+        let output = `📝 Photo Report Created!\n${'='.repeat(50)}\n\n`;
+        output += `📍 Title: ${title}\n`;
+        output += `📂 ${formatFileCounts(selection, selection.files.length)}\n`;
+        output += `🗂️  Groups: ${groups.length} by ${groupBy}\n`;
+        groups.slice(0, 10).forEach(group => {
+          output += `   • ${group.title}: ${plural(group.photos.length, 'photo')}\n`;
+        });
+        if (groups.length > 10) {
+          output += `   … and ${groups.length - 10} more groups\n`;
+        }
+        output += `🖼️  Thumbnails: ${thumbnailCount}${thumbnailFailures > 0 ? ` (${thumbnailFailures} could not be created)` : ''}\n`;
+        output += `🗺️  Map: ${map ? plural(located.length, 'GPS point') : includeMap ? 'no photos with GPS data' : 'No'}\n`;
+        output += formatGpsOutliers(outliers, outlierAction);
+        if (privacy) {
+          output += `🔒 Privacy: ${plural(hidden, 'location')} hidden in private zones\n`;
+        }
+        output += `📁 Output: ${path.basename(safeOutputPath)}${format === 'markdown' ? ` (images in ${assetDirName}/)` : ' (self-contained)'}\n`;
+        for (const error of errors) {
+          output += `\n❌ ERROR: ${path.basename(error.original)}\n`;
+          output += `   ${error.error}\n`;
+        }
+        
+        return {
+          content: [{
+            type: 'text',
+            text: output.trimEnd()
+          }]
+        };
+      }
+      
+      case 'find_duplicates': {
+        const { levels = DUPLICATE_LEVELS, maxDistance = 6, quarantineDir, dryRun = true } = args;
+        
+        if (!Array.isArray(levels) || levels.length === 0 || !levels.every(level => DUPLICATE_LEVELS.includes(level))) {
+          throw new Error(`levels must be a non-empty array of: ${DUPLICATE_LEVELS.join(', ')}`);
+        }
+        validateNumericInput(maxDistance, 'maxDistance', 0, 16);
+        validateBooleanInput(dryRun, 'dryRun');
+        const companionRules = getCompanionRules(args);
+        
+        let safeQuarantine = null;
+        if (quarantineDir !== undefined) {
+          validateStringInput(quarantineDir, 'quarantineDir');
+          safeQuarantine = validateFilePath(quarantineDir, dryRun ? 'read' : 'write');
+        }
+        const moving = safeQuarantine && !dryRun;
+        
+        // Never compare against files that were quarantined before
+        const selection = await selectBatchFiles(args, {
+          excludePaths: safeQuarantine ? [safeQuarantine] : [],
+          access: moving ? 'write' : 'read'
+        });
+        const results = [...selection.errors];
+        
+        const items = [];
+        for (const file of selection.files) {
+          try {
+            items.push(await readDuplicateFingerprint(file, levels));
+          } catch (error) {
+            results.push({ original: file.filepath, status: 'error', error: error.message });
+          }
+        }
+        const groups = groupDuplicates(items, { levels, maxDistance });
+        
+        // Move everything but the keeper into the quarantine folder, together with companion files
+        const run = startRun('find_duplicates', journalDir, { quarantineDir: safeQuarantine });
+        if (safeQuarantine) {
+          const claimedTargets = new Set();
+          for (const group of groups) {
+            for (const other of group.others) {
+              try {
+                const [file] = await withCompanions([other], companionRules);
+                validateCompanions(file, moving ? 'write' : 'read');
+                const targetDir = path.join(safeQuarantine, path.dirname(other.relativePath));
+                const baseName = path.basename(other.filepath, path.extname(other.filepath));
+                const sources = [file.filepath, ...file.companions.map(companion => companion.filepath)];
+                let targets = getGroupTargets(file, targetDir, baseName);
+                let dupCounter = 1;
+                while (targets.some(target => claimedTargets.has(target) || existsSync(target))) {
+                  targets = getGroupTargets(file, targetDir, `${baseName}_${dupCounter}`);
+                  dupCounter++;
+                }
+                targets.forEach(target => claimedTargets.add(target));
+                other.quarantine = { target: targets[0], companions: file.companions.length };
+                
+                if (moving) {
+                  // Subfolders of the quarantine folder may be symlinks, so check the real target as well
+                  validateFilePath(targetDir, 'write');
+                  await mkdir(targetDir, { recursive: true });
+                  for (const [index, source] of sources.entries()) {
+                    await moveFile(source, targets[index]);
+                    await recordRename(run, source, targets[index]);
+                  }
+                  other.quarantine.moved = true;
+                }
+              } catch (error) {
+                other.quarantine = { error: error.message };
               }
-              results[results.length - 1].status = 'renamed';
             }
-            
-            counter++;
-            
-          } catch (error) {
-            results.push({
-              original: path.basename(filepath),
-              new: null,
-              status: 'error',
-              error: error.message
-            });
           }
         }
         
         // Format results
-        let output = `📸 Batch Rename Results\n${'='.repeat(50)}\n\n`;
-        output += `Mode: ${dryRun ? '🔍 PREVIEW MODE (no files changed)' : '✅ RENAME MODE'}\n`;
-        output += `Template: "${template}"\n`;
-        if (backup && !dryRun) {output += `Backups: ${backupDir}\n`;}
+        const levelLabels = { exact: 'exact copy', pixels: 'same image, different metadata', similar: 'visually similar' };
+        const redundant = groups.flatMap(group => group.others);
+        let output = `🔁 Duplicate Photo Report\n${'='.repeat(50)}\n\n`;
+        output += `${formatFileCounts(selection, selection.files.length)}\n`;
+        output += `Levels: ${levels.join(', ')}${levels.includes('similar') ? ` (up to ${maxDistance} of 64 bits apart)` : ''}\n`;
+        const relations = groups.flatMap(group => group.relations);
+        output += `Groups: ${groups.length}, ${redundant.length} redundant copies` +
+          `${redundant.length > 0 ? ` (${DUPLICATE_LEVELS.map(level => `${relations.filter(relation => relation === level).length} ${level}`).join(', ')})` : ''}` +
+          ` using ${formatFileSize(redundant.reduce((total, item) => total + item.size, 0))}\n`;
+        if (safeQuarantine) {
+          output += `Quarantine: ${safeQuarantine}${dryRun ? ' (preview, nothing moved)' : ''}\n`;
+        }
         output += `\n`;
         
-        let successCount = 0;
-        let errorCount = 0;
+        groups.forEach((group, index) => {
+          output += `Group ${index + 1}: ${group.members.length} files\n`;
+          output += `   ⭐ ${formatDuplicateItem(group.keeper)}\n`;
+          output += `      Keep: ${group.reason}\n`;
+          for (const [otherIndex, other] of group.others.entries()) {
+            const relation = group.relations[otherIndex];
+            const distance = relation === 'similar' && other.phash && group.keeper.phash
+              ? `, ${hammingDistance(other.phash, group.keeper.phash)} of 64 bits differ` : '';
+            output += `   🔁 ${formatDuplicateItem(other)}\n`;
+            output += `      ${levelLabels[relation]}${distance}\n`;
+            if (other.quarantine && other.quarantine.error) {
+              output += `      ❌ ${other.quarantine.error}\n`;
+            } else if (other.quarantine) {
+              output += `      → ${path.relative(safeQuarantine, other.quarantine.target)}` +
+                `${other.quarantine.companions > 0 ? ` (+ ${other.quarantine.companions} companion files)` : ''}\n`;
+            }
+          }
+          output += `\n`;
+        });
         
-        for (const result of results) {
-          if (result.status === 'error') {
-            output += `❌ ERROR: ${path.basename(result.original)}\n`;
-            output += `   ${result.error}\n\n`;
-            errorCount++;
-          } else {
-            output += `${result.exifFound ? '✅' : '⚠️'} ${path.basename(result.original)}\n`;
-            output += `   → ${path.basename(result.new)}\n\n`;
-            successCount++;
+        const undecoded = items.filter(item => !item.pixelHash && item.decodeError);
+        if (undecoded.length > 0 && levels.some(level => level !== 'exact')) {
+          output += `⚠️  Could not decode ${undecoded.length} files, so only exact copies were checked for them:\n`;
+          for (const item of undecoded) {
+            output += `   ${item.relativePath}: ${item.decodeError}\n`;
           }
+          output += `\n`;
         }
         
-        output += `\nSummary: ${successCount} files ${dryRun ? 'would be' : 'were'} renamed, ${errorCount} errors\n`;
+        for (const result of results) {
+          output += `❌ ERROR: ${path.basename(result.original)}\n`;
+          output += `   ${result.error}\n\n`;
+        }
         
-        if (dryRun) {
-          output += `\n💡 Tip: Set dryRun to false to actually rename the files.`;
+        if (groups.length === 0) {
+          output += `No duplicates found.\n`;
+        } else if (!safeQuarantine) {
+          output += `💡 Tip: Set quarantineDir to move the ${redundant.length} redundant copies out of the way.`;
+        } else if (dryRun) {
+          output += `💡 Tip: Set dryRun to false to actually move the redundant copies into the quarantine folder.`;
+        } else if (await finishRun(run)) {
+          output += `${formatRunFooter(run)}`;
         }
         
         return {
@@ -649,190 +3317,800 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         };
       }
       
-      case 'create_photo_tour_kmz': {
-        const {
-          filepaths,
-          outputPath,
-          title = 'My Photo Journey',
-          description = '',
-          thumbnailSize = 800,
-          includeFullImages = false,
-          drawPath = true,
-          numberPhotos = true
-        } = args;
-        
-        // Validate input
-        if (!Array.isArray(filepaths) || filepaths.length === 0) {
-          throw new Error('filepaths must be a non-empty array');
-        }
-        
-        if (filepaths.length > 1000) {
-          throw new Error('Maximum 1000 files allowed per batch');
-        }
+      case 'find_sequences': {
+        const options = getSequenceOptions(args);
+        const selection = await selectBatchFiles(args);
+        const results = [...selection.errors];
         
-        // Validate output path
-        const safeOutputPath = validateFilePath(outputPath);
-        if (!safeOutputPath.endsWith('.kmz')) {
-          throw new Error('Output path must end with .kmz extension');
+        const frames = [];
+        for (const file of selection.files) {
+          try {
+            frames.push(await readSequenceFrame(file));
+          } catch (error) {
+            results.push({ original: file.filepath, status: 'error', error: error.message });
+          }
         }
+        const sequences = detectSequences(frames, options);
+        const inSequences = sequences.reduce((total, sequence) => total + sequence.frames.length, 0);
+        const undated = frames.filter(frame => frame.time === null);
         
-        // Validate other inputs
-        validateStringInput(title, 'title', 200);
-        validateStringInput(description, 'description', 2000);
-        validateNumericInput(thumbnailSize, 'thumbnailSize', 100, 2000);
-        validateBooleanInput(includeFullImages, 'includeFullImages');
-        validateBooleanInput(drawPath, 'drawPath');
-        validateBooleanInput(numberPhotos, 'numberPhotos');
+        let output = `🎞️  Photo Sequences\n${'='.repeat(50)}\n\n`;
+        output += `${formatFileCounts(selection, selection.files.length)}\n`;
+        output += `Found: ${sequences.length} sequences (` +
+          `${SEQUENCE_TYPES.map(type => `${sequences.filter(sequence => sequence.type === type).length} ${SEQUENCE_LABELS[type].name.toLowerCase()}`).join(', ')}) ` +
+          `with ${inSequences} photos; ${frames.length - undated.length - inSequences} single shot(s)\n\n`;
         
-        // Collect photo data with GPS
-        const photoData = await processPhotosForKMZ(filepaths);
+        sequences.forEach((sequence, index) => {
+          output += `${index + 1}. ${formatSequenceHeading(sequence)}\n`;
+          const cameraLabel = sequence.frames[0].cameraLabel;
+          output += `   ${formatSequenceTime(sequence.start)} → ${formatSequenceTime(sequence.end).slice(11)}` +
+            `${cameraLabel ? `, ${cameraLabel}` : ''}\n`;
+          if (sequence.type === 'exposure-bracket') {
+            output += `   Exposure bias: ${sequence.frames.map(frame => formatExposureBias(frame.exposureBias ?? 0)).join(', ')} EV\n`;
+          } else if (sequence.type === 'focus-bracket') {
+            const distances = sequence.frames.map(frame => frame.focusDistance).filter(distance => distance !== null);
+            output += `   Focus distance: ${distances[0]} m → ${distances[distances.length - 1]} m\n`;
+          }
+          output += `   ⭐ ${sequence.representative.relativePath} (representative)\n`;
+          const names = sequence.frames.map(frame => frame.relativePath);
+          output += `   Frames: ${names.length > 6 ? `${names.slice(0, 3).join(', ')}, … ${names.slice(-2).join(', ')}` : names.join(', ')}\n\n`;
+        });
         
-        if (photoData.length === 0) {
-          return {
-            content: [{
-              type: 'text',
-              text: 'No photos with GPS data found in the provided files.'
-            }]
-          };
+        if (undated.length > 0) {
+          output += `⚠️  ${undated.length} photos have no capture time and were not checked\n\n`;
+        }
+        for (const result of results) {
+          output += `❌ ERROR: ${path.basename(result.original)}\n`;
+          output += `   ${result.error}\n\n`;
+        }
+        if (sequences.length > 0) {
+          output += `💡 Tip: Use collapseSequences in create_photo_tour_kmz to show one placemark per sequence.`;
         }
         
-        // Sort by datetime to ensure correct path order
-        photoData.sort((a, b) => new Date(a.datetime) - new Date(b.datetime));
-        
-        // Generate KML content
-        const kmlContent = generateKML(photoData, title, description, drawPath, numberPhotos);
-        
-        // Create temporary directory for KMZ contents
-        const tempDir = path.join(path.dirname(safeOutputPath), `.kmz_temp_${Date.now()}`);
-        await mkdir(tempDir, { recursive: true });
-        await mkdir(path.join(tempDir, 'images'), { recursive: true });
-        
-        // Write KML file
-        await writeFile(path.join(tempDir, 'doc.kml'), kmlContent);
+        return {
+          content: [{
+            type: 'text',
+            text: output
+          }]
+        };
+      }
+      
+      case 'list_operations': {
+        const { limit = 20, tool } = args;
         
-        // Generate thumbnails
-        await createThumbnails(photoData, tempDir, thumbnailSize, includeFullImages);
+        validateNumericInput(limit, 'limit', 1, 500);
+        if (tool !== undefined) {
+          validateStringInput(tool, 'tool', 100);
+        }
         
-        // Create KMZ archive
-        const output = createWriteStream(safeOutputPath);
-        const archive = archiver('zip', { zlib: { level: 9 } });
+        const runs = (await readRuns(journalDir)).filter(run => tool === undefined || run.tool === tool);
         
-        archive.pipe(output);
-        archive.directory(tempDir, false);
+        let output = `🧾 Operation Journal\n${'='.repeat(50)}\n\n`;
+        output += `Journal: ${journalDir}\n\n`;
         
-        await new Promise((resolve, reject) => {
-          output.on('close', resolve);
-          archive.on('error', reject);
-          archive.finalize();
-        });
+        if (runs.length === 0) {
+          output += tool === undefined ? 'No operations recorded yet.\n' : `No ${tool} operations recorded.\n`;
+        }
         
-        // Clean up temp directory
-        await removeDir(tempDir);
+        for (const run of runs.slice(0, limit)) {
+          output += `${run.undone ? '↩️ ' : '📝'} ${run.runId}  ${run.tool}  ${run.timestamp}\n`;
+          output += `   ${describeRunChanges(run)}`;
+          const details = Object.entries(run.details || {}).map(([key, value]) => `${key}: ${value}`);
+          if (details.length > 0) {output += ` · ${details.join(' · ')}`;}
+          output += `\n`;
+          if (run.undone) {
+            output += `   Undone ${run.undone}${run.undoSkipped ? ` (${run.undoSkipped} files left unchanged)` : ''}\n`;
+          }
+          output += `\n`;
+        }
         
-        // Generate summary
-        const summary = `🌍 Photo Tour KMZ Created!\n${'='.repeat(50)}\n\n` +
-          `📍 Title: ${title}\n` +
-          `📸 Photos with GPS: ${photoData.length}\n` +
-          `📏 Path: ${drawPath ? 'Yes' : 'No'}\n` +
-          `🔢 Numbered: ${numberPhotos ? 'Yes' : 'No'}\n` +
-          `📦 File size: ${(await stat(safeOutputPath)).size / 1024 / 1024}MB\n` +
-          `📁 Output: ${path.basename(safeOutputPath)}\n\n` +
-          `Journey Timeline:\n${ 
-          photoData.slice(0, 5).map(p => 
-            `  ${p.number}. ${formatDate(p.datetime)} - ${p.filename}`
-          ).join('\n') 
-          }${photoData.length > 5 ? `\n  ... and ${photoData.length - 5} more photos` : '' 
-          }\n\n💡 Open in Google Earth to view your photo journey!`;
+        if (runs.length > limit) {
+          output += `... and ${runs.length - limit} older runs\n`;
+        }
         
         return {
           content: [{
             type: 'text',
-            text: summary
+            text: output
           }]
         };
       }
       
-      case 'strip_exif': {
-        const { filepath, backup = true, keep = [] } = args;
+      case 'undo_operation': {
+        const { runId, dryRun = true, skipConflicts = false } = args;
         
-        // Validate and sanitize file path
-        const safePath = validateFilePath(filepath);
-        validateFileExists(safePath);
-        validateImageFile(safePath);
+        validateStringInput(runId, 'runId', 100);
+        validateBooleanInput(dryRun, 'dryRun');
+        validateBooleanInput(skipConflicts, 'skipConflicts');
         
-        // Validate inputs
-        validateBooleanInput(backup, 'backup');
-        if (!Array.isArray(keep)) {
-          throw new Error('keep must be an array');
+        const run = (await readRuns(journalDir)).find(candidate => candidate.runId === runId);
+        if (!run) {
+          throw new Error(`No journaled run with ID ${runId}. Use list_operations to see recent runs`);
+        }
+        if (run.undone) {
+          throw new Error(`Run ${runId} was already undone at ${run.undone}`);
         }
         
-        try {
-          // Create backup if requested
-          if (backup) {
-            const backupPath = `${safePath}.original`;
-            
-            // Check if backup already exists
-            if (existsSync(backupPath)) {
-              throw new Error('Backup file already exists. Remove it first or set backup=false.');
+        const steps = await planUndo(run);
+        
+        // Everything undo touches must still be writable under the current sandbox roots
+        for (const step of steps.filter(candidate => !candidate.conflict)) {
+          const { entry } = step;
+          try {
+            for (const target of entry.type === 'rename' ? [entry.from, entry.to] : [entry.path]) {
+              validateFilePath(target, 'write');
             }
-            
-            // Copy original to backup
-            const originalData = await readFile(safePath);
-            await writeFile(backupPath, originalData);
+          } catch (error) {
+            step.conflict = error.message;
           }
-          
-          // Use sharp to strip EXIF data while preserving specific fields
-          const image = sharp(safePath);
-          
-          // Create a clean image without EXIF data
-          const cleanImageBuffer = await image
-            .jpeg({ quality: 95 }) // Use high quality to minimize degradation
-            .toBuffer();
-          
-          // If we need to keep specific fields, we'd need to re-add them
-          // For now, this implementation strips all EXIF data
-          // A more sophisticated implementation would use exifr to read specific fields
-          // and then use piexifjs or similar to add them back
-          
-          // Write the clean image back
-          await writeFile(safePath, cleanImageBuffer);
-          
-          let summary = `🔒 EXIF Data Stripped Successfully\n${'='.repeat(50)}\n\n` +
-            `📁 File: ${path.basename(safePath)}\n` +
-            `💾 Backup: ${backup ? 'Created (.original)' : 'Not created'}\n` +
-            `🏷️  Fields to preserve: ${keep.length > 0 ? keep.join(', ') : 'None'}\n` +
-            `⚠️  Note: All EXIF data has been removed for privacy.\n`;
-          
-          if (keep.length > 0) {
-            summary += `\n⚠️  Warning: Selective field preservation is not yet implemented.\n` +
-                      `All EXIF data has been removed. This feature will be added in a future update.`;
+        }
+        
+        const conflicts = steps.filter(step => step.conflict).length;
+        const blocked = conflicts > 0 && !skipConflicts;
+        let restored = 0;
+        
+        if (!dryRun && !blocked) {
+          for (const step of steps.filter(candidate => !candidate.conflict)) {
+            try {
+              await applyUndoStep(step);
+              step.done = true;
+              restored++;
+            } catch (error) {
+              step.conflict = error.message;
+            }
           }
-          
-          return {
-            content: [{
-              type: 'text',
-              text: summary
-            }]
-          };
-          
-        } catch (error) {
-          throw new Error(`Failed to strip EXIF data: ${error.message}`);
+          await markUndone(journalDir, runId, { restored, skipped: steps.length - restored });
+        }
+        
+        // Format results
+        let output = `↩️  Undo Operation Results\n${'='.repeat(50)}\n\n`;
+        output += `Mode: ${dryRun ? '🔍 PREVIEW MODE (no files changed)' : '✅ UNDO MODE'}\n`;
+        output += `Run: ${run.runId} (${run.tool}, ${run.timestamp})\n\n`;
+        
+        for (const step of steps) {
+          const { entry } = step;
+          const name = path.basename(entry.type === 'rename' ? entry.to : entry.path);
+          if (step.conflict) {
+            output += `❌ CONFLICT: ${name}\n`;
+            output += `   ${step.conflict}\n\n`;
+          } else {
+            output += `${step.done || dryRun ? '✅' : '⏭️ '} ${name}: ${step.action}\n\n`;
+          }
+        }
+        
+        const failed = steps.filter(step => step.conflict).length;
+        if (dryRun) {
+          output += `\nSummary: ${steps.length - failed} files would be restored, ${failed} conflicts\n`;
+        } else {
+          output += `\nSummary: ${restored} files restored, ${failed} conflicts\n`;
+        }
+        
+        if (blocked) {
+          output += `\n⚠️  ${dryRun ? 'Undo would be refused' : 'Nothing was restored'} because of conflicts. ` +
+            `Resolve them or set skipConflicts to true to restore the rest.`;
+        } else if (dryRun) {
+          output += `\n💡 Tip: Set dryRun to false to restore the files.`;
         }
+        
+        return {
+          content: [{
+            type: 'text',
+            text: output
+          }]
+        };
       }
       
       default:
         throw new Error(`Unknown tool: ${name}`);
     }
-  } catch (error) {
-    return {
-      content: [{
-        type: 'text',
-        text: `Error: ${error.message}`
-      }],
-      isError: true
-    };
+  } catch (error) {
+    return {
+      content: [{
+        type: 'text',
+        text: `Error: ${error.message}`
+      }],
+      isError: true
+    };
+  }
+});
+
+// Helper function to resolve the filepaths/directory and filter options shared by batch tools
+async function selectBatchFiles(args, { excludePaths = [], access = 'read' } = {}) {
+  const { filepaths = [], directory, recursive = false, include, exclude, extensions } = args;
+  
+  if (!Array.isArray(filepaths)) {
+    throw new Error('filepaths must be an array');
+  }
+  if (directory !== undefined) {
+    validateStringInput(directory, 'directory');
+  }
+  const inputs = directory === undefined ? filepaths : [...filepaths, directory];
+  if (inputs.length === 0) {
+    throw new Error('Provide filepaths and/or a directory');
+  }
+  
+  validateBooleanInput(recursive, 'recursive');
+  const filter = createFileFilter({ include, exclude, extensions });
+  const unsupported = (extensions || [])
+    .map(ext => (ext.startsWith('.') ? ext : `.${ext}`).toLowerCase())
+    .filter(ext => !IMAGE_EXTENSIONS.includes(ext));
+  if (unsupported.length > 0) {
+    throw new Error(`Unsupported extensions: ${unsupported.join(', ')}. Supported types: ${IMAGE_EXTENSIONS.join(', ')}`);
+  }
+  
+  return collectImageFiles(inputs, { recursive, excludePaths, filter, access });
+}
+
+// Helper function to expand files and directories into a list of image files.
+// Each file gets a path relative to its input directory so batch tools can mirror the layout.
+// Counts every file found (discovered) and those left out by type or filter (skipped).
+// Symlinks inside directories are not followed, so a walk never leaves the checked input directory.
+async function collectImageFiles(inputPaths, { recursive = false, excludePaths = [], filter = () => true, access = 'read' } = {}) {
+  const files = [];
+  const errors = [];
+  const seen = new Set();
+  let discovered = 0;
+  let skipped = 0;
+  
+  const walk = async (dir, root) => {
+    const entries = await readdir(dir, { withFileTypes: true });
+    entries.sort((a, b) => a.name.localeCompare(b.name));
+    
+    for (const entry of entries) {
+      const fullPath = path.join(dir, entry.name);
+      // Skip hidden files, backup folders and excluded destinations
+      if (entry.name.startsWith('.') || excludePaths.includes(fullPath)) {
+        continue;
+      }
+      if (entry.isDirectory()) {
+        if (recursive && !entry.name.startsWith('exif_backup_')) {
+          await walk(fullPath, root);
+        }
+      } else if (entry.isFile() && !seen.has(fullPath)) {
+        seen.add(fullPath);
+        discovered++;
+        const relativePath = path.relative(root, fullPath);
+        if (IMAGE_EXTENSIONS.includes(path.extname(entry.name).toLowerCase()) && filter(relativePath)) {
+          files.push({ filepath: fullPath, relativePath });
+        } else {
+          skipped++;
+        }
+      }
+    }
+  };
+  
+  for (const inputPath of inputPaths) {
+    try {
+      const safePath = validateFilePath(inputPath, access);
+      validateFileExists(safePath);
+      
+      if ((await stat(safePath)).isDirectory()) {
+        await walk(safePath, safePath);
+      } else if (!seen.has(safePath)) {
+        seen.add(safePath);
+        discovered++;
+        if (!filter(path.basename(safePath))) {
+          skipped++;
+          continue;
+        }
+        validateImageFile(safePath);
+        files.push({ filepath: safePath, relativePath: path.basename(safePath) });
+      }
+    } catch (error) {
+      errors.push({
+        original: String(inputPath),
+        status: 'error',
+        error: error.message
+      });
+    }
+  }
+  
+  return { files, errors, discovered, skipped };
+}
+
+// Helper function to read the companions/companionExtensions options; returns the extensions, or null when disabled
+function getCompanionRules({ companions = true, companionExtensions = DEFAULT_COMPANION_EXTENSIONS }) {
+  validateBooleanInput(companions, 'companions');
+  return companions ? normalizeCompanionExtensions(companionExtensions) : null;
+}
+
+// Helper function to attach companion files to selected files, or none when companions are disabled
+async function withCompanions(files, rules) {
+  return rules ? attachCompanions(files, rules) : files.map(file => ({ ...file, companions: [] }));
+}
+
+// Helper function to check a photo's companions against the sandbox before they are touched
+function validateCompanions(file, access) {
+  for (const companion of file.companions) {
+    companion.filepath = validateFilePath(companion.filepath, access);
+  }
+}
+
+// Helper function to name a photo and its companions in `dir` after `baseName`; the photo comes first
+function getGroupTargets(file, dir, baseName) {
+  return [
+    path.join(dir, baseName + path.extname(file.filepath)),
+    ...file.companions.map(companion => path.join(dir, companionName(companion.filepath, file.filepath, baseName)))
+  ];
+}
+
+// Helper function to mention companion files that were carried along in a summary line
+function formatCompanionCount(results) {
+  const count = results.reduce((total, result) => total + (result.companions ? result.companions.length : 0), 0);
+  return count > 0 ? ` (with ${count} companion files)` : '';
+}
+
+const SEQUENCE_LABELS = {
+  'burst': { emoji: '📸', name: 'Burst' },
+  'exposure-bracket': { emoji: '🌗', name: 'Exposure bracket' },
+  'focus-bracket': { emoji: '🔍', name: 'Focus bracket' }
+};
+
+// Helper function to validate the sequence detection options
+function getSequenceOptions({ maxGapSeconds = 2, minFrames = 3 }) {
+  validateNumericInput(maxGapSeconds, 'maxGapSeconds', 0.1, 60);
+  validateNumericInput(minFrames, 'minFrames', 2, 100);
+  return { maxGapSeconds, minFrames };
+}
+
+// Helper function to read what sequence detection needs: the capture time to the sub-second, the camera body,
+// exposure bias and focus distance. Times are naive milliseconds like readPhotoTiming's.
+async function readSequenceFrame({ filepath, relativePath }) {
+  const exifData = await exifr.parse(filepath, {
+    xmp: true,
+    pick: ['DateTimeOriginal', 'CreateDate', 'SubSecTimeOriginal', 'SubSecTime', 'Make', 'Model',
+      'BodySerialNumber', 'SerialNumber', 'ExposureCompensation', 'SubjectDistance', 'FocusDistance', 'ApproximateFocusDistance'],
+    reviveValues: false
+  }) || {};
+  const toNumber = (value) => {
+    const number = typeof value === 'string' && value.includes('/')
+      ? Number(value.split('/')[0]) / Number(value.split('/')[1])
+      : Number(value);
+    return value === undefined || value === null || value === '' || !Number.isFinite(number) ? null : number;
+  };
+  
+  const dateTime = exifData.DateTimeOriginal || exifData.CreateDate;
+  const cameraMs = dateTime ? parseExifDateTime(String(dateTime)) : null;
+  const serial = exifData.BodySerialNumber || exifData.SerialNumber;
+  const cameraLabel = [exifData.Make, exifData.Model].filter(Boolean).join(' ');
+  return {
+    filepath,
+    relativePath,
+    time: addSubSeconds(cameraMs, exifData.SubSecTimeOriginal ?? exifData.SubSecTime),
+    camera: serial ? `serial:${serial}` : cameraLabel || null,
+    cameraLabel: serial ? `${cameraLabel || 'camera'} #${serial}` : cameraLabel,
+    exposureBias: toNumber(exifData.ExposureCompensation),
+    focusDistance: toNumber(exifData.SubjectDistance ?? exifData.FocusDistance ?? exifData.ApproximateFocusDistance)
+  };
+}
+
+// Helper function to summarize a sequence in one line, e.g. "📸 Burst: 8 frames in 0.9 s (8.9 fps)"
+function formatSequenceHeading(sequence) {
+  const { emoji, name } = SEQUENCE_LABELS[sequence.type];
+  const seconds = (sequence.end - sequence.start) / 1000;
+  const rate = sequence.type === 'burst' && seconds > 0 ? ` (${((sequence.frames.length - 1) / seconds).toFixed(1)} fps)` : '';
+  return `${emoji} ${name}: ${sequence.frames.length} frames in ${seconds.toFixed(seconds < 10 ? 2 : 0)} s${rate}`;
+}
+
+// Helper function to show a naive capture time with milliseconds
+function formatSequenceTime(ms) {
+  return new Date(ms).toISOString().slice(0, 23).replace('T', ' ');
+}
+
+// Helper function to show an exposure bias with its sign, e.g. +0.7, 0, -2
+function formatExposureBias(bias) {
+  const rounded = Number(bias.toFixed(1));
+  return rounded > 0 ? `+${rounded}` : String(rounded);
+}
+
+// Helper function to read the camera settings, capture time and position that analyze_shooting_patterns,
+// detect_photo_issues and generate_photo_report work with. Times are naive milliseconds.
+async function readShootingData(filepath) {
+  let exifData = await exifr.parse(filepath, {
+    xmp: true,
+    gps: true,
+    // pick also filters GPS tags, so the position tags must be listed for latitude/longitude to be computed
+    pick: ['GPSLatitude', 'GPSLatitudeRef', 'GPSLongitude', 'GPSLongitudeRef', 'DateTimeOriginal', 'CreateDate', 'Make', 'Model', 'BodySerialNumber', 'SerialNumber', 'LensModel', 'LensInfo',
+      'FNumber', 'ExposureTime', 'ISO', 'FocalLength', 'FocalLengthIn35mmFormat', 'Flash',
+      'FocalPlaneXResolution', 'FocalPlaneResolutionUnit', 'ExifImageWidth', 'ImageWidth', 'SubjectDistance', 'FocusDistance',
+      'GPSHPositioningError', 'GPSDOP'],
+    reviveValues: false,
+    translateValues: false
+  }) || {};
+  // Photos geotagged into an XMP sidecar carry their position there
+  if (!(exifData.latitude && exifData.longitude)) {
+    exifData = { ...exifData, ...(await readSidecarPosition(filepath)) };
+  }
+  const number = (value) => (typeof value === 'number' && Number.isFinite(value) && value > 0 ? value : null);
+  const dateTime = exifData.DateTimeOriginal || exifData.CreateDate;
+  const lensInfo = Array.isArray(exifData.LensInfo) ? exifData.LensInfo.map(Number) : null;
+  const iso = Array.isArray(exifData.ISO) ? exifData.ISO[0] : exifData.ISO;
+  const focalLength = number(exifData.FocalLength);
+  const focalLength35 = equivalentFocalLength({
+    focalLength,
+    focalLength35: number(exifData.FocalLengthIn35mmFormat),
+    focalPlaneXResolution: number(exifData.FocalPlaneXResolution),
+    focalPlaneResolutionUnit: exifData.FocalPlaneResolutionUnit,
+    imageWidth: number(exifData.ExifImageWidth || exifData.ImageWidth)
+  });
+  
+  return {
+    time: dateTime ? parseExifDateTime(String(dateTime)) : null,
+    camera: cameraName(exifData.Make, exifData.Model),
+    serial: exifData.BodySerialNumber || exifData.SerialNumber || null,
+    lens: exifData.LensModel ? String(exifData.LensModel).trim() : '',
+    lensRange: lensInfo && lensInfo[0] > 0 && lensInfo[1] > 0 ? [lensInfo[0], lensInfo[1]] : null,
+    fNumber: number(exifData.FNumber),
+    exposureTime: number(exifData.ExposureTime),
+    iso: number(iso),
+    focalLength,
+    focalLength35,
+    cropFactor: focalLength && focalLength35 ? focalLength35 / focalLength : null,
+    // SubjectDistance in metres; 0xFFFFFFFF (infinity) and unknown 0 are left out
+    focusDistance: number(exifData.SubjectDistance ?? exifData.FocusDistance) < 1000 ? number(exifData.SubjectDistance ?? exifData.FocusDistance) : null,
+    // Bit 0 of the Flash tag tells whether it fired
+    flash: typeof exifData.Flash === 'number' ? (exifData.Flash & 1) === 1 : null,
+    latitude: isValidCoordinate(exifData.latitude, exifData.longitude) ? exifData.latitude : null,
+    longitude: isValidCoordinate(exifData.latitude, exifData.longitude) ? exifData.longitude : null,
+    positioningError: typeof exifData.GPSHPositioningError === 'number' ? exifData.GPSHPositioningError : null,
+    dop: typeof exifData.GPSDOP === 'number' ? exifData.GPSDOP : null
+  };
+}
+
+// Helper function to decode a photo upright into 8-bit luminance, at most 1024 px on its long side so
+// sharpness values compare across resolutions
+async function readLuminance(filepath) {
+  const { data, info } = await sharp(filepath)
+    .rotate()
+    .removeAlpha()
+    .greyscale()
+    .resize(1024, 1024, { fit: 'inside', withoutEnlargement: true })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const pixels = info.channels === 1 ? data : data.filter((value, index) => index % info.channels === 0);
+  return { pixels, width: info.width, height: info.height };
+}
+
+// Helper function to draw a histogram as text bars, keeping the `limit` most common bins in axis order
+function formatHistogram(title, bins, limit = 12) {
+  if (bins.length === 0) {
+    return `${title}: no data\n\n`;
+  }
+  const shown = [...bins].sort((a, b) => b.count - a.count).slice(0, limit);
+  const kept = bins.filter(bin => shown.includes(bin));
+  const maxCount = Math.max(...kept.map(bin => bin.count));
+  const width = Math.max(...kept.map(bin => bin.label.length));
+  let text = `${title}:\n`;
+  for (const bin of kept) {
+    const bar = bin.count > 0 ? `${'█'.repeat(Math.max(1, Math.round(bin.count / maxCount * 20)))} ` : '';
+    text += `  ${bin.label.padEnd(width)} ${bar}${bin.count} (${bin.percent}%)\n`;
+  }
+  if (bins.length > kept.length) {
+    text += `  … ${bins.length - kept.length} less common values\n`;
+  }
+  return `${text}\n`;
+}
+
+// Helper function to format the analyze_shooting_patterns statistics as a readable summary
+function formatShootingPatterns(stats) {
+  let text = stats.dateRange ? `Period: ${stats.dateRange.first} → ${stats.dateRange.last}\n\n` : '\n';
+  if (stats.shots === 0) {
+    return `${text}No photos to analyze.`;
+  }
+  
+  text += formatHistogram('📷 Aperture', stats.aperture);
+  text += formatHistogram('⏱️  Shutter speed', stats.shutterSpeed);
+  text += formatHistogram('🎚️  ISO', stats.iso);
+  text += formatHistogram('🔭 Focal length (35mm equivalent)', stats.focalLength35);
+  
+  text += '📸 Cameras:\n';
+  text += stats.cameras.map(({ name, count, percent }) => `  ${name}: ${percent}% (${count})`).join('\n');
+  text += '\n\n🔍 Lenses:\n';
+  text += stats.lenses.map(({ name, count, percent }) => `  ${name}: ${percent}% (${count})`).join('\n');
+  text += '\n\n';
+  
+  if (stats.zoomLenses.length > 0) {
+    text += '🔎 Favourite focal lengths per zoom lens:\n';
+    for (const { lens, range, mostUsed } of stats.zoomLenses) {
+      text += `  ${lens} (${range[0]}-${range[1]}mm): ` +
+        `${mostUsed.map(({ focalLength, percent }) => `${focalLength}mm ${percent}%`).join(', ')}\n`;
+    }
+    text += '\n';
   }
-});
+  
+  const hours = stats.hourOfDay.map((count, hour) => ({ value: hour, label: `${String(hour).padStart(2, '0')}:00`, count }))
+    .filter(bin => bin.count > 0);
+  const dated = stats.hourOfDay.reduce((total, count) => total + count, 0);
+  text += formatHistogram('🕐 Shots per hour of day', hours.map(bin => ({ ...bin, percent: Number((bin.count / dated * 100).toFixed(1)) })), 24);
+  const weekdays = Object.entries(stats.weekday).map(([day, count], index) =>
+    ({ value: index, label: day, count, percent: dated > 0 ? Number((count / dated * 100).toFixed(1)) : 0 }));
+  text += formatHistogram('📅 Shots per weekday', dated > 0 ? weekdays : []);
+  
+  const { fired, notFired, unknown, percent } = stats.flash;
+  text += `⚡ Flash: fired in ${fired} of ${fired + notFired} photos (${percent}%)${unknown > 0 ? `, ${unknown} without flash information` : ''}`;
+  return text;
+}
+
+// Helper function to fingerprint a photo for find_duplicates: content hash, hash of the decoded pixels,
+// a perceptual hash of the upright image and the EXIF fields that tell different shots apart
+async function readDuplicateFingerprint({ filepath, relativePath }, levels) {
+  const data = await readFile(filepath);
+  const info = await stat(filepath);
+  const item = {
+    filepath,
+    relativePath,
+    size: data.length,
+    mtimeMs: info.mtimeMs,
+    fileHash: createHash('sha256').update(data).digest('hex'),
+    pixelHash: null,
+    phash: null,
+    width: null,
+    height: null,
+    date: null,
+    serial: null
+  };
+  
+  try {
+    const exifData = await exifr.parse(data, { pick: ['DateTimeOriginal', 'CreateDate', 'BodySerialNumber', 'SerialNumber'] });
+    if (exifData) {
+      item.date = toValidDate(exifData.DateTimeOriginal || exifData.CreateDate);
+      item.serial = exifData.BodySerialNumber || exifData.SerialNumber || null;
+    }
+  } catch {
+    // Photos without readable EXIF are still compared by content
+  }
+  
+  if (levels.some(level => level !== 'exact')) {
+    try {
+      const { data: pixels, info: decoded } = await sharp(data).raw().toBuffer({ resolveWithObject: true });
+      item.width = decoded.width;
+      item.height = decoded.height;
+      item.pixelHash = createHash('sha256').update(`${decoded.width}x${decoded.height}x${decoded.channels}`).update(pixels).digest('hex');
+      const { data: thumbnail, info: small } = await sharp(data).rotate().removeAlpha().grayscale()
+        .resize(9, 8, { fit: 'fill' }).raw().toBuffer({ resolveWithObject: true });
+      const gray = small.channels === 1 ? thumbnail : thumbnail.filter((value, index) => index % small.channels === 0);
+      item.phash = differenceHash(gray);
+    } catch (error) {
+      item.decodeError = error.message;
+    }
+  }
+  return item;
+}
+
+// Helper function to describe one file of a duplicate group
+function formatDuplicateItem(item) {
+  const details = [
+    item.width ? `${item.width}×${item.height}` : null,
+    formatFileSize(item.size),
+    item.date ? formatTemplateDate(item.date, 'YYYY-MM-DD HH:mm:ss') : 'no capture date'
+  ].filter(Boolean);
+  return `${item.relativePath} (${details.join(', ')})`;
+}
+
+// Helper function to format a byte count
+function formatFileSize(bytes) {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  if (bytes < 1024 * 1024) {
+    return `${(bytes / 1024).toFixed(1)} KB`;
+  }
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+// Helper function to point at the journal entry of a run that changed files
+function formatRunFooter(run) {
+  return `🧾 Journal: run ${run.runId} (revert it with undo_operation)`;
+}
+
+// Helper function to report how a batch selection was resolved
+function formatFileCounts({ discovered, skipped }, processed) {
+  return `Files: ${discovered} discovered, ${skipped} skipped, ${processed} processed`;
+}
+
+// Helper function to collect the geotagged photos of a tour or location export, shared so every geographic
+// output selects, hides, collapses and orders photos the same way: locations inside private zones are dropped
+// or coarsened first, bursts and brackets are optionally collapsed, and photos are sorted by capture time.
+async function collectTourPhotos(args) {
+  const { locationPrivacy, collapseSequences = false } = args;
+  validateBooleanInput(collapseSequences, 'collapseSequences');
+  const sequenceOptions = getSequenceOptions(args);
+  const privacy = locationPrivacy === undefined ? null : normalizeLocationPrivacy(locationPrivacy);
+  
+  // Collect photo data with GPS, one file at a time so large folders need no limit
+  const selection = await selectBatchFiles(args);
+  const gpsPhotoData = await processPhotosForKMZ(selection.files.map(file => file.filepath));
+  
+  // Drop or snap wrong fixes first, so privacy zones also apply to snapped positions
+  const { photoData: allPhotoData, outliers, outlierAction } = cleanGpsOutliers(gpsPhotoData, args);
+  
+  // Hide or coarsen locations before anything is plotted
+  const { photoData, hidden, coarsened } = privacy
+    ? applyKmzLocationPrivacy(allPhotoData, privacy)
+    : { photoData: allPhotoData, hidden: 0, coarsened: 0 };
+  
+  // Collapse bursts and brackets among the photos left after privacy into their representative frames
+  const sequences = collapseSequences && photoData.length > 0 ? await collapsePhotoSequences(photoData, sequenceOptions) : [];
+  
+  // Sort by datetime to ensure correct path order
+  photoData.sort((a, b) => new Date(a.datetime) - new Date(b.datetime));
+  // Dropped outliers (including ones snap could not place), hidden photos and collapsed frames all leave gaps
+  if (photoData.length < gpsPhotoData.length) {
+    numberTourPhotos(photoData);
+  }
+  
+  return { selection, photoData, hidden, coarsened, sequences, privacy, collapseSequences, outliers, outlierAction };
+}
+
+// Helper function to find GPS outliers among tour photos and drop, snap or keep them. Sorts photoData by capture time
+function cleanGpsOutliers(photoData, { gpsOutliers = 'keep', maxSpeedKmh = 300, maxPositioningError = 100, maxDop = 10 }) {
+  if (!OUTLIER_ACTIONS.includes(gpsOutliers)) {
+    throw new Error(`gpsOutliers must be one of: ${OUTLIER_ACTIONS.join(', ')}`);
+  }
+  validateNumericInput(maxSpeedKmh, 'maxSpeedKmh', 10, 5000);
+  validateNumericInput(maxPositioningError, 'maxPositioningError', 1, 100000);
+  validateNumericInput(maxDop, 'maxDop', 1, 100);
+  
+  // Photos without a capture time go last and are left out of the speed check
+  const timeOf = (photo) => (photo.datetime === null || photo.datetime === undefined ? NaN : new Date(photo.datetime).getTime());
+  const sortKey = (photo) => (Number.isNaN(timeOf(photo)) ? Infinity : timeOf(photo));
+  photoData.sort((a, b) => (sortKey(a) - sortKey(b)) || 0);
+  const points = photoData.map(photo => ({
+    latitude: photo.latitude,
+    longitude: photo.longitude,
+    time: timeOf(photo),
+    positioningError: photo.positioningError,
+    dop: photo.dop
+  }));
+  const found = detectGpsOutliers(points, { maxSpeedKmh, maxPositioningError, maxDop });
+  const outlierIndexes = new Set(found.map(outlier => outlier.index));
+  
+  const outliers = found.map(({ index, reasons }) => ({ photo: photoData[index], reasons, snapped: null }));
+  if (gpsOutliers === 'snap') {
+    // Interpolate every position before moving any, so snapped photos never anchor each other
+    const positions = found.map(({ index }) => interpolatePosition(points, index, outlierIndexes));
+    outliers.forEach((outlier, i) => {
+      if (positions[i]) {
+        // The altitude of a wrong fix is as wrong as its position
+        Object.assign(outlier.photo, positions[i], { altitude: 0, hasAltitude: false });
+        outlier.snapped = positions[i];
+      }
+    });
+  }
+  
+  // Photos that could not be snapped (every photo is an outlier) are dropped as well
+  const removed = new Set(outliers
+    .filter(outlier => gpsOutliers === 'drop' || (gpsOutliers === 'snap' && !outlier.snapped))
+    .map(outlier => outlier.photo));
+  return { photoData: photoData.filter(photo => !removed.has(photo)), outliers, outlierAction: gpsOutliers };
+}
+
+// Helper function to list GPS outliers for a summary, one line per photo with what was done and why
+function formatGpsOutliers(outliers, action) {
+  if (outliers.length === 0) {
+    return '';
+  }
+  const done = { drop: 'dropped', snap: 'snapped to an interpolated position', keep: 'kept as they are' }[action];
+  let text = `🛰️  GPS outliers: ${outliers.length} ${done}\n`;
+  for (const { photo, reasons, snapped } of outliers) {
+    const fate = action === 'snap' && !snapped ? ' (dropped, no position to snap to)' : '';
+    text += `   - ${photo.filename}: ${reasons.join('; ')}${fate}\n`;
+  }
+  return text;
+}
+
+// Helper function to clean report photo locations the way tours do: GPS outliers are dropped, snapped or kept,
+// then private zones hide or coarsen what is left. Photos stay in the report; only their position changes or goes.
+function cleanReportLocations(photos, args, privacy) {
+  const located = photos.filter(photo => photo.latitude !== null).map(photo => ({
+    photo,
+    filename: path.basename(photo.relativePath),
+    datetime: photo.time,
+    latitude: photo.latitude,
+    longitude: photo.longitude,
+    positioningError: photo.positioningError,
+    dop: photo.dop
+  }));
+  const { photoData: cleaned, outliers, outlierAction } = cleanGpsOutliers(located, args);
+  const { photoData: visible, hidden } = privacy
+    ? applyKmzLocationPrivacy(cleaned, privacy)
+    : { photoData: cleaned, hidden: 0 };
+  
+  const positions = new Map(visible.map(entry => [entry.photo, entry]));
+  for (const { photo } of located) {
+    const position = positions.get(photo);
+    photo.latitude = position ? position.latitude : null;
+    photo.longitude = position ? position.longitude : null;
+  }
+  return { hidden, outliers, outlierAction };
+}
+
+// Helper function to cluster sorted tour photos into stops and legs. Each stop carries its number, photos and place
+function segmentTourPhotos(photoData, { stopRadiusMeters = 250, stopGapMinutes = 60 }, privacy = null) {
+  validateNumericInput(stopRadiusMeters, 'stopRadiusMeters', 10, 50000);
+  validateNumericInput(stopGapMinutes, 'stopGapMinutes', 1, 1440);
+  const points = photoData.map(photo => ({
+    latitude: photo.latitude,
+    longitude: photo.longitude,
+    altitude: photo.hasAltitude ? photo.altitude : null,
+    time: new Date(photo.datetime).getTime(),
+    photo
+  }));
+  // A stop centre must stay out of private zones just like the photos it is drawn from
+  const avoid = privacy ? (latitude, longitude) => !!findPrivacyZone(latitude, longitude, privacy.zones) : null;
+  const trip = segmentTrip(points, { radius: stopRadiusMeters, maxGapMinutes: stopGapMinutes, avoid });
+  trip.stops.forEach((stop, index) => {
+    // Resolved from the stop's position, which lies among its (possibly coarsened) photo positions
+    const place = reverseGeocode(stop.latitude, stop.longitude);
+    stop.number = index + 1;
+    stop.place = place ? formatPlace(place) : null;
+    stop.photos = stop.points.map(point => point.photo);
+  });
+  return trip;
+}
+
+// Helper function to format a distance in metres as "850 m" or "12.3 km"
+function formatDistance(meters) {
+  return meters < 1000 ? `${Math.round(meters)} m` : `${(meters / 1000).toFixed(1)} km`;
+}
+
+// Helper function to format one line per leg: distance, elapsed time, average speed and elevation change
+function formatTripLegs(trip) {
+  return trip.legs.map(leg => {
+    const parts = [formatDistance(leg.distance), `in ${formatDuration(leg.elapsed)}`];
+    if (leg.speed !== null) {
+      parts.push(`${leg.speed.toFixed(1)} km/h`);
+    }
+    if (leg.elevationGain !== null) {
+      parts.push(`↑${Math.round(leg.elevationGain)} m ↓${Math.round(leg.elevationLoss)} m`);
+    }
+    return `  ${leg.from + 1} → ${leg.to + 1}: ${parts.join(', ')}`;
+  });
+}
+
+// Helper function to turn a segmented trip into plain JSON with units in the key names
+function formatTripJson(trip) {
+  const round = (value, decimals = 0) => (value === null ? null : Number(value.toFixed(decimals)));
+  return {
+    stops: trip.stops.map(stop => ({
+      number: stop.number,
+      place: stop.place,
+      latitude: round(stop.latitude, 6),
+      longitude: round(stop.longitude, 6),
+      altitudeMeters: round(stop.altitude, 1),
+      start: new Date(stop.start).toISOString(),
+      end: new Date(stop.end).toISOString(),
+      photos: stop.photos.map(photo => photo.filename)
+    })),
+    legs: trip.legs.map(leg => ({
+      from: leg.from + 1,
+      to: leg.to + 1,
+      distanceMeters: round(leg.distance),
+      elapsedSeconds: round(leg.elapsed),
+      averageSpeedKmh: round(leg.speed, 1),
+      elevationGainMeters: round(leg.elevationGain, 1),
+      elevationLossMeters: round(leg.elevationLoss, 1)
+    })),
+    totals: {
+      distanceMeters: round(trip.totals.distance),
+      durationSeconds: round(trip.totals.duration),
+      travelSeconds: round(trip.totals.travelTime),
+      averageSpeedKmh: round(trip.totals.averageSpeed, 1),
+      elevationGainMeters: round(trip.totals.elevationGain, 1),
+      elevationLossMeters: round(trip.totals.elevationLoss, 1)
+    }
+  };
+}
+
+// Helper function to summarize capture settings on one line, e.g. "f/2.8 · 1/250s · ISO 400 · 35mm"
+function formatCaptureSettings({ FNumber, ExposureTime, ISO, FocalLength }) {
+  const parts = [];
+  if (FNumber) {parts.push(`f/${Number(FNumber.toFixed(1))}`);}
+  if (ExposureTime) {parts.push(formatShutterSpeed(ExposureTime));}
+  if (ISO) {parts.push(`ISO ${ISO}`);}
+  if (FocalLength) {parts.push(`${Math.round(FocalLength)}mm`);}
+  return parts.join(' · ');
+}
 
 // Helper function to process photos and extract GPS data
 async function processPhotosForKMZ(filepaths) {
@@ -846,13 +4124,23 @@ async function processPhotosForKMZ(filepaths) {
       validateFileExists(safePath);
       validateImageFile(safePath);
       
-      const exifData = await exifr.parse(safePath, {
+      let exifData = await exifr.parse(safePath, {
         gps: true,
-        pick: ['DateTimeOriginal', 'CreateDate', 'Make', 'Model', 'LensModel']
+        // pick also filters GPS tags, so the position tags must be listed for latitude/longitude to be computed
+        pick: ['DateTimeOriginal', 'CreateDate', 'Make', 'Model', 'LensModel',
+          'GPSLatitude', 'GPSLatitudeRef', 'GPSLongitude', 'GPSLongitudeRef', 'GPSAltitude', 'GPSAltitudeRef',
+          'GPSHPositioningError', 'GPSDOP', 'FNumber', 'ExposureTime', 'ISO', 'FocalLength']
       });
       
-      if (exifData && exifData.latitude && exifData.longitude) {
+      // Photos geotagged into an XMP sidecar carry their position there
+      if (!exifData || !isValidCoordinate(exifData.latitude, exifData.longitude)) {
+        exifData = { ...exifData, ...(await readSidecarPosition(safePath)) };
+      }
+      
+      // A 0, 0 position is kept here so the outlier check can report it
+      if (exifData && isValidCoordinate(exifData.latitude, exifData.longitude)) {
         const filename = path.basename(safePath);
+        const altitude = readGpsAltitude(exifData);
         const photoId = `photo_${photoNumber.toString().padStart(3, '0')}`;
         
         photoData.push({
@@ -862,10 +4150,14 @@ async function processPhotosForKMZ(filepaths) {
           filename: filename,
           latitude: exifData.latitude,
           longitude: exifData.longitude,
-          altitude: exifData.altitude || 0,
+          altitude: altitude ?? 0,
+          hasAltitude: altitude !== null,
+          positioningError: typeof exifData.GPSHPositioningError === 'number' ? exifData.GPSHPositioningError : null,
+          dop: typeof exifData.GPSDOP === 'number' ? exifData.GPSDOP : null,
           datetime: exifData.DateTimeOriginal || exifData.CreateDate || new Date(),
           camera: `${exifData.Make || ''} ${exifData.Model || ''}`.trim(),
           lens: exifData.LensModel || '',
+          settings: formatCaptureSettings(exifData),
           thumbnailName: `${photoId}_thumb.jpg`,
           fullImageName: `${photoId}_full.jpg`
         });
@@ -881,125 +4173,440 @@ async function processPhotosForKMZ(filepaths) {
   return photoData;
 }
 
-// Helper function to create thumbnails for KMZ
-async function createThumbnails(photoData, tempDir, thumbnailSize, includeFullImages) {
+// Helper function to replace each sequence among the KMZ photos by its representative frame, which gets
+// a `sequence` note for its description. Removes the other frames from photoData and returns the sequences.
+async function collapsePhotoSequences(photoData, options) {
+  const frames = [];
+  for (const photo of photoData) {
+    try {
+      frames.push({ ...(await readSequenceFrame({ filepath: photo.filepath, relativePath: photo.filename })), photo });
+    } catch (error) {
+      // Photos whose capture time cannot be read stay single placemarks
+    }
+  }
+  const sequences = detectSequences(frames, options);
+  const collapsed = new Set();
+  for (const sequence of sequences) {
+    const first = sequence.frames[0].relativePath;
+    const last = sequence.frames[sequence.frames.length - 1].relativePath;
+    sequence.representative.photo.sequence = `${formatSequenceHeading(sequence)} (${first} – ${last})`;
+    for (const frame of sequence.frames) {
+      if (frame !== sequence.representative) {
+        collapsed.add(frame.photo);
+      }
+    }
+  }
+  const kept = photoData.filter(photo => !collapsed.has(photo));
+  photoData.splice(0, photoData.length, ...kept);
+  return sequences;
+}
+
+// Helper function to show a report period like "2024-07-09 10:00 – 18:30" or "2024-07-09 10:00 – 2024-07-12 18:30"
+function formatReportPeriod(startMs, endMs) {
+  const format = (ms) => formatExifDateTime(ms).slice(0, 16).replace(/^(\d{4}):(\d{2}):/, '$1-$2-');
+  const start = format(startMs);
+  const end = format(endMs);
+  if (start === end) {
+    return start;
+  }
+  return `${start} – ${start.slice(0, 10) === end.slice(0, 10) ? end.slice(11) : end}`;
+}
+
+// Helper function to render an upright JPEG thumbnail that fits in a size x size box
+async function createThumbnail(filepath, size) {
+  return sharp(filepath)
+    .rotate()
+    .resize(size, size, { fit: 'inside' })
+    .jpeg({ quality: 85 })
+    .toBuffer();
+}
+
+// Helper function to read GPSAltitude in metres, negative below sea level (GPSAltitudeRef 1), or null
+function readGpsAltitude(exifData) {
+  const altitude = Number(exifData && exifData.GPSAltitude);
+  if (!exifData || exifData.GPSAltitude === undefined || !Number.isFinite(altitude)) {
+    return null;
+  }
+  // exifr gives the reference as a number, a raw byte array or a translated "Below Sea Level"
+  const ref = String(exifData.GPSAltitudeRef);
+  const below = ref === '1' || ref.startsWith('Below');
+  return below ? -altitude : altitude;
+}
+
+// Helper function to create thumbnails for KMZ and location exports
+// Returns the names of the thumbnails that were written.
+async function createThumbnails(photoData, imagesDir, thumbnailSize, includeFullImages) {
+  const created = new Set();
   for (const photo of photoData) {
     try {
-      const thumbnailPath = path.join(tempDir, 'images', photo.thumbnailName);
-      await sharp(photo.filepath)
-        .resize(thumbnailSize, thumbnailSize, { fit: 'inside' })
-        .jpeg({ quality: 85 })
-        .toFile(thumbnailPath);
+      const thumbnailPath = path.join(imagesDir, photo.thumbnailName);
+      await writeFile(thumbnailPath, await createThumbnail(photo.filepath, thumbnailSize));
+      created.add(photo.thumbnailName);
         
       // Include full images if requested
       if (includeFullImages && photo.fullImageName) {
-        const fullImagePath = path.join(tempDir, 'images', photo.fullImageName);
+        const fullImagePath = path.join(imagesDir, photo.fullImageName);
         await sharp(photo.filepath)
           .jpeg({ quality: 90 })
           .toFile(fullImagePath);
+        created.add(photo.fullImageName);
       }
     } catch (error) {
       // Skip thumbnails that can't be created - this is handled gracefully
       // Error details are available in the final summary if needed
     }
   }
+  return created;
+}
+
+// Helper function to format the strip_exif summary with the exact tags kept and removed
+function formatStripSummary(filepath, backup, { keep, remove, filtered, format, lossless, location }) {
+  let summary = `🔒 EXIF Data Stripped Successfully\n${'='.repeat(50)}\n\n` +
+    `📁 File: ${path.basename(filepath)}\n` +
+    `🖼️  Format: ${format.toUpperCase()} (${lossless ? 'image data untouched' : 're-encoded'})\n` +
+    `💾 Backup: ${backup ? 'Created (.original)' : 'Not created'}\n`;
+  
+  const ext = path.extname(filepath).toLowerCase();
+  if (!FORMAT_EXTENSIONS[format].includes(ext)) {
+    summary += `⚠️  File content is ${format.toUpperCase()} but the extension is ${ext}\n`;
+  }
+  
+  if (keep.length > 0) {
+    summary += `🏷️  Mode: keep only ${keep.join(', ')}\n`;
+  } else if (remove.length > 0) {
+    summary += `🏷️  Mode: remove only ${remove.join(', ')}\n`;
+  } else {
+    summary += `🏷️  Mode: remove all metadata\n`;
+  }
+  
+  if (!filtered) {
+    summary += `⚠️  Note: All metadata has been removed for privacy.\n`;
+    if (keep.length > 0 || remove.length > 0) {
+      summary += `⚠️  Re-encoding cannot preserve individual tags, so the ${keep.length > 0 ? 'keep' : 'remove'} list was not applied.\n`;
+    }
+    return summary;
+  }
+  
+  const formatTags = (tags) => (tags.length > 0 ? tags.map(tag => `  ${tag}`).join('\n') : '  None');
+  summary += `\n✅ Kept (${filtered.kept.length}):\n${formatTags(filtered.kept)}\n`;
+  summary += `\n🗑️  Removed (${filtered.removed.length}):\n${formatTags(filtered.removed)}\n`;
+  
+  if (filtered.unmatched.length > 0) {
+    summary += `\n⚠️  Not found in file: ${filtered.unmatched.join(', ')}\n`;
+  }
+  
+  if (location) {
+    summary += `\n📍 Location: ${formatLocationDecision(location)}\n`;
+  }
+  
+  if (remove.length === 0 && filtered.kept.some(tag => PRESERVED_TAGS.some(name => tag.endsWith(`:${name}`)))) {
+    summary += `\n💡 ${PRESERVED_TAGS.join(', ')} is kept so the photo displays the same way. ` +
+      `Use remove: ["${PRESERVED_TAGS[0]}"] to drop it.\n`;
+  }
+  
+  return summary;
 }
 
-// Helper function to generate KML content
-function generateKML(photoData, title, description, drawPath, numberPhotos) {
-  const kml = [];
+// Helper function to strip metadata from an image buffer while keeping its container.
+// JPEG, PNG and WebP are rewritten segment by segment; other containers need a re-encode.
+// With location privacy rules, GPS survives unless explicitly removed and is then removed, snapped or rounded.
+async function stripImageMetadata(buffer, { keep = [], remove = [], allowReencode = false, privacy = null }) {
+  const format = detectImageFormat(buffer);
+  if (!format) {
+    throw new Error('Unrecognized image format');
+  }
   
-  kml.push('<?xml version="1.0" encoding="UTF-8"?>');
-  kml.push('<kml xmlns="http://www.opengis.net/kml/2.2">');
-  kml.push('<Document>');
-  kml.push(`  <name>${escapeXml(title)}</name>`);
-  if (description) {
-    kml.push(`  <description>${escapeXml(description)}</description>`);
+  const lossless = LOSSLESS_FORMATS.includes(format);
+  if (!lossless && !allowReencode) {
+    throw new Error(`${format.toUpperCase()} metadata cannot be removed without re-encoding the image. ` +
+      'Set allowReencode=true to re-encode it in the same format (this drops all metadata).');
   }
   
-  // Add styles
-  kml.push('  <Style id="photoIcon">');
-  kml.push('    <IconStyle>');
-  kml.push('      <Icon>');
-  kml.push('        <href>http://maps.google.com/mapfiles/kml/paddle/red-circle.png</href>');
-  kml.push('      </Icon>');
-  kml.push('      <hotSpot x="0.5" y="0" xunits="fraction" yunits="fraction"/>');
-  kml.push('    </IconStyle>');
-  kml.push('  </Style>');
+  if (!lossless) {
+    if (format === 'heif' && !canEncodeHeic()) {
+      throw new Error('HEIC re-encode not supported: the installed image library has no HEVC encoder. ' +
+        'Convert the photo to JPEG first, or install sharp with a libvips build that includes libde265 and x265.');
+    }
+    return { buffer: await reencodeWithoutMetadata(buffer, format), filtered: null, format, lossless };
+  }
   
-  kml.push('  <Style id="pathStyle">');
-  kml.push('    <LineStyle>');
-  kml.push('      <color>ff0000ff</color>');
-  kml.push('      <width>3</width>');
-  kml.push('    </LineStyle>');
-  kml.push('  </Style>');
+  const preserve = privacy ? [...PRESERVED_TAGS, 'GPS'] : PRESERVED_TAGS;
+  const filtered = filterMetadata(extractMetadata(buffer), { keep, remove, preserve });
+  if (!privacy) {
+    return { buffer: writeMetadata(buffer, filtered.metadata), filtered, format, lossless, location: null };
+  }
   
-  // Add photo placemarks
-  kml.push('  <Folder>');
-  kml.push('    <name>Photos</name>');
+  const { metadata, location } = applyLocationPrivacy(filtered.metadata, privacy);
+  if (location && location.action === 'removed') {
+    // Report GPS tags dropped by a private zone alongside the other removed tags
+    const isGps = (tag) => /^(EXIF|XMP:exif):GPS/.test(tag);
+    filtered.removed.push(...filtered.kept.filter(isGps));
+    filtered.kept = filtered.kept.filter(tag => !isGps(tag));
+  }
+  return { buffer: writeMetadata(buffer, metadata), filtered, format, lossless, location };
+}
+
+// Helper function to describe what location privacy did to one photo
+function formatLocationDecision(location) {
+  const fixed = (value) => Number(value.toFixed(6));
+  switch (location.action) {
+    case 'removed':
+      return `GPS removed (inside private zone "${location.zone}")`;
+    case 'snapped':
+      return `Snapped to a ${location.gridSize} m grid at ${fixed(location.latitude)}, ${fixed(location.longitude)} ` +
+        `(inside private zone "${location.zone}")`;
+    case 'rounded':
+      return `Rounded to ${location.precision} decimals: ${fixed(location.latitude)}, ${fixed(location.longitude)}`;
+    default:
+      return 'Outside all private zones, unchanged';
+  }
+}
+
+// Helper function to apply private zones to KMZ photo locations.
+// Photos whose (possibly snapped) position is still inside a zone are never plotted.
+function applyKmzLocationPrivacy(allPhotoData, privacy) {
+  const photoData = [];
+  let hidden = 0;
+  let coarsened = 0;
   
-  for (const photo of photoData) {
-    kml.push('    <Placemark>');
-    kml.push(`      <name>${numberPhotos ? `${photo.number}. ` : ''}${escapeXml(photo.filename)}</name>`);
-    
-    // Create description with thumbnail
-    const desc = [];
-    desc.push('<![CDATA[');
-    desc.push(`<img src="images/${photo.thumbnailName}" width="${Math.min(400, 800)}" /><br/>`);
-    desc.push(`<b>Photo #${photo.number}</b><br/>`);
-    desc.push(`Date: ${formatDate(photo.datetime)}<br/>`);
-    if (photo.camera) {desc.push(`Camera: ${photo.camera}<br/>`);}
-    if (photo.lens) {desc.push(`Lens: ${photo.lens}<br/>`);}
-    desc.push(`GPS: ${photo.latitude.toFixed(6)}, ${photo.longitude.toFixed(6)}<br/>`);
-    if (photo.altitude > 0) {desc.push(`Altitude: ${photo.altitude.toFixed(1)}m<br/>`);}
-    desc.push(']]>');
-    
-    kml.push(`      <description>${desc.join('')}</description>`);
-    kml.push('      <styleUrl>#photoIcon</styleUrl>');
-    kml.push('      <Point>');
-    kml.push(`        <coordinates>${photo.longitude},${photo.latitude},${photo.altitude}</coordinates>`);
-    kml.push('      </Point>');
-    kml.push('      <TimeStamp>');
-    kml.push(`        <when>${new Date(photo.datetime).toISOString()}</when>`);
-    kml.push('      </TimeStamp>');
-    kml.push('    </Placemark>');
-  }
-  
-  kml.push('  </Folder>');
-  
-  // Add path if requested
-  if (drawPath && photoData.length > 1) {
-    kml.push('  <Placemark>');
-    kml.push('    <name>Photo Path</name>');
-    kml.push('    <description>The path taken between photos</description>');
-    kml.push('    <styleUrl>#pathStyle</styleUrl>');
-    kml.push('    <LineString>');
-    kml.push('      <tessellate>1</tessellate>');
-    kml.push('      <coordinates>');
-    
-    for (const photo of photoData) {
-      kml.push(`        ${photo.longitude},${photo.latitude},${photo.altitude}`);
+  for (const photo of allPhotoData) {
+    const location = resolveLocationPrivacy(photo.latitude, photo.longitude, privacy);
+    if (location.action === 'removed' || findPrivacyZone(location.latitude, location.longitude, privacy.zones)) {
+      hidden++;
+      continue;
     }
-    
-    kml.push('      </coordinates>');
-    kml.push('    </LineString>');
-    kml.push('  </Placemark>');
+    if (location.action !== 'unchanged') {
+      coarsened++;
+    }
+    photoData.push({ ...photo, latitude: location.latitude, longitude: location.longitude });
+  }
+  
+  // Renumber so gaps in numbers and image names do not reveal how many photos were hidden
+  numberTourPhotos(photoData);
+  
+  return { photoData, hidden, coarsened };
+}
+
+// Helper function to read the metadata of an image that can be edited in place.
+// Returns an empty TIFF block when the file has no EXIF yet.
+function readImageExif(buffer) {
+  const format = detectImageFormat(buffer);
+  if (!LOSSLESS_FORMATS.includes(format)) {
+    throw new Error(`${format ? format.toUpperCase() : 'Unrecognized'} files cannot be edited in place. ` +
+      'Supported formats: JPEG, PNG, WebP');
+  }
+  
+  const metadata = extractMetadata(buffer);
+  const tiff = metadata.exif
+    ? parseTiff(metadata.exif)
+    : { littleEndian: true, ifd0: [], exif: [], gps: [], interop: [], ifd1: [], thumbnail: null };
+  return { format, metadata, tiff };
+}
+
+// Helper function to write EXIF tags into an image buffer, leaving the image data and other metadata untouched
+function writeImageTags(buffer, values) {
+  const { format, metadata, tiff } = readImageExif(buffer);
+  const changes = writeTags(tiff, values);
+  
+  // XMP copies of the same fields are left alone; readers may prefer either value
+  const xmpNames = new Set(metadata.xmp ? parseXmp(metadata.xmp).properties.map(p => p.name) : []);
+  const shadowed = Object.keys(values).filter(tagName => xmpNames.has(tagName));
+  
+  return { buffer: writeMetadata(buffer, { ...metadata, exif: buildTiff(tiff) }), changes, format, shadowed };
+}
+
+// Helper function to compute shifted capture times for one image. Only tags present in the file are shifted.
+function shiftImageTimes(buffer, shiftSeconds, offsetTime) {
+  const { tiff } = readImageExif(buffer);
+  const values = {};
+  const skipped = [];
+  
+  for (const tagName of DATE_TAGS) {
+    const current = readTagValue(tiff, tagName);
+    if (current === null) {
+      continue;
+    }
+    const ms = parseExifDateTime(current);
+    if (ms === null) {
+      skipped.push(`${tagName} ("${current}" is not a valid date)`);
+      continue;
+    }
+    values[tagName] = formatExifDateTime(ms + shiftSeconds * 1000);
+  }
+  
+  if (Object.keys(values).length === 0) {
+    throw new Error(`No ${DATE_TAGS.join(', ')} found to shift`);
+  }
+  if (offsetTime) {
+    values.OffsetTimeOriginal = offsetTime;
+  }
+  
+  return { ...writeImageTags(buffer, values), skipped };
+}
+
+// Helper function to copy a file into a backup folder, keeping its relative path and never overwriting
+async function copyToBackup(filepath, relativePath, backupDir) {
+  const ext = path.extname(relativePath);
+  let backupPath = path.join(backupDir, relativePath);
+  let dupCounter = 1;
+  while (existsSync(backupPath)) {
+    backupPath = path.join(backupDir, `${relativePath.slice(0, -ext.length)}_${dupCounter}${ext}`);
+    dupCounter++;
+  }
+  await mkdir(path.dirname(backupPath), { recursive: true });
+  await copyFile(filepath, backupPath);
+  return backupPath;
+}
+
+// Helper function to get the XMP sidecar path for a photo (IMG_0001.jpg -> IMG_0001.xmp)
+function getSidecarPath(filepath, access = 'read') {
+  const ext = path.extname(filepath);
+  return validateFilePath(path.join(path.dirname(filepath), `${path.basename(filepath, ext)}.xmp`), access);
+}
+
+// Helper function to read the GPS position from a photo's XMP sidecar, if any
+async function readSidecarPosition(filepath) {
+  const sidecarPath = getSidecarPath(filepath);
+  if (!existsSync(sidecarPath)) {
+    return null;
+  }
+  const { properties } = parseXmp(await readFile(sidecarPath, 'utf8'));
+  const value = (name) => {
+    const property = properties.find(p => p.prefix === 'exif' && p.name === name);
+    return property ? parseXmpCoordinate(property.value) : null;
+  };
+  const latitude = value('GPSLatitude');
+  const longitude = value('GPSLongitude');
+  return latitude !== null && longitude !== null ? { latitude, longitude } : null;
+}
+
+// Helper function to read a photo's raw capture time, UTC offset and whether it already has GPS
+async function readPhotoTiming(safePath) {
+  const exifData = await exifr.parse(safePath, {
+    pick: ['DateTimeOriginal', 'CreateDate', 'OffsetTimeOriginal', 'GPSLatitude', 'GPSLongitude'],
+    reviveValues: false
+  }) || {};
+  const dateTime = exifData.DateTimeOriginal || exifData.CreateDate;
+  return {
+    cameraMs: dateTime ? parseExifDateTime(dateTime) : null,
+    offsetTime: exifData.OffsetTimeOriginal || null,
+    hasGps: !!(exifData.GPSLatitude && exifData.GPSLongitude)
+  };
+}
+
+// Helper function to write a GPS position into an XMP sidecar, keeping anything else already in it
+async function writeGpsSidecar(filepath, position) {
+  const sidecarPath = getSidecarPath(filepath, 'write');
+  const existing = existsSync(sidecarPath) ? await readFile(sidecarPath, 'utf8') : null;
+  const xml = mergeXmpProperties(existing, formatGpsSidecarProperties(position));
+  await writeFile(sidecarPath, xml);
+  return { sidecarPath, previous: existing, xml };
+}
+
+// Helper function to express a { latitude, longitude, altitude } position as XMP exif: properties
+function formatGpsSidecarProperties(position) {
+  const altitude = position.altitude === null ? null : Math.abs(position.altitude);
+  return [
+    { prefix: 'exif', name: 'GPSVersionID', value: '2.3.0.0' },
+    { prefix: 'exif', name: 'GPSLatitude', value: formatXmpCoordinate(position.latitude, 'N', 'S') },
+    { prefix: 'exif', name: 'GPSLongitude', value: formatXmpCoordinate(position.longitude, 'E', 'W') },
+    { prefix: 'exif', name: 'GPSAltitude', value: altitude === null ? null : `${Math.round(altitude * 10)}/10` },
+    { prefix: 'exif', name: 'GPSAltitudeRef', value: altitude === null ? null : (position.altitude < 0 ? '1' : '0') }
+  ];
+}
+
+// Helper function to read what export_to_lightroom copies from an image: its GPS position and its capture time
+// as an XMP date ("2024-07-04T14:30:22+02:00", without an offset when the camera wrote none)
+async function readLightroomExif(safePath) {
+  const exifData = await exifr.parse(safePath, {
+    gps: true,
+    reviveValues: false,
+    pick: ['DateTimeOriginal', 'CreateDate', 'OffsetTimeOriginal',
+      'GPSLatitude', 'GPSLatitudeRef', 'GPSLongitude', 'GPSLongitudeRef', 'GPSAltitude', 'GPSAltitudeRef']
+  }) || {};
+  const position = isValidCoordinate(exifData.latitude, exifData.longitude)
+    ? { latitude: exifData.latitude, longitude: exifData.longitude, altitude: readGpsAltitude(exifData) }
+    : null;
+  const dateTime = exifData.DateTimeOriginal || exifData.CreateDate;
+  const ms = dateTime ? parseExifDateTime(dateTime) : null;
+  const offset = /^[+-]\d{2}:\d{2}$/.test(exifData.OffsetTimeOriginal || '') ? exifData.OffsetTimeOriginal : '';
+  const captureTime = ms === null ? null : `${new Date(ms).toISOString().slice(0, 19)}${offset}`;
+  return { position, captureTime };
+}
+
+// Helper function to read the capture time of a reference photo as naive milliseconds
+async function readCaptureTime(safePath) {
+  const { tiff } = readImageExif(await readFile(safePath));
+  for (const tagName of DATE_TAGS) {
+    const ms = parseExifDateTime(readTagValue(tiff, tagName) || '');
+    if (ms !== null) {
+      return ms;
+    }
+  }
+  throw new Error(`Reference photo ${path.basename(safePath)} has no capture time`);
+}
+
+// Helper function to format the write_exif before/after diff
+function formatWriteSummary(filepath, { backup, dryRun, changes, format, shadowed }) {
+  const formatValue = (value) => {
+    if (value === null) {
+      return '(not set)';
+    }
+    if (typeof value === 'string') {
+      return JSON.stringify(value);
+    }
+    if (Array.isArray(value)) {
+      return value.map(formatValue).join(', ');
+    }
+    return typeof value === 'number' ? String(Number(value.toFixed(6))) : String(value);
+  };
+  
+  let summary = dryRun
+    ? `✏️  EXIF Write Preview (dry run - nothing was written)\n${'='.repeat(50)}\n\n`
+    : `✏️  EXIF Data Written Successfully\n${'='.repeat(50)}\n\n`;
+  summary += `📁 File: ${path.basename(filepath)}\n`;
+  summary += `🖼️  Format: ${format.toUpperCase()} (image data untouched)\n`;
+  if (dryRun) {
+    summary += `💾 Backup: ${backup ? 'Would be created (.original)' : 'Would not be created'}\n`;
+  } else {
+    summary += `💾 Backup: ${backup ? 'Created (.original)' : 'Not created'}\n`;
+  }
+  
+  summary += `\nChanges:\n`;
+  for (const change of changes) {
+    const before = formatValue(change.before);
+    const after = formatValue(change.after);
+    summary += before === after
+      ? `  ${change.name}: ${before} (unchanged)\n`
+      : `  ${change.name}: ${before} → ${after}\n`;
   }
   
-  kml.push('</Document>');
-  kml.push('</kml>');
+  if (shadowed.length > 0) {
+    summary += `\n⚠️  XMP also contains ${shadowed.join(', ')}; those copies were not changed.\n`;
+  }
   
-  return kml.join('\n');
+  return summary;
+}
+
+// Helper function to check for an HEVC encoder; the prebuilt sharp binaries only handle AVIF in HEIF containers
+function canEncodeHeic() {
+  const heif = sharp.format.heif;
+  return Boolean(heif && heif.output.buffer && (heif.input.fileSuffix || []).includes('.heic'));
 }
 
-// Helper function to escape XML
-function escapeXml(str) {
-  return str
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;')
-    .replace(/'/g, '&apos;');
+// Helper function to re-encode formats whose metadata cannot be removed segment by segment
+async function reencodeWithoutMetadata(buffer, format) {
+  // Bake the orientation into the pixels since the EXIF Orientation tag is dropped
+  const image = sharp(buffer).rotate();
+  
+  switch (format) {
+    case 'tiff':
+      return image.tiff({ compression: 'lzw' }).toBuffer();
+    case 'avif':
+      return image.avif({ quality: 90 }).toBuffer();
+    default:
+      return image.heif({ compression: 'hevc', quality: 90 }).toBuffer();
+  }
 }
 
 // Helper function to remove directory recursively
@@ -1008,32 +4615,142 @@ async function removeDir(dir) {
   await rm(dir, { recursive: true, force: true });
 }
 
-// Helper function to format date for renaming
-function formatDateForRename(date, format) {
-  const d = date instanceof Date ? date : new Date(date);
-  
-  const year = d.getFullYear();
-  const month = (d.getMonth() + 1).toString().padStart(2, '0');
-  const day = d.getDate().toString().padStart(2, '0');
-  
-  return format
-    .replace('YYYY', year)
-    .replace('MM', month)
-    .replace('DD', day);
+// Helper function to turn a place name into a filename part, dropping accents so "Île-de-France" keeps its letters
+function toFilenamePart(value) {
+  return String(value || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '');
 }
 
-// Helper function to format time for renaming
-function formatTimeForRename(date, format) {
-  const d = date instanceof Date ? date : new Date(date);
-  
-  const hours = d.getHours().toString().padStart(2, '0');
-  const minutes = d.getMinutes().toString().padStart(2, '0');
-  const seconds = d.getSeconds().toString().padStart(2, '0');
+// Helper function to read the tags rename and organize templates can use
+async function readTemplateExif(safePath) {
+  return exifr.parse(safePath, {
+    gps: true,
+    xmp: true,
+    iptc: true
+  });
+}
+
+// Helper function to collect the date, camera and place variables of rename and organize templates
+function getPhotoTemplateFields(exifData) {
+  // Get location data if available
+  let location = '';
+  let city = '';
+  let region = '';
+  let country = '';
+  let countryCode = '';
+  if (exifData && exifData.latitude && exifData.longitude) {
+    location = `${exifData.latitude.toFixed(4)}_${exifData.longitude.toFixed(4)}`;
+    // IPTC/XMP location fields win; the bundled gazetteer fills in whatever is missing
+    const place = reverseGeocode(exifData.latitude, exifData.longitude) || {};
+    city = toFilenamePart(exifData.City || place.city);
+    region = toFilenamePart(exifData['Province-State'] || exifData.State || place.region);
+    country = toFilenamePart(exifData.Country || exifData['Country-PrimaryLocationName'] || place.country);
+    countryCode = place.countryCode || '';
+  }
   
-  return format
-    .replace('HH', hours)
-    .replace('mm', minutes)
-    .replace('ss', seconds);
+  const date = exifData ? toValidDate(exifData.DateTimeOriginal || exifData.CreateDate) : null;
+  return {
+    date,
+    time: date,
+    datetime: date,
+    year: date && formatTemplateDate(date, 'YYYY'),
+    month: date && formatTemplateDate(date, 'MM'),
+    monthname: date && formatTemplateDate(date, 'MMMM'),
+    day: date && formatTemplateDate(date, 'DD'),
+    camera: exifData && exifData.Make ? exifData.Make.replace(/\s+/g, '') : '',
+    model: exifData && exifData.Model ? exifData.Model.replace(/\s+/g, '') : '',
+    lens: exifData && exifData.LensModel ? exifData.LensModel.replace(/[/\s]+/g, '-') : '',
+    location,
+    city,
+    region,
+    country,
+    countrycode: countryCode
+  };
+}
+
+// Helper function to render a compiled template for one photo; unknown variables are looked up among its tags.
+// With pathSafe, slashes inside values are replaced so only the template itself creates folder levels.
+function renderPhotoTemplate(compiled, exifData, variables, { dateFormat, timeFormat, pathSafe = false }) {
+  const lookup = (name) => (Object.hasOwn(variables, name) ? variables[name] : findExifTag(exifData, name));
+  return renderTemplate(compiled, {
+    lookup: pathSafe
+      ? (name) => {
+        const value = lookup(name);
+        return typeof value === 'string' ? value.replace(/[/\\]/g, '-') : value;
+      }
+      : lookup,
+    formats: {
+      date: dateFormat,
+      time: timeFormat,
+      datetime: `${dateFormat}_${timeFormat}`,
+      counter: '3',
+      dircounter: '3'
+    },
+    defaults: {
+      date: 'NoDate',
+      time: 'NoTime',
+      datetime: 'NoDateTime',
+      camera: exifData ? 'Unknown' : 'NoCamera'
+    }
+  });
+}
+
+// Helper function to split a rendered folder pattern into clean folder names, dropping empty and dot-only levels
+function toFolderSegments(rendered) {
+  return rendered.split(/[/\\]+/)
+    .map(segment => cleanFilenamePart(segment.trim()))
+    .filter(segment => segment && !/^\.+$/.test(segment));
+}
+
+// Helper function to check whether two files have the same content
+async function isSameFileContent(a, b) {
+  const [infoA, infoB] = await Promise.all([stat(a), stat(b)]);
+  if (!infoB.isFile() || infoA.size !== infoB.size) {
+    return false;
+  }
+  const [dataA, dataB] = await Promise.all([readFile(a), readFile(b)]);
+  return dataA.equals(dataB);
+}
+
+// Helper function to move a file, copying it when the destination is on another device
+async function moveFile(from, to) {
+  try {
+    await rename(from, to);
+  } catch (error) {
+    if (error.code !== 'EXDEV') {
+      throw error;
+    }
+    await copyFile(from, to, fsConstants.COPYFILE_EXCL);
+    await unlink(from);
+  }
+}
+
+// Helper function to clean a rendered template into a safe file or folder name
+function cleanFilenamePart(name) {
+  return name
+    .replace(/_{2,}/g, '_')  // Replace multiple underscores
+    .replace(/^_|_$/g, '')   // Remove leading/trailing underscores
+    .replace(/[^\w\-_.]/g, '_'); // Replace invalid characters
+}
+
+// Helper function to turn an EXIF date (a Date, or a string exifr could not revive) into a valid Date or null
+function toValidDate(value) {
+  if (!value) {
+    return null;
+  }
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// Helper function to look up any parsed tag for rename templates, e.g. {ISO} or {focallength}
+function findExifTag(exifData, name) {
+  if (!exifData) {
+    return undefined;
+  }
+  if (Object.hasOwn(exifData, name)) {
+    return exifData[name];
+  }
+  const key = Object.keys(exifData).find(tag => tag.toLowerCase() === name.toLowerCase());
+  return key ? exifData[key] : undefined;
 }
 
 // Helper function to format EXIF data nicely
@@ -1074,6 +4791,8 @@ function formatExifData(exifData, filepath) {
     output.push(`  Latitude: ${exifData.latitude}`);
     output.push(`  Longitude: ${exifData.longitude}`);
     if (exifData.altitude) {output.push(`  Altitude: ${exifData.altitude}m`);}
+    const place = reverseGeocode(exifData.latitude, exifData.longitude);
+    if (place) {output.push(`  Nearest Place: ${formatPlace(place)}, ${formatDistance(place.distance)} away`);}
     output.push(`  Google Maps: https://www.google.com/maps?q=${exifData.latitude},${exifData.longitude}`);
     output.push('');
   }
@@ -1103,22 +4822,10 @@ function formatExifData(exifData, filepath) {
   return output.join('\n');
 }
 
-function formatShutterSpeed(exposureTime) {
-  if (exposureTime < 1) {
-    return `1/${Math.round(1/exposureTime)}s`;
-  }
-  return `${exposureTime}s`;
-}
-
-function formatDate(date) {
-  if (date instanceof Date) {
-    return date.toLocaleString();
-  }
-  return date.toString();
-}
-
 // Start the server
 async function main() {
+  sandbox = loadSandboxConfig();
+  journalDir = resolveJournalDir();
   const transport = new StdioServerTransport();
   await server.connect(transport);
   // Server is running - no need for console output in production
@@ -0,0 +1,74 @@
+import { readdir } from 'fs/promises';
+import path from 'path';
+
+// Companion files share a photo's basename and belong with it: RAW+JPEG pairs, Live Photo clips and sidecars.
+// Both IMG_1234.xmp and IMG_1234.HEIC.xmp count as companions of IMG_1234.HEIC.
+
+export const COMPANION_EXTENSIONS = {
+  raw: ['.dng', '.cr2', '.cr3', '.crw', '.nef', '.nrw', '.arw', '.srf', '.sr2', '.raf', '.orf', '.rw2', '.pef', '.srw', '.x3f', '.3fr', '.iiq', '.rwl'],
+  video: ['.mov', '.mp4'],
+  sidecar: ['.xmp', '.aae']
+};
+
+export const DEFAULT_COMPANION_EXTENSIONS = Object.values(COMPANION_EXTENSIONS).flat();
+
+export function normalizeCompanionExtensions(extensions) {
+  if (!Array.isArray(extensions) || !extensions.every(ext => typeof ext === 'string' && /^\.?[\w-]{1,10}$/.test(ext))) {
+    throw new Error('companionExtensions must be an array of file extensions, e.g. [".mov", ".xmp"]');
+  }
+  return extensions.map(ext => (ext.startsWith('.') ? ext : `.${ext}`).toLowerCase());
+}
+
+// Whether a companion holds metadata for its photo, so stripping the photo alone would leave it behind
+export function isMetadataSidecar(filepath) {
+  return path.extname(filepath).toLowerCase() === '.xmp';
+}
+
+const groupKey = (filepath) => path.join(path.dirname(filepath), path.basename(filepath, path.extname(filepath))).toLowerCase();
+
+// Attach companions to batch files ({ filepath, relativePath }). Returns the primary files, each with
+// `companions: [{ filepath, relativePath }]`. A selected file that is a companion of another selected file
+// (e.g. the RAW of a RAW+JPEG pair) is carried along with it instead of being processed on its own,
+// and each companion belongs to one primary only.
+export async function attachCompanions(files, extensions) {
+  const isCompanionType = (filepath) => extensions.includes(path.extname(filepath).toLowerCase());
+  const primaryKeys = new Set(files.filter(file => !isCompanionType(file.filepath)).map(file => groupKey(file.filepath)));
+  const primaries = files.filter(file => !isCompanionType(file.filepath) || !primaryKeys.has(groupKey(file.filepath)));
+  const primaryPaths = new Set(primaries.map(file => file.filepath));
+
+  const listings = new Map();
+  const claimed = new Set();
+  const result = [];
+
+  for (const file of primaries) {
+    const dir = path.dirname(file.filepath);
+    if (!listings.has(dir)) {
+      // Only regular files: symlinks are not followed, like the batch directory walk
+      const entries = await readdir(dir, { withFileTypes: true });
+      listings.set(dir, entries.filter(entry => entry.isFile() && !entry.name.startsWith('.')).map(entry => entry.name).sort());
+    }
+
+    const name = path.basename(file.filepath);
+    const base = path.basename(name, path.extname(name)).toLowerCase();
+    const companions = [];
+    for (const candidate of listings.get(dir)) {
+      const candidatePath = path.join(dir, candidate);
+      const ext = path.extname(candidate);
+      const stem = candidate.slice(0, candidate.length - ext.length).toLowerCase();
+      if (candidatePath === file.filepath || primaryPaths.has(candidatePath) || claimed.has(candidatePath) ||
+        !extensions.includes(ext.toLowerCase()) || (stem !== base && stem !== name.toLowerCase())) {
+        continue;
+      }
+      claimed.add(candidatePath);
+      companions.push({ filepath: candidatePath, relativePath: path.join(path.dirname(file.relativePath), candidate) });
+    }
+    result.push({ ...file, companions });
+  }
+  return result;
+}
+
+// The companion's name for a primary renamed to `newBase`: IMG_1234.MOV -> 2024-07-09_Canon.MOV
+export function companionName(companionPath, primaryPath, newBase) {
+  const oldBase = path.basename(primaryPath, path.extname(primaryPath));
+  return newBase + path.basename(companionPath).slice(oldBase.length);
+}
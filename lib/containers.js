@@ -0,0 +1,514 @@
+import { inflateSync } from 'zlib';
+import { PHOTOSHOP_HEADER } from './iptc.js';
+
+// Segment signatures used to recognise metadata inside JPEG APPn markers
+const EXIF_HEADER = Buffer.from('Exif\0\0', 'latin1');
+const XMP_HEADER = Buffer.from('http://ns.adobe.com/xap/1.0/\0', 'latin1');
+const XMP_EXTENSION_HEADER = Buffer.from('http://ns.adobe.com/xmp/extension/\0', 'latin1');
+const MPF_HEADER = Buffer.from('MPF\0', 'latin1');
+
+const MARKER_SOS = 0xDA;
+const MARKER_EOI = 0xD9;
+const MARKER_APP0 = 0xE0;
+const MARKER_APP1 = 0xE1;
+const MARKER_APP2 = 0xE2;
+const MARKER_APP13 = 0xED;
+const MARKER_COM = 0xFE;
+const MAX_SEGMENT_DATA = 0xFFFF - 2;
+
+function startsWith(buffer, header) {
+  return buffer.length >= header.length && buffer.subarray(0, header.length).equals(header);
+}
+
+// Split a JPEG into its header segments, the compressed image data (first SOS through EOI) and any trailer
+export function readJpegSegments(buffer) {
+  if (buffer.length < 4 || buffer[0] !== 0xFF || buffer[1] !== 0xD8) {
+    throw new Error('Not a valid JPEG file');
+  }
+
+  const segments = [];
+  let pos = 2;
+  while (pos + 4 <= buffer.length) {
+    if (buffer[pos] !== 0xFF) {
+      throw new Error(`Corrupt JPEG: expected marker at offset ${pos}`);
+    }
+    const marker = buffer[pos + 1];
+    if (marker === 0xFF) {
+      pos++; // Fill byte
+      continue;
+    }
+    if (marker === MARKER_SOS || marker === MARKER_EOI) {
+      break;
+    }
+    const length = buffer.readUInt16BE(pos + 2);
+    if (length < 2 || pos + 2 + length > buffer.length) {
+      throw new Error(`Corrupt JPEG: segment at offset ${pos} overruns the file`);
+    }
+    segments.push({ marker, data: buffer.subarray(pos + 4, pos + 2 + length) });
+    pos += 2 + length;
+  }
+
+  // Walk the entropy-coded data to find EOI; anything after it is trailer data
+  const imageStart = pos;
+  let end = buffer.length;
+  while (pos + 1 < buffer.length) {
+    if (buffer[pos] !== 0xFF) {
+      pos++;
+      continue;
+    }
+    const marker = buffer[pos + 1];
+    if (marker === MARKER_EOI) {
+      end = pos + 2;
+      break;
+    }
+    if (marker === 0x00 || marker === 0xFF || (marker >= 0xD0 && marker <= 0xD7)) {
+      pos += marker === 0xFF ? 1 : 2;
+      continue;
+    }
+    // A marker segment between scans (SOS, DHT, DQT, DRI...) - skip over its payload
+    if (pos + 4 > buffer.length) {
+      break;
+    }
+    pos += 2 + buffer.readUInt16BE(pos + 2);
+  }
+
+  return {
+    segments,
+    imageData: buffer.subarray(imageStart, end),
+    trailer: buffer.subarray(end)
+  };
+}
+
+// Reassemble a JPEG from header segments and compressed image data
+export function writeJpeg(segments, imageData, trailer = Buffer.alloc(0)) {
+  const parts = [Buffer.from([0xFF, 0xD8])];
+  for (const segment of segments) {
+    if (segment.data.length > MAX_SEGMENT_DATA) {
+      throw new Error(`JPEG segment too large (${segment.data.length} bytes, max ${MAX_SEGMENT_DATA})`);
+    }
+    const header = Buffer.alloc(4);
+    header[0] = 0xFF;
+    header[1] = segment.marker;
+    header.writeUInt16BE(segment.data.length + 2, 2);
+    parts.push(header, segment.data);
+  }
+  parts.push(imageData, trailer);
+  return Buffer.concat(parts);
+}
+
+// Classify a JPEG header segment as one of the metadata blocks we manage
+function classifyJpegSegment(segment) {
+  if (segment.marker === MARKER_APP1 && startsWith(segment.data, EXIF_HEADER)) {
+    return 'exif';
+  }
+  if (segment.marker === MARKER_APP1 && startsWith(segment.data, XMP_HEADER)) {
+    return 'xmp';
+  }
+  if (segment.marker === MARKER_APP1 && startsWith(segment.data, XMP_EXTENSION_HEADER)) {
+    return 'extendedXmp';
+  }
+  if (segment.marker === MARKER_APP13 && startsWith(segment.data, PHOTOSHOP_HEADER)) {
+    return 'photoshop';
+  }
+  if (segment.marker === MARKER_COM) {
+    return 'comment';
+  }
+  return null;
+}
+
+// Multi-picture index (APP2 "MPF") describing secondary images stored after EOI
+function isMpfSegment(segment) {
+  return segment.marker === MARKER_APP2 && startsWith(segment.data, MPF_HEADER);
+}
+
+// Extract the EXIF (raw TIFF), XMP, Photoshop/IPTC and comment blocks from a JPEG
+export function extractJpegMetadata(buffer) {
+  const { segments, trailer } = readJpegSegments(buffer);
+  const metadata = { exif: null, xmp: null, extendedXmp: [], photoshop: null, comments: [], trailer: Buffer.from(trailer) };
+
+  for (const segment of segments) {
+    switch (classifyJpegSegment(segment)) {
+      case 'exif':
+        metadata.exif = metadata.exif || Buffer.from(segment.data.subarray(EXIF_HEADER.length));
+        break;
+      case 'xmp':
+        metadata.xmp = metadata.xmp || segment.data.subarray(XMP_HEADER.length).toString('utf8');
+        break;
+      case 'extendedXmp':
+        metadata.extendedXmp.push(Buffer.from(segment.data));
+        break;
+      case 'photoshop':
+        // Photoshop resources may be split over several APP13 segments
+        metadata.photoshop = Buffer.concat([
+          metadata.photoshop || Buffer.alloc(0),
+          segment.data.subarray(metadata.photoshop ? PHOTOSHOP_HEADER.length : 0)
+        ]);
+        break;
+      case 'comment':
+        metadata.comments.push(segment.data.toString('utf8'));
+        break;
+      default:
+        break;
+    }
+  }
+
+  return metadata;
+}
+
+// Replace all EXIF, XMP, Photoshop/IPTC and comment segments in a JPEG with the given blocks.
+// When `metadata.trailer` is given it replaces the data after EOI; an empty trailer also drops the MPF index.
+export function writeJpegMetadata(buffer, metadata) {
+  const jpeg = readJpegSegments(buffer);
+  const trailer = metadata.trailer !== undefined ? metadata.trailer : jpeg.trailer;
+  const retained = jpeg.segments.filter(segment => !classifyJpegSegment(segment) && (trailer.length || !isMpfSegment(segment)));
+
+  const inserted = [];
+  if (metadata.exif) {
+    inserted.push({ marker: MARKER_APP1, data: Buffer.concat([EXIF_HEADER, metadata.exif]) });
+  }
+  if (metadata.xmp) {
+    inserted.push({ marker: MARKER_APP1, data: Buffer.concat([XMP_HEADER, Buffer.from(metadata.xmp, 'utf8')]) });
+  }
+  for (const extension of metadata.extendedXmp || []) {
+    inserted.push({ marker: MARKER_APP1, data: extension });
+  }
+  if (metadata.photoshop) {
+    inserted.push({ marker: MARKER_APP13, data: metadata.photoshop });
+  }
+  for (const comment of metadata.comments || []) {
+    inserted.push({ marker: MARKER_COM, data: Buffer.from(comment, 'utf8') });
+  }
+
+  for (const segment of inserted) {
+    if (segment.data.length > MAX_SEGMENT_DATA) {
+      throw new Error('Metadata block is too large to fit in a single JPEG segment');
+    }
+  }
+
+  // EXIF must directly follow SOI or the JFIF APP0 segment
+  let insertAt = 0;
+  while (insertAt < retained.length && retained[insertAt].marker === MARKER_APP0) {
+    insertAt++;
+  }
+  retained.splice(insertAt, 0, ...inserted);
+
+  return writeJpeg(retained, jpeg.imageData, trailer);
+}
+
+// PNG ----------------------------------------------------------------------
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+const PNG_XMP_KEYWORD = 'XML:com.adobe.xmp';
+// Ancillary chunks that carry metadata rather than rendering information
+const PNG_METADATA_CHUNKS = new Set(['eXIf', 'tEXt', 'zTXt', 'iTXt', 'tIME']);
+
+const CRC_TABLE = (() => {
+  const table = new Int32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c;
+  }
+  return table;
+})();
+
+function crc32(buffer) {
+  let crc = -1;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ -1) >>> 0;
+}
+
+// Split a PNG into chunks ({ type, data })
+export function readPngChunks(buffer) {
+  if (!startsWith(buffer, PNG_SIGNATURE)) {
+    throw new Error('Not a valid PNG file');
+  }
+
+  const chunks = [];
+  let pos = PNG_SIGNATURE.length;
+  while (pos + 12 <= buffer.length) {
+    const length = buffer.readUInt32BE(pos);
+    const type = buffer.toString('latin1', pos + 4, pos + 8);
+    if (pos + 12 + length > buffer.length) {
+      throw new Error(`Corrupt PNG: ${type} chunk overruns the file`);
+    }
+    chunks.push({ type, data: buffer.subarray(pos + 8, pos + 8 + length) });
+    pos += 12 + length;
+    if (type === 'IEND') {
+      break;
+    }
+  }
+  return chunks;
+}
+
+// Reassemble a PNG from chunks, recomputing each CRC
+export function writePng(chunks) {
+  const parts = [PNG_SIGNATURE];
+  for (const chunk of chunks) {
+    const header = Buffer.alloc(8);
+    header.writeUInt32BE(chunk.data.length, 0);
+    header.write(chunk.type, 4, 'latin1');
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(Buffer.concat([header.subarray(4), chunk.data])), 0);
+    parts.push(header, chunk.data, crc);
+  }
+  return Buffer.concat(parts);
+}
+
+// Decode a tEXt, zTXt or iTXt chunk into { keyword, value }
+function readPngText(chunk) {
+  const separator = chunk.data.indexOf(0);
+  if (separator < 0) {
+    return null;
+  }
+  const keyword = chunk.data.toString('latin1', 0, separator);
+  const rest = chunk.data.subarray(separator + 1);
+
+  if (chunk.type === 'tEXt') {
+    return { keyword, value: rest.toString('latin1') };
+  }
+  if (chunk.type === 'zTXt') {
+    return { keyword, value: inflateSync(rest.subarray(1)).toString('latin1') };
+  }
+
+  // iTXt: compression flag, method, language tag\0, translated keyword\0, text
+  const compressed = rest[0] === 1;
+  const languageEnd = rest.indexOf(0, 2);
+  const translatedEnd = languageEnd < 0 ? -1 : rest.indexOf(0, languageEnd + 1);
+  if (translatedEnd < 0) {
+    return null;
+  }
+  const text = rest.subarray(translatedEnd + 1);
+  return { keyword, value: (compressed ? inflateSync(text) : text).toString('utf8') };
+}
+
+// Encode a text entry as tEXt when it is plain Latin-1, otherwise as uncompressed iTXt
+function createPngText(keyword, value) {
+  const isLatin1 = /^[\x20-\x7E\xA0-\xFF\n]*$/.test(value);
+  if (isLatin1 && keyword !== PNG_XMP_KEYWORD) {
+    return { type: 'tEXt', data: Buffer.concat([Buffer.from(`${keyword}\0`, 'latin1'), Buffer.from(value, 'latin1')]) };
+  }
+  return {
+    type: 'iTXt',
+    data: Buffer.concat([Buffer.from(`${keyword}\0\0\0\0\0`, 'latin1'), Buffer.from(value, 'utf8')])
+  };
+}
+
+// Extract EXIF (eXIf), XMP (iTXt) and other text chunks from a PNG
+export function extractPngMetadata(buffer) {
+  const metadata = { exif: null, xmp: null, text: [] };
+
+  for (const chunk of readPngChunks(buffer)) {
+    if (chunk.type === 'eXIf') {
+      metadata.exif = metadata.exif || Buffer.from(chunk.data);
+    } else if (chunk.type === 'tEXt' || chunk.type === 'zTXt' || chunk.type === 'iTXt') {
+      const text = readPngText(chunk);
+      if (text && text.keyword === PNG_XMP_KEYWORD) {
+        metadata.xmp = metadata.xmp || text.value;
+      } else if (text) {
+        metadata.text.push(text);
+      }
+    }
+  }
+
+  return metadata;
+}
+
+// Replace all metadata chunks in a PNG with the given blocks; image and colour chunks are copied untouched
+export function writePngMetadata(buffer, metadata) {
+  const chunks = readPngChunks(buffer).filter(chunk => !PNG_METADATA_CHUNKS.has(chunk.type));
+
+  const inserted = [];
+  if (metadata.exif) {
+    inserted.push({ type: 'eXIf', data: metadata.exif });
+  }
+  if (metadata.xmp) {
+    inserted.push(createPngText(PNG_XMP_KEYWORD, metadata.xmp));
+  }
+  for (const { keyword, value } of metadata.text || []) {
+    inserted.push(createPngText(keyword, value));
+  }
+
+  // Metadata goes right before the first IDAT so readers see it before the image data
+  const idatIndex = chunks.findIndex(chunk => chunk.type === 'IDAT');
+  chunks.splice(idatIndex < 0 ? chunks.length - 1 : idatIndex, 0, ...inserted);
+  return writePng(chunks);
+}
+
+// WebP ---------------------------------------------------------------------
+
+const VP8X_ICC = 0x20;
+const VP8X_ALPHA = 0x10;
+const VP8X_EXIF = 0x08;
+const VP8X_XMP = 0x04;
+
+// Split a WebP RIFF container into chunks ({ type, data })
+export function readWebpChunks(buffer) {
+  if (buffer.length < 12 || buffer.toString('latin1', 0, 4) !== 'RIFF' || buffer.toString('latin1', 8, 12) !== 'WEBP') {
+    throw new Error('Not a valid WebP file');
+  }
+
+  const chunks = [];
+  let pos = 12;
+  while (pos + 8 <= buffer.length) {
+    const type = buffer.toString('latin1', pos, pos + 4);
+    const size = buffer.readUInt32LE(pos + 4);
+    if (pos + 8 + size > buffer.length) {
+      throw new Error(`Corrupt WebP: ${type} chunk overruns the file`);
+    }
+    chunks.push({ type, data: buffer.subarray(pos + 8, pos + 8 + size) });
+    pos += 8 + size + (size % 2);
+  }
+  return chunks;
+}
+
+// Reassemble a WebP RIFF container from chunks
+export function writeWebp(chunks) {
+  const parts = [];
+  for (const chunk of chunks) {
+    const header = Buffer.alloc(8);
+    header.write(chunk.type, 0, 'latin1');
+    header.writeUInt32LE(chunk.data.length, 4);
+    parts.push(header, chunk.data);
+    if (chunk.data.length % 2) {
+      parts.push(Buffer.alloc(1));
+    }
+  }
+  const body = Buffer.concat(parts);
+  const riff = Buffer.alloc(12);
+  riff.write('RIFF', 0, 'latin1');
+  riff.writeUInt32LE(body.length + 4, 4);
+  riff.write('WEBP', 8, 'latin1');
+  return Buffer.concat([riff, body]);
+}
+
+// Build a VP8X header for a simple (VP8/VP8L) WebP so metadata chunks can be attached
+function createVp8xChunk(chunks) {
+  const image = chunks.find(chunk => chunk.type === 'VP8 ' || chunk.type === 'VP8L');
+  if (!image) {
+    throw new Error('WebP file has no image data');
+  }
+
+  let width;
+  let height;
+  let flags = 0;
+  if (image.type === 'VP8 ') {
+    width = image.data.readUInt16LE(6) & 0x3FFF;
+    height = image.data.readUInt16LE(8) & 0x3FFF;
+  } else {
+    const bits = image.data.readUInt32LE(1);
+    width = (bits & 0x3FFF) + 1;
+    height = ((bits >>> 14) & 0x3FFF) + 1;
+    if ((bits >>> 28) & 1) {
+      flags |= VP8X_ALPHA;
+    }
+  }
+
+  const data = Buffer.alloc(10);
+  data[0] = flags;
+  data.writeUIntLE(width - 1, 4, 3);
+  data.writeUIntLE(height - 1, 7, 3);
+  return { type: 'VP8X', data };
+}
+
+// Extract EXIF and XMP chunks from a WebP
+export function extractWebpMetadata(buffer) {
+  const metadata = { exif: null, xmp: null };
+
+  for (const chunk of readWebpChunks(buffer)) {
+    if (chunk.type === 'EXIF' && !metadata.exif) {
+      // Some writers keep the JPEG-style "Exif\0\0" prefix
+      metadata.exif = Buffer.from(startsWith(chunk.data, EXIF_HEADER) ? chunk.data.subarray(EXIF_HEADER.length) : chunk.data);
+    } else if (chunk.type === 'XMP ' && !metadata.xmp) {
+      metadata.xmp = chunk.data.toString('utf8');
+    }
+  }
+
+  return metadata;
+}
+
+// Replace the EXIF and XMP chunks in a WebP and keep the VP8X feature flags in sync
+export function writeWebpMetadata(buffer, metadata) {
+  const chunks = readWebpChunks(buffer).filter(chunk => chunk.type !== 'EXIF' && chunk.type !== 'XMP ');
+  const hasMetadata = !!(metadata.exif || metadata.xmp);
+
+  if (hasMetadata && chunks[0].type !== 'VP8X') {
+    chunks.unshift(createVp8xChunk(chunks));
+  }
+  if (metadata.exif) {
+    chunks.push({ type: 'EXIF', data: metadata.exif });
+  }
+  if (metadata.xmp) {
+    chunks.push({ type: 'XMP ', data: Buffer.from(metadata.xmp, 'utf8') });
+  }
+
+  if (chunks[0].type === 'VP8X') {
+    const vp8x = Buffer.from(chunks[0].data);
+    vp8x[0] = (vp8x[0] & ~(VP8X_EXIF | VP8X_XMP)) |
+      (metadata.exif ? VP8X_EXIF : 0) |
+      (metadata.xmp ? VP8X_XMP : 0) |
+      (chunks.some(chunk => chunk.type === 'ICCP') ? VP8X_ICC : 0);
+    chunks[0] = { type: 'VP8X', data: vp8x };
+  }
+
+  return writeWebp(chunks);
+}
+
+// Format dispatch ----------------------------------------------------------
+
+// Formats whose metadata can be rewritten without touching the compressed image data
+export const LOSSLESS_FORMATS = ['jpeg', 'png', 'webp'];
+
+// Identify an image container from its magic bytes
+export function detectImageFormat(buffer) {
+  if (buffer.length >= 3 && buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) {
+    return 'jpeg';
+  }
+  if (startsWith(buffer, PNG_SIGNATURE)) {
+    return 'png';
+  }
+  if (buffer.length >= 12 && buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') {
+    return 'webp';
+  }
+  const order = buffer.toString('latin1', 0, 4);
+  if (order === 'II*\0' || order === 'MM\0*') {
+    return 'tiff';
+  }
+  if (buffer.length >= 12 && buffer.toString('latin1', 4, 8) === 'ftyp') {
+    const brand = buffer.toString('latin1', 8, 12);
+    return brand === 'avif' || brand === 'avis' ? 'avif' : 'heif';
+  }
+  return null;
+}
+
+// Read the metadata blocks from any losslessly supported container
+export function extractMetadata(buffer) {
+  switch (detectImageFormat(buffer)) {
+    case 'jpeg':
+      return extractJpegMetadata(buffer);
+    case 'png':
+      return extractPngMetadata(buffer);
+    case 'webp':
+      return extractWebpMetadata(buffer);
+    default:
+      throw new Error('Metadata can only be read losslessly from JPEG, PNG and WebP files');
+  }
+}
+
+// Write metadata blocks into any losslessly supported container, leaving the image data untouched
+export function writeMetadata(buffer, metadata) {
+  switch (detectImageFormat(buffer)) {
+    case 'jpeg':
+      return writeJpegMetadata(buffer, metadata);
+    case 'png':
+      return writePngMetadata(buffer, metadata);
+    case 'webp':
+      return writeWebpMetadata(buffer, metadata);
+    default:
+      throw new Error('Metadata can only be written losslessly to JPEG, PNG and WebP files');
+  }
+}
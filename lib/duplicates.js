@@ -0,0 +1,159 @@
+// Duplicate detection on three levels:
+//   exact   - identical files (same content hash)
+//   pixels  - the same decoded image with different metadata (same pixel hash)
+//   similar - resized or recompressed copies (perceptual hashes within a few bits of each other)
+
+export const DUPLICATE_LEVELS = ['exact', 'pixels', 'similar'];
+
+// Difference hash of a 9x8 grayscale image: one bit per pixel telling whether it is brighter than its right neighbour.
+// Returns 16 hex characters.
+export function differenceHash(pixels, width = 9, height = 8) {
+  if (pixels.length !== width * height) {
+    throw new Error(`Expected ${width}x${height} grayscale pixels`);
+  }
+  let hex = '';
+  let nibble = 0;
+  let bits = 0;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width - 1; x++) {
+      nibble = (nibble << 1) | (pixels[y * width + x] > pixels[y * width + x + 1] ? 1 : 0);
+      if (++bits === 4) {
+        hex += nibble.toString(16);
+        nibble = 0;
+        bits = 0;
+      }
+    }
+  }
+  return hex;
+}
+
+// Number of differing bits between two hex hashes of the same length
+export function hammingDistance(a, b) {
+  let distance = 0;
+  for (let i = 0; i < a.length; i += 8) {
+    let xor = (parseInt(a.slice(i, i + 8), 16) ^ parseInt(b.slice(i, i + 8), 16)) >>> 0;
+    while (xor) {
+      xor &= xor - 1;
+      distance++;
+    }
+  }
+  return distance;
+}
+
+// Similar-looking photos only count as copies when their EXIF does not say otherwise:
+// different capture times or different camera bodies mean different shots (e.g. a burst).
+export function exifCompatible(a, b) {
+  if (a.date && b.date && Math.abs(a.date - b.date) > 1000) {
+    return false;
+  }
+  if (a.serial && b.serial && a.serial !== b.serial) {
+    return false;
+  }
+  return true;
+}
+
+const KEEPER_RULES = [
+  { reason: 'highest resolution', value: (item) => (item.width || 0) * (item.height || 0) },
+  { reason: 'has the capture date', value: (item) => (item.date ? 1 : 0) },
+  { reason: 'has the camera serial number', value: (item) => (item.serial ? 1 : 0) },
+  { reason: 'largest file', value: (item) => item.size },
+  { reason: 'oldest file', value: (item) => -(item.mtimeMs || 0) }
+];
+
+// Pick the copy to keep: highest resolution first, then the one with the most original metadata,
+// then the largest (least compressed), then the oldest file, and finally the first path.
+export function chooseKeeper(members) {
+  const ranked = [...members].sort((a, b) => {
+    for (const rule of KEEPER_RULES) {
+      const difference = rule.value(b) - rule.value(a);
+      if (difference !== 0) {
+        return difference;
+      }
+    }
+    return a.filepath.localeCompare(b.filepath);
+  });
+  const [keeper, runnerUp] = ranked;
+  const rule = KEEPER_RULES.find(candidate => candidate.value(keeper) !== candidate.value(runnerUp));
+  return { keeper, others: ranked.slice(1), reason: rule ? rule.reason : 'first by path' };
+}
+
+// How a copy relates to its keeper: 'exact', 'pixels' or 'similar'
+export function duplicateRelation(keeper, other) {
+  if (keeper.fileHash && keeper.fileHash === other.fileHash) {
+    return 'exact';
+  }
+  if (keeper.pixelHash && keeper.pixelHash === other.pixelHash) {
+    return 'pixels';
+  }
+  return 'similar';
+}
+
+// Group items ({ filepath, size, fileHash, pixelHash, phash, width, height, date, serial, mtimeMs })
+// into duplicate groups. Hashes may be null for files that could not be decoded.
+// Each group is { level, members, keeper, others, relations, reason }: relations[i] tells how others[i]
+// relates to the keeper, and level is the loosest of them.
+export function groupDuplicates(items, { levels = DUPLICATE_LEVELS, maxDistance = 6 } = {}) {
+  const parent = items.map((item, index) => index);
+  const find = (index) => {
+    while (parent[index] !== index) {
+      parent[index] = parent[parent[index]];
+      index = parent[index];
+    }
+    return index;
+  };
+  const union = (a, b) => {
+    parent[find(a)] = find(b);
+  };
+
+  const joinEqual = (key) => {
+    const first = new Map();
+    items.forEach((item, index) => {
+      if (item[key]) {
+        if (first.has(item[key])) {
+          union(index, first.get(item[key]));
+        } else {
+          first.set(item[key], index);
+        }
+      }
+    });
+  };
+
+  if (levels.includes('exact')) {
+    joinEqual('fileHash');
+  }
+  if (levels.includes('pixels')) {
+    joinEqual('pixelHash');
+  }
+  if (levels.includes('similar')) {
+    const hashed = items.map((item, index) => index).filter(index => items[index].phash);
+    for (let i = 0; i < hashed.length; i++) {
+      for (let j = i + 1; j < hashed.length; j++) {
+        const a = items[hashed[i]];
+        const b = items[hashed[j]];
+        if (find(hashed[i]) !== find(hashed[j]) && hammingDistance(a.phash, b.phash) <= maxDistance && exifCompatible(a, b)) {
+          union(hashed[i], hashed[j]);
+        }
+      }
+    }
+  }
+
+  const components = new Map();
+  items.forEach((item, index) => {
+    const root = find(index);
+    if (!components.has(root)) {
+      components.set(root, []);
+    }
+    components.get(root).push(item);
+  });
+
+  return [...components.values()]
+    .filter(members => members.length > 1)
+    .map(members => {
+      const { keeper, others, reason } = chooseKeeper(members);
+      const relations = others.map(other => duplicateRelation(keeper, other));
+      const level = DUPLICATE_LEVELS.find((candidate, index) => relations.every(relation => DUPLICATE_LEVELS.indexOf(relation) <= index));
+      return { level, members, keeper, others, relations, reason };
+    })
+    .sort((a, b) => DUPLICATE_LEVELS.indexOf(a.level) - DUPLICATE_LEVELS.indexOf(b.level) ||
+      a.keeper.filepath.localeCompare(b.keeper.filepath));
+}
@@ -0,0 +1,566 @@
+import exifr from 'exifr';
+import { parseExifDateTime, formatExifDateTime } from './time.js';
+
+// Byte size of each TIFF field type (13 = IFD pointer)
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8, 13: 4 };
+
+// Pointer tags are rebuilt from the IFD contents whenever a TIFF block is written
+export const EXIF_POINTER = 0x8769;
+export const GPS_POINTER = 0x8825;
+export const INTEROP_POINTER = 0xA005;
+const THUMBNAIL_OFFSET = 0x0201;
+const THUMBNAIL_LENGTH = 0x0202;
+const POINTER_TAGS = new Set([EXIF_POINTER, GPS_POINTER, INTEROP_POINTER]);
+
+// Canon, Olympus and other maker notes hold offsets relative to the TIFF header, so they only stay
+// readable at the offset the camera wrote them to
+const MAKER_NOTE = 0x927C;
+
+export const IFD_NAMES = ['ifd0', 'exif', 'gps', 'interop', 'ifd1'];
+
+// Look up a tag name using exifr's dictionaries so names match parse_exif output
+export function getTagName(ifd, tag) {
+  const dictionary = exifr.tagKeys.get(ifd);
+  const name = dictionary && dictionary.get(tag);
+  return name || `Tag0x${tag.toString(16).padStart(4, '0')}`;
+}
+
+// Parse a raw TIFF/EXIF block into IFD entry lists, keeping each value's raw bytes
+export function parseTiff(buffer) {
+  if (!buffer || buffer.length < 8) {
+    throw new Error('EXIF block is too short');
+  }
+
+  const order = buffer.toString('latin1', 0, 2);
+  if (order !== 'II' && order !== 'MM') {
+    throw new Error('Invalid byte order in EXIF block');
+  }
+  const littleEndian = order === 'II';
+  const read16 = (offset) => (littleEndian ? buffer.readUInt16LE(offset) : buffer.readUInt16BE(offset));
+  const read32 = (offset) => (littleEndian ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset));
+
+  if (read16(2) !== 42) {
+    throw new Error('Invalid TIFF header in EXIF block');
+  }
+
+  const visited = new Set();
+  const readIfd = (offset) => {
+    if (!offset || offset + 2 > buffer.length || visited.has(offset)) {
+      return { entries: [], next: 0 };
+    }
+    visited.add(offset);
+
+    const count = read16(offset);
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+      const pos = offset + 2 + i * 12;
+      if (pos + 12 > buffer.length) {
+        break;
+      }
+      const tag = read16(pos);
+      const type = read16(pos + 2);
+      const valueCount = read32(pos + 4);
+      if (!TYPE_SIZES[type]) {
+        continue; // Unknown field type - cannot be copied safely
+      }
+      const size = TYPE_SIZES[type] * valueCount;
+      const dataOffset = size > 4 ? read32(pos + 8) : pos + 8;
+      if (dataOffset + size > buffer.length) {
+        continue;
+      }
+      const entry = {
+        tag,
+        type,
+        count: valueCount,
+        data: Buffer.from(buffer.subarray(dataOffset, dataOffset + size))
+      };
+      if (tag === MAKER_NOTE && size > 4) {
+        entry.offset = dataOffset;
+      }
+      entries.push(entry);
+    }
+
+    const nextPos = offset + 2 + count * 12;
+    const next = nextPos + 4 <= buffer.length ? read32(nextPos) : 0;
+    return { entries, next };
+  };
+
+  const readPointer = (entries, tag) => {
+    const entry = entries.find(e => e.tag === tag);
+    if (!entry || entry.data.length < 4) {
+      return 0;
+    }
+    return littleEndian ? entry.data.readUInt32LE(0) : entry.data.readUInt32BE(0);
+  };
+
+  const ifd0 = readIfd(read32(4));
+  const exif = readIfd(readPointer(ifd0.entries, EXIF_POINTER));
+  const gps = readIfd(readPointer(ifd0.entries, GPS_POINTER));
+  const interop = readIfd(readPointer(exif.entries, INTEROP_POINTER));
+  const ifd1 = readIfd(ifd0.next);
+
+  // Pull out the embedded JPEG thumbnail so it survives a rebuild
+  let thumbnail = null;
+  const thumbOffset = readPointer(ifd1.entries, THUMBNAIL_OFFSET);
+  const thumbLength = readPointer(ifd1.entries, THUMBNAIL_LENGTH);
+  if (thumbOffset && thumbLength && thumbOffset + thumbLength <= buffer.length) {
+    thumbnail = Buffer.from(buffer.subarray(thumbOffset, thumbOffset + thumbLength));
+  }
+
+  const withoutPointers = (entries) => entries.filter(e => !POINTER_TAGS.has(e.tag));
+
+  return {
+    littleEndian,
+    ifd0: withoutPointers(ifd0.entries),
+    exif: withoutPointers(exif.entries),
+    gps: gps.entries,
+    interop: interop.entries,
+    ifd1: thumbnail ? ifd1.entries.filter(e => e.tag !== THUMBNAIL_OFFSET && e.tag !== THUMBNAIL_LENGTH) : [],
+    thumbnail
+  };
+}
+
+// Serialize IFD entry lists back into a TIFF block. Returns null when there is nothing to write.
+// A MakerNote parsed with its original offset is written back to that same offset; everything else
+// is laid out around it.
+export function buildTiff(tiff) {
+  const littleEndian = tiff.littleEndian !== false;
+  const write16 = (buf, value, offset) => (littleEndian ? buf.writeUInt16LE(value, offset) : buf.writeUInt16BE(value, offset));
+  const write32 = (buf, value, offset) => (littleEndian ? buf.writeUInt32LE(value, offset) : buf.writeUInt32BE(value, offset));
+  const pointerEntry = (tag) => ({ tag, type: 4, count: 1, data: Buffer.alloc(4) });
+
+  const interop = [...(tiff.interop || [])];
+  const gps = [...(tiff.gps || [])];
+  const exif = [...(tiff.exif || [])];
+  const ifd0 = [...(tiff.ifd0 || [])];
+  const hasThumbnail = !!(tiff.thumbnail && tiff.thumbnail.length);
+  const ifd1 = hasThumbnail ? [...(tiff.ifd1 || []), pointerEntry(THUMBNAIL_OFFSET), pointerEntry(THUMBNAIL_LENGTH)] : [];
+
+  if (interop.length) {
+    exif.push(pointerEntry(INTEROP_POINTER));
+  }
+  if (exif.length) {
+    ifd0.push(pointerEntry(EXIF_POINTER));
+  }
+  if (gps.length) {
+    ifd0.push(pointerEntry(GPS_POINTER));
+  }
+  if (!ifd0.length && !hasThumbnail) {
+    return null;
+  }
+
+  const ifds = [
+    { name: 'ifd0', entries: ifd0 },
+    { name: 'exif', entries: exif },
+    { name: 'gps', entries: gps },
+    { name: 'interop', entries: interop },
+    { name: 'ifd1', entries: ifd1 }
+  ].filter(ifd => ifd.name === 'ifd0' || ifd.entries.length);
+
+  // Hand out word-aligned space after the header, stepping over the region the MakerNote keeps
+  const makerNote = exif.find(entry => entry.tag === MAKER_NOTE && entry.offset >= 8 && entry.data.length > 4);
+  const reserved = makerNote ? { start: makerNote.offset, end: makerNote.offset + makerNote.data.length } : null;
+  let cursor = 8;
+  const allocate = (size) => {
+    if (reserved && cursor < reserved.end && cursor + size > reserved.start) {
+      cursor = reserved.end + (reserved.end % 2);
+    }
+    const position = cursor;
+    cursor += size + (size % 2);
+    return position;
+  };
+
+  // Lay out each IFD followed by its out-of-line value data
+  const positions = new Map();
+  for (const ifd of ifds) {
+    ifd.entries.sort((a, b) => a.tag - b.tag);
+    ifd.offset = allocate(2 + ifd.entries.length * 12 + 4);
+    for (const entry of ifd.entries) {
+      if (entry === makerNote) {
+        positions.set(entry, reserved.start);
+      } else if (entry.data.length > 4) {
+        positions.set(entry, allocate(entry.data.length));
+      }
+    }
+  }
+  const thumbnailOffset = hasThumbnail ? allocate(tiff.thumbnail.length) : 0;
+  const totalLength = Math.max(hasThumbnail ? thumbnailOffset + tiff.thumbnail.length : cursor, reserved ? reserved.end : 0);
+
+  const offsets = Object.fromEntries(ifds.map(ifd => [ifd.name, ifd.offset]));
+  const pointerValues = {
+    ifd0: { [EXIF_POINTER]: offsets.exif, [GPS_POINTER]: offsets.gps },
+    exif: { [INTEROP_POINTER]: offsets.interop },
+    ifd1: { [THUMBNAIL_OFFSET]: thumbnailOffset, [THUMBNAIL_LENGTH]: hasThumbnail ? tiff.thumbnail.length : 0 }
+  };
+
+  const buffer = Buffer.alloc(totalLength);
+  buffer.write(littleEndian ? 'II' : 'MM', 0, 'latin1');
+  write16(buffer, 42, 2);
+  write32(buffer, offsets.ifd0, 4);
+
+  for (const ifd of ifds) {
+    const pointers = pointerValues[ifd.name] || {};
+    write16(buffer, ifd.entries.length, ifd.offset);
+
+    ifd.entries.forEach((entry, index) => {
+      const pos = ifd.offset + 2 + index * 12;
+      write16(buffer, entry.tag, pos);
+      write16(buffer, entry.type, pos + 2);
+      write32(buffer, entry.count, pos + 4);
+
+      if (pointers[entry.tag] !== undefined && entry.data.length === 4) {
+        write32(buffer, pointers[entry.tag], pos + 8);
+      } else if (positions.has(entry)) {
+        write32(buffer, positions.get(entry), pos + 8);
+        entry.data.copy(buffer, positions.get(entry));
+      } else {
+        entry.data.copy(buffer, pos + 8);
+      }
+    });
+
+    const nextIfd = ifd.name === 'ifd0' && offsets.ifd1 ? offsets.ifd1 : 0;
+    write32(buffer, nextIfd, ifd.offset + 2 + ifd.entries.length * 12);
+  }
+
+  if (hasThumbnail) {
+    tiff.thumbnail.copy(buffer, thumbnailOffset);
+  }
+
+  return buffer;
+}
+
+function readValue(data, type, offset, littleEndian) {
+  const le = littleEndian;
+  switch (type) {
+    case 1: return data.readUInt8(offset);
+    case 6: return data.readInt8(offset);
+    case 3: return le ? data.readUInt16LE(offset) : data.readUInt16BE(offset);
+    case 8: return le ? data.readInt16LE(offset) : data.readInt16BE(offset);
+    case 9: return le ? data.readInt32LE(offset) : data.readInt32BE(offset);
+    case 11: return le ? data.readFloatLE(offset) : data.readFloatBE(offset);
+    case 12: return le ? data.readDoubleLE(offset) : data.readDoubleBE(offset);
+    case 5:
+    case 10: {
+      const signed = type === 10;
+      const read = (pos) => (signed
+        ? (le ? data.readInt32LE(pos) : data.readInt32BE(pos))
+        : (le ? data.readUInt32LE(pos) : data.readUInt32BE(pos)));
+      const denominator = read(offset + 4);
+      return denominator ? read(offset) / denominator : 0;
+    }
+    default: return le ? data.readUInt32LE(offset) : data.readUInt32BE(offset);
+  }
+}
+
+// Express a decimal as a numerator/denominator pair that fits the 32-bit rational fields
+function toRational(value, signed) {
+  const limit = signed ? 0x7FFFFFFF : 0xFFFFFFFF;
+  let denominator = 1;
+  while (denominator < 1e6 && !Number.isInteger(value * denominator) && Math.abs(value * denominator * 10) <= limit) {
+    denominator *= 10;
+  }
+  return [Math.round(value * denominator), denominator];
+}
+
+function writeValue(data, type, value, offset, littleEndian) {
+  const le = littleEndian;
+  switch (type) {
+    case 1: data.writeUInt8(value, offset); break;
+    case 6: data.writeInt8(value, offset); break;
+    case 3: le ? data.writeUInt16LE(value, offset) : data.writeUInt16BE(value, offset); break;
+    case 8: le ? data.writeInt16LE(value, offset) : data.writeInt16BE(value, offset); break;
+    case 9: le ? data.writeInt32LE(value, offset) : data.writeInt32BE(value, offset); break;
+    case 11: le ? data.writeFloatLE(value, offset) : data.writeFloatBE(value, offset); break;
+    case 12: le ? data.writeDoubleLE(value, offset) : data.writeDoubleBE(value, offset); break;
+    case 5:
+    case 10: {
+      const signed = type === 10;
+      const [numerator, denominator] = Array.isArray(value) ? value : toRational(value, signed);
+      const write = (v, pos) => (signed
+        ? (le ? data.writeInt32LE(v, pos) : data.writeInt32BE(v, pos))
+        : (le ? data.writeUInt32LE(v, pos) : data.writeUInt32BE(v, pos)));
+      write(numerator, offset);
+      write(denominator, offset + 4);
+      break;
+    }
+    default: le ? data.writeUInt32LE(value, offset) : data.writeUInt32BE(value, offset);
+  }
+}
+
+// Decode an entry's raw bytes: strings for ASCII, Buffers for UNDEFINED, numbers (or arrays) otherwise
+export function decodeEntry(entry, littleEndian) {
+  if (entry.type === 2) {
+    return entry.data.toString('utf8').replace(/\0[\s\S]*$/, '');
+  }
+  if (entry.type === 7) {
+    return Buffer.from(entry.data);
+  }
+  const size = TYPE_SIZES[entry.type];
+  const values = [];
+  for (let i = 0; i < entry.count; i++) {
+    values.push(readValue(entry.data, entry.type, i * size, littleEndian));
+  }
+  return entry.count === 1 ? values[0] : values;
+}
+
+// Encode a value (or array of values) as a TIFF entry. Each rational may be a decimal or a [numerator, denominator] pair.
+export function createEntry(tag, type, value, littleEndian) {
+  if (!TYPE_SIZES[type]) {
+    throw new Error(`Unsupported TIFF field type ${type}`);
+  }
+  if (type === 2) {
+    const data = Buffer.from(`${value}\0`, 'utf8');
+    return { tag, type, count: data.length, data };
+  }
+  if (type === 7) {
+    const data = Buffer.isBuffer(value) ? Buffer.from(value) : Buffer.from(String(value), 'latin1');
+    return { tag, type, count: data.length, data };
+  }
+
+  const values = Array.isArray(value) ? value : [value];
+  const size = TYPE_SIZES[type];
+  const data = Buffer.alloc(values.length * size);
+  values.forEach((v, i) => writeValue(data, type, v, i * size, littleEndian));
+  return { tag, type, count: values.length, data };
+}
+
+// GPS IFD tags holding the position itself
+export const GPS_LATITUDE_REF = 0x0001;
+export const GPS_LATITUDE = 0x0002;
+export const GPS_LONGITUDE_REF = 0x0003;
+export const GPS_LONGITUDE = 0x0004;
+
+// Read the decimal GPS position from a parsed TIFF block, or null when it has none
+export function readGpsPosition(tiff) {
+  const find = (tag) => tiff.gps.find(e => e.tag === tag);
+  const lat = find(GPS_LATITUDE);
+  const lon = find(GPS_LONGITUDE);
+  if (!lat || !lon || lat.type !== 5 || lon.type !== 5 || lat.count !== 3 || lon.count !== 3) {
+    return null;
+  }
+
+  const toDecimal = ([degrees, minutes, seconds]) => degrees + minutes / 60 + seconds / 3600;
+  // References written with a type other than ASCII are malformed and read as N and E
+  const isRef = (entry, letter) => Boolean(entry) && entry.type === 2 && decodeEntry(entry, tiff.littleEndian).startsWith(letter);
+  const latitude = toDecimal(decodeEntry(lat, tiff.littleEndian));
+  const longitude = toDecimal(decodeEntry(lon, tiff.littleEndian));
+  return {
+    latitude: isRef(find(GPS_LATITUDE_REF), 'S') ? -latitude : latitude,
+    longitude: isRef(find(GPS_LONGITUDE_REF), 'W') ? -longitude : longitude
+  };
+}
+
+// Build the four GPS position entries for a decimal latitude/longitude.
+// Positions are stored as whole degrees plus decimal minutes.
+export function createGpsPositionEntries(latitude, longitude, littleEndian) {
+  const toDegreesMinutes = (value) => {
+    const abs = Math.abs(value);
+    const degrees = Math.floor(abs);
+    return [[degrees, 1], [Math.round((abs - degrees) * 60 * 1e6), 1e6], [0, 1]];
+  };
+  return [
+    createEntry(GPS_LATITUDE_REF, 2, latitude < 0 ? 'S' : 'N', littleEndian),
+    createEntry(GPS_LATITUDE, 5, toDegreesMinutes(latitude), littleEndian),
+    createEntry(GPS_LONGITUDE_REF, 2, longitude < 0 ? 'W' : 'E', littleEndian),
+    createEntry(GPS_LONGITUDE, 5, toDegreesMinutes(longitude), littleEndian)
+  ];
+}
+
+// Tags write_exif can set, keyed by the names parse_exif reports.
+// `kind` selects validation and encoding; GPS kinds expand to their Ref tags as well.
+export const WRITABLE_TAGS = {
+  ImageDescription: { ifd: 'ifd0', tag: 0x010E, kind: 'string' },
+  Make: { ifd: 'ifd0', tag: 0x010F, kind: 'string' },
+  Model: { ifd: 'ifd0', tag: 0x0110, kind: 'string' },
+  Orientation: { ifd: 'ifd0', tag: 0x0112, kind: 'integer', min: 1, max: 8 },
+  Software: { ifd: 'ifd0', tag: 0x0131, kind: 'string' },
+  ModifyDate: { ifd: 'ifd0', tag: 0x0132, kind: 'date' },
+  Artist: { ifd: 'ifd0', tag: 0x013B, kind: 'string' },
+  Copyright: { ifd: 'ifd0', tag: 0x8298, kind: 'string' },
+  ExposureTime: { ifd: 'exif', tag: 0x829A, kind: 'rational' },
+  FNumber: { ifd: 'exif', tag: 0x829D, kind: 'rational' },
+  ISO: { ifd: 'exif', tag: 0x8827, kind: 'integer', min: 1, max: 65535 },
+  DateTimeOriginal: { ifd: 'exif', tag: 0x9003, kind: 'date' },
+  CreateDate: { ifd: 'exif', tag: 0x9004, kind: 'date' },
+  OffsetTime: { ifd: 'exif', tag: 0x9010, kind: 'offset' },
+  OffsetTimeOriginal: { ifd: 'exif', tag: 0x9011, kind: 'offset' },
+  OffsetTimeDigitized: { ifd: 'exif', tag: 0x9012, kind: 'offset' },
+  FocalLength: { ifd: 'exif', tag: 0x920A, kind: 'rational' },
+  UserComment: { ifd: 'exif', tag: 0x9286, kind: 'comment' },
+  OwnerName: { ifd: 'exif', tag: 0xA430, kind: 'string' },
+  SerialNumber: { ifd: 'exif', tag: 0xA431, kind: 'string' },
+  LensMake: { ifd: 'exif', tag: 0xA433, kind: 'string' },
+  LensModel: { ifd: 'exif', tag: 0xA434, kind: 'string' },
+  GPSLatitude: { ifd: 'gps', tag: GPS_LATITUDE, ref: GPS_LATITUDE_REF, kind: 'latitude' },
+  GPSLongitude: { ifd: 'gps', tag: GPS_LONGITUDE, ref: GPS_LONGITUDE_REF, kind: 'longitude' },
+  GPSAltitude: { ifd: 'gps', tag: 0x0006, ref: 0x0005, kind: 'altitude' }
+};
+
+const GPS_VERSION_ID = 0x0000;
+const USER_COMMENT_ASCII = Buffer.from('ASCII\0\0\0', 'latin1');
+const USER_COMMENT_UNICODE = Buffer.from('UNICODE\0', 'latin1');
+
+// Validate a value for a writable tag and return it normalized. null means "delete the tag".
+export function validateTagValue(name, value) {
+  const definition = WRITABLE_TAGS[name];
+  if (!definition) {
+    throw new Error(`${name} is not a writable tag. Writable tags: ${Object.keys(WRITABLE_TAGS).join(', ')}`);
+  }
+  if (value === null) {
+    return null;
+  }
+
+  const isNumber = typeof value === 'number' && Number.isFinite(value);
+  switch (definition.kind) {
+    case 'string':
+    case 'comment':
+      if (typeof value !== 'string' || value.length > 2000) {
+        throw new Error(`${name} must be a string with max length 2000`);
+      }
+      if (value.includes('\0')) {
+        throw new Error(`${name} must not contain NUL characters`);
+      }
+      return value;
+    case 'date': {
+      const ms = typeof value === 'string' ? parseExifDateTime(value) : null;
+      if (ms === null) {
+        throw new Error(`${name} must be a date like "2024:07:04 14:30:22"`);
+      }
+      return formatExifDateTime(ms);
+    }
+    case 'offset':
+      if (typeof value !== 'string' || !/^[+-](0\d|1[0-4]):[0-5]\d$/.test(value)) {
+        throw new Error(`${name} must be a UTC offset like "+02:00" or "-05:00"`);
+      }
+      return value;
+    case 'integer':
+      if (!Number.isInteger(value) || value < definition.min || value > definition.max) {
+        throw new Error(`${name} must be an integer between ${definition.min} and ${definition.max}`);
+      }
+      return value;
+    case 'rational': {
+      // Fractions such as "1/250" are stored exactly
+      const fraction = typeof value === 'string' && /^(\d+)\/(\d+)$/.exec(value.trim());
+      if (fraction && Number(fraction[2]) > 0 && Number(fraction[1]) <= 0xFFFFFFFF && Number(fraction[2]) <= 0xFFFFFFFF) {
+        return [Number(fraction[1]), Number(fraction[2])];
+      }
+      if (!isNumber || value <= 0 || value > 100000) {
+        throw new Error(`${name} must be a positive number or a fraction like "1/250"`);
+      }
+      return value;
+    }
+    case 'latitude':
+    case 'longitude': {
+      const limit = definition.kind === 'latitude' ? 90 : 180;
+      if (!isNumber || Math.abs(value) > limit) {
+        throw new Error(`${name} must be a decimal number between -${limit} and ${limit}`);
+      }
+      return value;
+    }
+    default:
+      if (!isNumber || Math.abs(value) > 100000) {
+        throw new Error(`${name} must be a number of metres between -100000 and 100000`);
+      }
+      return value;
+  }
+}
+
+function decodeUserComment(data, littleEndian) {
+  const header = data.subarray(0, 8);
+  const body = data.subarray(8);
+  let text;
+  if (header.equals(USER_COMMENT_UNICODE)) {
+    const swapped = littleEndian ? body : Buffer.from(body).swap16();
+    text = swapped.subarray(0, swapped.length - (swapped.length % 2)).toString('utf16le');
+  } else {
+    text = body.toString(header.equals(USER_COMMENT_ASCII) ? 'latin1' : 'utf8');
+  }
+  return text.replace(/[\0\s]+$/, '');
+}
+
+// Read the current value of a writable tag, decoded the same way validateTagValue normalizes it
+export function readTagValue(tiff, name) {
+  const definition = WRITABLE_TAGS[name];
+  const entry = tiff[definition.ifd].find(e => e.tag === definition.tag);
+  if (!entry) {
+    return null;
+  }
+
+  switch (definition.kind) {
+    case 'latitude':
+    case 'longitude': {
+      const position = readGpsPosition(tiff);
+      if (position) {
+        return definition.kind === 'latitude' ? position.latitude : position.longitude;
+      }
+      return null;
+    }
+    case 'altitude': {
+      const ref = tiff.gps.find(e => e.tag === definition.ref);
+      const altitude = decodeEntry(entry, tiff.littleEndian);
+      return ref && ref.data[0] === 1 ? -altitude : altitude;
+    }
+    case 'comment':
+      return entry.type === 7 ? decodeUserComment(entry.data, tiff.littleEndian) : decodeEntry(entry, tiff.littleEndian);
+    default:
+      return decodeEntry(entry, tiff.littleEndian);
+  }
+}
+
+// Build the entries for one validated value
+function createTagEntries(definition, value, littleEndian) {
+  switch (definition.kind) {
+    case 'integer':
+      return [createEntry(definition.tag, 3, value, littleEndian)];
+    case 'rational':
+      return [createEntry(definition.tag, 5, [value], littleEndian)];
+    case 'comment': {
+      // Plain ASCII is stored as such; anything else as UCS-2 in the block's byte order
+      if (/^[\x20-\x7E\t\r\n]*$/.test(value)) {
+        return [createEntry(definition.tag, 7, Buffer.concat([USER_COMMENT_ASCII, Buffer.from(value, 'latin1')]), littleEndian)];
+      }
+      const text = Buffer.from(value, 'utf16le');
+      return [createEntry(definition.tag, 7, Buffer.concat([USER_COMMENT_UNICODE, littleEndian ? text : text.swap16()]), littleEndian)];
+    }
+    case 'latitude':
+    case 'longitude': {
+      const [refEntry, valueEntry] = definition.kind === 'latitude'
+        ? createGpsPositionEntries(value, 0, littleEndian).slice(0, 2)
+        : createGpsPositionEntries(0, value, littleEndian).slice(2);
+      return [refEntry, valueEntry];
+    }
+    case 'altitude':
+      return [
+        createEntry(definition.ref, 1, value < 0 ? 1 : 0, littleEndian),
+        createEntry(definition.tag, 5, [Math.abs(value)], littleEndian)
+      ];
+    default:
+      return [createEntry(definition.tag, 2, value, littleEndian)];
+  }
+}
+
+// Set (or with null, delete) writable tags in a parsed TIFF block. Values must already be validated.
+// Returns the before/after value of every requested tag.
+export function writeTags(tiff, values) {
+  const changes = [];
+  for (const [name, value] of Object.entries(values)) {
+    const definition = WRITABLE_TAGS[name];
+    const before = readTagValue(tiff, name);
+    const tags = [definition.tag, definition.ref].filter(tag => tag !== undefined);
+
+    tiff[definition.ifd] = tiff[definition.ifd].filter(e => !tags.includes(e.tag));
+    if (value !== null) {
+      tiff[definition.ifd].push(...createTagEntries(definition, value, tiff.littleEndian));
+    }
+    changes.push({ name, before, after: value === null ? null : readTagValue(tiff, name) });
+  }
+
+  // A GPS IFD should start with its version; drop it again when no GPS data is left
+  const gpsData = tiff.gps.filter(e => e.tag !== GPS_VERSION_ID);
+  if (gpsData.length && gpsData.length === tiff.gps.length) {
+    tiff.gps.push(createEntry(GPS_VERSION_ID, 1, [2, 3, 0, 0], tiff.littleEndian));
+  } else if (!gpsData.length) {
+    tiff.gps = [];
+  }
+  return changes;
+}
@@ -0,0 +1,149 @@
+// Mean Earth radius in metres
+const EARTH_RADIUS = 6371008.8;
+// Approximate length of one degree of latitude in metres
+const METERS_PER_DEGREE = 111320;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// Great-circle distance between two points in metres
+export function haversineDistance(lat1, lon1, lat2, lon2) {
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+// Ray-casting test for a point inside a polygon given as [[lat, lon], ...]
+export function pointInPolygon(lat, lon, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [latI, lonI] = polygon[i];
+    const [latJ, lonJ] = polygon[j];
+    if ((latI > lat) !== (latJ > lat) && lon < (lonJ - lonI) * (lat - latI) / (latJ - latI) + lonI) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+export function isValidCoordinate(lat, lon) {
+  return typeof lat === 'number' && typeof lon === 'number' &&
+    Number.isFinite(lat) && Number.isFinite(lon) &&
+    lat >= -90 && lat <= 90 && lon >= -180 && lon <= 180;
+}
+
+// Validate and normalize location privacy options:
+// { zones: [{ name, latitude, longitude, radius } | { name, polygon }], precision }
+export function normalizeLocationPrivacy(options) {
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    throw new Error('locationPrivacy must be an object');
+  }
+
+  const { zones = [], precision } = options;
+  if (!Array.isArray(zones) || zones.length > 100) {
+    throw new Error('locationPrivacy.zones must be an array of at most 100 zones');
+  }
+  if (precision !== undefined && (!Number.isInteger(precision) || precision < 0 || precision > 6)) {
+    throw new Error('locationPrivacy.precision must be an integer between 0 and 6');
+  }
+
+  const normalized = zones.map((zone, index) => {
+    const name = typeof zone.name === 'string' && zone.name ? zone.name.slice(0, 100) : `Zone ${index + 1}`;
+    const action = zone.action || 'remove';
+    if (action !== 'remove' && action !== 'snap') {
+      throw new Error(`${name}: action must be "remove" or "snap"`);
+    }
+    const gridSize = zone.gridSize === undefined ? 1000 : zone.gridSize;
+    if (typeof gridSize !== 'number' || !(gridSize >= 100 && gridSize <= 100000)) {
+      throw new Error(`${name}: gridSize must be between 100 and 100000 metres`);
+    }
+
+    if (Array.isArray(zone.polygon)) {
+      if (zone.polygon.length < 3 || !zone.polygon.every(p => Array.isArray(p) && isValidCoordinate(p[0], p[1]))) {
+        throw new Error(`${name}: polygon must have at least 3 [latitude, longitude] points`);
+      }
+      return { name, polygon: zone.polygon.map(([lat, lon]) => [lat, lon]), action, gridSize };
+    }
+
+    if (!isValidCoordinate(zone.latitude, zone.longitude)) {
+      throw new Error(`${name}: latitude/longitude are required for a circular zone`);
+    }
+    if (typeof zone.radius !== 'number' || !(zone.radius > 0 && zone.radius <= 1000000)) {
+      throw new Error(`${name}: radius must be between 0 and 1000000 metres`);
+    }
+    return { name, latitude: zone.latitude, longitude: zone.longitude, radius: zone.radius, action, gridSize };
+  });
+
+  return { zones: normalized, precision };
+}
+
+// Return the first zone containing the point, or null
+export function findPrivacyZone(lat, lon, zones) {
+  for (const zone of zones) {
+    if (zone.polygon) {
+      if (pointInPolygon(lat, lon, zone.polygon)) {
+        return zone;
+      }
+    } else if (haversineDistance(lat, lon, zone.latitude, zone.longitude) <= zone.radius) {
+      return zone;
+    }
+  }
+  return null;
+}
+
+// Snap a point to the centre of a grid cell roughly `gridSize` metres across
+export function snapToGrid(lat, lon, gridSize) {
+  const latStep = gridSize / METERS_PER_DEGREE;
+  const latitude = Math.min(90, (Math.floor(lat / latStep) + 0.5) * latStep);
+  // Keep longitude cells roughly square by using the snapped row's latitude
+  const lonStep = Math.min(360, gridSize / (METERS_PER_DEGREE * Math.max(Math.cos(toRadians(latitude)), 0.01)));
+  const longitude = Math.max(-180, Math.min(180, (Math.floor(lon / lonStep) + 0.5) * lonStep));
+  return { latitude: roundTo(latitude, 6), longitude: roundTo(longitude, 6) };
+}
+
+export function roundTo(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+// Decide what happens to one photo location:
+// 'removed' or 'snapped' inside a private zone, 'rounded' when a precision is set, otherwise 'unchanged'
+export function resolveLocationPrivacy(lat, lon, { zones = [], precision } = {}) {
+  const zone = findPrivacyZone(lat, lon, zones);
+  if (zone && zone.action === 'remove') {
+    return { action: 'removed', zone: zone.name, latitude: null, longitude: null };
+  }
+  if (zone) {
+    return { action: 'snapped', zone: zone.name, gridSize: zone.gridSize, ...snapToGrid(lat, lon, zone.gridSize) };
+  }
+  if (precision !== undefined) {
+    return { action: 'rounded', zone: null, precision, latitude: roundTo(lat, precision), longitude: roundTo(lon, precision) };
+  }
+  return { action: 'unchanged', zone: null, latitude: lat, longitude: lon };
+}
+
+// Fit an equirectangular projection, scaled for the middle latitude, to points inside a width × height
+// box with `padding` on every side. Returns project({ latitude, longitude }) -> [x, y] in box units rounded
+// to `decimals` (y grows downwards, as in SVG); a single point, or points in one spot, land in the centre.
+export function fitProjection(points, { width, height, padding = 0, decimals = 1 }) {
+  const bound = (key, pick) => points.reduce((value, point) => pick(value, point[key]), points[0][key]);
+  const minLat = bound('latitude', Math.min);
+  const maxLat = bound('latitude', Math.max);
+  const minLon = bound('longitude', Math.min);
+  const maxLon = bound('longitude', Math.max);
+  const xScale = Math.cos(toRadians((minLat + maxLat) / 2));
+  const spanX = (maxLon - minLon) * xScale;
+  const spanY = maxLat - minLat;
+  const scale = Math.min(
+    spanX > 0 ? (width - 2 * padding) / spanX : Infinity,
+    spanY > 0 ? (height - 2 * padding) / spanY : Infinity
+  );
+  // Without any extent, points further away (e.g. a basemap) are spread over the box as if it were a degree across
+  const usedScale = Number.isFinite(scale) ? scale : Math.min(width, height) - 2 * padding;
+  return ({ latitude, longitude }) => {
+    const x = width / 2 + ((longitude - minLon) * xScale - spanX / 2) * usedScale;
+    const y = height / 2 - ((latitude - minLat) - spanY / 2) * usedScale;
+    return [Number(x.toFixed(decimals)), Number(y.toFixed(decimals))];
+  };
+}
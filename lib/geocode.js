@@ -0,0 +1,101 @@
+import { readFileSync } from 'fs';
+import { haversineDistance, isValidCoordinate } from './geo.js';
+
+const DATA_DIR = new URL('../data/', import.meta.url);
+// Nearest places further away than this are not reported, e.g. for photos taken at sea
+const DEFAULT_MAX_DISTANCE = 200000;
+// Approximate length of one degree of latitude in metres
+const METERS_PER_DEGREE = 111320;
+
+let gazetteer = null;
+
+// Read a tab-separated data file, skipping blank lines and # comments
+function readTable(name) {
+  return readFileSync(new URL(name, DATA_DIR), 'utf8')
+    .split('\n')
+    .filter(line => line && !line.startsWith('#'))
+    .map(line => line.split('\t'));
+}
+
+const cellKey = (latCell, lonCell) => `${latCell},${lonCell}`;
+
+// Load the bundled gazetteer on first use and index the cities by 1° cell
+function loadGazetteer() {
+  if (gazetteer) {
+    return gazetteer;
+  }
+
+  const cells = new Map();
+  for (const [name, lat, lon, countryCode, admin1] of readTable('cities.tsv')) {
+    const city = { name, latitude: Number(lat), longitude: Number(lon), countryCode, admin1 };
+    const key = cellKey(Math.floor(city.latitude), Math.floor(city.longitude));
+    if (!cells.has(key)) {
+      cells.set(key, []);
+    }
+    cells.get(key).push(city);
+  }
+
+  gazetteer = {
+    cells,
+    regions: new Map(readTable('regions.tsv')),
+    countries: new Map(readTable('countries.tsv'))
+  };
+  return gazetteer;
+}
+
+// Scan every cell that can hold a city within maxDistance of the point
+function findNearestCity(lat, lon, maxDistance) {
+  const { cells } = loadGazetteer();
+  const latCells = Math.ceil(maxDistance / METERS_PER_DEGREE);
+  const minRow = Math.max(-90, Math.floor(lat) - latCells);
+  const maxRow = Math.min(89, Math.floor(lat) + latCells);
+  // Longitude cells narrow towards the poles, so size the search for the row closest to one
+  const widest = Math.max(Math.abs(minRow), Math.abs(maxRow + 1));
+  const lonCells = Math.min(180, Math.ceil(maxDistance / (METERS_PER_DEGREE * Math.max(Math.cos(widest * Math.PI / 180), 0.01))));
+  let nearest = null;
+  let nearestDistance = maxDistance;
+
+  for (let row = minRow; row <= maxRow; row++) {
+    for (let offset = -lonCells; offset <= lonCells && offset < 360 - lonCells; offset++) {
+      // Wrap across the antimeridian
+      const column = ((Math.floor(lon) + offset + 180) % 360 + 360) % 360 - 180;
+      for (const city of cells.get(cellKey(row, column)) || []) {
+        const distance = haversineDistance(lat, lon, city.latitude, city.longitude);
+        if (distance <= nearestDistance) {
+          nearest = city;
+          nearestDistance = distance;
+        }
+      }
+    }
+  }
+
+  return nearest ? { city: nearest, distance: nearestDistance } : null;
+}
+
+// Resolve coordinates to the nearest bundled city with its region and country.
+// Returns { city, region, country, countryCode, distance } (distance in metres), or null when nothing is within maxDistance.
+export function reverseGeocode(lat, lon, { maxDistance = DEFAULT_MAX_DISTANCE } = {}) {
+  if (!isValidCoordinate(lat, lon)) {
+    return null;
+  }
+  const match = findNearestCity(lat, lon, maxDistance);
+  if (!match) {
+    return null;
+  }
+
+  const { regions, countries } = loadGazetteer();
+  const { city, distance } = match;
+  return {
+    city: city.name,
+    region: regions.get(`${city.countryCode}.${city.admin1}`) || '',
+    country: countries.get(city.countryCode) || city.countryCode,
+    countryCode: city.countryCode,
+    distance: Math.round(distance)
+  };
+}
+
+// One-line description such as "Munich, Bayern, Germany (DE)"
+export function formatPlace(place) {
+  const parts = [place.city, place.region, place.country].filter((part, index, all) => part && all.indexOf(part) === index);
+  return `${parts.join(', ')} (${place.countryCode})`;
+}
@@ -0,0 +1,86 @@
+// Glob patterns for selecting files in batch tools.
+// Supported: * (within a path segment), ** (any number of segments), ?, [abc], [!abc] and {a,b}.
+// Patterns without a slash match the file name anywhere; patterns with one match the path relative to the input directory.
+
+const REGEX_SPECIAL = /[\\^$.|+()]/;
+
+export function globToRegExp(pattern) {
+  if (typeof pattern !== 'string' || !pattern || pattern.length > 500) {
+    throw new Error('Glob patterns must be non-empty strings of at most 500 characters');
+  }
+
+  let source = '';
+  let braceDepth = 0;
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*') {
+      if (pattern[i + 1] === '*') {
+        // "**/" also matches zero directories
+        const slash = pattern[i + 2] === '/';
+        source += slash ? '(?:.*/)?' : '.*';
+        i += slash ? 2 : 1;
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const end = pattern.indexOf(']', i + 2);
+      if (end === -1) {
+        throw new Error(`Unclosed [ in glob pattern "${pattern}"`);
+      }
+      const body = pattern.slice(i + 1, end).replace(/\\/g, '\\\\');
+      source += body.startsWith('!') ? `[^/${body.slice(1)}]` : `[${body}]`;
+      i = end;
+    } else if (char === '{') {
+      braceDepth++;
+      source += '(?:';
+    } else if (char === '}' && braceDepth > 0) {
+      braceDepth--;
+      source += ')';
+    } else if (char === ',' && braceDepth > 0) {
+      source += '|';
+    } else {
+      source += REGEX_SPECIAL.test(char) || char === '{' || char === '}' || char === '[' || char === ']' ? `\\${char}` : char;
+    }
+  }
+  if (braceDepth > 0) {
+    throw new Error(`Unclosed { in glob pattern "${pattern}"`);
+  }
+  return new RegExp(`^${source}$`, 'i');
+}
+
+// Build a predicate over relative paths ("2024/IMG_0001.jpg") from include/exclude patterns and an extension list.
+// A file is selected when it has an allowed extension, matches some include pattern (if any) and no exclude pattern.
+export function createFileFilter({ include = [], exclude = [], extensions } = {}) {
+  for (const [name, patterns] of [['include', include], ['exclude', exclude]]) {
+    if (!Array.isArray(patterns) || patterns.length > 100) {
+      throw new Error(`${name} must be an array of at most 100 glob patterns`);
+    }
+  }
+  if (extensions !== undefined && (!Array.isArray(extensions) || extensions.length === 0 ||
+    !extensions.every(ext => typeof ext === 'string' && /^\.?[a-z0-9]{1,10}$/i.test(ext)))) {
+    throw new Error('extensions must be a non-empty array like [".jpg", ".heic"]');
+  }
+
+  const compile = (pattern) => ({ regex: globToRegExp(pattern), matchPath: pattern.includes('/') });
+  const includes = include.map(compile);
+  const excludes = exclude.map(compile);
+  const allowed = extensions && extensions.map(ext => (ext.startsWith('.') ? ext : `.${ext}`).toLowerCase());
+
+  const matches = ({ regex, matchPath }, relativePath) =>
+    regex.test(matchPath ? relativePath : relativePath.slice(relativePath.lastIndexOf('/') + 1));
+
+  return (relativePath) => {
+    const normalized = relativePath.split('\\').join('/');
+    const name = normalized.slice(normalized.lastIndexOf('/') + 1);
+    const dot = name.lastIndexOf('.');
+    if (allowed && (dot === -1 || !allowed.includes(name.slice(dot).toLowerCase()))) {
+      return false;
+    }
+    if (includes.length > 0 && !includes.some(glob => matches(glob, normalized))) {
+      return false;
+    }
+    return !excludes.some(glob => matches(glob, normalized));
+  };
+}
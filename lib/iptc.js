@@ -0,0 +1,123 @@
+import exifr from 'exifr';
+
+// Photoshop image resource (APP13 payload) signature and the IPTC-IIM resource id
+export const PHOTOSHOP_HEADER = Buffer.from('Photoshop 3.0\0', 'latin1');
+export const IPTC_RESOURCE_ID = 0x0404;
+
+// Parse Photoshop image resource blocks ("8BIM" records)
+export function parsePhotoshopResources(buffer) {
+  const resources = [];
+  let pos = buffer.subarray(0, PHOTOSHOP_HEADER.length).equals(PHOTOSHOP_HEADER) ? PHOTOSHOP_HEADER.length : 0;
+
+  while (pos + 12 <= buffer.length && buffer.toString('latin1', pos, pos + 4) === '8BIM') {
+    const id = buffer.readUInt16BE(pos + 4);
+    const nameLength = buffer[pos + 6];
+    // Pascal string padded so that length byte + name is even
+    const namePadded = nameLength + 1 + ((nameLength + 1) % 2);
+    const name = buffer.toString('latin1', pos + 7, pos + 7 + nameLength);
+    const sizePos = pos + 6 + namePadded;
+    if (sizePos + 4 > buffer.length) {
+      break;
+    }
+    const size = buffer.readUInt32BE(sizePos);
+    const dataStart = sizePos + 4;
+    if (dataStart + size > buffer.length) {
+      break;
+    }
+    resources.push({ id, name, data: Buffer.from(buffer.subarray(dataStart, dataStart + size)) });
+    pos = dataStart + size + (size % 2);
+  }
+
+  return resources;
+}
+
+// Serialize Photoshop image resource blocks, including the APP13 header
+export function buildPhotoshopResources(resources) {
+  const parts = [PHOTOSHOP_HEADER];
+  for (const resource of resources) {
+    const name = Buffer.from(resource.name || '', 'latin1');
+    const header = Buffer.alloc(6);
+    header.write('8BIM', 0, 'latin1');
+    header.writeUInt16BE(resource.id, 4);
+    const namePadded = Buffer.alloc(name.length + 1 + ((name.length + 1) % 2));
+    namePadded[0] = name.length;
+    name.copy(namePadded, 1);
+    const size = Buffer.alloc(4);
+    size.writeUInt32BE(resource.data.length, 0);
+    parts.push(header, namePadded, size, resource.data);
+    if (resource.data.length % 2) {
+      parts.push(Buffer.alloc(1));
+    }
+  }
+  return Buffer.concat(parts);
+}
+
+// Parse IPTC-IIM datasets (0x1C record dataset length data)
+export function parseIptc(buffer) {
+  const datasets = [];
+  let pos = 0;
+
+  while (pos + 5 <= buffer.length) {
+    if (buffer[pos] !== 0x1C) {
+      pos++;
+      continue;
+    }
+    const record = buffer[pos + 1];
+    const dataset = buffer[pos + 2];
+    let length = buffer.readUInt16BE(pos + 3);
+    let dataStart = pos + 5;
+
+    // Extended dataset: the low bits give the size of the length field
+    if (length & 0x8000) {
+      const lengthSize = length & 0x7FFF;
+      if (lengthSize > 4 || dataStart + lengthSize > buffer.length) {
+        break;
+      }
+      length = buffer.readUIntBE(dataStart, lengthSize);
+      dataStart += lengthSize;
+    }
+    if (dataStart + length > buffer.length) {
+      break;
+    }
+
+    datasets.push({ record, dataset, data: Buffer.from(buffer.subarray(dataStart, dataStart + length)) });
+    pos = dataStart + length;
+  }
+
+  return datasets;
+}
+
+// Serialize IPTC-IIM datasets
+export function buildIptc(datasets) {
+  const parts = [];
+  for (const { record, dataset, data } of datasets) {
+    if (data.length > 0x7FFF) {
+      const header = Buffer.alloc(9);
+      header[0] = 0x1C;
+      header[1] = record;
+      header[2] = dataset;
+      header.writeUInt16BE(0x8004, 3);
+      header.writeUInt32BE(data.length, 5);
+      parts.push(header, data);
+    } else {
+      const header = Buffer.alloc(5);
+      header[0] = 0x1C;
+      header[1] = record;
+      header[2] = dataset;
+      header.writeUInt16BE(data.length, 3);
+      parts.push(header, data);
+    }
+  }
+  return Buffer.concat(parts);
+}
+
+// Look up a dataset name using exifr's IPTC dictionary (application record 2)
+export function getIptcName(record, dataset) {
+  if (record === 2) {
+    const name = exifr.tagKeys.get('iptc').get(dataset);
+    if (name) {
+      return name;
+    }
+  }
+  return `Record${record}_${dataset}`;
+}
@@ -0,0 +1,158 @@
+import { formatShutterSpeed } from './patterns.js';
+
+// Quality checks for detect_photo_issues: EXIF heuristics (ISO, handheld shutter speed, depth of field)
+// and pixel measurements (luminance histogram, Laplacian variance for sharpness).
+// Each issue is { check, severity, score, reason }; severities score 3 (high), 2 (medium) and 1 (low).
+
+export const ISSUE_CHECKS = ['iso', 'shutter', 'aperture', 'exposure', 'blur'];
+
+export const SEVERITY_SCORES = { high: 3, medium: 2, low: 1 };
+
+const issue = (check, severity, reason) => ({ check, severity, score: SEVERITY_SCORES[severity], reason });
+const round = (value, decimals) => Number(value.toFixed(decimals));
+
+// Where noise becomes a problem depends on the sensor: the smaller it is, the earlier
+export function defaultIsoThreshold(cropFactor) {
+  if (!cropFactor || cropFactor < 1.2) {
+    return 6400;
+  }
+  if (cropFactor < 1.8) {
+    return 3200;
+  }
+  if (cropFactor < 2.5) {
+    return 1600;
+  }
+  return 800;
+}
+
+// ISO above the camera's threshold: a per-camera override ({ "EOS R5": 12800 }, matched case-insensitively
+// against the camera name) or the default for its sensor size
+export function checkIso({ iso, camera, cropFactor }, isoThresholds = {}) {
+  if (!iso) {
+    return [];
+  }
+  const override = Object.entries(isoThresholds).find(([name]) => camera && camera.toLowerCase().includes(name.toLowerCase()));
+  const threshold = override ? override[1] : defaultIsoThreshold(cropFactor);
+  if (iso <= threshold) {
+    return [];
+  }
+  const ratio = iso / threshold;
+  const severity = ratio >= 4 ? 'high' : ratio >= 2 ? 'medium' : 'low';
+  return [issue('iso', severity, `ISO ${iso} is above the ${threshold} noise threshold${override ? ` set for ${override[0]}` : ''}`)];
+}
+
+// The handheld rule: no slower than 1/(35mm-equivalent focal length), plus any stops the stabilizer buys
+export function checkShutter({ exposureTime, focalLength35 }, stabilizationStops = 0) {
+  if (!exposureTime || !focalLength35) {
+    return [];
+  }
+  const limit = 1 / focalLength35 * 2 ** stabilizationStops;
+  if (exposureTime <= limit) {
+    return [];
+  }
+  const stops = Math.log2(exposureTime / limit);
+  if (stops < 0.3) {
+    return [];
+  }
+  const severity = stops >= 2 ? 'high' : stops >= 1 ? 'medium' : 'low';
+  return [issue('shutter', severity,
+    `${formatShutterSpeed(exposureTime)} is ${round(stops, 1)} stops slower than the ${formatShutterSpeed(limit)} handheld limit at ${Math.round(focalLength35)}mm equivalent`)];
+}
+
+// Very wide apertures close up leave millimetres in focus. Depth of field ≈ 2·N·c·d² / f² with the
+// circle of confusion c scaled by the crop factor.
+export function checkAperture({ fNumber, focusDistance, focalLength, cropFactor }) {
+  if (!fNumber || !focusDistance || fNumber > 2.8 || focusDistance > 1.5) {
+    return [];
+  }
+  let depth = '';
+  let severity = fNumber <= 2 && focusDistance <= 0.5 ? 'medium' : 'low';
+  if (focalLength) {
+    const circle = 0.03 / (cropFactor || 1);
+    const distanceMm = focusDistance * 1000;
+    const dofMm = 2 * fNumber * circle * distanceMm ** 2 / focalLength ** 2;
+    if (dofMm >= 50) {
+      return [];
+    }
+    depth = `, about ${dofMm < 10 ? round(dofMm, 1) : Math.round(dofMm)} mm in focus`;
+    severity = dofMm < 10 ? 'high' : dofMm < 30 ? 'medium' : 'low';
+  }
+  return [issue('aperture', severity, `f/${round(fNumber, 1)} at ${round(focusDistance, 2)} m${depth}; check that the subject is sharp`)];
+}
+
+// Luminance statistics of 8-bit grayscale pixels: mean and the shares of clipped highlights and crushed shadows
+export function luminanceStats(pixels) {
+  let sum = 0;
+  let highlights = 0;
+  let shadows = 0;
+  for (const value of pixels) {
+    sum += value;
+    if (value >= 250) {
+      highlights++;
+    } else if (value <= 5) {
+      shadows++;
+    }
+  }
+  const count = pixels.length || 1;
+  return { mean: sum / count, highlights: highlights / count, shadows: shadows / count };
+}
+
+export function checkExposure({ mean, highlights, shadows }) {
+  const issues = [];
+  const share = (fraction) => `${round(fraction * 100, 1)}%`;
+  if (highlights > 0.02) {
+    const severity = highlights > 0.1 ? 'high' : highlights > 0.05 ? 'medium' : 'low';
+    issues.push(issue('exposure', severity, `${share(highlights)} of the image is clipped white`));
+  }
+  if (shadows > 0.05) {
+    const severity = shadows > 0.25 ? 'high' : shadows > 0.1 ? 'medium' : 'low';
+    issues.push(issue('exposure', severity, `${share(shadows)} of the image is crushed black`));
+  }
+  if (mean < 50) {
+    issues.push(issue('exposure', mean < 25 ? 'high' : 'medium', `Underexposed: mean brightness ${Math.round(mean)} of 255`));
+  } else if (mean > 205) {
+    issues.push(issue('exposure', mean > 230 ? 'high' : 'medium', `Overexposed: mean brightness ${Math.round(mean)} of 255`));
+  }
+  return issues;
+}
+
+// Variance of the 4-neighbour Laplacian over 8-bit grayscale pixels: low values mean few sharp edges
+export function laplacianVariance(pixels, width, height) {
+  let sum = 0;
+  let sumSquares = 0;
+  let count = 0;
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const value = pixels[i - 1] + pixels[i + 1] + pixels[i - width] + pixels[i + width] - 4 * pixels[i];
+      sum += value;
+      sumSquares += value * value;
+      count++;
+    }
+  }
+  if (count === 0) {
+    return 0;
+  }
+  const mean = sum / count;
+  return sumSquares / count - mean * mean;
+}
+
+export function checkBlur(sharpness, threshold) {
+  if (sharpness >= threshold) {
+    return [];
+  }
+  const severity = sharpness < threshold / 4 ? 'high' : sharpness < threshold / 2 ? 'medium' : 'low';
+  return [issue('blur', severity, `Sharpness ${round(sharpness, 1)} is below ${threshold}; likely out of focus or shaken`)];
+}
+
+// Order files by their total score, then by their worst issue; files without issues are dropped
+export function rankIssues(results) {
+  return results
+    .filter(result => result.issues.length > 0)
+    .map(result => ({
+      ...result,
+      issues: [...result.issues].sort((a, b) => b.score - a.score),
+      score: result.issues.reduce((total, item) => total + item.score, 0)
+    }))
+    .sort((a, b) => b.score - a.score || b.issues[0].score - a.issues[0].score || a.filepath.localeCompare(b.filepath));
+}
@@ -0,0 +1,218 @@
+import { readFile, writeFile, appendFile, mkdir, rename, stat, unlink } from 'fs/promises';
+import { existsSync, createReadStream } from 'fs';
+import { createHash, randomBytes } from 'crypto';
+import os from 'os';
+import path from 'path';
+
+// The journal records every file a tool renamed, modified, created or deleted so a run can be undone later.
+// It lives in EXIF_MCP_JOURNAL_DIR (default ~/.exif-mcp-server): journal.jsonl holds one line per run
+// (and one per undo), originals/<runId>/ holds copies of modified and deleted files that have no backup elsewhere.
+
+export function resolveJournalDir(env = process.env) {
+  return path.resolve(env.EXIF_MCP_JOURNAL_DIR || path.join(os.homedir(), '.exif-mcp-server'));
+}
+
+const hashBuffer = (buffer) => createHash('sha256').update(buffer).digest('hex');
+
+// Files are hashed as a stream, so companions such as videos larger than a Buffer can hold are handled too
+export function hashFile(filepath) {
+  return new Promise((resolve, reject) => {
+    const hash = createHash('sha256');
+    createReadStream(filepath)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+// Size and modification time identify a renamed file without reading it
+async function fingerprint(filepath) {
+  const info = await stat(filepath);
+  return { size: info.size, mtimeMs: info.mtimeMs };
+}
+
+// Run IDs sort by time: "20240704-143022-a1b2c3"
+export function createRunId(date = new Date()) {
+  const stamp = date.toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+  return `${stamp}-${randomBytes(3).toString('hex')}`;
+}
+
+export function startRun(tool, journalDir, details = {}) {
+  return { runId: createRunId(), tool, timestamp: new Date().toISOString(), details, entries: [], journalDir };
+}
+
+export async function recordRename(run, from, to) {
+  run.entries.push({ type: 'rename', from, to, after: await fingerprint(to) });
+}
+
+// Copy content into the journal's originals folder of the run
+async function saveOriginal(run, filepath, data) {
+  const dir = path.join(run.journalDir, 'originals', run.runId);
+  await mkdir(dir, { recursive: true });
+  const original = path.join(dir, `${run.entries.length + 1}_${path.basename(filepath)}`);
+  await writeFile(original, data);
+  return original;
+}
+
+// Record a file that was overwritten. `originalPath` is an existing backup of the old content;
+// without one, the old content is copied into the journal so it can still be restored.
+export async function recordModify(run, filepath, originalData, newData, originalPath = null) {
+  const original = originalPath || await saveOriginal(run, filepath, originalData);
+  run.entries.push({ type: 'modify', path: filepath, original, before: hashBuffer(originalData), after: hashBuffer(newData) });
+}
+
+// Record a file that is about to be deleted; its content is copied into the journal first
+export async function recordDelete(run, filepath, data) {
+  const original = await saveOriginal(run, filepath, data);
+  run.entries.push({ type: 'delete', path: filepath, original, before: hashBuffer(data) });
+}
+
+export function recordCreate(run, filepath, data) {
+  recordCopy(run, filepath, hashBuffer(data));
+}
+
+// Record a file created by copying, from the SHA-256 digest of the copied content (see hashFile)
+export function recordCopy(run, filepath, digest) {
+  run.entries.push({ type: 'create', path: filepath, after: digest });
+}
+
+// Append the run to the journal. Runs that changed nothing are not recorded.
+export async function finishRun(run) {
+  if (run.entries.length === 0) {
+    return false;
+  }
+  const { journalDir, ...record } = run;
+  await mkdir(journalDir, { recursive: true });
+  await appendFile(path.join(journalDir, 'journal.jsonl'), `${JSON.stringify(record)}\n`);
+  return true;
+}
+
+// All recorded runs, newest first, with `undone` set to the undo timestamp if they were undone
+export async function readRuns(journalDir) {
+  const journalPath = path.join(journalDir, 'journal.jsonl');
+  if (!existsSync(journalPath)) {
+    return [];
+  }
+
+  const runs = new Map();
+  for (const line of (await readFile(journalPath, 'utf8')).split('\n')) {
+    if (!line.trim()) {
+      continue;
+    }
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch {
+      // A line cut short by a crash should not hide the rest of the journal
+      continue;
+    }
+    if (record.undoneRunId) {
+      const run = runs.get(record.undoneRunId);
+      if (run) {
+        run.undone = record.timestamp;
+        run.undoSkipped = record.skipped || 0;
+      }
+    } else if (record.runId && Array.isArray(record.entries)) {
+      runs.set(record.runId, { ...record, undone: null, undoSkipped: 0 });
+    }
+  }
+  return [...runs.values()].reverse();
+}
+
+// Short summary of what a run changed, such as "3 renamed, 1 deleted"
+export function describeRunChanges(run) {
+  const counts = { rename: 0, modify: 0, create: 0, delete: 0 };
+  for (const entry of run.entries) {
+    if (entry.type in counts) {
+      counts[entry.type]++;
+    }
+  }
+  return [
+    counts.rename && `${counts.rename} renamed`,
+    counts.modify && `${counts.modify} modified`,
+    counts.create && `${counts.create} created`,
+    counts.delete && `${counts.delete} deleted`
+  ].filter(Boolean).join(', ');
+}
+
+// Check every entry of a run, newest change first, and describe how it would be reverted.
+// Each step is { entry, action, conflict } where conflict explains why the file cannot be restored safely.
+export async function planUndo(run) {
+  const steps = [];
+  // Paths freed and taken by the steps planned so far, so chains like b → c, a → b undo cleanly
+  const vacated = new Set();
+  const claimed = new Set();
+
+  for (const entry of [...run.entries].reverse()) {
+    let conflict = null;
+    let action;
+
+    if (entry.type === 'rename') {
+      action = `rename back to ${path.basename(entry.from)}`;
+      if (!existsSync(entry.to)) {
+        conflict = `${path.basename(entry.to)} no longer exists`;
+      } else if ((existsSync(entry.from) && !vacated.has(entry.from)) || claimed.has(entry.from)) {
+        conflict = `${path.basename(entry.from)} exists again`;
+      } else {
+        const current = await fingerprint(entry.to);
+        if (current.size !== entry.after.size || current.mtimeMs !== entry.after.mtimeMs) {
+          conflict = `${path.basename(entry.to)} was modified after the rename`;
+        }
+      }
+      if (!conflict) {
+        vacated.add(entry.to);
+        claimed.add(entry.from);
+      }
+    } else if (entry.type === 'modify') {
+      action = 'restore original content';
+      if (!existsSync(entry.path)) {
+        conflict = 'file no longer exists';
+      } else if (await hashFile(entry.path) !== entry.after) {
+        conflict = 'file was modified after this run';
+      } else if (!existsSync(entry.original) || await hashFile(entry.original) !== entry.before) {
+        conflict = `saved original ${entry.original} is missing or changed`;
+      }
+    } else if (entry.type === 'delete') {
+      action = 'restore deleted file';
+      if (existsSync(entry.path)) {
+        conflict = `${path.basename(entry.path)} exists again`;
+      } else if (!existsSync(entry.original) || await hashFile(entry.original) !== entry.before) {
+        conflict = `saved original ${entry.original} is missing or changed`;
+      }
+    } else {
+      action = 'delete created file';
+      if (existsSync(entry.path) && await hashFile(entry.path) !== entry.after) {
+        conflict = 'file was modified after this run';
+      }
+    }
+
+    steps.push({ entry, action, conflict });
+  }
+  return steps;
+}
+
+export async function applyUndoStep({ entry }) {
+  if (entry.type === 'rename') {
+    // rename() would silently replace a file that appeared since planning
+    if (existsSync(entry.from)) {
+      throw new Error(`${path.basename(entry.from)} already exists`);
+    }
+    await rename(entry.to, entry.from);
+  } else if (entry.type === 'modify') {
+    await writeFile(entry.path, await readFile(entry.original));
+  } else if (entry.type === 'delete') {
+    if (existsSync(entry.path)) {
+      throw new Error(`${path.basename(entry.path)} already exists`);
+    }
+    await writeFile(entry.path, await readFile(entry.original));
+  } else if (existsSync(entry.path)) {
+    await unlink(entry.path);
+  }
+}
+
+// Record that a run was undone; `skipped` counts entries left alone because of conflicts
+export async function markUndone(journalDir, runId, { restored, skipped }) {
+  const record = { undoneRunId: runId, timestamp: new Date().toISOString(), restored, skipped };
+  await mkdir(journalDir, { recursive: true });
+  await appendFile(path.join(journalDir, 'journal.jsonl'), `${JSON.stringify(record)}\n`);
+}
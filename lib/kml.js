@@ -0,0 +1,248 @@
+import { escapeXml } from './xml.js';
+import { reverseGeocode, formatPlace } from './geocode.js';
+import { formatTemplateDate } from './template.js';
+import { formatDate } from './time.js';
+
+// KML documents for create_photo_tour_kmz. Photos are { id, number, filename, datetime (Date), latitude, longitude,
+// altitude, thumbnailName, camera, lens, sequence } sorted by capture time; stops are { id, number, datetime, latitude,
+// longitude, altitude, place, photos }. Thumbnails are referenced as images/<thumbnailName> inside the KMZ.
+
+// Path colours of the days in a fly-through tour, as KML aabbggrr
+const TOUR_DAY_COLORS = ['ff0000ff', 'ffff7f00', 'ff00b000', 'ff00c0ff', 'ffff00ff', 'ff7f007f', 'ffffff00', 'ff007fff'];
+
+// The KML document of a tour. With `stops`, placemarks, path and fly-through go from stop to stop instead of photo
+// to photo. With `tour` ({ tilt, range, dwellSeconds, flySeconds }) the placemarks are split into per-day folders
+// with their own path colour and TimeSpan, and a gx:Tour flies from one to the next.
+export function buildKml(photoData, { title, description = '', drawPath = true, numberPhotos = true, tour = null, stops = null }) {
+  const kml = [];
+  
+  kml.push('<?xml version="1.0" encoding="UTF-8"?>');
+  kml.push(tour
+    ? '<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">'
+    : '<kml xmlns="http://www.opengis.net/kml/2.2">');
+  kml.push('<Document>');
+  kml.push(`  <name>${escapeXml(title)}</name>`);
+  if (description) {
+    kml.push(`  <description>${escapeXml(description)}</description>`);
+  }
+  
+  // Add styles
+  kml.push('  <Style id="photoIcon">');
+  kml.push('    <IconStyle>');
+  kml.push('      <Icon>');
+  kml.push('        <href>http://maps.google.com/mapfiles/kml/paddle/red-circle.png</href>');
+  kml.push('      </Icon>');
+  kml.push('      <hotSpot x="0.5" y="0" xunits="fraction" yunits="fraction"/>');
+  kml.push('    </IconStyle>');
+  kml.push('  </Style>');
+  
+  const items = stops || photoData;
+  const pushPlacemarks = (photos, indent) => (stops
+    ? pushStopPlacemarks(kml, photos, numberPhotos, indent)
+    : pushPhotoPlacemarks(kml, photos, numberPhotos, indent));
+  
+  const days = tour ? groupTourDays(items) : [{ photos: items }];
+  days.forEach((day, index) => {
+    kml.push(`  <Style id="${tour ? `pathStyle_${index + 1}` : 'pathStyle'}">`);
+    kml.push('    <LineStyle>');
+    kml.push(`      <color>${TOUR_DAY_COLORS[index % TOUR_DAY_COLORS.length]}</color>`);
+    kml.push('      <width>3</width>');
+    kml.push('    </LineStyle>');
+    kml.push('  </Style>');
+  });
+  
+  if (tour) {
+    days.forEach((day, index) => {
+      kml.push('  <Folder>');
+      kml.push(`    <name>Day ${index + 1}: ${day.date}</name>`);
+      kml.push(...formatKmlTimeSpan(day.photos, '    '));
+      pushPlacemarks(day.photos, '    ');
+      if (drawPath && day.photos.length > 1) {
+        pushPathPlacemark(kml, day.photos, `Day ${index + 1} Path`, `pathStyle_${index + 1}`, '    ', formatKmlTimeSpan(day.photos, '      '));
+      }
+      kml.push('  </Folder>');
+    });
+    pushTourPlaylist(kml, items, tour);
+  } else {
+    // Add photo placemarks
+    kml.push('  <Folder>');
+    kml.push(`    <name>${stops ? 'Stops' : 'Photos'}</name>`);
+    pushPlacemarks(items, '    ');
+    kml.push('  </Folder>');
+    
+    // Add path if requested
+    if (drawPath && items.length > 1) {
+      pushPathPlacemark(kml, items, 'Photo Path', 'pathStyle', '  ', []);
+    }
+  }
+  
+  kml.push('</Document>');
+  kml.push('</kml>');
+  
+  return kml.join('\n');
+}
+
+// Add one Placemark per photo, with its thumbnail and details in the balloon
+function pushPhotoPlacemarks(kml, photos, numberPhotos, indent) {
+  for (const photo of photos) {
+    kml.push(`${indent}<Placemark id="${photo.id}">`);
+    kml.push(`${indent}  <name>${numberPhotos ? `${photo.number}. ` : ''}${escapeXml(photo.filename)}</name>`);
+    
+    // Create description with thumbnail
+    const desc = [];
+    desc.push('<![CDATA[');
+    desc.push(`<img src="images/${photo.thumbnailName}" width="${Math.min(400, 800)}" /><br/>`);
+    desc.push(`<b>Photo #${photo.number}</b><br/>`);
+    desc.push(`Date: ${formatDate(photo.datetime)}<br/>`);
+    if (photo.camera) {desc.push(`Camera: ${photo.camera}<br/>`);}
+    if (photo.lens) {desc.push(`Lens: ${photo.lens}<br/>`);}
+    if (photo.sequence) {desc.push(`${escapeXml(photo.sequence)}<br/>`);}
+    desc.push(`GPS: ${photo.latitude.toFixed(6)}, ${photo.longitude.toFixed(6)}<br/>`);
+    // Resolved from the final (possibly coarsened) position so the place never reveals more than the pin
+    const place = reverseGeocode(photo.latitude, photo.longitude);
+    if (place) {desc.push(`Place: ${escapeXml(formatPlace(place))}<br/>`);}
+    if (photo.altitude > 0) {desc.push(`Altitude: ${photo.altitude.toFixed(1)}m<br/>`);}
+    desc.push(']]>');
+    
+    kml.push(`${indent}  <description>${desc.join('')}</description>`);
+    kml.push(`${indent}  <styleUrl>#photoIcon</styleUrl>`);
+    kml.push(`${indent}  <Point>`);
+    kml.push(`${indent}    <coordinates>${photo.longitude},${photo.latitude},${photo.altitude}</coordinates>`);
+    kml.push(`${indent}  </Point>`);
+    kml.push(`${indent}  <TimeStamp>`);
+    kml.push(`${indent}    <when>${new Date(photo.datetime).toISOString()}</when>`);
+    kml.push(`${indent}  </TimeStamp>`);
+    kml.push(`${indent}</Placemark>`);
+  }
+}
+
+// Add one Placemark per stop, with a gallery of the stop's photos in the balloon
+function pushStopPlacemarks(kml, stops, numberPhotos, indent) {
+  for (const stop of stops) {
+    const first = stop.photos[0].datetime;
+    const last = stop.photos[stop.photos.length - 1].datetime;
+    kml.push(`${indent}<Placemark id="${stop.id}">`);
+    kml.push(`${indent}  <name>${numberPhotos ? `${stop.number}. ` : ''}${escapeXml(stop.place || `Stop ${stop.number}`)}</name>`);
+    
+    const desc = [];
+    desc.push('<![CDATA[');
+    desc.push(`<b>Stop #${stop.number}</b>: ${stop.photos.length} photo${stop.photos.length === 1 ? '' : 's'}<br/>`);
+    desc.push(`Date: ${formatDate(first)}${stop.photos.length > 1 ? ` – ${formatDate(last)}` : ''}<br/>`);
+    desc.push(`GPS: ${stop.latitude.toFixed(6)}, ${stop.longitude.toFixed(6)}<br/>`);
+    if (stop.altitude > 0) {desc.push(`Altitude: ${stop.altitude.toFixed(1)}m<br/>`);}
+    desc.push('<div>');
+    for (const photo of stop.photos) {
+      desc.push(`<img src="images/${photo.thumbnailName}" width="200" title="${escapeXml(photo.filename)}" /> `);
+    }
+    desc.push('</div>');
+    desc.push(`${stop.photos.map(photo => `${numberPhotos ? `${photo.number}. ` : ''}${escapeXml(photo.filename)}`).join(', ')}`);
+    desc.push(']]>');
+    
+    kml.push(`${indent}  <description>${desc.join('')}</description>`);
+    kml.push(`${indent}  <styleUrl>#photoIcon</styleUrl>`);
+    kml.push(`${indent}  <Point>`);
+    kml.push(`${indent}    <coordinates>${stop.longitude},${stop.latitude},${stop.altitude}</coordinates>`);
+    kml.push(`${indent}  </Point>`);
+    kml.push(...formatKmlTimeSpan(stop.photos, `${indent}  `));
+    kml.push(`${indent}</Placemark>`);
+  }
+}
+
+// Add a LineString through the photos
+function pushPathPlacemark(kml, photos, name, styleId, indent, extra) {
+  kml.push(`${indent}<Placemark>`);
+  kml.push(`${indent}  <name>${name}</name>`);
+  kml.push(`${indent}  <description>The path taken between photos</description>`);
+  kml.push(...extra);
+  kml.push(`${indent}  <styleUrl>#${styleId}</styleUrl>`);
+  kml.push(`${indent}  <LineString>`);
+  kml.push(`${indent}    <tessellate>1</tessellate>`);
+  kml.push(`${indent}    <coordinates>`);
+  
+  for (const photo of photos) {
+    kml.push(`${indent}      ${photo.longitude},${photo.latitude},${photo.altitude}`);
+  }
+  
+  kml.push(`${indent}    </coordinates>`);
+  kml.push(`${indent}  </LineString>`);
+  kml.push(`${indent}</Placemark>`);
+}
+
+// Number tour photos from 1 in their current order, with matching ids and image names, so photos that were
+// dropped, hidden or collapsed leave no gaps
+export function numberTourPhotos(photoData) {
+  photoData.forEach((photo, index) => {
+    photo.number = index + 1;
+    photo.id = `photo_${photo.number.toString().padStart(3, '0')}`;
+    photo.thumbnailName = `${photo.id}_thumb.jpg`;
+    photo.fullImageName = `${photo.id}_full.jpg`;
+  });
+}
+
+// Split sorted tour photos (or stops) into calendar days of their capture time, as the camera clock shows it
+export function groupTourDays(photoData) {
+  const days = [];
+  for (const photo of photoData) {
+    const date = formatTemplateDate(new Date(photo.datetime), 'YYYY-MM-DD');
+    if (days.length === 0 || days[days.length - 1].date !== date) {
+      days.push({ date, photos: [] });
+    }
+    days[days.length - 1].photos.push(photo);
+  }
+  return days;
+}
+
+// Write the TimeSpan from the first to the last photo, so the time slider shows a day at a time
+function formatKmlTimeSpan(photos, indent) {
+  return [
+    `${indent}<TimeSpan>`,
+    `${indent}  <begin>${new Date(photos[0].datetime).toISOString()}</begin>`,
+    `${indent}  <end>${new Date(photos[photos.length - 1].datetime).toISOString()}</end>`,
+    `${indent}</TimeSpan>`
+  ];
+}
+
+// Add a gx:Tour that flies to each photo in order, opens its balloon, waits and closes it again
+function pushTourPlaylist(kml, photoData, { tilt, range, dwellSeconds, flySeconds }) {
+  const balloon = (photo, visible) => [
+    '      <gx:AnimatedUpdate>',
+    '        <gx:duration>0</gx:duration>',
+    '        <Update>',
+    '          <targetHref/>',
+    '          <Change>',
+    `            <Placemark targetId="${photo.id}">`,
+    `              <gx:balloonVisibility>${visible ? 1 : 0}</gx:balloonVisibility>`,
+    '            </Placemark>',
+    '          </Change>',
+    '        </Update>',
+    '      </gx:AnimatedUpdate>'
+  ];
+  
+  kml.push('  <gx:Tour>');
+  kml.push('    <name>Fly-through</name>');
+  kml.push('    <gx:Playlist>');
+  photoData.forEach((photo, index) => {
+    kml.push('      <gx:FlyTo>');
+    kml.push(`        <gx:duration>${flySeconds}</gx:duration>`);
+    // Bounce up and over to the first photo, then glide smoothly between the rest
+    kml.push(`        <gx:flyToMode>${index === 0 ? 'bounce' : 'smooth'}</gx:flyToMode>`);
+    kml.push('        <LookAt>');
+    kml.push(`          <gx:TimeStamp><when>${new Date(photo.datetime).toISOString()}</when></gx:TimeStamp>`);
+    kml.push(`          <longitude>${photo.longitude}</longitude>`);
+    kml.push(`          <latitude>${photo.latitude}</latitude>`);
+    kml.push('          <altitude>0</altitude>');
+    kml.push('          <heading>0</heading>');
+    kml.push(`          <tilt>${tilt}</tilt>`);
+    kml.push(`          <range>${range}</range>`);
+    kml.push('          <altitudeMode>relativeToGround</altitudeMode>');
+    kml.push('        </LookAt>');
+    kml.push('      </gx:FlyTo>');
+    kml.push(...balloon(photo, true));
+    kml.push('      <gx:Wait>');
+    kml.push(`        <gx:duration>${dwellSeconds}</gx:duration>`);
+    kml.push('      </gx:Wait>');
+    kml.push(...balloon(photo, false));
+  });
+  kml.push('    </gx:Playlist>');
+  kml.push('  </gx:Tour>');
+}
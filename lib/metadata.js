@@ -0,0 +1,399 @@
+import { parseTiff, buildTiff, getTagName, readGpsPosition, createGpsPositionEntries } from './exif.js';
+import {
+  parsePhotoshopResources,
+  buildPhotoshopResources,
+  parseIptc,
+  buildIptc,
+  getIptcName,
+  IPTC_RESOURCE_ID
+} from './iptc.js';
+import { parseXmp, buildXmp, parseXmpCoordinate, formatXmpCoordinate } from './xmp.js';
+import { resolveLocationPrivacy } from './geo.js';
+
+// Photoshop resource holding an MD5 of the IPTC block - stale once IPTC is rewritten
+const IPTC_DIGEST_RESOURCE_ID = 0x0425;
+
+// Named tag groups usable in keep/remove lists. A group matches tags by EXIF IFD,
+// by tag name (EXIF, IPTC or XMP local name), by XMP prefix, or by including other groups.
+export const TAG_GROUPS = {
+  GPS: {
+    description: 'GPS position, altitude, direction and GPS timestamps',
+    ifds: ['gps'],
+    pattern: /^GPS/
+  },
+  Location: {
+    description: 'GPS plus city, region, country and named location fields',
+    groups: ['GPS'],
+    names: ['City', 'Sublocation', 'State', 'Country', 'CountryCode', 'ContentLocationName',
+      'ContentLocationCode', 'Location', 'LocationCreated', 'LocationShown']
+  },
+  Copyright: {
+    description: 'Copyright notices, usage terms and credit lines',
+    names: ['Copyright', 'CopyrightNotice', 'rights', 'Marked', 'UsageTerms', 'WebStatement', 'Credit', 'Source']
+  },
+  Author: {
+    description: 'Photographer / creator names and contact details',
+    names: ['Artist', 'Byline', 'BylineTitle', 'creator', 'Writer', 'CaptionWriter', 'AuthorsPosition',
+      'Contact', 'CreatorContactInfo', 'XPAuthor', 'Author']
+  },
+  Owner: {
+    description: 'Camera and rights owner names',
+    names: ['OwnerName', 'CameraOwnerName', 'Owner']
+  },
+  Camera: {
+    description: 'Camera and lens make/model',
+    names: ['Make', 'Model', 'LensMake', 'LensModel', 'LensInfo', 'Lens', 'LensID', 'LensSpecification']
+  },
+  Serial: {
+    description: 'Camera/lens serial numbers and unique image or document IDs',
+    names: ['SerialNumber', 'BodySerialNumber', 'LensSerialNumber', 'InternalSerialNumber', 'CameraSerialNumber',
+      'ImageUniqueID', 'DocumentID', 'InstanceID', 'OriginalDocumentID', 'ImageNumber']
+  },
+  DateTime: {
+    description: 'Capture, digitized and modification dates with offsets and sub-seconds',
+    names: ['DateTime', 'ModifyDate', 'DateTimeOriginal', 'CreateDate', 'DateTimeDigitized', 'OffsetTime',
+      'OffsetTimeOriginal', 'OffsetTimeDigitized', 'SubSecTime', 'SubSecTimeOriginal', 'SubSecTimeDigitized',
+      'DateCreated', 'TimeCreated', 'DigitalCreationDate', 'DigitalCreationTime', 'MetadataDate', 'TimeZoneOffset',
+      'Creation Time']
+  },
+  CaptureSettings: {
+    description: 'Exposure, aperture, ISO, focal length, flash and other shooting settings',
+    names: ['ExposureTime', 'FNumber', 'ExposureProgram', 'ISO', 'ISOSpeedRatings', 'SensitivityType',
+      'RecommendedExposureIndex', 'ShutterSpeedValue', 'ApertureValue', 'BrightnessValue', 'ExposureCompensation',
+      'ExposureBiasValue', 'MaxApertureValue', 'SubjectDistance', 'MeteringMode', 'LightSource', 'Flash',
+      'FocalLength', 'FocalLengthIn35mmFormat', 'ExposureMode', 'WhiteBalance', 'DigitalZoomRatio',
+      'SceneCaptureType', 'GainControl', 'Contrast', 'Saturation', 'Sharpness', 'SubjectDistanceRange',
+      'SceneType', 'SensingMethod', 'FocalPlaneXResolution', 'FocalPlaneYResolution', 'FocalPlaneResolutionUnit']
+  },
+  Description: {
+    description: 'Titles, captions, descriptions and comments',
+    names: ['ImageDescription', 'UserComment', 'description', 'title', 'Caption', 'Headline', 'ObjectName',
+      'XPTitle', 'XPComment', 'XPSubject', 'Comment', 'SpecialInstructions', 'Title', 'Description']
+  },
+  Keywords: {
+    description: 'Keywords, subjects and categories',
+    names: ['Keywords', 'subject', 'hierarchicalSubject', 'XPKeywords', 'Category', 'SupplementalCategories']
+  },
+  Software: {
+    description: 'Software and host computer that processed the file',
+    names: ['Software', 'ProcessingSoftware', 'CreatorTool', 'HostComputer', 'OriginatingProgram', 'ProgramVersion']
+  },
+  EditHistory: {
+    description: 'XMP editing history and raw development settings',
+    prefixes: ['xmpMM', 'crs', 'stEvt'],
+    names: ['History', 'DocumentAncestors']
+  },
+  People: {
+    description: 'Face regions and people shown in the image',
+    prefixes: ['mwg-rs', 'MP', 'MPRI'],
+    names: ['PersonInImage', 'RegionInfo', 'Regions']
+  },
+  MakerNote: {
+    description: 'Proprietary manufacturer data',
+    names: ['MakerNote']
+  },
+  Thumbnail: {
+    description: 'Embedded preview thumbnail and secondary images stored after the JPEG data',
+    ifds: ['ifd1'],
+    names: ['TrailingData']
+  }
+};
+
+// Sharing presets for anonymize_photos: each lists the tag groups that survive, everything else is removed
+export const ANONYMIZE_PRESETS = {
+  social_media: {
+    description: 'Only copyright and author credit survive; location, camera, dates and everything else are removed',
+    keep: ['Copyright', 'Author']
+  },
+  client_delivery: {
+    description: 'Copyright, author, camera, capture settings, dates, captions and keywords survive; ' +
+      'GPS/location, serial numbers, owner names and edit history are removed',
+    keep: ['Copyright', 'Author', 'Camera', 'CaptureSettings', 'DateTime', 'Description', 'Keywords']
+  },
+  public_sharing: {
+    description: 'Only the copyright notice survives',
+    keep: ['Copyright']
+  }
+};
+
+// GPS IFD destination tags (GPSDestLatitudeRef..GPSDestLongitude) can pinpoint a location as precisely as the position
+const GPS_DEST_TAGS = new Set([0x0013, 0x0014, 0x0015, 0x0016]);
+const XMP_POSITION_NAMES = new Set(['GPSLatitude', 'GPSLongitude']);
+const XMP_DEST_NAMES = new Set(['GPSDestLatitude', 'GPSDestLongitude']);
+
+// Block-level sources can also be used as keep/remove entries
+const SOURCES = ['EXIF', 'IPTC', 'XMP', 'Photoshop', 'Comment', 'PNG', 'JPEG'];
+
+function groupMatches(groupName, tag, seen = new Set()) {
+  const group = TAG_GROUPS[groupName];
+  if (!group || seen.has(groupName)) {
+    return false;
+  }
+  seen.add(groupName);
+
+  if (group.ifds && tag.ifd && group.ifds.includes(tag.ifd)) {
+    return true;
+  }
+  if (group.pattern && group.pattern.test(tag.name)) {
+    return true;
+  }
+  if (group.names && group.names.includes(tag.name)) {
+    return true;
+  }
+  if (group.prefixes && tag.prefix && group.prefixes.includes(tag.prefix)) {
+    return true;
+  }
+  return (group.groups || []).some(name => groupMatches(name, tag, seen));
+}
+
+// Whether a keep/remove list names a group, directly or through a group that includes it (Location includes GPS)
+export function listsTagGroup(entries, groupName) {
+  const includes = (name, seen = new Set()) => {
+    const group = TAG_GROUPS[name];
+    if (name === groupName) {
+      return true;
+    }
+    if (!group || seen.has(name)) {
+      return false;
+    }
+    seen.add(name);
+    return (group.groups || []).some(child => includes(child, seen));
+  };
+  return entries.some(entry => {
+    const name = Object.keys(TAG_GROUPS).find(candidate => candidate.toLowerCase() === String(entry).toLowerCase());
+    return !!name && includes(name);
+  });
+}
+
+// Build a predicate for one keep/remove entry: a group, a source, a label or a bare tag name
+function createMatcher(entry) {
+  const lower = entry.toLowerCase();
+  const groupName = Object.keys(TAG_GROUPS).find(name => name.toLowerCase() === lower);
+  const source = SOURCES.find(name => name.toLowerCase() === lower);
+
+  return (tag) => {
+    if (groupName && groupMatches(groupName, tag)) {
+      return true;
+    }
+    if (source && tag.source === source) {
+      return true;
+    }
+    if (tag.label.toLowerCase() === lower || tag.name.toLowerCase() === lower) {
+      return true;
+    }
+    return !!tag.prefix && `${tag.prefix}:${tag.name}`.toLowerCase() === lower;
+  };
+}
+
+// Parse every metadata block into a flat tag list. Each tag keeps a reference to its raw data for rebuilding.
+export function listMetadataTags(metadata) {
+  const tags = [];
+  const parsed = { tiff: null, resources: [], iptc: [], xmp: null };
+
+  if (metadata.exif) {
+    parsed.tiff = parseTiff(metadata.exif);
+    for (const ifd of ['ifd0', 'exif', 'gps', 'interop']) {
+      for (const entry of parsed.tiff[ifd]) {
+        const name = getTagName(ifd, entry.tag);
+        tags.push({ source: 'EXIF', ifd, name, label: `EXIF:${name}`, entry });
+      }
+    }
+    if (parsed.tiff.thumbnail) {
+      tags.push({ source: 'EXIF', ifd: 'ifd1', name: 'ThumbnailImage', label: 'EXIF:ThumbnailImage' });
+    }
+  }
+
+  if (metadata.photoshop) {
+    parsed.resources = parsePhotoshopResources(metadata.photoshop);
+    for (const resource of parsed.resources) {
+      if (resource.id === IPTC_RESOURCE_ID) {
+        parsed.iptc = parseIptc(resource.data);
+        for (const dataset of parsed.iptc) {
+          // Envelope record and record version are structural, not user-visible tags
+          if (dataset.record !== 2 || dataset.dataset === 0) {
+            continue;
+          }
+          const name = getIptcName(dataset.record, dataset.dataset);
+          tags.push({ source: 'IPTC', name, label: `IPTC:${name}`, dataset });
+        }
+      } else if (resource.id !== IPTC_DIGEST_RESOURCE_ID) {
+        const name = `Resource0x${resource.id.toString(16).padStart(4, '0')}`;
+        tags.push({ source: 'Photoshop', name, label: `Photoshop:${name}`, resource });
+      }
+    }
+  }
+
+  if (metadata.xmp) {
+    parsed.xmp = parseXmp(metadata.xmp);
+    for (const property of parsed.xmp.properties) {
+      tags.push({
+        source: 'XMP',
+        prefix: property.prefix,
+        name: property.name,
+        label: `XMP:${property.prefix}:${property.name}`,
+        property
+      });
+    }
+  }
+
+  if (metadata.extendedXmp && metadata.extendedXmp.length) {
+    tags.push({ source: 'XMP', name: 'ExtendedXMP', label: 'XMP:ExtendedXMP' });
+  }
+
+  (metadata.comments || []).forEach((comment, index) => {
+    tags.push({ source: 'Comment', name: 'Comment', label: 'Comment', comment, index });
+  });
+
+  for (const text of metadata.text || []) {
+    tags.push({ source: 'PNG', name: text.keyword, label: `PNG:${text.keyword}`, text });
+  }
+
+  if (metadata.trailer && metadata.trailer.length) {
+    tags.push({ source: 'JPEG', name: 'TrailingData', label: 'JPEG:TrailingData' });
+  }
+
+  return { tags, parsed };
+}
+
+// Rebuild metadata blocks containing only the retained tags
+function buildMetadata(metadata, parsed, retained) {
+  const result = { exif: null, xmp: null, extendedXmp: [], photoshop: null, comments: [], text: [] };
+  const isRetained = (label) => retained.some(t => t.label === label);
+
+  if (parsed.tiff) {
+    const tiff = { littleEndian: parsed.tiff.littleEndian, ifd0: [], exif: [], gps: [], interop: [], ifd1: [], thumbnail: null };
+    for (const tag of retained.filter(t => t.source === 'EXIF')) {
+      if (tag.ifd === 'ifd1') {
+        tiff.ifd1 = parsed.tiff.ifd1;
+        tiff.thumbnail = parsed.tiff.thumbnail;
+      } else {
+        tiff[tag.ifd].push(tag.entry);
+      }
+    }
+    result.exif = buildTiff(tiff);
+  }
+
+  const keptDatasets = retained.filter(t => t.source === 'IPTC').map(t => t.dataset);
+  const keptResources = retained.filter(t => t.source === 'Photoshop').map(t => t.resource);
+  if (keptDatasets.length) {
+    const structural = parsed.iptc.filter(d => d.record !== 2 || d.dataset === 0);
+    keptResources.push({ id: IPTC_RESOURCE_ID, name: '', data: buildIptc([...structural, ...keptDatasets]) });
+  }
+  if (keptResources.length) {
+    keptResources.sort((a, b) => a.id - b.id);
+    result.photoshop = buildPhotoshopResources(keptResources);
+  }
+
+  if (parsed.xmp) {
+    const properties = retained.filter(t => t.source === 'XMP').map(t => t.property);
+    result.xmp = buildXmp(properties, parsed.xmp.namespaces);
+  }
+  // Extended XMP is only meaningful alongside the main packet that references it
+  if (result.xmp && isRetained('XMP:ExtendedXMP')) {
+    result.extendedXmp = metadata.extendedXmp;
+  }
+
+  result.comments = retained.filter(t => t.source === 'Comment').map(t => t.comment);
+  result.text = retained.filter(t => t.source === 'PNG').map(t => t.text);
+  if (metadata.trailer !== undefined) {
+    result.trailer = isRetained('JPEG:TrailingData') ? metadata.trailer : Buffer.alloc(0);
+  }
+  return result;
+}
+
+// Filter metadata blocks. With `keep`, only matching tags survive; with `remove`, only matching tags are dropped.
+// With neither, everything is dropped. Tags matching `preserve` survive unless they are explicitly removed.
+export function filterMetadata(metadata, { keep = [], remove = [], preserve = [] } = {}) {
+  if (keep.length && remove.length) {
+    throw new Error('Use either keep or remove, not both');
+  }
+
+  const { tags, parsed } = listMetadataTags(metadata);
+  const entries = keep.length ? keep : remove;
+  const matchers = entries.map(entry => ({ entry, match: createMatcher(entry), used: false }));
+  const preservers = preserve.map(createMatcher);
+
+  const matchesAny = (tag) => {
+    let matched = false;
+    for (const matcher of matchers) {
+      if (matcher.match(tag)) {
+        matcher.used = true;
+        matched = true;
+      }
+    }
+    return matched;
+  };
+
+  const retained = [];
+  const dropped = [];
+  for (const tag of tags) {
+    const matched = matchesAny(tag);
+    const retain = remove.length ? !matched : matched || preservers.some(match => match(tag));
+    (retain ? retained : dropped).push(tag);
+  }
+
+  return {
+    metadata: buildMetadata(metadata, parsed, retained),
+    kept: retained.map(t => t.label),
+    removed: dropped.map(t => t.label),
+    unmatched: matchers.filter(m => !m.used).map(m => m.entry)
+  };
+}
+
+// Remove, snap or round the GPS position in (already filtered) metadata according to location privacy
+// options from geo.js. Returns the new metadata and the decision, or a null location when there is no position.
+export function applyLocationPrivacy(metadata, privacy) {
+  const tiff = metadata.exif ? parseTiff(metadata.exif) : null;
+  const xmp = metadata.xmp ? parseXmp(metadata.xmp) : null;
+  const xmpValue = (name) => {
+    const property = xmp && xmp.properties.find(p => p.prefix === 'exif' && p.name === name);
+    return property ? parseXmpCoordinate(property.value) : null;
+  };
+
+  let position = tiff && readGpsPosition(tiff);
+  if (!position && xmpValue('GPSLatitude') !== null && xmpValue('GPSLongitude') !== null) {
+    position = { latitude: xmpValue('GPSLatitude'), longitude: xmpValue('GPSLongitude') };
+  }
+  if (!position) {
+    return { metadata, location: null };
+  }
+
+  const location = { ...resolveLocationPrivacy(position.latitude, position.longitude, privacy), original: position };
+  if (location.action === 'unchanged') {
+    return { metadata, location };
+  }
+  const removed = location.action === 'removed';
+  const result = { ...metadata };
+
+  if (tiff) {
+    // GPSVersionID (0x0000) must stay whenever there is a GPS IFD
+    const others = tiff.gps.filter(e => e.tag === 0x0000 || (e.tag > 0x0004 && !GPS_DEST_TAGS.has(e.tag)));
+    tiff.gps = removed ? [] : [...createGpsPositionEntries(location.latitude, location.longitude, tiff.littleEndian), ...others];
+    result.exif = buildTiff(tiff);
+  }
+
+  if (xmp) {
+    const properties = [];
+    for (const property of xmp.properties) {
+      const isGps = property.prefix === 'exif' && /^GPS/.test(property.name);
+      if (isGps && (removed || XMP_DEST_NAMES.has(property.name))) {
+        continue;
+      }
+      if (isGps && XMP_POSITION_NAMES.has(property.name)) {
+        const qname = `exif:${property.name}`;
+        const value = property.name === 'GPSLatitude'
+          ? formatXmpCoordinate(location.latitude, 'N', 'S')
+          : formatXmpCoordinate(location.longitude, 'E', 'W');
+        properties.push({ ...property, value, xml: `<${qname}>${value}</${qname}>` });
+        continue;
+      }
+      properties.push(property);
+    }
+    result.xmp = buildXmp(properties, xmp.namespaces);
+    if (!result.xmp && result.extendedXmp) {
+      result.extendedXmp = [];
+    }
+  }
+
+  return { metadata: result, location };
+}
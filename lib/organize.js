@@ -0,0 +1,78 @@
+// Helpers for organize_photos: grouping a day's shots into events and drawing the destination tree.
+
+const dayKey = (date) => `${date.getFullYear()}-${date.getMonth()}-${date.getDate()}`;
+
+// Number the events of each day: a gap of more than `gapHours` between consecutive shots starts a new one.
+// Returns one event number per date (1 for every dated photo when gapHours is not set, null when undated).
+export function assignEvents(dates, gapHours) {
+  const events = dates.map(date => (date ? 1 : null));
+  if (!gapHours) {
+    return events;
+  }
+
+  const days = new Map();
+  dates.forEach((date, index) => {
+    if (date) {
+      const key = dayKey(date);
+      if (!days.has(key)) {
+        days.set(key, []);
+      }
+      days.get(key).push(index);
+    }
+  });
+
+  const gapMs = gapHours * 3600 * 1000;
+  for (const indices of days.values()) {
+    indices.sort((a, b) => dates[a] - dates[b]);
+    let event = 1;
+    indices.forEach((index, position) => {
+      if (position > 0 && dates[index] - dates[indices[position - 1]] > gapMs) {
+        event++;
+      }
+      events[index] = event;
+    });
+  }
+  return events;
+}
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+// Draw folders and files as a tree. Each entry is { folder: ['2024', '07-July'], label: 'IMG_1.jpg' };
+// folders are sorted by name and at most `maxFiles` files are listed per folder.
+export function formatTree(entries, { maxFiles = 10 } = {}) {
+  const createNode = () => ({ folders: new Map(), files: [], total: 0 });
+  const root = createNode();
+  for (const { folder, label } of entries) {
+    let node = root;
+    node.total++;
+    for (const name of folder) {
+      if (!node.folders.has(name)) {
+        node.folders.set(name, createNode());
+      }
+      node = node.folders.get(name);
+      node.total++;
+    }
+    node.files.push(label);
+  }
+
+  const lines = [];
+  const render = (node, prefix) => {
+    const items = [...node.folders.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([name, child]) => ({ text: `${name}/ (${plural(child.total, 'file')})`, child }));
+    items.push(...node.files.slice(0, maxFiles).map(text => ({ text })));
+    if (node.files.length > maxFiles) {
+      items.push({ text: `… ${plural(node.files.length - maxFiles, 'more file')}` });
+    }
+
+    items.forEach(({ text, child }, index) => {
+      const last = index === items.length - 1;
+      lines.push(`${prefix}${last ? '└── ' : '├── '}${text}`);
+      if (child) {
+        render(child, `${prefix}${last ? '    ' : '│   '}`);
+      }
+    });
+  };
+  render(root, '');
+  return lines.join('\n');
+}
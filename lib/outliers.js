@@ -0,0 +1,86 @@
+import { haversineDistance } from './geo.js';
+
+// GPS outlier detection for tours: null-island fixes, fixes the receiver itself reports as inaccurate
+// (GPSHPositioningError, GPSDOP) and single-frame jumps whose implied speed is impossible.
+// Points are { latitude, longitude, time, positioningError, dop } sorted by time (ms); the last two may be null,
+// and points without a capture time (NaN) are only checked for null island and receiver accuracy.
+
+export const OUTLIER_ACTIONS = ['keep', 'drop', 'snap'];
+
+// Jumps shorter than this are GPS jitter rather than spikes, however close together the photos are
+const MIN_JUMP_METERS = 1000;
+
+const isNullIsland = ({ latitude, longitude }) => Math.abs(latitude) < 0.001 && Math.abs(longitude) < 0.001;
+
+// Speed in km/h between two points; photos in the same second count as one second apart
+function impliedSpeed(from, to) {
+  const distance = haversineDistance(from.latitude, from.longitude, to.latitude, to.longitude);
+  if (distance < MIN_JUMP_METERS) {
+    return 0;
+  }
+  return distance / Math.max(1, Math.abs(to.time - from.time) / 1000) * 3.6;
+}
+
+// Find outliers: [{ index, reasons }] in point order. A speed spike is a point reached too fast from its previous
+// trusted neighbour and left too fast to its next one, while those two neighbours are plausible together;
+// a real change of place (a flight, a train) moves every later point and so is not flagged.
+export function detectGpsOutliers(points, { maxSpeedKmh = 300, maxPositioningError = 100, maxDop = 10 } = {}) {
+  const reasons = points.map(() => []);
+  points.forEach((point, index) => {
+    if (isNullIsland(point)) {
+      reasons[index].push('null island (0, 0) position');
+    }
+    if (point.positioningError > maxPositioningError) {
+      reasons[index].push(`positioning error ${Math.round(point.positioningError)} m is above ${maxPositioningError} m`);
+    }
+    if (point.dop > maxDop) {
+      reasons[index].push(`dilution of precision ${Number(point.dop.toFixed(1))} is above ${maxDop}`);
+    }
+  });
+
+  const trusted = points.map((point, index) => index)
+    .filter(index => reasons[index].length === 0 && Number.isFinite(points[index].time));
+  for (let i = 1; i < trusted.length - 1; i++) {
+    const previous = points[trusted[i - 1]];
+    const point = points[trusted[i]];
+    const next = points[trusted[i + 1]];
+    const speedIn = impliedSpeed(previous, point);
+    const speedOut = impliedSpeed(point, next);
+    if (speedIn > maxSpeedKmh && speedOut > maxSpeedKmh && impliedSpeed(previous, next) <= maxSpeedKmh) {
+      const jump = haversineDistance(previous.latitude, previous.longitude, point.latitude, point.longitude);
+      reasons[trusted[i]].push(`jumps ${Math.round(jump / 1000)} km away and back (${Math.round(Math.min(speedIn, speedOut))} km/h)`);
+    }
+  }
+
+  return reasons
+    .map((list, index) => ({ index, reasons: list }))
+    .filter(outlier => outlier.reasons.length > 0);
+}
+
+// Where a point should have been: interpolated by time between the nearest points that are not outliers,
+// or the nearest one at either end of the trip. Null when every point is an outlier.
+export function interpolatePosition(points, index, outlierIndexes) {
+  const isTrusted = (candidate) => !outlierIndexes.has(candidate);
+  let before = index - 1;
+  while (before >= 0 && !isTrusted(before)) {
+    before--;
+  }
+  let after = index + 1;
+  while (after < points.length && !isTrusted(after)) {
+    after++;
+  }
+  const previous = points[before];
+  const next = points[after];
+  if (!previous || !next) {
+    const nearest = previous || next;
+    return nearest ? { latitude: nearest.latitude, longitude: nearest.longitude } : null;
+  }
+  const span = next.time - previous.time;
+  const fraction = span > 0 && Number.isFinite(points[index].time)
+    ? Math.min(1, Math.max(0, (points[index].time - previous.time) / span))
+    : 0.5;
+  return {
+    latitude: previous.latitude + (next.latitude - previous.latitude) * fraction,
+    longitude: previous.longitude + (next.longitude - previous.longitude) * fraction
+  };
+}
@@ -0,0 +1,136 @@
+import { formatExifDateTime } from './time.js';
+
+// Statistics for analyze_shooting_patterns. Each shot is
+// { time, camera, lens, lensRange, fNumber, exposureTime, iso, focalLength, focalLength35, flash }:
+// time in naive milliseconds, lensRange [min, max] from LensInfo, flash true/false, anything may be null.
+
+export const WEEKDAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+const FOCAL_PLANE_UNITS_MM = { 2: 25.4, 3: 10, 4: 1, 5: 0.001 };
+
+const round = (value, decimals) => Number(value.toFixed(decimals));
+const percent = (count, total) => (total > 0 ? round(count / total * 100, 1) : 0);
+const known = (value) => value !== null && value !== undefined;
+
+// "Canon" + "Canon EOS R5" -> "Canon EOS R5"; "NIKON CORPORATION" + "NIKON Z 6" -> "NIKON Z 6"
+export function cameraName(make, model) {
+  const cleanMake = String(make || '').trim();
+  const cleanModel = String(model || '').trim();
+  const brand = cleanMake.split(/\s+/)[0];
+  if (cleanModel && brand && cleanModel.toLowerCase().startsWith(brand.toLowerCase())) {
+    return cleanModel;
+  }
+  return [cleanMake, cleanModel].filter(Boolean).join(' ');
+}
+
+// Shutter speeds the way every tool reports them: fractions below a second ("1/250s"), seconds above ("2s")
+export function formatShutterSpeed(exposureTime) {
+  if (exposureTime < 1) {
+    return `1/${Math.round(1 / exposureTime)}s`;
+  }
+  // Computed limits such as 1/24 × 2⁵ are not round numbers; camera-written exposures are
+  return `${Number(exposureTime.toFixed(1))}s`;
+}
+
+// The 35mm-equivalent focal length: FocalLengthIn35mmFormat when the camera writes it, otherwise the crop factor
+// worked out from the sensor width (image width / FocalPlaneXResolution). Null when neither is available.
+export function equivalentFocalLength({ focalLength, focalLength35, focalPlaneXResolution, focalPlaneResolutionUnit, imageWidth }) {
+  if (focalLength35 > 0) {
+    return focalLength35;
+  }
+  const unitMm = FOCAL_PLANE_UNITS_MM[focalPlaneResolutionUnit ?? 2];
+  if (!(focalLength > 0) || !(focalPlaneXResolution > 0) || !(imageWidth > 0) || !unitMm) {
+    return null;
+  }
+  const sensorWidth = imageWidth / focalPlaneXResolution * unitMm;
+  const cropFactor = 36 / sensorWidth;
+  // Values outside medium format .. phone sensors mean the tags describe something else (e.g. a resized image)
+  return cropFactor >= 0.5 && cropFactor <= 10 ? Math.round(focalLength * cropFactor) : null;
+}
+
+// Count values into a histogram ordered along its axis: [{ value, label, count, percent }]
+function histogram(values, label = String) {
+  const counts = new Map();
+  for (const value of values.filter(known)) {
+    const key = label(value);
+    if (!counts.has(key)) {
+      counts.set(key, { value, label: key, count: 0 });
+    }
+    counts.get(key).count++;
+  }
+  const total = values.filter(known).length;
+  return [...counts.values()]
+    .sort((a, b) => a.value - b.value)
+    .map(bin => ({ ...bin, percent: percent(bin.count, total) }));
+}
+
+// Usage shares ordered from most to least used: [{ name, count, percent }]
+function usage(names, total) {
+  const counts = new Map();
+  for (const name of names) {
+    counts.set(name, (counts.get(name) || 0) + 1);
+  }
+  return [...counts.entries()]
+    .map(([name, count]) => ({ name, count, percent: percent(count, total) }))
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+}
+
+// Zoom lenses: a LensInfo range with two ends, or several focal lengths used when LensInfo is missing
+function zoomLensStats(shots, top) {
+  const byLens = new Map();
+  for (const shot of shots.filter(candidate => candidate.lens && known(candidate.focalLength))) {
+    if (!byLens.has(shot.lens)) {
+      byLens.set(shot.lens, []);
+    }
+    byLens.get(shot.lens).push(shot);
+  }
+
+  const lenses = [];
+  for (const [lens, lensShots] of byLens) {
+    const focalLengths = lensShots.map(shot => round(shot.focalLength, 0));
+    const range = lensShots.find(shot => shot.lensRange)?.lensRange ||
+      [focalLengths.reduce((a, b) => Math.min(a, b)), focalLengths.reduce((a, b) => Math.max(a, b))];
+    if (range[0] === range[1]) {
+      continue;
+    }
+    const mostUsed = histogram(focalLengths)
+      .sort((a, b) => b.count - a.count || a.value - b.value)
+      .slice(0, top)
+      .map(({ value, count, percent: share }) => ({ focalLength: value, count, percent: share }));
+    lenses.push({ lens, range, shots: lensShots.length, mostUsed });
+  }
+  return lenses.sort((a, b) => b.shots - a.shots || a.lens.localeCompare(b.lens));
+}
+
+// Aggregate shots into histograms, usage shares and time-of-day patterns
+export function analyzeShootingPatterns(shots, { topFocalLengths = 3 } = {}) {
+  const times = shots.filter(shot => known(shot.time)).map(shot => shot.time);
+  const flashKnown = shots.filter(shot => known(shot.flash));
+  const fired = flashKnown.filter(shot => shot.flash).length;
+
+  const hourOfDay = Array(24).fill(0);
+  const weekday = Object.fromEntries(WEEKDAYS.map(day => [day, 0]));
+  for (const time of times) {
+    const date = new Date(time);
+    hourOfDay[date.getUTCHours()]++;
+    weekday[WEEKDAYS[(date.getUTCDay() + 6) % 7]]++;
+  }
+
+  return {
+    shots: shots.length,
+    // reduce rather than Math.min(...) so large collections do not overflow the stack
+    dateRange: times.length > 0
+      ? { first: formatExifDateTime(times.reduce((a, b) => Math.min(a, b))), last: formatExifDateTime(times.reduce((a, b) => Math.max(a, b))) }
+      : null,
+    aperture: histogram(shots.map(shot => shot.fNumber), value => `f/${round(value, 1)}`),
+    shutterSpeed: histogram(shots.map(shot => shot.exposureTime), formatShutterSpeed),
+    iso: histogram(shots.map(shot => shot.iso), value => `ISO ${Math.round(value)}`),
+    focalLength35: histogram(shots.map(shot => shot.focalLength35), value => `${Math.round(value)}mm`),
+    cameras: usage(shots.map(shot => shot.camera || 'Unknown camera'), shots.length),
+    lenses: usage(shots.map(shot => shot.lens || 'Unknown lens'), shots.length),
+    hourOfDay,
+    weekday,
+    flash: { fired, notFired: flashKnown.length - fired, unknown: shots.length - flashKnown.length, percent: percent(fired, flashKnown.length) },
+    zoomLenses: zoomLensStats(shots, topFocalLengths)
+  };
+}
@@ -0,0 +1,262 @@
+import { fitProjection } from './geo.js';
+import { escapeHtml } from './report.js';
+
+// The offline photo map of create_photo_map: one HTML page with an inline SVG plot of the photo locations,
+// pan and zoom, a timeline scrubber and photo cards, with no CDN or tile server.
+// Photos are { number, filename, datetime (ISO string), date, latitude, longitude, thumbnail, full, place,
+// camera, lens, settings } ordered by capture time; thumbnail and full are relative paths or null.
+
+const VIEW_WIDTH = 1000;
+const VIEW_HEIGHT = 700;
+
+// Collect the rings and lines of any GeoJSON object as arrays of [longitude, latitude] positions; points are skipped
+function collectLines(geojson, lines = []) {
+  if (!geojson || typeof geojson !== 'object') {
+    return lines;
+  }
+  switch (geojson.type) {
+    case 'FeatureCollection':
+      (geojson.features || []).forEach(feature => collectLines(feature, lines));
+      break;
+    case 'Feature':
+      collectLines(geojson.geometry, lines);
+      break;
+    case 'GeometryCollection':
+      (geojson.geometries || []).forEach(geometry => collectLines(geometry, lines));
+      break;
+    case 'LineString':
+      lines.push(geojson.coordinates);
+      break;
+    case 'MultiLineString':
+    case 'Polygon':
+      lines.push(...geojson.coordinates);
+      break;
+    case 'MultiPolygon':
+      geojson.coordinates.forEach(polygon => lines.push(...polygon));
+      break;
+    default:
+      break;
+  }
+  return lines;
+}
+
+// SVG path data for the outlines of a GeoJSON basemap (text or parsed), projected like the photos
+export function basemapPathData(geojson, project) {
+  const data = typeof geojson === 'string' ? JSON.parse(geojson) : geojson;
+  if (!data || typeof data !== 'object' || typeof data.type !== 'string') {
+    throw new Error('Basemap must be a GeoJSON object');
+  }
+  return collectLines(data)
+    .filter(line => Array.isArray(line) && line.length > 1)
+    .map(line => line
+      .filter(position => Array.isArray(position) && Number.isFinite(position[0]) && Number.isFinite(position[1]))
+      .map(([longitude, latitude], index) => `${index === 0 ? 'M' : 'L'}${project({ latitude, longitude }).join(' ')}`)
+      .join(''))
+    .filter(Boolean);
+}
+
+// Keep "</script>" and friends inside embedded JSON from closing the script element
+const toScriptJson = (value) => JSON.stringify(value).replace(/</g, '\\u003c');
+
+const STYLE = `
+* { box-sizing: border-box; }
+body { margin: 0; font-family: system-ui, sans-serif; color: #222; display: flex; flex-direction: column; height: 100vh; }
+header { padding: .6rem 1rem; border-bottom: 1px solid #ddd; }
+header h1 { font-size: 1.2rem; margin: 0; }
+header p { margin: .2rem 0 0; color: #666; font-size: .9rem; }
+main { flex: 1; position: relative; overflow: hidden; background: #eef2f5; }
+svg { width: 100%; height: 100%; cursor: grab; touch-action: none; }
+svg.dragging { cursor: grabbing; }
+.basemap { fill: #f4f1ea; stroke: #b8b0a0; stroke-width: 1; vector-effect: non-scaling-stroke; fill-rule: evenodd; }
+.path { fill: none; stroke: #d03030; stroke-width: 2; vector-effect: non-scaling-stroke; }
+.photo { fill: #4363d8; stroke: #fff; stroke-width: 1.5; vector-effect: non-scaling-stroke; cursor: pointer; }
+.photo.future { opacity: .15; }
+.photo.current { fill: #f58231; }
+.zoom { position: absolute; top: .6rem; left: .6rem; display: flex; flex-direction: column; gap: .3rem; }
+.zoom button { width: 2rem; height: 2rem; font-size: 1.1rem; border: 1px solid #bbb; border-radius: 4px; background: #fff; cursor: pointer; }
+.card { position: absolute; top: .6rem; right: .6rem; width: 20rem; max-height: calc(100% - 1.2rem); overflow: auto; background: #fff;
+  border-radius: 6px; box-shadow: 0 2px 10px rgba(0, 0, 0, .25); padding: .8rem; font-size: .9rem; }
+.card[hidden] { display: none; }
+.card img { width: 100%; border-radius: 4px; display: block; margin-bottom: .5rem; }
+.card h2 { font-size: 1rem; margin: 0 0 .3rem; }
+.card p { margin: .2rem 0; }
+.card .close { float: right; border: none; background: none; font-size: 1.2rem; cursor: pointer; }
+footer { display: flex; align-items: center; gap: .8rem; padding: .6rem 1rem; border-top: 1px solid #ddd; }
+footer input { flex: 1; }
+footer output { min-width: 12rem; color: #444; font-size: .9rem; }
+`;
+
+// Pan and zoom move the viewBox; the scrubber fades photos after the chosen one and shortens the path
+const SCRIPT = `
+const photos = JSON.parse(document.getElementById('photo-data').textContent);
+const svg = document.querySelector('svg');
+const { x, y, width, height } = svg.viewBox.baseVal;
+const home = { x, y, width, height };
+let view = { ...home };
+const circles = [...document.querySelectorAll('.photo')];
+const path = document.querySelector('.path');
+const card = document.querySelector('.card');
+const scrubber = document.querySelector('footer input');
+const label = document.querySelector('footer output');
+
+function applyView() {
+  svg.setAttribute('viewBox', [view.x, view.y, view.width, view.height].join(' '));
+  const radius = 6 * view.width / ${VIEW_WIDTH};
+  circles.forEach(circle => circle.setAttribute('r', radius));
+}
+
+function zoom(factor, cx = view.x + view.width / 2, cy = view.y + view.height / 2) {
+  view = { x: cx - (cx - view.x) * factor, y: cy - (cy - view.y) * factor, width: view.width * factor, height: view.height * factor };
+  applyView();
+}
+
+function toView(event) {
+  const box = svg.getBoundingClientRect();
+  const scale = Math.max(view.width / box.width, view.height / box.height);
+  return {
+    x: view.x + view.width / 2 + (event.clientX - box.left - box.width / 2) * scale,
+    y: view.y + view.height / 2 + (event.clientY - box.top - box.height / 2) * scale,
+    scale
+  };
+}
+
+svg.addEventListener('wheel', event => {
+  event.preventDefault();
+  const point = toView(event);
+  zoom(event.deltaY > 0 ? 1.2 : 1 / 1.2, point.x, point.y);
+}, { passive: false });
+
+let drag = null;
+svg.addEventListener('pointerdown', event => {
+  if (event.target.classList.contains('photo')) {
+    return;
+  }
+  drag = { x: event.clientX, y: event.clientY, scale: toView(event).scale };
+  svg.setPointerCapture(event.pointerId);
+  svg.classList.add('dragging');
+});
+svg.addEventListener('pointermove', event => {
+  if (drag) {
+    view.x -= (event.clientX - drag.x) * drag.scale;
+    view.y -= (event.clientY - drag.y) * drag.scale;
+    drag.x = event.clientX;
+    drag.y = event.clientY;
+    applyView();
+  }
+});
+svg.addEventListener('pointerup', () => {
+  drag = null;
+  svg.classList.remove('dragging');
+});
+
+document.querySelector('[data-zoom="in"]').addEventListener('click', () => zoom(1 / 1.5));
+document.querySelector('[data-zoom="out"]').addEventListener('click', () => zoom(1.5));
+document.querySelector('[data-zoom="reset"]').addEventListener('click', () => {
+  view = { ...home };
+  applyView();
+});
+
+function text(tag, value) {
+  const element = document.createElement(tag);
+  element.textContent = value;
+  return element;
+}
+
+function showCard(index) {
+  const photo = photos[index];
+  card.replaceChildren();
+  const close = text('button', '×');
+  close.className = 'close';
+  close.title = 'Close';
+  close.addEventListener('click', () => { card.hidden = true; });
+  card.append(close);
+  if (photo.thumbnail) {
+    const image = document.createElement('img');
+    image.src = photo.thumbnail;
+    image.alt = photo.filename;
+    if (photo.full) {
+      const link = document.createElement('a');
+      link.href = photo.full;
+      link.target = '_blank';
+      link.append(image);
+      card.append(link);
+    } else {
+      card.append(image);
+    }
+  }
+  card.append(text('h2', photo.number + '. ' + photo.filename));
+  for (const line of [photo.date, photo.place, photo.camera, photo.lens, photo.settings,
+    photo.latitude.toFixed(6) + ', ' + photo.longitude.toFixed(6)]) {
+    if (line) {
+      card.append(text('p', line));
+    }
+  }
+  card.hidden = false;
+}
+
+function scrubTo(index) {
+  circles.forEach((circle, i) => {
+    circle.classList.toggle('future', i > index);
+    circle.classList.toggle('current', i === index);
+  });
+  if (path) {
+    path.setAttribute('points', photos.slice(0, index + 1).map(photo => photo.x + ',' + photo.y).join(' '));
+  }
+  label.textContent = photos[index].date || photos[index].filename;
+}
+
+circles.forEach((circle, index) => circle.addEventListener('click', () => showCard(index)));
+scrubber.addEventListener('input', () => {
+  scrubTo(Number(scrubber.value));
+  showCard(Number(scrubber.value));
+});
+applyView();
+scrubTo(photos.length - 1);
+`;
+
+// Render the page. `basemap` is optional GeoJSON, drawn beneath the photos as outlines.
+export function renderPhotoMapHtml({ title, description = '', photos, basemap = null, drawPath = true }) {
+  // Three decimals keep street-level detail when zoomed far in
+  const project = fitProjection(photos, { width: VIEW_WIDTH, height: VIEW_HEIGHT, padding: 40, decimals: 3 });
+  const placed = photos.map(photo => {
+    const [x, y] = project(photo);
+    return { ...photo, x, y };
+  });
+
+  const svg = [`<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${VIEW_WIDTH} ${VIEW_HEIGHT}" preserveAspectRatio="xMidYMid meet">`];
+  if (basemap) {
+    svg.push(...basemapPathData(basemap, project).map(data => `<path class="basemap" d="${data}"/>`));
+  }
+  if (drawPath && placed.length > 1) {
+    svg.push(`<polyline class="path" points="${placed.map(photo => `${photo.x},${photo.y}`).join(' ')}"/>`);
+  }
+  for (const photo of placed) {
+    svg.push(`<circle class="photo" cx="${photo.x}" cy="${photo.y}" r="6"><title>${escapeHtml(`${photo.number}. ${photo.filename}`)}</title></circle>`);
+  }
+  svg.push('</svg>');
+
+  return `${[
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    '<meta charset="utf-8">',
+    '<meta name="viewport" content="width=device-width, initial-scale=1">',
+    `<title>${escapeHtml(title)}</title>`,
+    `<style>${STYLE}</style>`,
+    '</head>',
+    '<body>',
+    `<header><h1>${escapeHtml(title)}</h1>${description ? `<p>${escapeHtml(description)}</p>` : ''}</header>`,
+    '<main>',
+    ...svg,
+    '<div class="zoom"><button type="button" data-zoom="in" title="Zoom in">+</button>' +
+      '<button type="button" data-zoom="out" title="Zoom out">−</button>' +
+      '<button type="button" data-zoom="reset" title="Reset view">⌂</button></div>',
+    '<aside class="card" hidden></aside>',
+    '</main>',
+    `<footer><input type="range" min="0" max="${placed.length - 1}" value="${placed.length - 1}" aria-label="Timeline"><output></output></footer>`,
+    `<script type="application/json" id="photo-data">${toScriptJson(placed)}</script>`,
+    `<script>${SCRIPT}</script>`,
+    '</body>',
+    '</html>'
+  ].join('\n')}\n`;
+}
@@ -0,0 +1,199 @@
+import { assignEvents } from './organize.js';
+import { fitProjection } from './geo.js';
+import { formatExifDateTime } from './time.js';
+
+// Building blocks of generate_photo_report: grouping photos, summarizing their settings, plotting GPS points
+// and rendering the report as Markdown or self-contained HTML. Photos are
+// { relativePath, time, camera, place, latitude, longitude } plus the shot fields analyzeShootingPatterns reads.
+
+export const REPORT_GROUPINGS = ['date', 'location', 'camera', 'event'];
+
+const PLOT_COLORS = ['#e6194b', '#3cb44b', '#4363d8', '#f58231', '#911eb4', '#42d4f4', '#f032e6', '#9a6324'];
+
+const formatDay = (ms) => formatExifDateTime(ms).slice(0, 10).replace(/:/g, '-');
+
+// assignEvents works on local dates, so rebuild the naive capture time as local wall-clock time
+const toLocalDate = (ms) => {
+  const date = new Date(ms);
+  return new Date(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), date.getUTCHours(), date.getUTCMinutes(), date.getUTCSeconds());
+};
+
+// Group photos into [{ title, photos }]: dates and events in chronological order, places and cameras by size.
+// Photos inside a group are ordered by capture time.
+export function groupPhotos(photos, groupBy, { eventGapHours = 3 } = {}) {
+  const events = groupBy === 'event'
+    ? assignEvents(photos.map(photo => (photo.time === null ? null : toLocalDate(photo.time))), eventGapHours)
+    : [];
+  // Days with a single event are titled by the date alone
+  const eventsPerDay = new Map();
+  events.forEach((event, index) => {
+    if (event !== null) {
+      const day = formatDay(photos[index].time);
+      eventsPerDay.set(day, Math.max(eventsPerDay.get(day) || 0, event));
+    }
+  });
+  const keyOf = (photo, index) => {
+    switch (groupBy) {
+      case 'date':
+        return photo.time === null ? null : formatDay(photo.time);
+      case 'event':
+        if (photo.time === null) {
+          return null;
+        }
+        return eventsPerDay.get(formatDay(photo.time)) > 1 ? `${formatDay(photo.time)}, event ${events[index]}` : formatDay(photo.time);
+      case 'location':
+        return photo.place || null;
+      case 'camera':
+        return photo.camera || null;
+      default:
+        throw new Error(`Unknown grouping "${groupBy}". Use one of: ${REPORT_GROUPINGS.join(', ')}`);
+    }
+  };
+
+  const groups = new Map();
+  photos.forEach((photo, index) => {
+    const key = keyOf(photo, index);
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(photo);
+  });
+
+  const fallback = { date: 'Undated', event: 'Undated', location: 'No location', camera: 'Unknown camera' }[groupBy];
+  const byTime = (a, b) => (a.time ?? Infinity) - (b.time ?? Infinity) || a.relativePath.localeCompare(b.relativePath);
+  const chronological = groupBy === 'date' || groupBy === 'event';
+  return [...groups.entries()]
+    .sort(([keyA, a], [keyB, b]) => {
+      // The catch-all group goes last
+      if ((keyA === null) !== (keyB === null)) {
+        return keyA === null ? 1 : -1;
+      }
+      if (chronological) {
+        return keyA.localeCompare(keyB, undefined, { numeric: true });
+      }
+      return b.length - a.length || String(keyA).localeCompare(String(keyB));
+    })
+    .map(([key, members]) => ({ title: key ?? fallback, photos: [...members].sort(byTime) }));
+}
+
+// One line per setting from analyzeShootingPatterns statistics, e.g. "Aperture: f/2.8 (50%), f/4 (25%)"
+export function summarizeSettings(stats) {
+  const lines = [];
+  const top = (bins) => [...bins].sort((a, b) => b.count - a.count).slice(0, 3).map(bin => `${bin.label} (${bin.percent}%)`).join(', ');
+  const range = (bins) => (bins.length === 1 ? bins[0].label : `${bins[0].label} – ${bins[bins.length - 1].label}`);
+
+  if (stats.aperture.length > 0) {
+    lines.push(`Aperture: ${top(stats.aperture)}`);
+  }
+  if (stats.shutterSpeed.length > 0) {
+    lines.push(`Shutter speed: ${range(stats.shutterSpeed)}`);
+  }
+  if (stats.iso.length > 0) {
+    lines.push(`ISO: ${range(stats.iso).replace(/ISO /g, '')}`);
+  }
+  if (stats.focalLength35.length > 0) {
+    lines.push(`Focal length (35mm equivalent): ${range(stats.focalLength35)}`);
+  }
+  const named = (items) => items.map(({ name, percent }) => `${name} (${percent}%)`).join(', ');
+  lines.push(`Cameras: ${named(stats.cameras)}`);
+  lines.push(`Lenses: ${named(stats.lenses)}`);
+  if (stats.flash.fired + stats.flash.notFired > 0) {
+    lines.push(`Flash: ${stats.flash.percent}% of photos`);
+  }
+  return lines;
+}
+
+// Plot GPS points as an SVG map: an equirectangular projection scaled for the middle latitude, a line through
+// the points in capture order and one dot per point coloured by group. Points are { latitude, longitude, label, group }.
+export function plotGpsSvg(points, { width = 640, height = 400, padding = 20 } = {}) {
+  const project = fitProjection(points, { width, height, padding });
+  const bound = (key, pick) => points.reduce((value, point) => pick(value, point[key]), points[0][key]);
+  const [minLat, maxLat] = [bound('latitude', Math.min), bound('latitude', Math.max)];
+  const [minLon, maxLon] = [bound('longitude', Math.min), bound('longitude', Math.max)];
+
+  const svg = [`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`];
+  svg.push(`  <rect width="${width}" height="${height}" fill="#f4f1ea" stroke="#ccc"/>`);
+  if (points.length > 1) {
+    svg.push(`  <polyline points="${points.map(point => project(point).join(',')).join(' ')}" fill="none" stroke="#888" stroke-width="1.5" stroke-dasharray="4 3"/>`);
+  }
+  for (const point of points) {
+    const [x, y] = project(point);
+    svg.push(`  <circle cx="${x}" cy="${y}" r="5" fill="${PLOT_COLORS[point.group % PLOT_COLORS.length]}" stroke="#fff">` +
+      `<title>${escapeHtml(point.label)}</title></circle>`);
+  }
+  svg.push(`  <text x="${padding}" y="${height - 6}" font-size="11" fill="#666">${minLat.toFixed(4)}, ${minLon.toFixed(4)} – ${maxLat.toFixed(4)}, ${maxLon.toFixed(4)}</text>`);
+  svg.push('</svg>');
+  return svg.join('\n');
+}
+
+export function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Markdown special characters in names and places
+const escapeMarkdown = (value) => String(value).replace(/([\\`*_[\]<>|#])/g, '\\$1');
+
+// A report is { title, overview: [lines], summary: [lines], map, groups: [{ title, count, period, settings, thumbnails }] }
+// where map is an image path (Markdown) or inline SVG (HTML), and thumbnail `src` a file path or data URI
+export function renderMarkdownReport(report) {
+  const lines = [`# ${escapeMarkdown(report.title)}`, ''];
+  lines.push(...report.overview.map(line => `- ${escapeMarkdown(line)}`), '');
+  if (report.summary.length > 0) {
+    lines.push('## Capture Settings', '', ...report.summary.map(line => `- ${escapeMarkdown(line)}`), '');
+  }
+  if (report.map) {
+    lines.push('## Map', '', `![GPS positions](${report.map})`, '');
+  }
+  for (const group of report.groups) {
+    lines.push(`## ${escapeMarkdown(group.title)}`, '');
+    lines.push(`**${group.count} photo${group.count === 1 ? '' : 's'}**${group.period ? ` · ${group.period}` : ''}`, '');
+    lines.push(...group.settings.map(line => `- ${escapeMarkdown(line)}`), '');
+    if (group.thumbnails.length > 0) {
+      lines.push(group.thumbnails.map(({ src, alt }) => `![${escapeMarkdown(alt)}](${src})`).join(' '), '');
+    }
+  }
+  return `${lines.join('\n').trimEnd()}\n`;
+}
+
+export function renderHtmlReport(report) {
+  const html = [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    '<meta charset="utf-8">',
+    `<title>${escapeHtml(report.title)}</title>`,
+    '<style>',
+    'body { font-family: system-ui, sans-serif; margin: 2rem auto; max-width: 60rem; padding: 0 1rem; color: #222; }',
+    'h2 { border-bottom: 1px solid #ddd; padding-bottom: .3rem; margin-top: 2rem; }',
+    '.meta { color: #666; }',
+    '.strip { display: flex; flex-wrap: wrap; gap: .5rem; }',
+    '.strip figure { margin: 0; font-size: .75rem; color: #666; text-align: center; }',
+    '.strip img { display: block; border-radius: 4px; }',
+    '</style>',
+    '</head>',
+    '<body>',
+    `<h1>${escapeHtml(report.title)}</h1>`,
+    `<ul>${report.overview.map(line => `<li>${escapeHtml(line)}</li>`).join('')}</ul>`
+  ];
+  if (report.summary.length > 0) {
+    html.push('<h2>Capture Settings</h2>', `<ul>${report.summary.map(line => `<li>${escapeHtml(line)}</li>`).join('')}</ul>`);
+  }
+  if (report.map) {
+    html.push('<h2>Map</h2>', report.map);
+  }
+  for (const group of report.groups) {
+    html.push(`<h2>${escapeHtml(group.title)}</h2>`);
+    html.push(`<p class="meta"><strong>${group.count} photo${group.count === 1 ? '' : 's'}</strong>${group.period ? ` · ${escapeHtml(group.period)}` : ''}</p>`);
+    html.push(`<ul>${group.settings.map(line => `<li>${escapeHtml(line)}</li>`).join('')}</ul>`);
+    if (group.thumbnails.length > 0) {
+      html.push(`<div class="strip">${group.thumbnails.map(({ src, alt }) =>
+        `<figure><img src="${src}" alt="${escapeHtml(alt)}" loading="lazy"><figcaption>${escapeHtml(alt)}</figcaption></figure>`).join('')}</div>`);
+    }
+  }
+  html.push('</body>', '</html>');
+  return `${html.join('\n')}\n`;
+}
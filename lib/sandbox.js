@@ -0,0 +1,117 @@
+import { readFileSync, realpathSync, lstatSync } from 'fs';
+import path from 'path';
+
+// Sandbox roots limit which directories tools may touch. They come from a JSON config file
+// ({ "readRoots": [...], "writeRoots": [...] }) named by EXIF_MCP_CONFIG, and/or from
+// EXIF_MCP_READ_ROOTS / EXIF_MCP_WRITE_ROOTS (separated by the platform path delimiter), which win over the file.
+// Without any configuration the working directory is the only (read-write) root.
+
+function readRootList(value, name) {
+  if (!Array.isArray(value) || !value.every(root => typeof root === 'string' && root)) {
+    throw new Error(`${name} must be an array of directory paths`);
+  }
+  return value;
+}
+
+function splitRootList(value) {
+  return value.split(path.delimiter).map(root => root.trim()).filter(Boolean);
+}
+
+function resolveRoot(root, baseDir, policy) {
+  const absoluteRoot = path.resolve(baseDir, root);
+  try {
+    return realpathSync(absoluteRoot);
+  } catch {
+    throw new Error(`Sandbox ${policy} root does not exist: ${absoluteRoot}`);
+  }
+}
+
+export function loadSandboxConfig(env = process.env, cwd = process.cwd()) {
+  let readRoots = [];
+  let writeRoots = [];
+  let fileDir = cwd;
+
+  if (env.EXIF_MCP_CONFIG) {
+    const configPath = path.resolve(cwd, env.EXIF_MCP_CONFIG);
+    let config;
+    try {
+      config = JSON.parse(readFileSync(configPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Cannot read sandbox config ${configPath}: ${error.message}`);
+    }
+    readRoots = readRootList(config.readRoots || [], 'readRoots');
+    writeRoots = readRootList(config.writeRoots || [], 'writeRoots');
+    // Relative roots in the file are relative to the file itself
+    fileDir = path.dirname(configPath);
+  }
+
+  const fromEnv = (name) => env[name] !== undefined;
+  const resolved = {
+    readRoots: fromEnv('EXIF_MCP_READ_ROOTS')
+      ? splitRootList(env.EXIF_MCP_READ_ROOTS).map(root => resolveRoot(root, cwd, 'read-only'))
+      : readRoots.map(root => resolveRoot(root, fileDir, 'read-only')),
+    writeRoots: fromEnv('EXIF_MCP_WRITE_ROOTS')
+      ? splitRootList(env.EXIF_MCP_WRITE_ROOTS).map(root => resolveRoot(root, cwd, 'read-write'))
+      : writeRoots.map(root => resolveRoot(root, fileDir, 'read-write'))
+  };
+
+  if (resolved.readRoots.length === 0 && resolved.writeRoots.length === 0) {
+    resolved.writeRoots = [resolveRoot(cwd, cwd, 'read-write')];
+  }
+  return resolved;
+}
+
+// Real path of a file that may not exist yet: the deepest existing ancestor is resolved and the rest appended
+function resolveRealPath(target) {
+  const missing = [];
+  let current = target;
+  for (;;) {
+    try {
+      lstatSync(current);
+      break;
+    } catch {
+      const parent = path.dirname(current);
+      if (parent === current) {
+        break;
+      }
+      missing.unshift(path.basename(current));
+      current = parent;
+    }
+  }
+  return path.join(realpathSync(current), ...missing);
+}
+
+function isInside(root, target) {
+  const relative = path.relative(root, target);
+  return relative === '' || (!path.isAbsolute(relative) && relative !== '..' && !relative.startsWith(`..${path.sep}`));
+}
+
+// Resolve a path and check its real location against the sandbox. `access` is 'read' or 'write';
+// read-write roots allow both. Returns the real path so later file operations cannot be redirected by symlinks.
+export function resolveSandboxedPath(filepath, access, { readRoots, writeRoots }) {
+  const absolutePath = path.resolve(filepath);
+  let realPath;
+  try {
+    realPath = resolveRealPath(absolutePath);
+  } catch (error) {
+    throw new Error(`Access denied: cannot resolve ${absolutePath} (${error.code || error.message})`);
+  }
+  const shown = realPath === absolutePath ? absolutePath : `${absolutePath} (resolves to ${realPath})`;
+
+  if (writeRoots.some(root => isInside(root, realPath))) {
+    return realPath;
+  }
+
+  const readOnlyRoot = readRoots.find(root => isInside(root, realPath));
+  if (access === 'write') {
+    if (readOnlyRoot) {
+      throw new Error(`Access denied: ${shown} is inside the read-only root ${readOnlyRoot}`);
+    }
+    throw new Error(`Access denied: ${shown} is outside the read-write roots (${writeRoots.join(', ') || 'none configured'})`);
+  }
+  if (readOnlyRoot) {
+    return realPath;
+  }
+  throw new Error(`Access denied: ${shown} is outside the sandbox roots ` +
+    `(read-only: ${readRoots.join(', ') || 'none'}; read-write: ${writeRoots.join(', ') || 'none'})`);
+}
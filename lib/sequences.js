@@ -0,0 +1,110 @@
+// Sequence detection: bursts, exposure brackets (HDR) and focus brackets (focus stacking).
+// Frames are { filepath, time, camera, exposureBias, focusDistance }: time in milliseconds including
+// sub-seconds, camera a key for the body that took it (serial number, or make and model).
+
+export const SEQUENCE_TYPES = ['burst', 'exposure-bracket', 'focus-bracket'];
+
+// Add EXIF SubSecTime digits ("45" = 0.45 s, "045" = 0.045 s) to a capture time in milliseconds
+export function addSubSeconds(ms, subSec) {
+  const digits = String(subSec ?? '').trim();
+  if (ms === null || !/^\d+$/.test(digits)) {
+    return ms;
+  }
+  return ms + Math.round(Number(`0.${digits}`) * 1000);
+}
+
+const distinct = (values) => [...new Set(values)];
+
+// Split a run of frames whose exposure bias changes into bracket sets: a set ends when a bias value repeats
+function splitExposureBrackets(frames) {
+  const sets = [];
+  let current = [];
+  for (const frame of frames) {
+    const bias = frame.exposureBias ?? 0;
+    if (current.some(other => (other.exposureBias ?? 0) === bias)) {
+      sets.push(current);
+      current = [];
+    }
+    current.push(frame);
+  }
+  sets.push(current);
+  return sets;
+}
+
+// Focus brackets step the focus distance through at least three values, mostly in one direction
+function isFocusBracket(frames) {
+  const distances = frames.map(frame => frame.focusDistance).filter(distance => distance !== null && distance !== undefined);
+  if (distances.length < frames.length * 0.8 || distinct(distances).length < 3) {
+    return false;
+  }
+  let rising = 0;
+  let falling = 0;
+  for (let i = 1; i < distances.length; i++) {
+    if (distances[i] > distances[i - 1]) {
+      rising++;
+    } else if (distances[i] < distances[i - 1]) {
+      falling++;
+    }
+  }
+  return Math.max(rising, falling) >= (distances.length - 1) * 0.8;
+}
+
+function createSequence(type, frames) {
+  let representative;
+  if (type === 'exposure-bracket') {
+    // The frame closest to the metered exposure
+    representative = frames.reduce((best, frame) =>
+      (Math.abs(frame.exposureBias ?? 0) < Math.abs(best.exposureBias ?? 0) ? frame : best));
+  } else {
+    representative = frames[Math.floor((frames.length - 1) / 2)];
+  }
+  return { type, frames, representative, start: frames[0].time, end: frames[frames.length - 1].time };
+}
+
+// Find sequences: frames from the same camera at most `maxGapSeconds` apart form a run, which is then
+// labelled an exposure bracket when the exposure bias steps, a focus bracket when the focus distance steps,
+// and a burst otherwise. Bursts need `minFrames` frames, brackets two. Returns sequences ordered by time.
+export function detectSequences(frames, { maxGapSeconds = 2, minFrames = 3 } = {}) {
+  const byCamera = new Map();
+  for (const frame of frames) {
+    if (frame.time === null || frame.time === undefined) {
+      continue;
+    }
+    const key = frame.camera || '';
+    if (!byCamera.has(key)) {
+      byCamera.set(key, []);
+    }
+    byCamera.get(key).push(frame);
+  }
+
+  const sequences = [];
+  for (const cameraFrames of byCamera.values()) {
+    cameraFrames.sort((a, b) => a.time - b.time || a.filepath.localeCompare(b.filepath));
+
+    const runs = [];
+    for (const frame of cameraFrames) {
+      const run = runs[runs.length - 1];
+      if (run && frame.time - run[run.length - 1].time <= maxGapSeconds * 1000) {
+        run.push(frame);
+      } else {
+        runs.push([frame]);
+      }
+    }
+
+    for (const run of runs.filter(candidate => candidate.length >= 2)) {
+      if (distinct(run.map(frame => frame.exposureBias ?? 0)).length > 1) {
+        for (const set of splitExposureBrackets(run)) {
+          if (set.length >= 2) {
+            sequences.push(createSequence('exposure-bracket', set));
+          }
+        }
+      } else if (isFocusBracket(run)) {
+        sequences.push(createSequence('focus-bracket', run));
+      } else if (run.length >= minFrames) {
+        sequences.push(createSequence('burst', run));
+      }
+    }
+  }
+
+  return sequences.sort((a, b) => a.start - b.start);
+}
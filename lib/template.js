@@ -0,0 +1,219 @@
+// Filename templates: literal text with {placeholders}.
+//
+//   {name}                  a variable or any parsed tag, e.g. {camera}, {ISO}, {FocalLength}
+//   {name:format}           dates use tokens ({date:YYYYMMDD}); numbers use a zero-padded width ({counter:4})
+//   {name|filter|filter:n}  filters, e.g. {camera|lower}, {Model|slug}, {FocalLength|round}
+//   {a?b?"text"}            fall back to the next alternative when a value is missing
+//   {{ and }}               literal braces
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+const DATE_TOKENS = /YYYY|YY|MMMM|MMM|MM|DD|HH|mm|ss/g;
+const DEFAULT_DATE_FORMAT = 'YYYY-MM-DD_HHmmss';
+
+const foldAccents = (value) => value.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+
+// Filters take the rendered string and an optional numeric argument
+const FILTERS = {
+  lower: { apply: (value) => value.toLowerCase() },
+  upper: { apply: (value) => value.toUpperCase() },
+  title: { apply: (value) => value.toLowerCase().replace(/(^|[\s_-])(\p{L})/gu, (match, sep, letter) => sep + letter.toUpperCase()) },
+  trim: { apply: (value) => value.trim() },
+  ascii: { apply: foldAccents },
+  slug: { apply: (value) => foldAccents(value).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') },
+  round: {
+    arg: { min: 0, max: 6, default: 0 },
+    apply: (value, digits) => (isNumeric(value) ? String(Number(Number(value).toFixed(digits))) : value)
+  },
+  int: { apply: (value) => (isNumeric(value) ? String(Math.trunc(Number(value))) : value) },
+  pad: { arg: { min: 1, max: 10 }, apply: (value, width) => value.padStart(width, '0') },
+  truncate: { arg: { min: 1, max: 255 }, apply: (value, length) => value.slice(0, length) }
+};
+
+function isNumeric(value) {
+  return value.trim() !== '' && Number.isFinite(Number(value));
+}
+
+function templateError(message, position, hint = '') {
+  return new Error(`Invalid template: ${message} at position ${position + 1}${hint}`);
+}
+
+// Format a Date with YYYY, YY, MMMM, MMM, MM, DD, HH, mm and ss tokens; other characters are kept
+export function formatTemplateDate(date, format) {
+  const pad = (n) => String(n).padStart(2, '0');
+  const values = {
+    YYYY: String(date.getFullYear()),
+    YY: String(date.getFullYear()).slice(-2),
+    MMMM: MONTHS[date.getMonth()],
+    MMM: MONTHS[date.getMonth()].slice(0, 3),
+    MM: pad(date.getMonth() + 1),
+    DD: pad(date.getDate()),
+    HH: pad(date.getHours()),
+    mm: pad(date.getMinutes()),
+    ss: pad(date.getSeconds())
+  };
+  return format.replace(DATE_TOKENS, token => values[token]);
+}
+
+// Split on a separator outside double-quoted strings
+function splitTopLevel(text, separator, offset) {
+  const parts = [];
+  let start = 0;
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\\' && quoted) {
+      i++;
+    } else if (text[i] === '"') {
+      quoted = !quoted;
+    } else if (text[i] === separator && !quoted) {
+      parts.push({ text: text.slice(start, i), position: offset + start });
+      start = i + 1;
+    }
+  }
+  if (quoted) {
+    throw templateError('unterminated string', offset + text.lastIndexOf('"'));
+  }
+  parts.push({ text: text.slice(start), position: offset + start });
+  return parts;
+}
+
+function parseTerm({ text, position }) {
+  const term = text.trim();
+  if (term.startsWith('"')) {
+    if (term.length < 2 || !term.endsWith('"')) {
+      throw templateError('unterminated string', position);
+    }
+    return { literal: term.slice(1, -1).replace(/\\(.)/g, '$1') };
+  }
+  const match = /^([A-Za-z_][\w.-]*)(?::(.+))?$/.exec(term);
+  if (!match) {
+    throw templateError(term ? `invalid variable "${term}"` : 'empty variable', position);
+  }
+  return { name: match[1], format: match[2] };
+}
+
+function parseFilter({ text, position }) {
+  const [name, arg, extra] = text.trim().split(':');
+  const filter = FILTERS[name];
+  if (!filter) {
+    throw templateError(`unknown filter "${name}"`, position, ` (available: ${Object.keys(FILTERS).join(', ')})`);
+  }
+  if (!filter.arg) {
+    if (arg !== undefined) {
+      throw templateError(`filter "${name}" takes no argument`, position);
+    }
+    return { name, apply: filter.apply };
+  }
+  if (arg === undefined && filter.arg.default === undefined) {
+    throw templateError(`filter "${name}" needs a number, e.g. ${name}:${filter.arg.min}`, position);
+  }
+  const value = arg === undefined ? filter.arg.default : Number(arg);
+  if (extra !== undefined || !Number.isInteger(value) || value < filter.arg.min || value > filter.arg.max) {
+    throw templateError(`filter "${name}" needs a whole number between ${filter.arg.min} and ${filter.arg.max}`, position);
+  }
+  return { name, apply: (input) => filter.apply(input, value) };
+}
+
+function parsePlaceholder(body, position) {
+  const [choices, ...filterParts] = splitTopLevel(body, '|', position);
+  const alternatives = splitTopLevel(choices.text, '?', choices.position).map(parseTerm);
+  return { alternatives, filters: filterParts.map(parseFilter) };
+}
+
+// Parse a template into literal and placeholder parts. Throws on any syntax error.
+export function compileTemplate(template) {
+  const parts = [];
+  let literal = '';
+  let i = 0;
+
+  while (i < template.length) {
+    const char = template[i];
+    if ((char === '{' || char === '}') && template[i + 1] === char) {
+      literal += char;
+      i += 2;
+    } else if (char === '}') {
+      throw templateError('unmatched "}"', i);
+    } else if (char === '{') {
+      // Find the closing brace, skipping quoted strings
+      let end = i + 1;
+      let quoteStart = -1;
+      while (end < template.length && (quoteStart >= 0 || template[end] !== '}')) {
+        if (template[end] === '\\' && quoteStart >= 0) {
+          end++;
+        } else if (template[end] === '"') {
+          quoteStart = quoteStart >= 0 ? -1 : end;
+        } else if (template[end] === '{' && quoteStart < 0) {
+          throw templateError('"{" inside a placeholder', end);
+        }
+        end++;
+      }
+      if (quoteStart >= 0) {
+        throw templateError('unterminated string', quoteStart);
+      }
+      if (end >= template.length) {
+        throw templateError('unclosed "{"', i);
+      }
+      if (literal) {
+        parts.push(literal);
+        literal = '';
+      }
+      parts.push(parsePlaceholder(template.slice(i + 1, end), i + 1));
+      i = end + 1;
+    } else {
+      literal += char;
+      i++;
+    }
+  }
+  if (literal) {
+    parts.push(literal);
+  }
+
+  const variables = [...new Set(parts.flatMap(part => (typeof part === 'string' ? [] : part.alternatives.filter(t => t.name).map(t => t.name))))];
+  return { parts, variables };
+}
+
+function formatValue(value, format) {
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : formatTemplateDate(value, format || DEFAULT_DATE_FORMAT);
+  }
+  if (typeof value === 'number' && format && /^\d{1,2}$/.test(format)) {
+    return String(value).padStart(Number(format), '0');
+  }
+  if (Array.isArray(value)) {
+    return value.join('-');
+  }
+  // Binary and structured tags have no sensible text form
+  return typeof value === 'object' ? null : String(value);
+}
+
+// Render a compiled template.
+// `lookup(name)` returns a variable's raw value (undefined/null/'' when missing).
+// `formats` gives default formats per variable (e.g. { date: 'YYYY-MM-DD', counter: '3' }).
+// `defaults` gives text for a missing variable used on its own, without any ? fallback.
+export function renderTemplate(compiled, { lookup, formats = {}, defaults = {} }) {
+  return compiled.parts.map(part => {
+    if (typeof part === 'string') {
+      return part;
+    }
+
+    let text = null;
+    for (const term of part.alternatives) {
+      if (term.literal !== undefined) {
+        text = term.literal;
+        break;
+      }
+      const value = lookup(term.name);
+      if (value !== undefined && value !== null && value !== '') {
+        text = formatValue(value, term.format || formats[term.name]);
+        if (text !== null && text !== '') {
+          break;
+        }
+      }
+    }
+
+    if (text === null || text === '') {
+      const [first] = part.alternatives;
+      text = part.alternatives.length === 1 && first.name ? defaults[first.name] || '' : '';
+    }
+    return part.filters.reduce((value, filter) => filter.apply(value), text);
+  }).join('');
+}
@@ -0,0 +1,69 @@
+// EXIF date/times carry no timezone, so they are handled as naive UTC milliseconds throughout
+
+// Parse "YYYY:MM:DD HH:MM:SS" (or ISO-style "YYYY-MM-DD[T ]HH:MM:SS") into milliseconds, or null if invalid
+export function parseExifDateTime(value) {
+  const match = /^(\d{4})[:-](\d{2})[:-](\d{2})[T ](\d{2}):(\d{2}):(\d{2})$/.exec(String(value).trim());
+  if (!match) {
+    return null;
+  }
+  const [year, month, day, hour, minute, second] = match.slice(1).map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day || hour > 23 || minute > 59 || second > 59) {
+    return null;
+  }
+  return date.getTime();
+}
+
+// Parse the start or end of a date range: "YYYY-MM-DD" covers the whole day, a full date/time is taken as is
+export function parseDateBound(value, name, { end = false } = {}) {
+  const text = String(value).trim();
+  const ms = /^\d{4}[:-]\d{2}[:-]\d{2}$/.test(text)
+    ? parseExifDateTime(`${text} ${end ? '23:59:59' : '00:00:00'}`)
+    : parseExifDateTime(text);
+  if (ms === null) {
+    throw new Error(`Invalid ${name} "${value}". Use "YYYY-MM-DD" or "YYYY-MM-DD HH:MM:SS"`);
+  }
+  return end && ms % 1000 === 0 ? ms + 999 : ms;
+}
+
+// Format milliseconds as an EXIF "YYYY:MM:DD HH:MM:SS" string
+export function formatExifDateTime(ms) {
+  const iso = new Date(ms).toISOString();
+  return `${iso.slice(0, 10).replace(/-/g, ':')} ${iso.slice(11, 19)}`;
+}
+
+// Parse a time shift such as "+01:00:00", "-0:30", "+2d" or "-3d 00:04:12" into seconds
+export function parseTimeShift(value) {
+  const match = /^([+-])?\s*(?:(\d+)d)?\s*(?:(\d+):(\d{2})(?::(\d{2}))?)?$/.exec(String(value).trim());
+  if (!match || (match[2] === undefined && match[3] === undefined)) {
+    throw new Error(`Invalid time shift "${value}". Use a format like "+01:00:00" or "-3d 00:04:12"`);
+  }
+  const [days = 0, hours = 0, minutes = 0, seconds = 0] = match.slice(2).map(v => Number(v || 0));
+  if (minutes > 59 || seconds > 59) {
+    throw new Error(`Invalid time shift "${value}": minutes and seconds must be below 60`);
+  }
+  const total = ((days * 24 + hours) * 60 + minutes) * 60 + seconds;
+  if (total > 36500 * 86400) {
+    throw new Error(`Time shift "${value}" is larger than 100 years`);
+  }
+  return match[1] === '-' ? -total : total;
+}
+
+// Format seconds as a signed shift like "+01:00:00" or "-3d 00:04:12"
+export function formatTimeShift(totalSeconds) {
+  const sign = totalSeconds < 0 ? '-' : '+';
+  let rest = Math.abs(totalSeconds);
+  const days = Math.floor(rest / 86400);
+  rest -= days * 86400;
+  const pad = (n) => String(n).padStart(2, '0');
+  const clock = `${pad(Math.floor(rest / 3600))}:${pad(Math.floor(rest / 60) % 60)}:${pad(rest % 60)}`;
+  return `${sign}${days ? `${days}d ` : ''}${clock}`;
+}
+
+// Show a parsed date in the server's locale; anything else (an unparsed EXIF string) as it is
+export function formatDate(date) {
+  if (date instanceof Date) {
+    return date.toLocaleString();
+  }
+  return date.toString();
+}
@@ -0,0 +1,284 @@
+import { haversineDistance, isValidCoordinate } from './geo.js';
+import { escapeXml } from './xml.js';
+
+// Track timestamps without a zone designator are treated as UTC, as GPX requires
+function parseTrackTime(value) {
+  const text = String(value).trim();
+  const ms = Date.parse(/(Z|[+-]\d{2}:?\d{2})$/i.test(text) ? text : `${text}Z`);
+  return Number.isNaN(ms) ? null : ms;
+}
+
+function createPoint(latitude, longitude, altitude, time) {
+  const ms = time === undefined || time === null ? null : parseTrackTime(time);
+  if (ms === null || !isValidCoordinate(latitude, longitude)) {
+    return null;
+  }
+  return { time: ms, latitude, longitude, altitude: Number.isFinite(altitude) ? altitude : null };
+}
+
+function readAttribute(attributes, name) {
+  const match = new RegExp(`\\b${name}\\s*=\\s*["']([^"']*)["']`).exec(attributes);
+  return match ? Number(match[1]) : NaN;
+}
+
+function readElement(xml, name) {
+  const match = new RegExp(`<${name}\\b[^>]*>([^<]*)</${name}>`).exec(xml);
+  return match ? match[1].trim() : null;
+}
+
+// GPX track points (trkpt) and route points (rtept) that carry a <time>
+export function parseGpx(xml) {
+  const points = [];
+  for (const match of xml.matchAll(/<(trkpt|rtept)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/\1>)/g)) {
+    const body = match[3] || '';
+    const elevation = readElement(body, 'ele');
+    const point = createPoint(
+      readAttribute(match[2], 'lat'),
+      readAttribute(match[2], 'lon'),
+      elevation === null ? NaN : Number(elevation),
+      readElement(body, 'time')
+    );
+    if (point) {
+      points.push(point);
+    }
+  }
+  return points;
+}
+
+// KML gx:Track (<when> paired with <gx:coord>) and timestamped Point placemarks
+export function parseKml(xml) {
+  const points = [];
+  for (const track of xml.matchAll(/<gx:Track\b[^>]*>([\s\S]*?)<\/gx:Track>/g)) {
+    const whens = [...track[1].matchAll(/<when>([^<]*)<\/when>/g)].map(m => m[1]);
+    const coords = [...track[1].matchAll(/<gx:coord>([^<]*)<\/gx:coord>/g)].map(m => m[1].trim().split(/\s+/).map(Number));
+    whens.forEach((when, index) => {
+      const [longitude, latitude, altitude] = coords[index] || [];
+      const point = createPoint(latitude, longitude, altitude, when);
+      if (point) {
+        points.push(point);
+      }
+    });
+  }
+
+  for (const placemark of xml.matchAll(/<Placemark\b[^>]*>([\s\S]*?)<\/Placemark>/g)) {
+    const body = placemark[1];
+    const when = /<TimeStamp\b[^>]*>[\s\S]*?<when>([^<]*)<\/when>/.exec(body);
+    const coordinates = /<Point\b[^>]*>[\s\S]*?<coordinates>([^<]*)<\/coordinates>/.exec(body);
+    if (when && coordinates) {
+      const [longitude, latitude, altitude] = coordinates[1].trim().split(',').map(Number);
+      const point = createPoint(latitude, longitude, altitude, when[1]);
+      if (point) {
+        points.push(point);
+      }
+    }
+  }
+  return points;
+}
+
+// GeoJSON LineString/MultiLineString with per-coordinate times in properties.coordTimes (or .times),
+// and Point features with a properties.time
+export function parseGeoJson(json) {
+  const data = typeof json === 'string' ? JSON.parse(json) : json;
+  const features = data.type === 'FeatureCollection' ? data.features || [] : [data];
+  const points = [];
+
+  for (const feature of features) {
+    const geometry = feature && feature.geometry;
+    const properties = (feature && feature.properties) || {};
+    if (!geometry) {
+      continue;
+    }
+
+    if (geometry.type === 'Point') {
+      const [longitude, latitude, altitude] = geometry.coordinates || [];
+      const point = createPoint(latitude, longitude, altitude, properties.time || properties.timestamp);
+      if (point) {
+        points.push(point);
+      }
+      continue;
+    }
+
+    const lines = geometry.type === 'LineString' ? [geometry.coordinates] : geometry.type === 'MultiLineString' ? geometry.coordinates : [];
+    const times = properties.coordTimes || properties.times;
+    if (!Array.isArray(times)) {
+      continue;
+    }
+    const lineTimes = geometry.type === 'LineString' ? [times] : times;
+    lines.forEach((line, lineIndex) => {
+      (line || []).forEach(([longitude, latitude, altitude], index) => {
+        const point = createPoint(latitude, longitude, altitude, (lineTimes[lineIndex] || [])[index]);
+        if (point) {
+          points.push(point);
+        }
+      });
+    });
+  }
+  return points;
+}
+
+// Parse a track file by extension. Throws when it has no timestamped points, since those cannot be matched.
+export function parseTrackFile(content, filename) {
+  const ext = filename.toLowerCase().slice(filename.lastIndexOf('.'));
+  let points;
+  if (ext === '.gpx') {
+    points = parseGpx(content);
+  } else if (ext === '.kml') {
+    points = parseKml(content);
+  } else if (ext === '.geojson' || ext === '.json') {
+    points = parseGeoJson(content);
+  } else {
+    throw new Error(`Unsupported track format ${ext}. Use GPX, KML or GeoJSON`);
+  }
+
+  if (points.length === 0) {
+    throw new Error(`No timestamped track points found in ${filename}`);
+  }
+  return points;
+}
+
+// Merge tracks into one time-ordered list, dropping duplicate timestamps
+export function mergeTracks(tracks) {
+  const points = tracks.flat().sort((a, b) => a.time - b.time);
+  return points.filter((point, index) => index === 0 || point.time !== points[index - 1].time);
+}
+
+// Find the position at `time` (ms UTC) on a sorted track. Between two trackpoints no more than `maxGap`
+// seconds apart the position is interpolated; otherwise the nearest trackpoint is used if it is within `maxGap`.
+// Returns { matched: false, reason } when the photo falls outside the track.
+export function locateOnTrack(points, time, maxGap) {
+  const maxGapMs = maxGap * 1000;
+  let low = 0;
+  let high = points.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (points[mid].time <= time) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  const before = points[low - 1];
+  const after = points[low];
+
+  const nearest = !before ? after : !after ? before : (time - before.time <= after.time - time ? before : after);
+  const nearestGap = Math.abs(time - nearest.time) / 1000;
+
+  let position;
+  let interpolated = false;
+  if (before && after && after.time - before.time <= maxGapMs && after.time !== before.time) {
+    const ratio = (time - before.time) / (after.time - before.time);
+    const altitude = before.altitude !== null && after.altitude !== null
+      ? before.altitude + (after.altitude - before.altitude) * ratio
+      : nearest.altitude;
+    position = {
+      latitude: before.latitude + (after.latitude - before.latitude) * ratio,
+      longitude: before.longitude + (after.longitude - before.longitude) * ratio,
+      altitude
+    };
+    interpolated = ratio > 0;
+  } else if (nearestGap <= maxGap) {
+    position = { latitude: nearest.latitude, longitude: nearest.longitude, altitude: nearest.altitude };
+  } else {
+    let reason;
+    if (!before) {
+      reason = `${formatDuration(nearestGap)} before the track starts`;
+    } else if (!after) {
+      reason = `${formatDuration(nearestGap)} after the track ends`;
+    } else {
+      reason = `in a ${formatDuration((after.time - before.time) / 1000)} gap in the track`;
+    }
+    return { matched: false, reason, nearestGap };
+  }
+
+  return {
+    matched: true,
+    ...position,
+    interpolated,
+    nearestGap,
+    nearestDistance: haversineDistance(position.latitude, position.longitude, nearest.latitude, nearest.longitude)
+  };
+}
+
+// Human-readable duration such as "45 s", "12 min" or "3.5 h"
+export function formatDuration(seconds) {
+  if (seconds < 90) {
+    return `${Math.round(seconds)} s`;
+  }
+  if (seconds < 5400) {
+    return `${Math.round(seconds / 60)} min`;
+  }
+  return `${Number((seconds / 3600).toFixed(1))} h`;
+}
+
+const formatTime = (ms) => new Date(ms).toISOString().replace('.000Z', 'Z');
+
+// Waypoints for the writers are { latitude, longitude, altitude, time, name, description, link, properties }:
+// time in ms UTC and altitude in metres, both may be null.
+
+// A GeoJSON FeatureCollection with one Point per waypoint (its properties as feature properties)
+// and, with `drawPath`, a LineString through them in order
+export function buildGeoJson(waypoints, { name, drawPath = true } = {}) {
+  const position = ({ latitude, longitude, altitude }) =>
+    (altitude === null || altitude === undefined ? [longitude, latitude] : [longitude, latitude, altitude]);
+  const features = waypoints.map(waypoint => ({
+    type: 'Feature',
+    geometry: { type: 'Point', coordinates: position(waypoint) },
+    properties: waypoint.properties || {}
+  }));
+  if (drawPath && waypoints.length > 1) {
+    features.push({
+      type: 'Feature',
+      geometry: { type: 'LineString', coordinates: waypoints.map(position) },
+      properties: { name: 'Photo Path' }
+    });
+  }
+  return `${JSON.stringify({ type: 'FeatureCollection', ...(name ? { name } : {}), features }, null, 2)}\n`;
+}
+
+// A GPX 1.1 file with one waypoint per photo and, with `drawPath`, a track through them in order
+export function buildGpx(waypoints, { name, description, drawPath = true } = {}) {
+  const gpx = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="exif-mcp-server" xmlns="http://www.topografix.com/GPX/1/1">'
+  ];
+  if (name || description) {
+    gpx.push('  <metadata>');
+    if (name) {gpx.push(`    <name>${escapeXml(name)}</name>`);}
+    if (description) {gpx.push(`    <desc>${escapeXml(description)}</desc>`);}
+    gpx.push('  </metadata>');
+  }
+
+  // Child elements must follow the order of the GPX schema: ele, time, name, desc, link
+  const pointBody = (waypoint, indent) => {
+    const lines = [];
+    if (waypoint.altitude !== null && waypoint.altitude !== undefined) {lines.push(`${indent}<ele>${waypoint.altitude}</ele>`);}
+    if (waypoint.time !== null && waypoint.time !== undefined) {lines.push(`${indent}<time>${formatTime(waypoint.time)}</time>`);}
+    return lines;
+  };
+
+  for (const waypoint of waypoints) {
+    gpx.push(`  <wpt lat="${waypoint.latitude}" lon="${waypoint.longitude}">`);
+    gpx.push(...pointBody(waypoint, '    '));
+    if (waypoint.name) {gpx.push(`    <name>${escapeXml(waypoint.name)}</name>`);}
+    if (waypoint.description) {gpx.push(`    <desc>${escapeXml(waypoint.description)}</desc>`);}
+    if (waypoint.link) {gpx.push(`    <link href="${escapeXml(waypoint.link)}"><type>image/jpeg</type></link>`);}
+    gpx.push('  </wpt>');
+  }
+
+  if (drawPath && waypoints.length > 1) {
+    gpx.push('  <trk>');
+    gpx.push('    <name>Photo Path</name>');
+    gpx.push('    <trkseg>');
+    for (const waypoint of waypoints) {
+      const body = pointBody(waypoint, '        ');
+      gpx.push(body.length > 0
+        ? [`      <trkpt lat="${waypoint.latitude}" lon="${waypoint.longitude}">`, ...body, '      </trkpt>'].join('\n')
+        : `      <trkpt lat="${waypoint.latitude}" lon="${waypoint.longitude}"/>`);
+    }
+    gpx.push('    </trkseg>');
+    gpx.push('  </trk>');
+  }
+
+  gpx.push('</gpx>');
+  return `${gpx.join('\n')}\n`;
+}
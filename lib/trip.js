@@ -0,0 +1,92 @@
+import { haversineDistance } from './geo.js';
+
+// Trip segmentation: photos taken close together in place and time form a stop, and the way from one stop
+// to the next is a leg. Points are { latitude, longitude, altitude, time } sorted by time (ms, altitude in
+// metres or null) and may carry any other fields.
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+// A stop sits at the centre of its points. When `avoid` rejects the centre (the mean of points on both sides of
+// a private zone can land inside it), the stop is anchored to its point nearest the centre instead.
+function createStop(points, avoid) {
+  const altitudes = points.map(point => point.altitude).filter(altitude => altitude !== null && altitude !== undefined);
+  let latitude = mean(points.map(point => point.latitude));
+  let longitude = mean(points.map(point => point.longitude));
+  if (avoid && avoid(latitude, longitude)) {
+    const distanceTo = (point) => haversineDistance(latitude, longitude, point.latitude, point.longitude);
+    const anchor = points.reduce((nearest, point) => (distanceTo(point) < distanceTo(nearest) ? point : nearest));
+    ({ latitude, longitude } = anchor);
+  }
+  return {
+    points,
+    latitude,
+    longitude,
+    altitude: altitudes.length > 0 ? mean(altitudes) : null,
+    start: points[0].time,
+    end: points[points.length - 1].time
+  };
+}
+
+// Cluster points into stops: a point joins the current stop when it lies within `radius` metres of the stop's
+// first point and follows its previous point by at most `maxGapMinutes`; otherwise it starts a new stop.
+// `avoid(latitude, longitude)` is an optional check for places no stop may be drawn at, such as private zones.
+export function clusterStops(points, { radius = 250, maxGapMinutes = 60, avoid = null } = {}) {
+  const groups = [];
+  for (const point of points) {
+    const group = groups[groups.length - 1];
+    if (group &&
+      point.time - group[group.length - 1].time <= maxGapMinutes * 60000 &&
+      haversineDistance(group[0].latitude, group[0].longitude, point.latitude, point.longitude) <= radius) {
+      group.push(point);
+    } else {
+      groups.push([point]);
+    }
+  }
+  return groups.map(group => createStop(group, avoid));
+}
+
+// The legs between consecutive stops, measured between their centres: distance in metres, elapsed seconds
+// from leaving one stop to the first photo at the next, average speed in km/h (null without elapsed time)
+// and the change in mean altitude
+export function buildLegs(stops) {
+  const legs = [];
+  for (let i = 1; i < stops.length; i++) {
+    const from = stops[i - 1];
+    const to = stops[i];
+    const distance = haversineDistance(from.latitude, from.longitude, to.latitude, to.longitude);
+    const elapsed = (to.start - from.end) / 1000;
+    const climb = from.altitude !== null && to.altitude !== null ? to.altitude - from.altitude : null;
+    legs.push({
+      from: i - 1,
+      to: i,
+      distance,
+      elapsed,
+      speed: elapsed > 0 ? distance / elapsed * 3.6 : null,
+      elevationGain: climb === null ? null : Math.max(0, climb),
+      elevationLoss: climb === null ? null : Math.max(0, -climb)
+    });
+  }
+  return legs;
+}
+
+// Segment a trip and add up its legs. Elevation gain and loss total the altitude changes between stops,
+// not the climbing along the way, and are null when no leg has altitudes at both ends.
+export function segmentTrip(points, options = {}) {
+  const stops = clusterStops(points, options);
+  const legs = buildLegs(stops);
+  const sum = (key) => legs.reduce((total, leg) => total + (leg[key] || 0), 0);
+  const measured = (key) => (legs.some(leg => leg[key] !== null) ? sum(key) : null);
+  const travelTime = sum('elapsed');
+  return {
+    stops,
+    legs,
+    totals: {
+      distance: sum('distance'),
+      duration: stops.length > 0 ? (stops[stops.length - 1].end - stops[0].start) / 1000 : 0,
+      travelTime,
+      averageSpeed: travelTime > 0 ? sum('distance') / travelTime * 3.6 : null,
+      elevationGain: measured('elevationGain'),
+      elevationLoss: measured('elevationLoss')
+    }
+  };
+}
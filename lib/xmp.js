@@ -0,0 +1,240 @@
+import { escapeXml, unescapeXml } from './xml.js';
+
+// Namespace URIs for the XMP schemas photo tools commonly write
+export const KNOWN_NAMESPACES = {
+  x: 'adobe:ns:meta/',
+  rdf: 'http://www.w3.org/1999/02/22-rdf-syntax-ns#',
+  dc: 'http://purl.org/dc/elements/1.1/',
+  xmp: 'http://ns.adobe.com/xap/1.0/',
+  xmpMM: 'http://ns.adobe.com/xap/1.0/mm/',
+  xmpRights: 'http://ns.adobe.com/xap/1.0/rights/',
+  stEvt: 'http://ns.adobe.com/xap/1.0/sType/ResourceEvent#',
+  stRef: 'http://ns.adobe.com/xap/1.0/sType/ResourceRef#',
+  exif: 'http://ns.adobe.com/exif/1.0/',
+  exifEX: 'http://cipa.jp/exif/1.0/',
+  tiff: 'http://ns.adobe.com/tiff/1.0/',
+  aux: 'http://ns.adobe.com/exif/1.0/aux/',
+  photoshop: 'http://ns.adobe.com/photoshop/1.0/',
+  crs: 'http://ns.adobe.com/camera-raw-settings/1.0/',
+  lr: 'http://ns.adobe.com/lightroom/1.0/',
+  Iptc4xmpCore: 'http://iptc.org/std/Iptc4xmpCore/1.0/xmlns/',
+  Iptc4xmpExt: 'http://iptc.org/std/Iptc4xmpExt/2008-02-29/'
+};
+
+// Prefixes that never need an explicit declaration on rdf:Description
+const IMPLICIT_PREFIXES = new Set(['rdf', 'xml', 'x', 'xmlns']);
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function parseAttributes(source) {
+  const attributes = [];
+  const attrRe = /([\w.-]+(?::[\w.-]+)?)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  let match;
+  while ((match = attrRe.exec(source))) {
+    attributes.push([match[1], match[2] !== undefined ? match[2] : match[3]]);
+  }
+  return attributes;
+}
+
+// Find the index just past the element that starts at `start`, allowing nested elements of the same name
+function findElementEnd(xml, start, qname) {
+  const openEnd = xml.indexOf('>', start);
+  if (openEnd < 0) {
+    return -1;
+  }
+  if (xml[openEnd - 1] === '/') {
+    return openEnd + 1;
+  }
+
+  const tagRe = new RegExp(`<(/?)${escapeRegExp(qname)}(?=[\\s/>])[^>]*?(/?)>`, 'g');
+  tagRe.lastIndex = openEnd + 1;
+  let depth = 1;
+  let match;
+  while ((match = tagRe.exec(xml))) {
+    if (match[1]) {
+      depth--;
+      if (depth === 0) {
+        return tagRe.lastIndex;
+      }
+    } else if (!match[2]) {
+      depth++;
+    }
+  }
+  return -1;
+}
+
+// Reduce a property element to a plain value: a string, an array for rdf:Bag/Seq, or null for structures
+function extractValue(elementXml) {
+  const resource = /^<[^>]*\brdf:resource\s*=\s*"([^"]*)"/.exec(elementXml);
+  if (resource) {
+    return unescapeXml(resource[1]);
+  }
+
+  if (/<rdf:li\b/.test(elementXml)) {
+    const items = [...elementXml.matchAll(/<rdf:li\b[^>]*?(?:\/>|>([^<]*)<\/rdf:li>)/g)].map(m => unescapeXml(m[1] || ''));
+    return /<rdf:Alt\b/.test(elementXml) ? (items[0] || '') : items;
+  }
+
+  const inner = /^<[^>]*>([\s\S]*)<\/[^>]+>$/.exec(elementXml);
+  if (!inner) {
+    return '';
+  }
+  return /</.test(inner[1]) ? null : unescapeXml(inner[1]);
+}
+
+// Parse an XMP packet into a flat list of top-level properties, each with its raw XML
+export function parseXmp(xml) {
+  const namespaces = {};
+  for (const [qname, uri] of parseAttributes((xml.match(/xmlns:[\w.-]+\s*=\s*(?:"[^"]*"|'[^']*')/g) || []).join(' '))) {
+    namespaces[qname.slice('xmlns:'.length)] = uri;
+  }
+
+  const properties = [];
+  const descriptionRe = /<rdf:Description\b([^>]*?)(\/?)>/g;
+  let match;
+  while ((match = descriptionRe.exec(xml))) {
+    // Attribute-form properties are converted to element form
+    for (const [qname, rawValue] of parseAttributes(match[1])) {
+      const [prefix, name] = qname.split(':');
+      if (!name || prefix === 'xmlns' || IMPLICIT_PREFIXES.has(prefix)) {
+        continue;
+      }
+      properties.push({ prefix, name, value: unescapeXml(rawValue), xml: `<${qname}>${rawValue}</${qname}>` });
+    }
+    if (match[2] === '/') {
+      continue;
+    }
+
+    let pos = descriptionRe.lastIndex;
+    for (;;) {
+      const start = xml.indexOf('<', pos);
+      if (start < 0 || xml.startsWith('</rdf:Description', start)) {
+        break;
+      }
+      if (xml.startsWith('<!--', start)) {
+        pos = xml.indexOf('-->', start) + 3;
+        continue;
+      }
+      const element = /^<([\w.-]+):([\w.-]+)/.exec(xml.slice(start, start + 256));
+      if (!element) {
+        break;
+      }
+      const end = findElementEnd(xml, start, `${element[1]}:${element[2]}`);
+      if (end < 0) {
+        break;
+      }
+      const elementXml = xml.slice(start, end);
+      properties.push({ prefix: element[1], name: element[2], value: extractValue(elementXml), xml: elementXml });
+      pos = end;
+    }
+    descriptionRe.lastIndex = pos;
+  }
+
+  return { namespaces, properties };
+}
+
+// Serialize properties into a complete XMP packet. Returns null when there is nothing to write.
+export function buildXmp(properties, namespaces = {}) {
+  if (!properties.length) {
+    return null;
+  }
+
+  // Declare every prefix used by the properties, including nested structure fields
+  const prefixes = new Set();
+  for (const property of properties) {
+    prefixes.add(property.prefix);
+    for (const m of property.xml.matchAll(/(?:<\/?|\s)([\w.-]+):[\w.-]+(?=[\s/>=])/g)) {
+      prefixes.add(m[1]);
+    }
+  }
+  const declarations = [...prefixes]
+    .filter(prefix => !IMPLICIT_PREFIXES.has(prefix))
+    .map(prefix => `\n    xmlns:${prefix}="${escapeXml(namespaces[prefix] || KNOWN_NAMESPACES[prefix] || `urn:unknown:${prefix}`)}"`)
+    .join('');
+
+  const lines = [];
+  lines.push('<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>');
+  lines.push('<x:xmpmeta xmlns:x="adobe:ns:meta/">');
+  lines.push(' <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">');
+  lines.push(`  <rdf:Description rdf:about=""${declarations}>`);
+  for (const property of properties) {
+    lines.push(`   ${property.xml}`);
+  }
+  lines.push('  </rdf:Description>');
+  lines.push(' </rdf:RDF>');
+  lines.push('</x:xmpmeta>');
+  lines.push('<?xpacket end="w"?>');
+
+  return lines.join('\n');
+}
+
+// XMP stores coordinates as "DDD,MM.mmmmk" or "DDD,MM,SSk"
+export function parseXmpCoordinate(value) {
+  const match = /^(\d+),(\d+(?:\.\d+)?)(?:,(\d+(?:\.\d+)?))?([NSEW])$/i.exec(String(value || '').trim());
+  if (!match) {
+    return null;
+  }
+  const decimal = Number(match[1]) + Number(match[2]) / 60 + Number(match[3] || 0) / 3600;
+  return /[SW]/i.test(match[4]) ? -decimal : decimal;
+}
+
+export function formatXmpCoordinate(value, positive, negative) {
+  const abs = Math.abs(value);
+  const degrees = Math.floor(abs);
+  const minutes = Number(((abs - degrees) * 60).toFixed(6));
+  return `${degrees},${minutes}${value < 0 ? negative : positive}`;
+}
+
+// The XML of one property: a simple value, an rdf:Bag (or rdf:Seq) of values, or an rdf:Alt with an x-default entry
+function formatProperty(qname, value, type) {
+  if (type === 'alt') {
+    return `<${qname}><rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(value)}</rdf:li></rdf:Alt></${qname}>`;
+  }
+  if (Array.isArray(value)) {
+    const container = type === 'seq' ? 'rdf:Seq' : 'rdf:Bag';
+    return `<${qname}><${container}>${value.map(item => `<rdf:li>${escapeXml(item)}</rdf:li>`).join('')}</${container}></${qname}>`;
+  }
+  return `<${qname}>${escapeXml(value)}</${qname}>`;
+}
+
+// Set properties ({ prefix, name, value, type, merge }) on a packet, replacing existing values.
+// A string value is written as a simple property, or a language alternative with type 'alt'; an array as an
+// rdf:Bag (rdf:Seq with type 'seq'), which `merge` combines with the items already there.
+// A null value removes the property. Starts a new packet when `xml` is empty.
+export function mergeXmpProperties(xml, updates) {
+  const { namespaces, properties } = xml ? parseXmp(xml) : { namespaces: {}, properties: [] };
+  const key = (p) => `${p.prefix}:${p.name}`;
+  const updated = new Map(updates.map(update => [key(update), update]));
+
+  const merged = properties.filter(p => !updated.has(key(p)));
+  for (const update of updates) {
+    if (update.value !== null) {
+      const qname = key(update);
+      let { value } = update;
+      if (update.merge && Array.isArray(value)) {
+        const previous = properties.filter(p => key(p) === qname && Array.isArray(p.value)).flatMap(p => p.value);
+        value = [...new Set([...previous, ...value])];
+      }
+      merged.push({ prefix: update.prefix, name: update.name, value, xml: formatProperty(qname, value, update.type) });
+    }
+  }
+  return buildXmp(merged, namespaces);
+}
+
+// Lightroom keywords: "Places|Italy|Rome" is a path in lr:hierarchicalSubject, and each of its levels
+// a flat keyword in dc:subject. Returns both lists without duplicates.
+export function splitKeywords(keywords) {
+  const subjects = new Set();
+  const hierarchical = new Set();
+  for (const keyword of keywords) {
+    const levels = String(keyword).split('|').map(level => level.trim()).filter(Boolean);
+    if (levels.length === 0) {
+      continue;
+    }
+    levels.forEach(level => subjects.add(level));
+    hierarchical.add(levels.join('|'));
+  }
+  return { subjects: [...subjects], hierarchical: [...hierarchical] };
+}
@@ -31,8 +31,24 @@ describe('EXIF MCP Server', () => {
       'parse_exif_batch', 
       'get_gps_coordinates',
       'rename_by_exif',
+      'organize_photos',
       'strip_exif',
-      'create_photo_tour_kmz'
+      'write_exif',
+      'shift_capture_time',
+      'geotag_from_gpx',
+      'anonymize_photos',
+      'export_to_lightroom',
+      'analyze_shooting_patterns',
+      'detect_photo_issues',
+      'export_photo_locations',
+      'create_photo_map',
+      'analyze_trip',
+      'generate_photo_report',
+      'find_duplicates',
+      'find_sequences',
+      'create_photo_tour_kmz',
+      'list_operations',
+      'undo_operation'
     ];
     
     for (const tool of expectedTools) {
@@ -68,12 +84,16 @@ describe('EXIF MCP Server', () => {
     const helperFunctions = [
       'processPhotosForKMZ',
       'createThumbnails',
-      'generateKML',
       'createSafeBackupDir'
     ];
     
     for (const func of helperFunctions) {
       assert(content.includes(`function ${func}`), `Should contain ${func} helper function`);
     }
+    
+    // The KML document itself is built in lib/kml.js
+    const kmlModule = await readFile(path.join(__dirname, '../lib/kml.js'), 'utf8');
+    assert(content.includes('buildKml('), 'Should build KML with buildKml');
+    assert(kmlModule.includes('export function buildKml'), 'lib/kml.js should export buildKml');
   });
 });
\ No newline at end of file
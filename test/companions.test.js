@@ -0,0 +1,63 @@
+import { strict as assert } from 'assert';
+import { describe, it, before, after } from 'node:test';
+import { mkdtempSync, mkdirSync, writeFileSync, symlinkSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import {
+  DEFAULT_COMPANION_EXTENSIONS, normalizeCompanionExtensions, attachCompanions, companionName, isMetadataSidecar
+} from '../lib/companions.js';
+
+describe('Companion files', () => {
+  let dir;
+
+  before(() => {
+    dir = mkdtempSync(path.join(tmpdir(), 'exif-companions-'));
+    for (const name of ['IMG_1234.HEIC', 'IMG_1234.MOV', 'IMG_1234.CR3', 'IMG_1234.xmp', 'IMG_1234.HEIC.xmp', 'IMG_1234.AAE', 'IMG_1234.jpg',
+      'IMG_12345.MOV', 'IMG_1235.jpg', 'IMG_1235.dng', 'IMG_1235.txt', '.IMG_1235.xmp']) {
+      writeFileSync(path.join(dir, name), name);
+    }
+    mkdirSync(path.join(dir, 'IMG_1235.mp4'));
+    symlinkSync(path.join(dir, 'IMG_1234.MOV'), path.join(dir, 'IMG_1235.mov'));
+  });
+
+  after(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  const file = (name) => ({ filepath: path.join(dir, name), relativePath: name });
+  const names = (result) => result.map(entry => [path.basename(entry.filepath), entry.companions.map(c => c.relativePath)]);
+
+  it('should find files sharing the basename or the full name', async () => {
+    const result = await attachCompanions([file('IMG_1234.HEIC'), file('IMG_1235.jpg')], DEFAULT_COMPANION_EXTENSIONS);
+    assert.deepEqual(names(result), [
+      ['IMG_1234.HEIC', ['IMG_1234.AAE', 'IMG_1234.CR3', 'IMG_1234.HEIC.xmp', 'IMG_1234.MOV', 'IMG_1234.xmp']],
+      // Directories, symlinks, hidden files and other extensions are never companions
+      ['IMG_1235.jpg', ['IMG_1235.dng']]
+    ]);
+  });
+
+  it('should follow configured extensions', async () => {
+    const result = await attachCompanions([file('IMG_1234.HEIC')], normalizeCompanionExtensions(['mov', '.XMP']));
+    assert.deepEqual(names(result), [['IMG_1234.HEIC', ['IMG_1234.HEIC.xmp', 'IMG_1234.MOV', 'IMG_1234.xmp']]]);
+    assert.throws(() => normalizeCompanionExtensions('.mov'), /must be an array/);
+    assert.throws(() => normalizeCompanionExtensions(['../x']), /must be an array/);
+  });
+
+  it('should carry selected companions along with their primary file', async () => {
+    const result = await attachCompanions([file('IMG_1235.dng'), file('IMG_1235.jpg')], DEFAULT_COMPANION_EXTENSIONS);
+    assert.deepEqual(names(result), [['IMG_1235.jpg', ['IMG_1235.dng']]]);
+  });
+
+  it('should give each companion to one primary only', async () => {
+    const result = await attachCompanions([file('IMG_1234.jpg'), file('IMG_1234.HEIC')], normalizeCompanionExtensions(['.mov']));
+    assert.deepEqual(names(result), [['IMG_1234.jpg', ['IMG_1234.MOV']], ['IMG_1234.HEIC', []]]);
+  });
+
+  it('should rename companions after their primary', () => {
+    const primary = path.join(dir, 'IMG_1234.HEIC');
+    assert.equal(companionName(path.join(dir, 'IMG_1234.MOV'), primary, '2024-07-09'), '2024-07-09.MOV');
+    assert.equal(companionName(path.join(dir, 'IMG_1234.HEIC.xmp'), primary, '2024-07-09'), '2024-07-09.HEIC.xmp');
+    assert.equal(isMetadataSidecar('a.XMP'), true);
+    assert.equal(isMetadataSidecar('a.AAE'), false);
+  });
+});
@@ -0,0 +1,113 @@
+import { strict as assert } from 'assert';
+import { describe, it } from 'node:test';
+import sharp from 'sharp';
+import {
+  detectImageFormat,
+  extractMetadata,
+  writeMetadata,
+  readJpegSegments,
+  readPngChunks,
+  readWebpChunks
+} from '../lib/containers.js';
+import { parseTiff } from '../lib/exif.js';
+import { filterMetadata } from '../lib/metadata.js';
+
+const SAMPLE_EXIF = {
+  IFD0: { Artist: 'Tim', Copyright: '(c) Tim' },
+  IFD3: { GPSLatitudeRef: 'N', GPSLatitude: '41/1 52/1 0/1' }
+};
+
+function createImage() {
+  return sharp({ create: { width: 32, height: 24, channels: 3, background: '#336699' } }).withExif(SAMPLE_EXIF);
+}
+
+async function decodePixels(buffer) {
+  return sharp(buffer).raw().toBuffer();
+}
+
+function stripAll(buffer) {
+  return writeMetadata(buffer, filterMetadata(extractMetadata(buffer)).metadata);
+}
+
+describe('Image format detection', () => {
+  it('should detect JPEG, PNG and WebP from their magic bytes', async () => {
+    assert.equal(detectImageFormat(await createImage().jpeg().toBuffer()), 'jpeg');
+    assert.equal(detectImageFormat(await createImage().png().toBuffer()), 'png');
+    assert.equal(detectImageFormat(await createImage().webp().toBuffer()), 'webp');
+    assert.equal(detectImageFormat(Buffer.from('not an image')), null);
+  });
+});
+
+describe('Lossless metadata stripping', () => {
+  it('should strip JPEG metadata without touching the compressed image data', async () => {
+    const original = await createImage().jpeg().toBuffer();
+    const stripped = stripAll(original);
+
+    assert.deepEqual(readJpegSegments(stripped).imageData, readJpegSegments(original).imageData);
+    assert.deepEqual(await decodePixels(stripped), await decodePixels(original));
+    assert.equal(extractMetadata(stripped).exif, null);
+    assert(stripped.length < original.length);
+  });
+
+  it('should strip PNG eXIf and text chunks while keeping IDAT byte-identical', async () => {
+    const png = await createImage().png().toBuffer();
+    const withText = writeMetadata(png, { ...extractMetadata(png), text: [{ keyword: 'Author', value: 'Tim' }] });
+    const stripped = stripAll(withText);
+
+    const idat = (buffer) => Buffer.concat(readPngChunks(buffer).filter(c => c.type === 'IDAT').map(c => c.data));
+    assert.deepEqual(idat(stripped), idat(png));
+    assert.deepEqual(await decodePixels(stripped), await decodePixels(png));
+    assert.deepEqual(readPngChunks(stripped).map(c => c.type).filter(t => ['eXIf', 'tEXt', 'iTXt'].includes(t)), []);
+  });
+
+  it('should strip WebP EXIF chunks and clear the VP8X flags', async () => {
+    const webp = await createImage().webp().toBuffer();
+    const stripped = stripAll(webp);
+
+    const bitstream = (buffer) => readWebpChunks(buffer).find(c => c.type === 'VP8 ').data;
+    assert.deepEqual(bitstream(stripped), bitstream(webp));
+    assert.deepEqual(await decodePixels(stripped), await decodePixels(webp));
+    const chunks = readWebpChunks(stripped);
+    assert(!chunks.some(c => c.type === 'EXIF'));
+    assert.equal(chunks[0].data[0] & 0x08, 0);
+  });
+
+  it('should keep the original container when preserving selected tags', async () => {
+    for (const format of ['jpeg', 'png', 'webp']) {
+      const original = await createImage().toFormat(format).toBuffer();
+      const result = filterMetadata(extractMetadata(original), { keep: ['Artist'] });
+      const output = writeMetadata(original, result.metadata);
+
+      assert.equal(detectImageFormat(output), format);
+      const { exif } = await sharp(output).metadata();
+      const tiff = parseTiff(exif.subarray(exif.indexOf('II')));
+      assert.equal(tiff.ifd0.length, 1);
+      assert.equal(tiff.gps.length, 0);
+    }
+  });
+
+  it('should add a VP8X header when writing metadata into a simple WebP', async () => {
+    const webp = await sharp({ create: { width: 20, height: 10, channels: 3, background: '#ff0000' } }).webp().toBuffer();
+    assert.notEqual(readWebpChunks(webp)[0].type, 'VP8X');
+
+    const source = extractMetadata(await createImage().jpeg().toBuffer());
+    const output = writeMetadata(webp, { exif: source.exif, xmp: null });
+    const chunks = readWebpChunks(output);
+
+    assert.equal(chunks[0].type, 'VP8X');
+    assert.equal(chunks[0].data.readUIntLE(4, 3) + 1, 20);
+    assert.equal(chunks[0].data.readUIntLE(7, 3) + 1, 10);
+    assert.deepEqual(await decodePixels(output), await decodePixels(webp));
+  });
+
+  it('should preserve Orientation when asked to', async () => {
+    const jpeg = await sharp({ create: { width: 8, height: 8, channels: 3, background: '#000' } })
+      .withMetadata({ orientation: 6 })
+      .jpeg()
+      .toBuffer();
+    const result = filterMetadata(extractMetadata(jpeg), { preserve: ['Orientation'] });
+
+    assert.deepEqual(result.kept, ['EXIF:Orientation']);
+    assert.equal((await sharp(writeMetadata(jpeg, result.metadata)).metadata()).orientation, 6);
+  });
+});
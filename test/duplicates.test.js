@@ -0,0 +1,77 @@
+import { strict as assert } from 'assert';
+import { describe, it } from 'node:test';
+import { differenceHash, hammingDistance, exifCompatible, chooseKeeper, groupDuplicates } from '../lib/duplicates.js';
+
+describe('Duplicate detection', () => {
+  const photo = (filepath, fields = {}) => ({
+    filepath, relativePath: filepath, size: 1000, mtimeMs: 0, fileHash: null, pixelHash: null, phash: null,
+    width: 100, height: 100, date: null, serial: null, ...fields
+  });
+
+  it('should compute difference hashes from 9x8 grayscale pixels', () => {
+    const falling = Uint8Array.from({ length: 72 }, (value, index) => 255 - (index % 9) * 10);
+    const rising = Uint8Array.from({ length: 72 }, (value, index) => (index % 9) * 10);
+    assert.equal(differenceHash(falling), 'ffffffffffffffff');
+    assert.equal(differenceHash(rising), '0000000000000000');
+    assert.throws(() => differenceHash(new Uint8Array(10)), /9x8/);
+  });
+
+  it('should count differing bits', () => {
+    assert.equal(hammingDistance('ffffffffffffffff', '0000000000000000'), 64);
+    assert.equal(hammingDistance('0000000000000003', '0000000100000001'), 2);
+  });
+
+  it('should treat different capture times or camera bodies as different shots', () => {
+    const date = new Date(2024, 6, 9, 8, 30, 22);
+    assert.equal(exifCompatible({ date }, { date: new Date(date.getTime() + 500) }), true);
+    assert.equal(exifCompatible({ date }, { date: new Date(date.getTime() + 5000) }), false);
+    assert.equal(exifCompatible({ serial: 'A1' }, { serial: 'B2' }), false);
+    assert.equal(exifCompatible({ date, serial: 'A1' }, {}), true);
+  });
+
+  it('should keep the highest resolution, then the copy with most metadata', () => {
+    const small = photo('small.jpg', { width: 50, height: 50, size: 5000 });
+    const large = photo('large.jpg', { size: 900 });
+    assert.deepEqual(chooseKeeper([small, large]), { keeper: large, others: [small], reason: 'highest resolution' });
+
+    const dated = photo('b.jpg', { date: new Date() });
+    assert.equal(chooseKeeper([photo('a.jpg'), dated]).reason, 'has the capture date');
+    assert.equal(chooseKeeper([photo('c.jpg'), photo('a.jpg')]).keeper.filepath, 'a.jpg');
+    assert.equal(chooseKeeper([photo('c.jpg'), photo('a.jpg')]).reason, 'first by path');
+  });
+
+  it('should group exact, same-pixel and similar copies', () => {
+    const items = [
+      photo('a.jpg', { fileHash: 'f1', pixelHash: 'p1', phash: '0000000000000000' }),
+      photo('a copy.jpg', { fileHash: 'f1', pixelHash: 'p1', phash: '0000000000000000' }),
+      photo('b.jpg', { fileHash: 'f2', pixelHash: 'p2', phash: 'ff00000000000000' }),
+      photo('b stripped.jpg', { fileHash: 'f3', pixelHash: 'p2', phash: 'ff00000000000000' }),
+      photo('c.jpg', { fileHash: 'f4', pixelHash: 'p4', phash: 'f0f0f0f0f0f0f0f0', width: 200 }),
+      photo('c small.jpg', { fileHash: 'f5', pixelHash: 'p5', phash: 'f0f0f0f0f0f0f0f1' }),
+      photo('unrelated.jpg', { fileHash: 'f6', pixelHash: 'p6', phash: '0f0f0f0f0f0f0f0f' })
+    ];
+    const groups = groupDuplicates(items);
+    assert.deepEqual(groups.map(group => [group.level, group.members.map(member => member.filepath).sort()]), [
+      ['exact', ['a copy.jpg', 'a.jpg']],
+      ['pixels', ['b stripped.jpg', 'b.jpg']],
+      ['similar', ['c small.jpg', 'c.jpg']]
+    ]);
+    assert.equal(groups[2].keeper.filepath, 'c.jpg');
+
+    assert.deepEqual(groupDuplicates(items, { levels: ['exact'] }).map(group => group.level), ['exact']);
+
+    // A group mixing levels reports each copy's relation to the keeper
+    const [mixed] = groupDuplicates([...items.slice(0, 2), photo('a small.jpg', { fileHash: 'f7', phash: '0000000000000001', width: 50 })]);
+    assert.equal(mixed.level, 'similar');
+    assert.deepEqual(mixed.others.map((other, index) => [other.filepath, mixed.relations[index]]), [['a.jpg', 'exact'], ['a small.jpg', 'similar']]);
+    assert.equal(groupDuplicates(items, { levels: ['similar'], maxDistance: 0 }).length, 2);
+  });
+
+  it('should not group similar-looking shots with different capture times', () => {
+    const items = [
+      photo('burst1.jpg', { fileHash: 'f1', phash: '0000000000000000', date: new Date(2024, 0, 1, 10, 0, 0) }),
+      photo('burst2.jpg', { fileHash: 'f2', phash: '0000000000000001', date: new Date(2024, 0, 1, 10, 0, 2) })
+    ];
+    assert.deepEqual(groupDuplicates(items), []);
+  });
+});
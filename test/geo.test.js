@@ -0,0 +1,91 @@
+import { strict as assert } from 'assert';
+import { describe, it } from 'node:test';
+import {
+  haversineDistance,
+  pointInPolygon,
+  normalizeLocationPrivacy,
+  findPrivacyZone,
+  snapToGrid,
+  resolveLocationPrivacy,
+  fitProjection
+} from '../lib/geo.js';
+
+const HOME = { name: 'Home', latitude: 41.8781, longitude: -87.6298, radius: 500 };
+const OFFICE = {
+  name: 'Office',
+  polygon: [[41.88, -87.64], [41.89, -87.64], [41.89, -87.63], [41.88, -87.63]],
+  action: 'snap'
+};
+
+describe('Distance and containment', () => {
+  it('should compute great-circle distances in metres', () => {
+    assert.equal(Math.round(haversineDistance(0, 0, 0, 1) / 1000), 111);
+    assert.equal(haversineDistance(41.8781, -87.6298, 41.8781, -87.6298), 0);
+  });
+
+  it('should detect points inside a polygon', () => {
+    assert.equal(pointInPolygon(41.885, -87.635, OFFICE.polygon), true);
+    assert.equal(pointInPolygon(41.895, -87.635, OFFICE.polygon), false);
+  });
+
+  it('should find the zone containing a point', () => {
+    const { zones } = normalizeLocationPrivacy({ zones: [HOME, OFFICE] });
+
+    assert.equal(findPrivacyZone(41.8790, -87.6300, zones).name, 'Home');
+    assert.equal(findPrivacyZone(41.885, -87.635, zones).name, 'Office');
+    assert.equal(findPrivacyZone(41.95, -87.70, zones), null);
+  });
+});
+
+describe('Map projection', () => {
+  it('should fit points into the box with north up and longitudes scaled for the latitude', () => {
+    const project = fitProjection([{ latitude: 60, longitude: 10 }, { latitude: 61, longitude: 12 }], { width: 200, height: 200, padding: 10 });
+
+    // Two degrees of longitude at 60.5° span about one degree of latitude, so both axes fill the box
+    assert.deepEqual(project({ latitude: 60, longitude: 10 }), [11.4, 190]);
+    assert.deepEqual(project({ latitude: 61, longitude: 12 }), [188.6, 10]);
+  });
+
+  it('should centre a single point and round to the requested decimals', () => {
+    const project = fitProjection([{ latitude: 1, longitude: 2 }], { width: 200, height: 100, decimals: 3 });
+
+    assert.deepEqual(project({ latitude: 1, longitude: 2 }), [100, 50]);
+    assert.deepEqual(project({ latitude: 1.0001, longitude: 2 }), [100, 49.99]);
+  });
+});
+
+describe('Location privacy decisions', () => {
+  it('should remove GPS inside a remove zone and snap inside a snap zone', () => {
+    const privacy = normalizeLocationPrivacy({ zones: [HOME, OFFICE], precision: 2 });
+
+    assert.equal(resolveLocationPrivacy(41.8785, -87.6295, privacy).action, 'removed');
+    const snapped = resolveLocationPrivacy(41.8851, -87.6352, privacy);
+    assert.equal(snapped.action, 'snapped');
+    assert.equal(snapped.zone, 'Office');
+    assert(haversineDistance(41.8851, -87.6352, snapped.latitude, snapped.longitude) < 1000);
+  });
+
+  it('should round locations outside every zone to the requested precision', () => {
+    const privacy = normalizeLocationPrivacy({ zones: [HOME], precision: 2 });
+    const location = resolveLocationPrivacy(48.858370, 2.294481, privacy);
+
+    assert.deepEqual([location.action, location.latitude, location.longitude], ['rounded', 48.86, 2.29]);
+    assert.equal(resolveLocationPrivacy(48.858370, 2.294481, normalizeLocationPrivacy({ zones: [HOME] })).action, 'unchanged');
+  });
+
+  it('should snap every point in a grid cell to the same centre', () => {
+    const a = snapToGrid(48.8584, 2.2945, 10000);
+    const b = snapToGrid(48.8590, 2.2950, 10000);
+
+    assert.deepEqual(a, b);
+    assert(haversineDistance(48.8584, 2.2945, a.latitude, a.longitude) < 10000);
+  });
+
+  it('should reject malformed zones', () => {
+    assert.throws(() => normalizeLocationPrivacy({ zones: [{ latitude: 100, longitude: 0, radius: 10 }] }), /latitude/);
+    assert.throws(() => normalizeLocationPrivacy({ zones: [{ latitude: 1, longitude: 1 }] }), /radius/);
+    assert.throws(() => normalizeLocationPrivacy({ zones: [{ polygon: [[0, 0], [1, 1]] }] }), /polygon/);
+    assert.throws(() => normalizeLocationPrivacy({ zones: [{ ...HOME, action: 'blur' }] }), /action/);
+    assert.throws(() => normalizeLocationPrivacy({ precision: 9 }), /precision/);
+  });
+});
@@ -0,0 +1,30 @@
+import { strict as assert } from 'assert';
+import { describe, it } from 'node:test';
+import { reverseGeocode, formatPlace } from '../lib/geocode.js';
+
+describe('Offline reverse geocoding', () => {
+  it('should resolve coordinates to the nearest city, region and country', () => {
+    const place = reverseGeocode(48.1374, 11.5755);
+    assert.equal(place.city, 'Munich');
+    assert.equal(place.region, 'Bayern');
+    assert.equal(place.country, 'Germany');
+    assert.equal(place.countryCode, 'DE');
+    assert.ok(place.distance < 1000);
+  });
+
+  it('should search across the antimeridian', () => {
+    const place = reverseGeocode(-16.5, -179.9);
+    assert.equal(place.countryCode, 'FJ');
+  });
+
+  it('should return null when no city is within range', () => {
+    assert.equal(reverseGeocode(0, -140), null);
+    assert.equal(reverseGeocode(48.1374, 11.7, { maxDistance: 100 }), null);
+    assert.equal(reverseGeocode(91, 0), null);
+  });
+
+  it('should format places without repeating names', () => {
+    assert.equal(formatPlace({ city: 'Munich', region: 'Bayern', country: 'Germany', countryCode: 'DE' }), 'Munich, Bayern, Germany (DE)');
+    assert.equal(formatPlace({ city: 'Tokyo', region: 'Tokyo', country: 'Japan', countryCode: 'JP' }), 'Tokyo, Japan (JP)');
+  });
+});
@@ -0,0 +1,51 @@
+import { strict as assert } from 'assert';
+import { describe, it } from 'node:test';
+import { globToRegExp, createFileFilter } from '../lib/glob.js';
+
+describe('Glob patterns', () => {
+  it('should match wildcards within a path segment', () => {
+    assert.equal(globToRegExp('*.jpg').test('IMG_0001.JPG'), true);
+    assert.equal(globToRegExp('*.jpg').test('day1/IMG_0001.jpg'), false);
+    assert.equal(globToRegExp('IMG_00??.heic').test('IMG_0012.heic'), true);
+  });
+
+  it('should match any number of directories with **', () => {
+    const regex = globToRegExp('**/rejects/**');
+    assert.equal(regex.test('rejects/a.jpg'), true);
+    assert.equal(regex.test('2024/day1/rejects/a.jpg'), true);
+    assert.equal(regex.test('2024/day1/a.jpg'), false);
+  });
+
+  it('should support braces and character classes', () => {
+    assert.equal(globToRegExp('*.{jpg,heic}').test('a.heic'), true);
+    assert.equal(globToRegExp('[!_]*.jpg').test('_hidden.jpg'), false);
+    assert.equal(globToRegExp('photo (1)+.jpg').test('photo (1)+.jpg'), true);
+  });
+
+  it('should reject malformed patterns', () => {
+    assert.throws(() => globToRegExp(''), /non-empty/);
+    assert.throws(() => globToRegExp('*.{jpg'), /Unclosed \{/);
+    assert.throws(() => globToRegExp('[abc'), /Unclosed \[/);
+  });
+});
+
+describe('File filters', () => {
+  it('should combine include, exclude and extension filters', () => {
+    const filter = createFileFilter({ include: ['2024-*/**'], exclude: ['*_edit.*'], extensions: ['jpg', '.HEIC'] });
+    assert.equal(filter('2024-05/a.jpg'), true);
+    assert.equal(filter('2024-05/b.heic'), true);
+    assert.equal(filter('2024-05/a_edit.jpg'), false);
+    assert.equal(filter('2024-05/c.png'), false);
+    assert.equal(filter('2023-12/a.jpg'), false);
+  });
+
+  it('should select everything by default', () => {
+    assert.equal(createFileFilter()('any/path/file.tif'), true);
+  });
+
+  it('should validate filter options', () => {
+    assert.throws(() => createFileFilter({ include: '*.jpg' }), /include must be an array/);
+    assert.throws(() => createFileFilter({ extensions: [] }), /extensions must be a non-empty array/);
+    assert.throws(() => createFileFilter({ extensions: ['../jpg'] }), /extensions/);
+  });
+});
@@ -0,0 +1,71 @@
+import { strict as assert } from 'assert';
+import { describe, it } from 'node:test';
+import {
+  defaultIsoThreshold, checkIso, checkShutter, checkAperture, luminanceStats, checkExposure, laplacianVariance, checkBlur, rankIssues
+} from '../lib/issues.js';
+
+describe('Photo issue checks', () => {
+  it('should flag ISO above per-camera or sensor-size thresholds', () => {
+    assert.equal(defaultIsoThreshold(1), 6400);
+    assert.equal(defaultIsoThreshold(1.5), 3200);
+    assert.equal(defaultIsoThreshold(7), 800);
+    assert.deepEqual(checkIso({ iso: 6400, camera: 'Canon EOS R5', cropFactor: 1 }), []);
+    assert.equal(checkIso({ iso: 6400, camera: 'FUJIFILM X-T4', cropFactor: 1.5 })[0].severity, 'medium');
+    const [issue] = checkIso({ iso: 25600, camera: 'Canon EOS R5', cropFactor: 1 }, { 'eos r5': 12800 });
+    assert.equal(issue.severity, 'medium');
+    assert.match(issue.reason, /12800 noise threshold set for eos r5/);
+  });
+
+  it('should apply the handheld rule with stabilization', () => {
+    assert.deepEqual(checkShutter({ exposureTime: 1 / 100, focalLength35: 85 }), []);
+    const [issue] = checkShutter({ exposureTime: 1 / 10, focalLength35: 80 });
+    assert.equal(issue.severity, 'high');
+    assert.match(issue.reason, /1\/10s is 3 stops slower than the 1\/80s handheld limit at 80mm/);
+    assert.deepEqual(checkShutter({ exposureTime: 1 / 10, focalLength35: 80 }, 3), []);
+    assert.deepEqual(checkShutter({ exposureTime: 1 / 10, focalLength35: null }), []);
+    // Limits above a second read like the exposure times parse_exif reports
+    assert.match(checkShutter({ exposureTime: 4, focalLength35: 24 }, 5)[0].reason, /^4s is 1\.6 stops slower than the 1\.3s handheld limit/);
+  });
+
+  it('should flag shallow depth of field close up', () => {
+    // 100mm f/2.8 at 0.3 m leaves about 1.5 mm in focus
+    const [issue] = checkAperture({ fNumber: 2.8, focusDistance: 0.3, focalLength: 100, cropFactor: 1 });
+    assert.equal(issue.severity, 'high');
+    assert.match(issue.reason, /about 1.5 mm in focus/);
+    assert.deepEqual(checkAperture({ fNumber: 2.8, focusDistance: 1.5, focalLength: 24, cropFactor: 1 }), []);
+    assert.deepEqual(checkAperture({ fNumber: 8, focusDistance: 0.3, focalLength: 100 }), []);
+    assert.equal(checkAperture({ fNumber: 1.4, focusDistance: 0.4 })[0].severity, 'medium');
+  });
+
+  it('should find clipped and badly exposed images', () => {
+    const pixels = Uint8Array.from({ length: 100 }, (value, index) => (index < 20 ? 255 : 128));
+    const stats = luminanceStats(pixels);
+    assert.equal(stats.highlights, 0.2);
+    assert.equal(stats.shadows, 0);
+    assert.deepEqual(checkExposure(stats).map(issue => issue.severity), ['high']);
+    assert.match(checkExposure(luminanceStats(new Uint8Array(100).fill(20)))[0].reason, /crushed black|Underexposed/);
+    assert.deepEqual(checkExposure(luminanceStats(new Uint8Array(100).fill(120))), []);
+  });
+
+  it('should measure sharpness with the Laplacian variance', () => {
+    const flat = new Uint8Array(16 * 16).fill(100);
+    const checkerboard = Uint8Array.from({ length: 16 * 16 }, (value, index) => ((index % 16 + Math.floor(index / 16)) % 2 ? 255 : 0));
+    assert.equal(laplacianVariance(flat, 16, 16), 0);
+    assert.ok(laplacianVariance(checkerboard, 16, 16) > 100000);
+    assert.equal(checkBlur(0, 100)[0].severity, 'high');
+    assert.equal(checkBlur(60, 100)[0].severity, 'low');
+    assert.deepEqual(checkBlur(150, 100), []);
+  });
+
+  it('should rank files by total score', () => {
+    const issue = (severity, score) => ({ check: 'iso', severity, score, reason: '' });
+    const ranked = rankIssues([
+      { filepath: 'a.jpg', issues: [issue('low', 1), issue('low', 1)] },
+      { filepath: 'b.jpg', issues: [] },
+      { filepath: 'c.jpg', issues: [issue('low', 1), issue('high', 3)] },
+      { filepath: 'd.jpg', issues: [issue('medium', 2)] }
+    ]);
+    assert.deepEqual(ranked.map(result => [result.filepath, result.score]), [['c.jpg', 4], ['d.jpg', 2], ['a.jpg', 2]]);
+    assert.equal(ranked[0].issues[0].severity, 'high');
+  });
+});
@@ -0,0 +1,169 @@
+import { strict as assert } from 'assert';
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import { mkdtempSync, writeFileSync, readFileSync, renameSync, existsSync, rmSync, utimesSync, copyFileSync } from 'fs';
+import { createHash } from 'crypto';
+import { tmpdir } from 'os';
+import path from 'path';
+import {
+  createRunId, startRun, recordRename, recordModify, recordCreate, recordCopy, recordDelete, hashFile, finishRun, readRuns, describeRunChanges,
+  planUndo, applyUndoStep, markUndone
+} from '../lib/journal.js';
+
+describe('Operation journal', () => {
+  let dir;
+  let journalDir;
+
+  beforeEach(() => {
+    dir = mkdtempSync(path.join(tmpdir(), 'exif-journal-'));
+    journalDir = path.join(dir, '.journal');
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  const file = (name) => path.join(dir, name);
+
+  it('should create sortable run IDs', () => {
+    assert.match(createRunId(new Date('2024-07-04T14:30:22Z')), /^20240704-143022-[0-9a-f]{6}$/);
+  });
+
+  it('should only record runs that changed files', async () => {
+    assert.equal(await finishRun(startRun('rename_by_exif', journalDir)), false);
+    assert.deepEqual(await readRuns(journalDir), []);
+  });
+
+  it('should list runs newest first and mark undone runs', async () => {
+    const first = startRun('strip_exif', journalDir);
+    recordCreate(first, file('a.xmp'), 'x');
+    await finishRun(first);
+    const second = startRun('rename_by_exif', journalDir, { template: '{date}' });
+    recordCreate(second, file('b.xmp'), 'y');
+    await finishRun(second);
+    await markUndone(journalDir, first.runId, { restored: 1, skipped: 0 });
+
+    const runs = await readRuns(journalDir);
+    assert.deepEqual(runs.map(run => run.runId), [second.runId, first.runId]);
+    assert.deepEqual(runs[0].details, { template: '{date}' });
+    assert.equal(runs[0].undone, null);
+    assert.ok(runs[1].undone);
+  });
+
+  it('should summarize runs that deleted files', async () => {
+    writeFileSync(file('a.jpg'), 'a');
+    writeFileSync(file('a.xmp'), 'sidecar');
+    const run = startRun('strip_exif', journalDir);
+    await recordModify(run, file('a.jpg'), Buffer.from('a'), Buffer.from('b'));
+    await recordDelete(run, file('a.xmp'), readFileSync(file('a.xmp')));
+    rmSync(file('a.xmp'));
+    await finishRun(run);
+
+    const [listed] = await readRuns(journalDir);
+    assert.equal(describeRunChanges(listed), '1 modified, 1 deleted');
+  });
+
+  it('should undo renames, including chains within one run', async () => {
+    writeFileSync(file('a.jpg'), 'A');
+    writeFileSync(file('b.jpg'), 'B');
+    const run = startRun('rename_by_exif', journalDir);
+    renameSync(file('b.jpg'), file('c.jpg'));
+    await recordRename(run, file('b.jpg'), file('c.jpg'));
+    renameSync(file('a.jpg'), file('b.jpg'));
+    await recordRename(run, file('a.jpg'), file('b.jpg'));
+
+    const steps = await planUndo(run);
+    assert.deepEqual(steps.map(step => step.conflict), [null, null]);
+    for (const step of steps) {
+      await applyUndoStep(step);
+    }
+    assert.equal(readFileSync(file('a.jpg'), 'utf8'), 'A');
+    assert.equal(readFileSync(file('b.jpg'), 'utf8'), 'B');
+    assert.equal(existsSync(file('c.jpg')), false);
+  });
+
+  it('should detect renamed files that changed or whose old name was taken', async () => {
+    writeFileSync(file('a.jpg'), 'A');
+    writeFileSync(file('b.jpg'), 'B');
+    const run = startRun('rename_by_exif', journalDir);
+    renameSync(file('a.jpg'), file('x.jpg'));
+    await recordRename(run, file('a.jpg'), file('x.jpg'));
+    renameSync(file('b.jpg'), file('y.jpg'));
+    await recordRename(run, file('b.jpg'), file('y.jpg'));
+
+    utimesSync(file('x.jpg'), new Date(), new Date(Date.now() + 5000));
+    writeFileSync(file('b.jpg'), 'new');
+    const conflicts = (await planUndo(run)).map(step => step.conflict);
+    assert.match(conflicts[0], /b\.jpg exists again/);
+    assert.match(conflicts[1], /x\.jpg was modified/);
+  });
+
+  it('should restore modified files from a journal copy', async () => {
+    writeFileSync(file('a.jpg'), 'original');
+    const run = startRun('write_exif', journalDir);
+    writeFileSync(file('a.jpg'), 'edited');
+    await recordModify(run, file('a.jpg'), Buffer.from('original'), Buffer.from('edited'));
+    assert.ok(run.entries[0].original.startsWith(path.join(journalDir, 'originals', run.runId)));
+
+    const [step] = await planUndo(run);
+    assert.equal(step.conflict, null);
+    await applyUndoStep(step);
+    assert.equal(readFileSync(file('a.jpg'), 'utf8'), 'original');
+  });
+
+  it('should refuse to restore files modified after the run', async () => {
+    writeFileSync(file('a.jpg'), 'edited');
+    writeFileSync(file('a.jpg.original'), 'original');
+    const run = startRun('strip_exif', journalDir);
+    await recordModify(run, file('a.jpg'), Buffer.from('original'), Buffer.from('edited'), file('a.jpg.original'));
+
+    writeFileSync(file('a.jpg'), 'edited again');
+    assert.match((await planUndo(run))[0].conflict, /modified after this run/);
+    writeFileSync(file('a.jpg'), 'edited');
+    rmSync(file('a.jpg.original'));
+    assert.match((await planUndo(run))[0].conflict, /missing or changed/);
+  });
+
+  it('should restore deleted files unless the name was taken again', async () => {
+    const run = startRun('strip_exif', journalDir);
+    await recordDelete(run, file('a.xmp'), Buffer.from('sidecar'));
+    writeFileSync(file('a.xmp'), 'new');
+    assert.match((await planUndo(run))[0].conflict, /a\.xmp exists again/);
+
+    rmSync(file('a.xmp'));
+    const [step] = await planUndo(run);
+    assert.equal(step.conflict, null);
+    await applyUndoStep(step);
+    assert.equal(readFileSync(file('a.xmp'), 'utf8'), 'sidecar');
+  });
+
+  it('should delete created files unless they changed', async () => {
+    writeFileSync(file('a.xmp'), 'sidecar');
+    const run = startRun('geotag_from_gpx', journalDir);
+    recordCreate(run, file('a.xmp'), Buffer.from('sidecar'));
+    const [step] = await planUndo(run);
+    await applyUndoStep(step);
+    assert.equal(existsSync(file('a.xmp')), false);
+
+    writeFileSync(file('a.xmp'), 'changed');
+    assert.match((await planUndo(run))[0].conflict, /modified/);
+  });
+
+  it('should record copies from a streamed hash and delete them on undo', async () => {
+    const content = Buffer.alloc(200000, 'live photo video');
+    writeFileSync(file('a.mov'), content);
+    const digest = await hashFile(file('a.mov'));
+    assert.equal(digest, createHash('sha256').update(content).digest('hex'));
+    await assert.rejects(hashFile(file('missing.mov')), /ENOENT/);
+
+    copyFileSync(file('a.mov'), file('b.mov'));
+    const run = startRun('organize_photos', journalDir);
+    recordCopy(run, file('b.mov'), digest);
+    assert.deepEqual(run.entries, [{ type: 'create', path: file('b.mov'), after: digest }]);
+
+    const [step] = await planUndo(run);
+    assert.equal(step.conflict, null);
+    await applyUndoStep(step);
+    assert.equal(existsSync(file('b.mov')), false);
+    assert.equal(existsSync(file('a.mov')), true);
+  });
+});
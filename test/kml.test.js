@@ -0,0 +1,117 @@
+import { strict as assert } from 'assert';
+import { describe, it } from 'node:test';
+import { buildKml, groupTourDays, numberTourPhotos } from '../lib/kml.js';
+import { detectGpsOutliers } from '../lib/outliers.js';
+
+// Capture times are camera wall-clock times, so they are built in local time like exifr revives them
+const photo = (number, [day, hour, minute], latitude, longitude) => ({
+  id: `photo_${String(number).padStart(3, '0')}`,
+  number,
+  filename: `IMG_${number}.jpg`,
+  datetime: new Date(2024, 6, day, hour, minute),
+  latitude,
+  longitude,
+  altitude: 0,
+  thumbnailName: `photo_${String(number).padStart(3, '0')}_thumb.jpg`
+});
+
+// Two photos late on 10 July, two just after midnight and one on the afternoon of 11 July
+const PHOTOS = [
+  photo(1, [10, 22, 15], 64.1466, -21.9426),
+  photo(2, [10, 23, 50], 64.1500, -21.9500),
+  photo(3, [11, 0, 10], 64.2000, -21.0000),
+  photo(4, [11, 0, 40], 64.2500, -20.9000),
+  photo(5, [11, 15, 0], 63.4000, -19.0000)
+];
+const TOUR = { tilt: 60, range: 800, dwellSeconds: 4, flySeconds: 3 };
+
+const iso = (photo) => photo.datetime.toISOString();
+const folders = (kml) => [...kml.matchAll(/<Folder>([\s\S]*?)<\/Folder>/g)].map(match => match[1]);
+
+describe('KML tours', () => {
+  it('should split photos into days at midnight by capture time', () => {
+    const days = groupTourDays(PHOTOS);
+
+    assert.deepEqual(days.map(day => day.date), ['2024-07-10', '2024-07-11']);
+    assert.deepEqual(days.map(day => day.photos.map(p => p.number)), [[1, 2], [3, 4, 5]]);
+  });
+
+  it('should write one folder per day with its own path colour and TimeSpan', () => {
+    const kml = buildKml(PHOTOS, { title: 'Iceland', tour: TOUR });
+    const [first, second] = folders(kml);
+
+    assert.equal(folders(kml).length, 2);
+    assert.match(first, /<name>Day 1: 2024-07-10<\/name>/);
+    assert.match(second, /<name>Day 2: 2024-07-11<\/name>/);
+    assert.match(kml, /<Style id="pathStyle_1">\s*<LineStyle>\s*<color>ff0000ff<\/color>/);
+    assert.match(kml, /<Style id="pathStyle_2">\s*<LineStyle>\s*<color>ffff7f00<\/color>/);
+    assert.deepEqual([...first.matchAll(/<Placemark id="(\w+)">/g)].map(match => match[1]), ['photo_001', 'photo_002']);
+    assert.match(second, /<styleUrl>#pathStyle_2<\/styleUrl>/);
+
+    // The folder and its path both span the day's first to last photo
+    const spans = [...second.matchAll(/<TimeSpan>\s*<begin>(.+)<\/begin>\s*<end>(.+)<\/end>\s*<\/TimeSpan>/g)];
+    assert.equal(spans.length, 2);
+    for (const [, begin, end] of spans) {
+      assert.equal(begin, iso(PHOTOS[2]));
+      assert.equal(end, iso(PHOTOS[4]));
+    }
+  });
+
+  it('should fly to every photo in order and open and close its balloon', () => {
+    const kml = buildKml(PHOTOS, { title: 'Iceland', tour: TOUR });
+    const playlist = /<gx:Tour>\s*<name>Fly-through<\/name>\s*<gx:Playlist>([\s\S]*)<\/gx:Playlist>\s*<\/gx:Tour>/.exec(kml);
+
+    assert.match(kml, /xmlns:gx="http:\/\/www\.google\.com\/kml\/ext\/2\.2"/);
+    assert.ok(playlist, 'Document should contain a gx:Tour with a gx:Playlist');
+    const flights = [...playlist[1].matchAll(/<gx:FlyTo>([\s\S]*?)<\/gx:FlyTo>/g)].map(match => match[1]);
+    assert.equal(flights.length, PHOTOS.length);
+    assert.deepEqual(flights.map(flight => /<gx:flyToMode>(\w+)</.exec(flight)[1]), ['bounce', 'smooth', 'smooth', 'smooth', 'smooth']);
+    assert.match(flights[2], /<gx:duration>3<\/gx:duration>/);
+    assert.match(flights[2], /<longitude>-21<\/longitude>\s*<latitude>64\.2<\/latitude>/);
+    assert.match(flights[2], /<tilt>60<\/tilt>\s*<range>800<\/range>/);
+    assert.match(flights[2], new RegExp(`<gx:TimeStamp><when>${iso(PHOTOS[2])}</when></gx:TimeStamp>`));
+
+    const balloons = [...playlist[1].matchAll(/<Placemark targetId="(\w+)">\s*<gx:balloonVisibility>(\d)</g)].map(match => match.slice(1).join(':'));
+    assert.deepEqual(balloons.slice(0, 4), ['photo_001:1', 'photo_001:0', 'photo_002:1', 'photo_002:0']);
+    assert.equal(balloons.length, PHOTOS.length * 2);
+    assert.equal([...playlist[1].matchAll(/<gx:Wait>\s*<gx:duration>4<\/gx:duration>/g)].length, PHOTOS.length);
+  });
+
+  it('should write a single folder and path without the gx namespace when there is no tour', () => {
+    const kml = buildKml(PHOTOS, { title: 'Tom & Jerry <trip>', description: 'Summer' });
+
+    assert.doesNotMatch(kml, /xmlns:gx|gx:Tour|TimeSpan/);
+    assert.match(kml, /<name>Tom &amp; Jerry &lt;trip&gt;<\/name>/);
+    assert.equal(folders(kml).length, 1);
+    assert.match(kml, /<name>Photo Path<\/name>/);
+    assert.equal([...kml.matchAll(/<TimeStamp>\s*<when>/g)].length, PHOTOS.length);
+  });
+
+  it('should leave out the path when drawPath is off or a day has one photo', () => {
+    assert.doesNotMatch(buildKml(PHOTOS, { title: 'Iceland', drawPath: false }), /Photo Path/);
+
+    const kml = buildKml([PHOTOS[0], PHOTOS[4]], { title: 'Iceland', tour: TOUR });
+    assert.equal(folders(kml).length, 2);
+    assert.doesNotMatch(kml, /Day \d Path/);
+  });
+
+  it('should renumber the photos left after outliers are dropped without gaps', () => {
+    const photos = PHOTOS.map(p => ({ ...p }));
+    photos[2] = { ...photos[2], latitude: 0, longitude: 0 };
+    const found = detectGpsOutliers(photos.map(p => ({ ...p, time: p.datetime.getTime() })));
+    assert.deepEqual(found.map(outlier => outlier.index), [2]);
+
+    const kept = photos.filter((p, index) => index !== 2);
+    numberTourPhotos(kept);
+
+    assert.deepEqual(kept.map(p => p.filename), ['IMG_1.jpg', 'IMG_2.jpg', 'IMG_4.jpg', 'IMG_5.jpg']);
+    assert.deepEqual(kept.map(p => p.number), [1, 2, 3, 4]);
+    assert.deepEqual(kept.map(p => p.thumbnailName), ['photo_001_thumb.jpg', 'photo_002_thumb.jpg', 'photo_003_thumb.jpg', 'photo_004_thumb.jpg']);
+    assert.equal(kept[2].fullImageName, 'photo_003_full.jpg');
+
+    const kml = buildKml(kept, { title: 'Iceland', tour: TOUR });
+    assert.deepEqual([...kml.matchAll(/<Placemark id="(\w+)">/g)].map(match => match[1]), ['photo_001', 'photo_002', 'photo_003', 'photo_004']);
+    assert.match(kml, /<name>3\. IMG_4\.jpg<\/name>/);
+    assert.doesNotMatch(kml, /photo_005/);
+  });
+});
@@ -0,0 +1,379 @@
+import { strict as assert } from 'assert';
+import { describe, it } from 'node:test';
+import exifr from 'exifr';
+import sharp from 'sharp';
+import { parseTiff, buildTiff, readGpsPosition, writeTags, readTagValue, validateTagValue } from '../lib/exif.js';
+import { buildIptc, buildPhotoshopResources, parseIptc, parsePhotoshopResources, IPTC_RESOURCE_ID } from '../lib/iptc.js';
+import { parseXmp, buildXmp, mergeXmpProperties, splitKeywords } from '../lib/xmp.js';
+import { extractJpegMetadata, writeJpegMetadata, readJpegSegments } from '../lib/containers.js';
+import { filterMetadata, applyLocationPrivacy, listsTagGroup, ANONYMIZE_PRESETS } from '../lib/metadata.js';
+import { normalizeLocationPrivacy } from '../lib/geo.js';
+
+// Little-endian TIFF entry helpers for building fixtures
+function ascii(tag, text) {
+  const data = Buffer.from(`${text}\0`, 'latin1');
+  return { tag, type: 2, count: data.length, data };
+}
+
+function rationals(tag, values) {
+  const data = Buffer.alloc(values.length * 8);
+  values.forEach(([num, den], i) => {
+    data.writeUInt32LE(num, i * 8);
+    data.writeUInt32LE(den, i * 8 + 4);
+  });
+  return { tag, type: 5, count: values.length, data };
+}
+
+const SAMPLE_XMP = `<?xpacket begin="" id="W5M0MpCehiHzreSzNTczkc9d"?>
+<x:xmpmeta xmlns:x="adobe:ns:meta/">
+ <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+  <rdf:Description rdf:about="" xmlns:dc="http://purl.org/dc/elements/1.1/"
+    xmlns:photoshop="http://ns.adobe.com/photoshop/1.0/" photoshop:City="Chicago">
+   <dc:creator><rdf:Seq><rdf:li>Tim</rdf:li></rdf:Seq></dc:creator>
+   <dc:rights><rdf:Alt><rdf:li xml:lang="x-default">(c) Tim</rdf:li></rdf:Alt></dc:rights>
+  </rdf:Description>
+ </rdf:RDF>
+</x:xmpmeta>
+<?xpacket end="w"?>`;
+
+async function createSampleJpeg() {
+  const image = await sharp({ create: { width: 16, height: 16, channels: 3, background: '#336699' } })
+    .jpeg()
+    .toBuffer();
+
+  const exif = buildTiff({
+    littleEndian: true,
+    ifd0: [ascii(0x010F, 'Canon'), ascii(0x0110, 'EOS R5'), ascii(0x013B, 'Tim'), ascii(0x8298, '(c) Tim')],
+    exif: [ascii(0x9003, '2024:07:04 14:30:22'), ascii(0xA431, '012345678')],
+    gps: [
+      ascii(0x0001, 'N'),
+      rationals(0x0002, [[41, 1], [52, 1], [0, 1]]),
+      ascii(0x0003, 'W'),
+      rationals(0x0004, [[87, 1], [37, 1], [0, 1]])
+    ]
+  });
+  const iptc = buildIptc([
+    { record: 2, dataset: 0, data: Buffer.from([0, 4]) },
+    { record: 2, dataset: 90, data: Buffer.from('Chicago') },
+    { record: 2, dataset: 116, data: Buffer.from('(c) Tim') }
+  ]);
+  const photoshop = buildPhotoshopResources([{ id: IPTC_RESOURCE_ID, name: '', data: iptc }]);
+
+  return writeJpegMetadata(image, { exif, xmp: SAMPLE_XMP, photoshop, comments: ['shot on holiday'] });
+}
+
+describe('EXIF block handling', () => {
+  it('should round-trip a TIFF block through parse and build', () => {
+    const original = buildTiff({
+      littleEndian: false,
+      ifd0: [ascii(0x010F, 'Nikon')],
+      exif: [ascii(0x9003, '2024:01:02 03:04:05')],
+      gps: [ascii(0x0001, 'S')]
+    });
+    const parsed = parseTiff(original);
+
+    assert.equal(parsed.littleEndian, false);
+    assert.equal(parsed.ifd0.length, 1);
+    assert.equal(parsed.exif[0].data.toString('latin1'), '2024:01:02 03:04:05\0');
+    assert.deepEqual(buildTiff(parsed), original);
+  });
+
+  it('should return null when there are no entries to write', () => {
+    assert.equal(buildTiff({ ifd0: [], exif: [], gps: [] }), null);
+  });
+});
+
+describe('EXIF tag writing', () => {
+  it('should validate and normalize values by tag type', () => {
+    assert.equal(validateTagValue('DateTimeOriginal', '2024-07-04T14:30:22'), '2024:07:04 14:30:22');
+    assert.deepEqual(validateTagValue('ExposureTime', '1/250'), [1, 250]);
+    assert.equal(validateTagValue('Artist', null), null);
+    assert.throws(() => validateTagValue('DateTimeOriginal', '2024:02:30 10:00:00'), /must be a date/);
+    assert.throws(() => validateTagValue('GPSLatitude', 91), /between -90 and 90/);
+    assert.throws(() => validateTagValue('Orientation', 9), /between 1 and 8/);
+    assert.throws(() => validateTagValue('Artist', 42), /must be a string/);
+    assert.throws(() => validateTagValue('Flash', 1), /not a writable tag/);
+  });
+
+  it('should set, replace and delete tags and report before/after values', async () => {
+    const jpeg = await createSampleJpeg();
+    const metadata = extractJpegMetadata(jpeg);
+    const tiff = parseTiff(metadata.exif);
+    const changes = writeTags(tiff, {
+      Artist: 'Tim Smith',
+      GPSLatitude: -33.8688,
+      GPSAltitude: -12.5,
+      UserComment: 'Café',
+      SerialNumber: null
+    });
+
+    assert.deepEqual(changes.map(c => [c.name, c.before, c.after]), [
+      ['Artist', 'Tim', 'Tim Smith'],
+      ['GPSLatitude', 41 + 52 / 60, -33.8688],
+      ['GPSAltitude', null, -12.5],
+      ['UserComment', null, 'Café'],
+      ['SerialNumber', '012345678', null]
+    ]);
+
+    const output = writeJpegMetadata(jpeg, { ...metadata, exif: buildTiff(tiff) });
+    assert.deepEqual(readJpegSegments(output).imageData, readJpegSegments(jpeg).imageData);
+    const parsed = await exifr.parse(output);
+    assert.equal(parsed.Artist, 'Tim Smith');
+    assert(Math.abs(parsed.latitude + 33.8688) < 1e-9);
+    assert.equal(parsed.SerialNumber, undefined);
+    assert.equal(parsed.GPSAltitude, 12.5);
+    assert.equal(readTagValue(parseTiff(extractJpegMetadata(output).exif), 'UserComment'), 'Café');
+  });
+
+  it('should keep a MakerNote with internal offsets at its original offset', () => {
+    // Canon-style maker note: a little IFD whose string value is addressed from the start of the TIFF block
+    const makerNote = (offset) => {
+      const data = Buffer.alloc(26);
+      data.writeUInt16LE(1, 0);
+      data.writeUInt16LE(0x0006, 2);
+      data.writeUInt16LE(2, 4);
+      data.writeUInt32LE(8, 6);
+      data.writeUInt32LE(offset + 18, 10);
+      data.write('Canon!!\0', 18, 'latin1');
+      return { tag: 0x927C, type: 7, count: data.length, data };
+    };
+    const layout = { littleEndian: true, ifd0: [ascii(0x010F, 'Canon')], exif: [ascii(0x9003, '2024:01:02 03:04:05')] };
+    const { offset } = parseTiff(buildTiff({ ...layout, exif: [...layout.exif, makerNote(0)] })).exif.find(e => e.tag === 0x927C);
+    const tiff = parseTiff(buildTiff({ ...layout, exif: [...layout.exif, makerNote(offset)] }));
+
+    writeTags(tiff, { Artist: 'A photographer with a rather long name', GPSLatitude: 51.5, DateTimeOriginal: '2024:05:06 07:08:09' });
+    const output = buildTiff(tiff);
+
+    const written = parseTiff(output).exif.find(e => e.tag === 0x927C);
+    assert.equal(written.offset, offset);
+    const stringOffset = written.data.readUInt32LE(10);
+    assert.equal(output.toString('latin1', stringOffset, stringOffset + 7), 'Canon!!');
+    assert.equal(readTagValue(parseTiff(output), 'Artist'), 'A photographer with a rather long name');
+    assert.equal(readTagValue(parseTiff(output), 'DateTimeOriginal'), '2024:05:06 07:08:09');
+  });
+
+  it('should add a GPS version when creating a GPS block and drop it when the block is emptied', () => {
+    const tiff = { littleEndian: false, ifd0: [], exif: [], gps: [], interop: [], ifd1: [], thumbnail: null };
+    writeTags(tiff, { GPSLatitude: 10, GPSLongitude: 20 });
+    assert.deepEqual(tiff.gps.map(e => e.tag).sort(), [0, 1, 2, 3, 4]);
+
+    writeTags(tiff, { GPSLatitude: null, GPSLongitude: null });
+    assert.deepEqual(tiff.gps, []);
+  });
+});
+
+describe('IPTC and XMP blocks', () => {
+  it('should round-trip IPTC datasets inside Photoshop resources', () => {
+    const iptc = buildIptc([{ record: 2, dataset: 80, data: Buffer.from('Tim') }]);
+    const block = buildPhotoshopResources([{ id: IPTC_RESOURCE_ID, name: '', data: iptc }]);
+    const [resource] = parsePhotoshopResources(block);
+
+    assert.equal(resource.id, IPTC_RESOURCE_ID);
+    assert.deepEqual(parseIptc(resource.data), [{ record: 2, dataset: 80, data: Buffer.from('Tim') }]);
+  });
+
+  it('should parse attribute and element XMP properties', () => {
+    const { properties } = parseXmp(SAMPLE_XMP);
+    const byName = Object.fromEntries(properties.map(p => [`${p.prefix}:${p.name}`, p.value]));
+
+    assert.equal(byName['photoshop:City'], 'Chicago');
+    assert.deepEqual(byName['dc:creator'], ['Tim']);
+    assert.equal(byName['dc:rights'], '(c) Tim');
+  });
+
+  it('should rebuild a packet that parses back to the same properties', () => {
+    const { properties, namespaces } = parseXmp(SAMPLE_XMP);
+    const rebuilt = parseXmp(buildXmp(properties, namespaces));
+
+    assert.deepEqual(rebuilt.properties.map(p => p.value), properties.map(p => p.value));
+    assert.equal(rebuilt.namespaces.dc, 'http://purl.org/dc/elements/1.1/');
+  });
+
+  it('should merge bags, language alternatives and simple values into an existing packet', () => {
+    const existing = buildXmp([
+      { prefix: 'dc', name: 'subject', xml: '<dc:subject><rdf:Bag><rdf:li>Chicago</rdf:li></rdf:Bag></dc:subject>' },
+      { prefix: 'xmp', name: 'Rating', xml: '<xmp:Rating>2</xmp:Rating>' },
+      { prefix: 'crs', name: 'Exposure2012', xml: '<crs:Exposure2012>+0.50</crs:Exposure2012>' }
+    ]);
+    const merged = mergeXmpProperties(existing, [
+      { prefix: 'dc', name: 'subject', value: ['Chicago', 'Travel'], merge: true },
+      { prefix: 'dc', name: 'title', value: 'Lakefront & <skyline>', type: 'alt' },
+      { prefix: 'xmp', name: 'Rating', value: '5' }
+    ]);
+    const byName = Object.fromEntries(parseXmp(merged).properties.map(p => [`${p.prefix}:${p.name}`, p.value]));
+
+    assert.deepEqual(byName['dc:subject'], ['Chicago', 'Travel']);
+    assert.equal(byName['dc:title'], 'Lakefront & <skyline>');
+    assert.match(merged, /<rdf:li xml:lang="x-default">/);
+    assert.equal(byName['xmp:Rating'], '5');
+    assert.equal(byName['crs:Exposure2012'], '+0.50');
+  });
+
+  it('should split hierarchical keywords into flat and Lightroom keyword lists', () => {
+    assert.deepEqual(splitKeywords(['Places|USA|Chicago', ' Places | USA ', 'architecture', '||']), {
+      subjects: ['Places', 'USA', 'Chicago', 'architecture'],
+      hierarchical: ['Places|USA|Chicago', 'Places|USA', 'architecture']
+    });
+  });
+});
+
+describe('Selective metadata filtering', () => {
+  it('should keep only the listed tags and report everything else as removed', async () => {
+    const jpeg = await createSampleJpeg();
+    const result = filterMetadata(extractJpegMetadata(jpeg), {
+      keep: ['Make', 'Model', 'DateTimeOriginal', 'Copyright', 'Artist']
+    });
+
+    assert.deepEqual(result.kept.sort(), [
+      'EXIF:Artist', 'EXIF:Copyright', 'EXIF:DateTimeOriginal', 'EXIF:Make', 'EXIF:Model',
+      'IPTC:CopyrightNotice', 'XMP:dc:rights'
+    ]);
+    assert(result.removed.includes('EXIF:GPSLatitude'));
+    assert(result.removed.includes('EXIF:SerialNumber'));
+    assert(result.removed.includes('XMP:photoshop:City'));
+    assert(result.removed.includes('Comment'));
+
+    const output = writeJpegMetadata(jpeg, result.metadata);
+    const parsed = await exifr.parse(output, { iptc: true, xmp: true });
+    assert.equal(parsed.Make, 'Canon');
+    assert.equal(parsed.Artist, 'Tim');
+    assert.equal(parsed.latitude, undefined);
+    assert.equal(parsed.SerialNumber, undefined);
+  });
+
+  it('should remove only the named groups in remove mode', async () => {
+    const jpeg = await createSampleJpeg();
+    const result = filterMetadata(extractJpegMetadata(jpeg), { remove: ['GPS', 'Serial'] });
+
+    assert.deepEqual(result.removed.sort(), [
+      'EXIF:GPSLatitude', 'EXIF:GPSLatitudeRef', 'EXIF:GPSLongitude', 'EXIF:GPSLongitudeRef', 'EXIF:SerialNumber'
+    ]);
+
+    const parsed = await exifr.parse(writeJpegMetadata(jpeg, result.metadata), { iptc: true, xmp: true });
+    assert.equal(parsed.Model, 'EOS R5');
+    assert.equal(parsed.City, 'Chicago');
+    assert.equal(parsed.latitude, undefined);
+  });
+
+  it('should report keep entries that match nothing', async () => {
+    const jpeg = await createSampleJpeg();
+    const result = filterMetadata(extractJpegMetadata(jpeg), { keep: ['Make', 'LensModel'] });
+
+    assert.deepEqual(result.unmatched, ['LensModel']);
+  });
+
+  it('should drop GPS, serial numbers and owner names with the client_delivery preset', async () => {
+    const jpeg = await createSampleJpeg();
+    const result = filterMetadata(extractJpegMetadata(jpeg), { keep: ANONYMIZE_PRESETS.client_delivery.keep });
+
+    assert(result.kept.includes('EXIF:Copyright'));
+    assert(result.kept.includes('EXIF:DateTimeOriginal'));
+    assert(result.kept.includes('XMP:dc:creator'));
+    assert(!result.kept.some(tag => tag.includes('GPS') || tag.includes('City')));
+    assert(result.removed.includes('EXIF:SerialNumber'));
+  });
+
+  it('should keep only copyright with the public_sharing preset', async () => {
+    const jpeg = await createSampleJpeg();
+    const result = filterMetadata(extractJpegMetadata(jpeg), { keep: ANONYMIZE_PRESETS.public_sharing.keep });
+
+    assert.deepEqual(result.kept.sort(), ['EXIF:Copyright', 'IPTC:CopyrightNotice', 'XMP:dc:rights']);
+  });
+
+  it('should reject keep and remove together', () => {
+    assert.throws(() => filterMetadata({}, { keep: ['Make'], remove: ['GPS'] }), /either keep or remove/);
+  });
+});
+
+describe('Location privacy', () => {
+  // The sample photo sits at 41°52'N 87°37'W
+  const zone = { name: 'Home', latitude: 41.8667, longitude: -87.6167, radius: 300 };
+
+  it('should remove GPS for photos inside a private zone', async () => {
+    const metadata = extractJpegMetadata(await createSampleJpeg());
+    const { metadata: result, location } = applyLocationPrivacy(metadata, normalizeLocationPrivacy({ zones: [zone] }));
+
+    assert.equal(location.action, 'removed');
+    assert.equal(location.zone, 'Home');
+    assert.equal(parseTiff(result.exif).gps.length, 0);
+    assert.equal(parseTiff(result.exif).ifd0.length, 4);
+  });
+
+  it('should snap GPS to a coarse grid inside a snap zone', async () => {
+    const jpeg = await createSampleJpeg();
+    const privacy = normalizeLocationPrivacy({ zones: [{ ...zone, action: 'snap', gridSize: 10000 }] });
+    const { metadata, location } = applyLocationPrivacy(extractJpegMetadata(jpeg), privacy);
+
+    const parsed = await exifr.parse(writeJpegMetadata(jpeg, metadata));
+    assert.equal(location.action, 'snapped');
+    assert(Math.abs(parsed.latitude - location.latitude) < 1e-6);
+    assert(Math.abs(parsed.longitude - location.longitude) < 1e-6);
+    assert.notEqual(parsed.latitude.toFixed(4), '41.8667');
+  });
+
+  it('should round GPS outside private zones and rewrite XMP coordinates too', () => {
+    const exif = buildTiff({
+      littleEndian: true,
+      gps: [{ tag: 0x0000, type: 1, count: 4, data: Buffer.from([2, 3, 0, 0]) },
+        ascii(0x0001, 'N'), rationals(0x0002, [[48, 1], [51, 1], [3001, 100]]),
+        ascii(0x0003, 'E'), rationals(0x0004, [[2, 1], [17, 1], [4013, 100]])]
+    });
+    const xmp = buildXmp([{ prefix: 'exif', name: 'GPSLatitude', value: '48,51.500N', xml: '<exif:GPSLatitude>48,51.500N</exif:GPSLatitude>' }]);
+    const { metadata, location } = applyLocationPrivacy({ exif, xmp }, normalizeLocationPrivacy({ zones: [zone], precision: 2 }));
+
+    assert.equal(location.action, 'rounded');
+    const position = readGpsPosition(parseTiff(metadata.exif));
+    assert(Math.abs(position.latitude - 48.86) < 1e-9);
+    assert(Math.abs(position.longitude - 2.29) < 1e-9);
+    const [version] = parseTiff(metadata.exif).gps;
+    assert.equal(version.tag, 0x0000);
+    assert.deepEqual([...version.data], [2, 3, 0, 0]);
+    assert.equal(parseXmp(metadata.xmp).properties[0].value, '48,51.6N');
+  });
+
+  it('should drop GPS with the social_media preset even when location privacy is set', async () => {
+    // Mirrors anonymize_photos: GPS is preserved for privacy rules only when the preset keeps it
+    const jpeg = await createSampleJpeg();
+    const { keep } = ANONYMIZE_PRESETS.social_media;
+    const privacy = normalizeLocationPrivacy({ zones: [{ ...zone, latitude: 0, longitude: 0 }], precision: 2 });
+    const keepsGps = listsTagGroup(keep, 'GPS');
+    const filtered = filterMetadata(extractJpegMetadata(jpeg), { keep, preserve: keepsGps ? ['GPS'] : [] });
+    const { metadata } = applyLocationPrivacy(filtered.metadata, privacy);
+
+    assert.equal(keepsGps, false);
+    assert(!filtered.kept.some(tag => tag.includes('GPS')));
+    const parsed = await exifr.parse(writeJpegMetadata(jpeg, metadata), { gps: true });
+    assert.equal(parsed && parsed.latitude, undefined);
+  });
+
+  it('should find GPS inside groups that include it', () => {
+    assert.equal(listsTagGroup(['location'], 'GPS'), true);
+    assert.equal(listsTagGroup(['GPS', 'Camera'], 'GPS'), true);
+    assert.equal(listsTagGroup(ANONYMIZE_PRESETS.client_delivery.keep, 'GPS'), false);
+  });
+
+  it('should read a position whose references are not ASCII instead of throwing', () => {
+    const byteRef = (tag, letter) => ({ tag, type: 1, count: 1, data: Buffer.from(letter, 'latin1') });
+    const undefinedRef = (tag, letter) => ({ tag, type: 7, count: 2, data: Buffer.from(`${letter}\0`, 'latin1') });
+    const exif = buildTiff({
+      littleEndian: true,
+      gps: [byteRef(0x0001, 'S'), rationals(0x0002, [[41, 1], [52, 1], [0, 1]]),
+        undefinedRef(0x0003, 'W'), rationals(0x0004, [[87, 1], [37, 1], [0, 1]])]
+    });
+
+    const position = readGpsPosition(parseTiff(exif));
+    assert(Math.abs(position.latitude - 41.8667) < 1e-4);
+    assert(Math.abs(position.longitude - 87.6167) < 1e-4);
+
+    const { location } = applyLocationPrivacy({ exif }, normalizeLocationPrivacy({ zones: [zone], precision: 2 }));
+    assert.equal(location.action, 'rounded');
+  });
+
+  it('should leave metadata without GPS untouched', () => {
+    const exif = buildTiff({ ifd0: [ascii(0x010F, 'Canon')] });
+    const result = applyLocationPrivacy({ exif }, normalizeLocationPrivacy({ zones: [zone] }));
+
+    assert.equal(result.location, null);
+    assert.equal(result.metadata.exif, exif);
+  });
+});
@@ -0,0 +1,46 @@
+import { strict as assert } from 'assert';
+import { describe, it } from 'node:test';
+import { assignEvents, formatTree } from '../lib/organize.js';
+
+describe('Photo organization', () => {
+  const at = (day, hour, minute = 0) => new Date(2024, 6, day, hour, minute);
+
+  it('should give every dated photo event 1 without a gap', () => {
+    assert.deepEqual(assignEvents([at(9, 8), null, at(9, 20)]), [1, null, 1]);
+  });
+
+  it('should split a day at gaps longer than the threshold', () => {
+    const dates = [at(9, 18), at(9, 8), at(9, 9, 30), at(10, 8), at(9, 12)];
+    assert.deepEqual(assignEvents(dates, 3), [2, 1, 1, 1, 1]);
+    assert.deepEqual(assignEvents(dates, 2), [3, 1, 1, 1, 2]);
+  });
+
+  it('should restart event numbers every day', () => {
+    assert.deepEqual(assignEvents([at(9, 23), at(10, 1), at(10, 9)], 4), [1, 1, 2]);
+  });
+
+  it('should draw sorted folders with file counts', () => {
+    const tree = formatTree([
+      { folder: ['2024', '07-July', '2024-07-09_Munich'], label: 'b.jpg' },
+      { folder: ['2024', '07-July', '2024-07-09_Munich'], label: 'a.jpg' },
+      { folder: ['2024', '06-June'], label: 'c.jpg' },
+      { folder: ['Unsorted'], label: 'd.jpg' }
+    ]);
+    assert.equal(tree, [
+      '├── 2024/ (3 files)',
+      '│   ├── 06-June/ (1 file)',
+      '│   │   └── c.jpg',
+      '│   └── 07-July/ (2 files)',
+      '│       └── 2024-07-09_Munich/ (2 files)',
+      '│           ├── b.jpg',
+      '│           └── a.jpg',
+      '└── Unsorted/ (1 file)',
+      '    └── d.jpg'
+    ].join('\n'));
+  });
+
+  it('should cap the files listed per folder', () => {
+    const entries = ['a', 'b', 'c'].map(label => ({ folder: ['x'], label }));
+    assert.equal(formatTree(entries, { maxFiles: 2 }), '└── x/ (3 files)\n    ├── a\n    ├── b\n    └── … 1 more file');
+  });
+});
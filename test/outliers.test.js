@@ -0,0 +1,103 @@
+import { strict as assert } from 'assert';
+import { describe, it } from 'node:test';
+import { detectGpsOutliers, interpolatePosition } from '../lib/outliers.js';
+
+const at = (time) => Date.parse(`2024-05-01T${time}Z`);
+const point = (latitude, longitude, time, extra = {}) => ({ latitude, longitude, time: at(time), positioningError: null, dop: null, ...extra });
+
+describe('GPS outlier detection', () => {
+  it('should flag a single frame that jumps far away and back', () => {
+    const outliers = detectGpsOutliers([
+      point(48.858, 2.294, '09:00:00'),
+      point(48.86, 2.3, '09:10:00'),
+      point(40.4168, -3.7038, '09:20:00'),
+      point(48.861, 2.335, '09:30:00')
+    ]);
+
+    assert.deepEqual(outliers.map(outlier => outlier.index), [2]);
+    assert.match(outliers[0].reasons[0], /jumps 1051 km away and back/);
+  });
+
+  it('should not flag a real change of place', () => {
+    // A flight from Paris to Madrid: every later photo is in Madrid
+    const outliers = detectGpsOutliers([
+      point(48.858, 2.294, '09:00:00'),
+      point(40.4168, -3.7038, '09:20:00'),
+      point(40.417, -3.704, '12:00:00')
+    ]);
+
+    assert.deepEqual(outliers, []);
+  });
+
+  it('should ignore short jumps between photos taken close together', () => {
+    const outliers = detectGpsOutliers([
+      point(48.858, 2.294, '09:00:00'),
+      point(48.8585, 2.2945, '09:00:01'),
+      point(48.858, 2.294, '09:00:02')
+    ]);
+
+    assert.deepEqual(outliers, []);
+  });
+
+  it('should flag null island and fixes the receiver reports as inaccurate', () => {
+    const outliers = detectGpsOutliers([
+      point(48.858, 2.294, '09:00:00'),
+      point(0, 0, '09:10:00'),
+      point(48.86, 2.3, '09:20:00', { positioningError: 850 }),
+      point(48.861, 2.301, '09:30:00', { dop: 22 }),
+      point(48.862, 2.302, '09:40:00', { positioningError: 20, dop: 2 })
+    ], { maxPositioningError: 100, maxDop: 10 });
+
+    assert.deepEqual(outliers.map(outlier => outlier.index), [1, 2, 3]);
+    assert.match(outliers[0].reasons[0], /null island/);
+    assert.match(outliers[1].reasons[0], /positioning error 850 m/);
+    assert.match(outliers[2].reasons[0], /dilution of precision 22/);
+  });
+
+  it('should judge speed spikes against trusted neighbours only', () => {
+    // The null-island fix between the Paris photos must not make them look like spikes
+    const outliers = detectGpsOutliers([
+      point(48.858, 2.294, '09:00:00'),
+      point(48.86, 2.3, '09:10:00'),
+      point(0, 0, '09:20:00'),
+      point(48.861, 2.335, '09:30:00')
+    ]);
+
+    assert.deepEqual(outliers.map(outlier => outlier.index), [2]);
+  });
+});
+
+describe('Outlier position interpolation', () => {
+  const points = [
+    point(48.0, 2.0, '09:00:00'),
+    point(0, 0, '09:15:00'),
+    point(0, 0, '09:30:00'),
+    point(49.0, 3.0, '10:00:00')
+  ];
+  const outliers = new Set([1, 2]);
+
+  it('should check photos without a capture time for null island but not for speed', () => {
+    const untimed = [
+      { latitude: 48.8566, longitude: 2.3522, time: NaN },
+      { latitude: 35.6762, longitude: 139.6503, time: NaN },
+      { latitude: 48.8566, longitude: 2.3522, time: NaN },
+      { latitude: 0, longitude: 0, time: NaN }
+    ];
+    assert.deepEqual(detectGpsOutliers(untimed).map(outlier => outlier.index), [3]);
+    assert.deepEqual(interpolatePosition(untimed, 1, new Set([1])), { latitude: 48.8566, longitude: 2.3522 });
+  });
+
+  it('should interpolate by time between the nearest trusted points', () => {
+    assert.deepEqual(interpolatePosition(points, 1, outliers), { latitude: 48.25, longitude: 2.25 });
+    assert.deepEqual(interpolatePosition(points, 2, outliers), { latitude: 48.5, longitude: 2.5 });
+  });
+
+  it('should use the nearest trusted point at either end', () => {
+    const trip = [point(0, 0, '08:00:00'), point(48.0, 2.0, '09:00:00'), point(49.0, 3.0, '10:00:00'), point(0, 0, '11:00:00')];
+    const ends = new Set([0, 3]);
+
+    assert.deepEqual(interpolatePosition(trip, 0, ends), { latitude: 48.0, longitude: 2.0 });
+    assert.deepEqual(interpolatePosition(trip, 3, ends), { latitude: 49.0, longitude: 3.0 });
+    assert.equal(interpolatePosition(trip, 0, new Set([0, 1, 2, 3])), null);
+  });
+});
@@ -0,0 +1,64 @@
+import { strict as assert } from 'assert';
+import { describe, it } from 'node:test';
+import { cameraName, formatShutterSpeed, equivalentFocalLength, analyzeShootingPatterns } from '../lib/patterns.js';
+
+describe('Shooting patterns', () => {
+  const shot = (fields) => ({
+    time: null, camera: 'Canon EOS R5', lens: 'RF24-70mm F2.8', lensRange: [24, 70], fNumber: 2.8, exposureTime: 1 / 250,
+    iso: 100, focalLength: 24, focalLength35: 24, flash: false, ...fields
+  });
+
+  it('should name cameras without repeating the make', () => {
+    assert.equal(cameraName('Canon', 'Canon EOS R5'), 'Canon EOS R5');
+    assert.equal(cameraName('NIKON CORPORATION', 'NIKON Z 6'), 'NIKON Z 6');
+    assert.equal(cameraName('FUJIFILM', 'X-T4'), 'FUJIFILM X-T4');
+    assert.equal(cameraName(undefined, undefined), '');
+  });
+
+  it('should format shutter speeds', () => {
+    assert.equal(formatShutterSpeed(1 / 250), '1/250s');
+    assert.equal(formatShutterSpeed(0.5), '1/2s');
+    assert.equal(formatShutterSpeed(30), '30s');
+  });
+
+  it('should work out 35mm-equivalent focal lengths', () => {
+    assert.equal(equivalentFocalLength({ focalLength: 35, focalLength35: 52 }), 52);
+    // 6000 px across a 23.5 mm APS-C sensor
+    assert.equal(equivalentFocalLength({ focalLength: 35, focalPlaneXResolution: 6000 / 23.5, focalPlaneResolutionUnit: 4, imageWidth: 6000 }), 54);
+    assert.equal(equivalentFocalLength({ focalLength: 35 }), null);
+    // A thumbnail-sized width with the original resolution gives an impossible sensor
+    assert.equal(equivalentFocalLength({ focalLength: 35, focalPlaneXResolution: 5000, imageWidth: 64 }), null);
+  });
+
+  it('should build histograms and usage shares', () => {
+    const stats = analyzeShootingPatterns([
+      shot({ fNumber: 2.8 }), shot({ fNumber: 2.8, iso: 400 }), shot({ fNumber: 8, camera: 'Canon EOS R6' }), shot({ fNumber: null, lens: '' })
+    ]);
+    assert.deepEqual(stats.aperture.map(({ label, count, percent }) => [label, count, percent]), [['f/2.8', 2, 66.7], ['f/8', 1, 33.3]]);
+    assert.deepEqual(stats.iso.map(bin => bin.label), ['ISO 100', 'ISO 400']);
+    assert.deepEqual(stats.cameras, [{ name: 'Canon EOS R5', count: 3, percent: 75 }, { name: 'Canon EOS R6', count: 1, percent: 25 }]);
+    assert.equal(stats.lenses[1].name, 'Unknown lens');
+  });
+
+  it('should count shots per hour and weekday', () => {
+    const stats = analyzeShootingPatterns([
+      shot({ time: Date.UTC(2024, 6, 6, 18, 10) }), shot({ time: Date.UTC(2024, 6, 8, 18, 59) }), shot({ time: Date.UTC(2024, 6, 8, 7, 0) }), shot({})
+    ]);
+    assert.equal(stats.hourOfDay[18], 2);
+    assert.equal(stats.hourOfDay[7], 1);
+    assert.equal(stats.weekday.Saturday, 1);
+    assert.equal(stats.weekday.Monday, 2);
+    assert.deepEqual(stats.dateRange, { first: '2024:07:06 18:10:00', last: '2024:07:08 18:59:00' });
+  });
+
+  it('should report flash usage and favourite zoom focal lengths', () => {
+    const stats = analyzeShootingPatterns([
+      shot({ focalLength: 70, flash: true }), shot({ focalLength: 70 }), shot({ focalLength: 24, flash: null }),
+      shot({ lens: 'RF50mm', lensRange: [50, 50], focalLength: 50 }),
+      shot({ lens: 'Kit zoom', lensRange: null, focalLength: 18 }), shot({ lens: 'Kit zoom', lensRange: null, focalLength: 55 })
+    ]);
+    assert.deepEqual(stats.flash, { fired: 1, notFired: 4, unknown: 1, percent: 20 });
+    assert.deepEqual(stats.zoomLenses.map(lens => [lens.lens, lens.range]), [['RF24-70mm F2.8', [24, 70]], ['Kit zoom', [18, 55]]]);
+    assert.deepEqual(stats.zoomLenses[0].mostUsed[0], { focalLength: 70, count: 2, percent: 66.7 });
+  });
+});
@@ -0,0 +1,76 @@
+import { strict as assert } from 'assert';
+import { describe, it } from 'node:test';
+import { basemapPathData, renderPhotoMapHtml } from '../lib/photomap.js';
+
+const photo = (number, latitude, longitude, extra = {}) => ({
+  number,
+  filename: `IMG_${number}.jpg`,
+  datetime: `2024-05-01T09:0${number}:00.000Z`,
+  date: `5/1/2024, 9:0${number}:00 AM`,
+  latitude,
+  longitude,
+  thumbnail: `images/photo_00${number}_thumb.jpg`,
+  full: null,
+  place: 'Paris, Île-de-France, France (FR)',
+  camera: 'Canon EOS R5',
+  lens: null,
+  settings: 'f/2.8 · 1/250s · ISO 100 · 24mm',
+  ...extra
+});
+
+const project = ({ latitude, longitude }) => [longitude * 10, -latitude * 10];
+
+describe('Basemap outlines', () => {
+  it('should turn lines and polygon rings into SVG paths and skip points', () => {
+    const paths = basemapPathData({
+      type: 'FeatureCollection',
+      features: [
+        { type: 'Feature', geometry: { type: 'Polygon', coordinates: [[[0, 0], [1, 0], [1, 1], [0, 0]], [[0.2, 0.2], [0.4, 0.2], [0.2, 0.4]]] } },
+        { type: 'Feature', geometry: { type: 'Point', coordinates: [5, 5] } },
+        { type: 'Feature', geometry: { type: 'MultiLineString', coordinates: [[[2, 2], [3, 3]]] } }
+      ]
+    }, project);
+
+    assert.deepEqual(paths, ['M0 0L10 0L10 -10L0 0', 'M2 -2L4 -2L2 -4', 'M20 -20L30 -30']);
+  });
+
+  it('should accept GeoJSON text and reject anything else', () => {
+    assert.deepEqual(basemapPathData('{"type":"LineString","coordinates":[[0,0],[1,1]]}', project), ['M0 0L10 -10']);
+    assert.throws(() => basemapPathData([1, 2], project), /GeoJSON object/);
+  });
+});
+
+describe('Photo map page', () => {
+  const photos = [photo(1, 48.858, 2.294), photo(2, 48.86, 2.3), photo(3, 48.861, 2.335)];
+
+  it('should plot every photo and the path without loading anything from the network', () => {
+    const html = renderPhotoMapHtml({ title: 'Paris', photos });
+
+    assert.equal((html.match(/<circle class="photo"/g) || []).length, 3);
+    assert.match(html, /<polyline class="path" points="[\d.]+,[\d.]+ [\d.]+,[\d.]+ [\d.]+,[\d.]+"\/>/);
+    assert.match(html, /<input type="range" min="0" max="2" value="2"/);
+    assert.doesNotMatch(html, /https?:\/\/(?!www\.w3\.org)/);
+  });
+
+  it('should embed photo data safely and escape the title', () => {
+    const html = renderPhotoMapHtml({ title: '<Paris>', photos: [photo(1, 48.858, 2.294, { filename: '</script><b>.jpg' })] });
+    const data = JSON.parse(html.match(/<script type="application\/json" id="photo-data">(.*?)<\/script>/)[1]);
+
+    assert.match(html, /<title>&lt;Paris&gt;<\/title>/);
+    assert.equal(data[0].filename, '</script><b>.jpg');
+    assert.equal(data[0].settings, 'f/2.8 · 1/250s · ISO 100 · 24mm');
+    assert.deepEqual([data[0].x, data[0].y], [500, 350]);
+  });
+
+  it('should draw the basemap beneath the photos and leave out the path when asked', () => {
+    const html = renderPhotoMapHtml({
+      title: 'Paris',
+      photos,
+      drawPath: false,
+      basemap: { type: 'Polygon', coordinates: [[[2.2, 48.8], [2.4, 48.8], [2.4, 48.9], [2.2, 48.8]]] }
+    });
+
+    assert.ok(html.indexOf('class="basemap"') < html.indexOf('class="photo"'));
+    assert.doesNotMatch(html, /class="path"/);
+  });
+});
@@ -0,0 +1,79 @@
+import { strict as assert } from 'assert';
+import { describe, it } from 'node:test';
+import { groupPhotos, summarizeSettings, plotGpsSvg, renderMarkdownReport, renderHtmlReport } from '../lib/report.js';
+import { analyzeShootingPatterns } from '../lib/patterns.js';
+
+describe('Photo reports', () => {
+  const photo = (relativePath, time, fields = {}) => ({
+    relativePath, time, camera: 'Canon EOS R5', lens: 'RF24-70mm', place: null, fNumber: 2.8, exposureTime: 1 / 250,
+    iso: 100, focalLength: 24, focalLength35: 24, flash: false, ...fields
+  });
+  const at = (day, hour) => Date.UTC(2024, 6, day, hour);
+
+  it('should group by date in chronological order with undated photos last', () => {
+    const groups = groupPhotos([photo('c.jpg', at(10, 9)), photo('x.jpg', null), photo('b.jpg', at(9, 18)), photo('a.jpg', at(9, 8))], 'date');
+    assert.deepEqual(groups.map(group => group.title), ['2024-07-09', '2024-07-10', 'Undated']);
+    assert.deepEqual(groups[0].photos.map(item => item.relativePath), ['a.jpg', 'b.jpg']);
+  });
+
+  it('should number events only on days with several', () => {
+    const groups = groupPhotos([photo('a.jpg', at(9, 8)), photo('b.jpg', at(9, 9)), photo('c.jpg', at(9, 18)), photo('d.jpg', at(10, 8))], 'event', { eventGapHours: 3 });
+    assert.deepEqual(groups.map(group => [group.title, group.photos.length]), [['2024-07-09, event 1', 2], ['2024-07-09, event 2', 1], ['2024-07-10', 1]]);
+  });
+
+  it('should group by place and camera, largest first', () => {
+    const photos = [photo('a.jpg', null, { place: 'Paris' }), photo('b.jpg', null, { place: 'Lyon' }), photo('c.jpg', null, { place: 'Lyon' }), photo('d.jpg', null)];
+    assert.deepEqual(groupPhotos(photos, 'location').map(group => group.title), ['Lyon', 'Paris', 'No location']);
+    assert.deepEqual(groupPhotos([...photos, photo('e.jpg', null, { camera: '' })], 'camera').map(group => group.title), ['Canon EOS R5', 'Unknown camera']);
+    assert.throws(() => groupPhotos(photos, 'lens'), /Unknown grouping "lens"/);
+  });
+
+  it('should summarize capture settings', () => {
+    const stats = analyzeShootingPatterns([photo('a.jpg', null), photo('b.jpg', null, { iso: 3200, fNumber: 4, exposureTime: 1 / 30 })]);
+    assert.deepEqual(summarizeSettings(stats), [
+      'Aperture: f/2.8 (50%), f/4 (50%)',
+      'Shutter speed: 1/250s – 1/30s',
+      'ISO: 100 – 3200',
+      'Focal length (35mm equivalent): 24mm',
+      'Cameras: Canon EOS R5 (100%)',
+      'Lenses: RF24-70mm (100%)',
+      'Flash: 0% of photos'
+    ]);
+  });
+
+  it('should plot GPS points inside the SVG', () => {
+    const svg = plotGpsSvg([
+      { latitude: 48.85, longitude: 2.35, label: 'a <1>', group: 0 },
+      { latitude: 48.86, longitude: 2.37, label: 'b', group: 1 }
+    ], { width: 200, height: 100, padding: 10 });
+    const circles = [...svg.matchAll(/cx="([\d.]+)" cy="([\d.]+)"/g)].map(match => [Number(match[1]), Number(match[2])]);
+    assert.equal(circles.length, 2);
+    for (const [x, y] of circles) {
+      assert.ok(x >= 10 && x <= 190 && y >= 10 && y <= 90);
+    }
+    assert.ok(circles[0][1] > circles[1][1], 'north is up');
+    assert.match(svg, /<polyline/);
+    assert.match(svg, /<title>a &lt;1&gt;<\/title>/);
+    assert.match(plotGpsSvg([{ latitude: 1, longitude: 2, label: 'only', group: 0 }], { width: 200, height: 100 }), /cx="100" cy="50"/);
+  });
+
+  it('should render Markdown and HTML with escaped text', () => {
+    const report = {
+      title: 'Trip <2024> *draft*',
+      overview: ['2 photos'],
+      summary: ['ISO: 100'],
+      map: null,
+      groups: [{ title: 'Paris', count: 2, period: '2024-07-09 10:00 – 12:00', settings: ['Aperture: f/2.8 (100%)'], thumbnails: [{ src: 'r_files/01.jpg', alt: 'IMG_1.jpg' }] }]
+    };
+    const markdown = renderMarkdownReport(report);
+    assert.match(markdown, /^# Trip \\<2024\\> \\\*draft\\\*\n/);
+    assert.match(markdown, /## Paris\n\n\*\*2 photos\*\* · 2024-07-09 10:00 – 12:00/);
+    assert.match(markdown, /!\[IMG\\_1.jpg\]\(r_files\/01.jpg\)/);
+    assert.doesNotMatch(markdown, /## Map/);
+
+    const html = renderHtmlReport({ ...report, map: '<svg></svg>' });
+    assert.match(html, /<h1>Trip &lt;2024&gt; \*draft\*<\/h1>/);
+    assert.match(html, /<h2>Map<\/h2>\n<svg><\/svg>/);
+    assert.match(html, /<img src="r_files\/01.jpg" alt="IMG_1.jpg"/);
+  });
+});
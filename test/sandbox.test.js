@@ -0,0 +1,79 @@
+import { strict as assert } from 'assert';
+import { describe, it, before, after } from 'node:test';
+import { mkdtempSync, mkdirSync, writeFileSync, symlinkSync, rmSync, realpathSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { loadSandboxConfig, resolveSandboxedPath } from '../lib/sandbox.js';
+
+describe('Sandbox roots', () => {
+  let base;
+  let photos;
+  let work;
+  let outside;
+
+  before(() => {
+    base = realpathSync(mkdtempSync(path.join(tmpdir(), 'exif-sandbox-')));
+    photos = path.join(base, 'photos');
+    work = path.join(base, 'work');
+    outside = path.join(base, 'outside');
+    for (const dir of [photos, work, outside]) {
+      mkdirSync(dir);
+    }
+    writeFileSync(path.join(photos, 'a.jpg'), '');
+    writeFileSync(path.join(outside, 'secret.jpg'), '');
+    symlinkSync(path.join(outside, 'secret.jpg'), path.join(work, 'link.jpg'));
+    symlinkSync(outside, path.join(work, 'escape'));
+  });
+
+  after(() => {
+    rmSync(base, { recursive: true, force: true });
+  });
+
+  it('should default to the working directory as the only read-write root', () => {
+    assert.deepEqual(loadSandboxConfig({}, work), { readRoots: [], writeRoots: [work] });
+  });
+
+  it('should read roots from environment variables', () => {
+    const config = loadSandboxConfig({
+      EXIF_MCP_READ_ROOTS: photos,
+      EXIF_MCP_WRITE_ROOTS: `${work}${path.delimiter}${outside}`
+    }, base);
+    assert.deepEqual(config, { readRoots: [photos], writeRoots: [work, outside] });
+  });
+
+  it('should read roots from a config file relative to the file', () => {
+    const configPath = path.join(base, 'sandbox.json');
+    writeFileSync(configPath, JSON.stringify({ readRoots: ['photos'], writeRoots: ['work'] }));
+    const config = loadSandboxConfig({ EXIF_MCP_CONFIG: configPath }, '/');
+    assert.deepEqual(config, { readRoots: [photos], writeRoots: [work] });
+    // Environment variables win over the file
+    assert.deepEqual(loadSandboxConfig({ EXIF_MCP_CONFIG: configPath, EXIF_MCP_WRITE_ROOTS: outside }, '/').writeRoots, [outside]);
+  });
+
+  it('should reject missing roots and malformed config files', () => {
+    assert.throws(() => loadSandboxConfig({ EXIF_MCP_READ_ROOTS: path.join(base, 'missing') }, base), /read-only root does not exist/);
+    const configPath = path.join(base, 'bad.json');
+    writeFileSync(configPath, JSON.stringify({ writeRoots: 'work' }));
+    assert.throws(() => loadSandboxConfig({ EXIF_MCP_CONFIG: configPath }, base), /writeRoots must be an array/);
+  });
+
+  it('should allow reads in read-only roots but not writes', () => {
+    const config = { readRoots: [photos], writeRoots: [work] };
+    assert.equal(resolveSandboxedPath(path.join(photos, 'a.jpg'), 'read', config), path.join(photos, 'a.jpg'));
+    assert.throws(() => resolveSandboxedPath(path.join(photos, 'a.jpg'), 'write', config), /inside the read-only root/);
+    assert.equal(resolveSandboxedPath(path.join(work, 'new', 'tour.kmz'), 'write', config), path.join(work, 'new', 'tour.kmz'));
+  });
+
+  it('should reject paths outside every root', () => {
+    const config = { readRoots: [photos], writeRoots: [work] };
+    assert.throws(() => resolveSandboxedPath(path.join(outside, 'secret.jpg'), 'read', config), /outside the sandbox roots/);
+    assert.throws(() => resolveSandboxedPath(path.join(outside, 'out.kmz'), 'write', config), /outside the read-write roots/);
+    assert.throws(() => resolveSandboxedPath(`${work}-other/a.jpg`, 'read', config), /outside the sandbox roots/);
+  });
+
+  it('should resolve symlinks before checking', () => {
+    const config = { readRoots: [], writeRoots: [work] };
+    assert.throws(() => resolveSandboxedPath(path.join(work, 'link.jpg'), 'read', config), /resolves to .*secret\.jpg/);
+    assert.throws(() => resolveSandboxedPath(path.join(work, 'escape', 'new.kmz'), 'write', config), /outside the read-write roots/);
+  });
+});
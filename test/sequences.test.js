@@ -0,0 +1,60 @@
+import { strict as assert } from 'assert';
+import { describe, it } from 'node:test';
+import { addSubSeconds, detectSequences } from '../lib/sequences.js';
+
+describe('Sequence detection', () => {
+  const base = Date.UTC(2024, 6, 9, 10, 0, 0);
+  const frame = (name, offsetMs, fields = {}) => ({ filepath: name, time: base + offsetMs, camera: 'serial:0123', exposureBias: 0, focusDistance: null, ...fields });
+  const names = (sequence) => sequence.frames.map(item => item.filepath);
+
+  it('should add sub-second digits to capture times', () => {
+    assert.equal(addSubSeconds(1000, '45'), 1450);
+    assert.equal(addSubSeconds(1000, '045'), 1045);
+    assert.equal(addSubSeconds(1000, ' 5 '), 1500);
+    assert.equal(addSubSeconds(1000, undefined), 1000);
+    assert.equal(addSubSeconds(null, '45'), null);
+  });
+
+  it('should find bursts with at least minFrames frames', () => {
+    const frames = [0, 100, 200, 300].map((ms, index) => frame(`b${index}`, ms));
+    frames.push(frame('pair1', 60000), frame('pair2', 60500));
+    const sequences = detectSequences(frames);
+    assert.equal(sequences.length, 1);
+    assert.equal(sequences[0].type, 'burst');
+    assert.deepEqual(names(sequences[0]), ['b0', 'b1', 'b2', 'b3']);
+    assert.equal(sequences[0].representative.filepath, 'b1');
+    assert.equal(detectSequences(frames, { minFrames: 2 }).length, 2);
+  });
+
+  it('should keep cameras apart and split on gaps', () => {
+    const frames = [
+      frame('a1', 0), frame('b1', 100, { camera: 'serial:999' }), frame('a2', 200),
+      frame('b2', 300, { camera: 'serial:999' }), frame('a3', 400), frame('a4', 5000)
+    ];
+    const sequences = detectSequences(frames, { minFrames: 2 });
+    assert.deepEqual(sequences.map(names), [['a1', 'a2', 'a3'], ['b1', 'b2']]);
+  });
+
+  it('should split back-to-back exposure brackets and pick the metered frame', () => {
+    const frames = [-2, 0, 2, -2, 0, 2].map((bias, index) => frame(`h${index}`, index * 300, { exposureBias: bias }));
+    const sequences = detectSequences(frames);
+    assert.deepEqual(sequences.map(sequence => sequence.type), ['exposure-bracket', 'exposure-bracket']);
+    assert.deepEqual(sequences.map(names), [['h0', 'h1', 'h2'], ['h3', 'h4', 'h5']]);
+    assert.equal(sequences[1].representative.filepath, 'h4');
+  });
+
+  it('should find focus brackets stepping in one direction', () => {
+    const stack = [0.5, 0.7, 1, 1.5, 2].map((distance, index) => frame(`f${index}`, index * 500, { focusDistance: distance }));
+    const [sequence] = detectSequences(stack);
+    assert.equal(sequence.type, 'focus-bracket');
+    assert.equal(sequence.start, base);
+    assert.equal(sequence.end, base + 2000);
+
+    const hunting = [1, 3, 1, 3, 1].map((distance, index) => frame(`x${index}`, index * 100, { focusDistance: distance }));
+    assert.equal(detectSequences(hunting)[0].type, 'burst');
+  });
+
+  it('should ignore frames without a capture time', () => {
+    assert.deepEqual(detectSequences([frame('a', 0), frame('b', 100), { ...frame('c', 0), time: null }], { minFrames: 2 }).map(names), [['a', 'b']]);
+  });
+});
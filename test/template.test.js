@@ -0,0 +1,65 @@
+import { strict as assert } from 'assert';
+import { describe, it } from 'node:test';
+import { compileTemplate, renderTemplate, formatTemplateDate } from '../lib/template.js';
+
+describe('Rename templates', () => {
+  const taken = new Date(2024, 6, 9, 14, 30, 22);
+  const tags = { Model: 'EOS R5', FocalLength: 49.6, ISO: 400, City: 'Île-de-France', date: taken, counter: 7, LensInfo: [24, 70] };
+  const render = (template, options = {}) => renderTemplate(compileTemplate(template), {
+    lookup: (name) => tags[name],
+    ...options
+  });
+
+  it('should format dates with tokens', () => {
+    assert.equal(formatTemplateDate(taken, 'YYYYMMDD_HHmmss'), '20240709_143022');
+    assert.equal(formatTemplateDate(taken, 'YY-MMM-DD'), '24-Jul-09');
+    assert.equal(formatTemplateDate(taken, 'MM-MMMM'), '07-July');
+    assert.equal(render('{date:YYYY/MM}'), '2024/07');
+  });
+
+  it('should substitute tags and keep literal text', () => {
+    assert.equal(render('iso{ISO}_{Model}'), 'iso400_EOS R5');
+    assert.equal(render('{LensInfo}'), '24-70');
+    assert.equal(render('{{x}}_{Missing}'), '{x}_');
+  });
+
+  it('should apply filters in order', () => {
+    assert.equal(render('{Model|lower}'), 'eos r5');
+    assert.equal(render('{Model|slug}'), 'eos-r5');
+    assert.equal(render('{FocalLength|round}mm'), '50mm');
+    assert.equal(render('{FocalLength|round:1}'), '49.6');
+    assert.equal(render('{City|ascii|upper}'), 'ILE-DE-FRANCE');
+    assert.equal(render('{ISO|pad:5}'), '00400');
+    assert.equal(render('{Model|truncate:3|title}'), 'Eos');
+  });
+
+  it('should use the first alternative with a value', () => {
+    assert.equal(render('{Missing?Model}'), 'EOS R5');
+    assert.equal(render('{Missing?Other?"unknown"|upper}'), 'UNKNOWN');
+    assert.equal(render('{Missing?"a?b|c"}'), 'a?b|c');
+  });
+
+  it('should apply default formats and defaults for lone placeholders', () => {
+    const options = { formats: { date: 'YYYY-MM-DD', counter: '3' }, defaults: { Missing: 'NoValue' } };
+    assert.equal(render('{date}_{counter}', options), '2024-07-09_007');
+    assert.equal(render('{counter:5}', options), '00007');
+    assert.equal(render('{Missing}', options), 'NoValue');
+    assert.equal(render('{Missing?Other}', options), '');
+  });
+
+  it('should report syntax errors with their position', () => {
+    assert.throws(() => compileTemplate('{date'), /unclosed "\{" at position 1/);
+    assert.throws(() => compileTemplate('a}'), /unmatched "\}" at position 2/);
+    assert.throws(() => compileTemplate('x_{camera|lowr}'), /unknown filter "lowr" at position 11 \(available: lower/);
+    assert.throws(() => compileTemplate('{}'), /empty variable/);
+    assert.throws(() => compileTemplate('{city?"unknown}'), /unterminated string/);
+    assert.throws(() => compileTemplate('{ISO|pad}'), /filter "pad" needs a number/);
+    assert.throws(() => compileTemplate('{ISO|round:9}'), /between 0 and 6/);
+    assert.throws(() => compileTemplate('{ISO|lower:2}'), /takes no argument/);
+    assert.throws(() => compileTemplate('{a{b}}'), /"\{" inside a placeholder/);
+  });
+
+  it('should list the variables a template uses', () => {
+    assert.deepEqual(compileTemplate('{date}_{city?location?"x"}_{date:YY}').variables, ['date', 'city', 'location']);
+  });
+});
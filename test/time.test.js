@@ -0,0 +1,44 @@
+import { strict as assert } from 'assert';
+import { describe, it } from 'node:test';
+import { parseExifDateTime, formatExifDateTime, parseTimeShift, formatTimeShift, parseDateBound } from '../lib/time.js';
+
+describe('EXIF date/time handling', () => {
+  it('should parse EXIF and ISO-style date/times as naive UTC', () => {
+    assert.equal(parseExifDateTime('2024:07:04 14:30:22'), Date.UTC(2024, 6, 4, 14, 30, 22));
+    assert.equal(parseExifDateTime('2024-07-04T14:30:22'), Date.UTC(2024, 6, 4, 14, 30, 22));
+    assert.equal(parseExifDateTime('2024:02:30 10:00:00'), null);
+    assert.equal(parseExifDateTime('    :  :     :  :  '), null);
+  });
+
+  it('should format milliseconds back to the EXIF form', () => {
+    assert.equal(formatExifDateTime(Date.UTC(2025, 0, 1, 0, 1, 0)), '2025:01:01 00:01:00');
+  });
+
+  it('should parse date range bounds covering whole days', () => {
+    assert.equal(parseDateBound('2024-07-04', 'startDate'), Date.UTC(2024, 6, 4));
+    assert.equal(parseDateBound('2024-07-04', 'endDate', { end: true }), Date.UTC(2024, 6, 4, 23, 59, 59, 999));
+    assert.equal(parseDateBound('2024:07:04 12:00:00', 'startDate'), Date.UTC(2024, 6, 4, 12));
+    assert.throws(() => parseDateBound('2024-07', 'endDate'), /Invalid endDate "2024-07"/);
+  });
+});
+
+describe('Time shifts', () => {
+  it('should parse signed offsets with optional days', () => {
+    assert.equal(parseTimeShift('+01:00:00'), 3600);
+    assert.equal(parseTimeShift('-3d 00:04:12'), -(3 * 86400 + 252));
+    assert.equal(parseTimeShift('-0:30'), -1800);
+    assert.equal(parseTimeShift('2d'), 172800);
+  });
+
+  it('should reject malformed offsets', () => {
+    assert.throws(() => parseTimeShift('soon'), /Invalid time shift/);
+    assert.throws(() => parseTimeShift('+'), /Invalid time shift/);
+    assert.throws(() => parseTimeShift('+01:75'), /below 60/);
+  });
+
+  it('should format offsets in the same notation', () => {
+    assert.equal(formatTimeShift(3600), '+01:00:00');
+    assert.equal(formatTimeShift(-(3 * 86400 + 252)), '-3d 00:04:12');
+    assert.equal(formatTimeShift(parseTimeShift('-3d 00:04:12')), '-3d 00:04:12');
+  });
+});
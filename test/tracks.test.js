@@ -0,0 +1,113 @@
+import { strict as assert } from 'assert';
+import { describe, it } from 'node:test';
+import { parseGpx, parseKml, parseGeoJson, parseTrackFile, mergeTracks, locateOnTrack, buildGeoJson, buildGpx } from '../lib/tracks.js';
+
+const GPX = `<?xml version="1.0"?>
+<gpx version="1.1"><trk><trkseg>
+  <trkpt lat="41.8800" lon="-87.6300"><ele>180</ele><time>2024-07-04T10:00:00Z</time></trkpt>
+  <trkpt lon="-87.6400" lat="41.8900"><ele>200</ele><time>2024-07-04T10:01:40Z</time></trkpt>
+  <trkpt lat="41.9500" lon="-87.7000"><time>2024-07-04T12:00:00Z</time></trkpt>
+  <trkpt lat="1" lon="1"/>
+</trkseg></trk></gpx>`;
+
+const at = (time) => Date.parse(`2024-07-04T${time}Z`);
+
+describe('Track parsing', () => {
+  it('should read GPX trackpoints with elevation and skip points without time', () => {
+    const points = parseGpx(GPX);
+
+    assert.equal(points.length, 3);
+    assert.deepEqual(points[1], { time: at('10:01:40'), latitude: 41.89, longitude: -87.64, altitude: 200 });
+    assert.equal(points[2].altitude, null);
+  });
+
+  it('should read KML gx:Track and timestamped placemarks', () => {
+    const points = parseKml(`<kml><Document>
+      <Placemark><gx:Track><when>2024-07-04T10:00:00Z</when><when>2024-07-04T10:00:10Z</when>
+        <gx:coord>-87.63 41.88 180</gx:coord><gx:coord>-87.64 41.89 181</gx:coord></gx:Track></Placemark>
+      <Placemark><TimeStamp><when>2024-07-04T11:00:00Z</when></TimeStamp>
+        <Point><coordinates>-87.7,41.95,0</coordinates></Point></Placemark>
+    </Document></kml>`);
+
+    assert.deepEqual(points.map(p => [p.latitude, p.longitude]), [[41.88, -87.63], [41.89, -87.64], [41.95, -87.7]]);
+  });
+
+  it('should read GeoJSON LineStrings with coordTimes', () => {
+    const points = parseGeoJson({
+      type: 'Feature',
+      properties: { coordTimes: ['2024-07-04T10:00:00Z', '2024-07-04T10:00:05Z'] },
+      geometry: { type: 'LineString', coordinates: [[-87.63, 41.88], [-87.64, 41.89]] }
+    });
+
+    assert.equal(points.length, 2);
+    assert.equal(points[1].time, at('10:00:05'));
+  });
+
+  it('should reject tracks without timestamps', () => {
+    assert.throws(() => parseTrackFile('<kml><LineString><coordinates>1,2 3,4</coordinates></LineString></kml>', 'a.kml'),
+      /No timestamped track points/);
+    assert.throws(() => parseTrackFile('', 'a.fit'), /Unsupported track format/);
+  });
+});
+
+describe('Matching photos to a track', () => {
+  const points = mergeTracks([parseGpx(GPX)]);
+
+  it('should interpolate between close trackpoints', () => {
+    const match = locateOnTrack(points, at('10:00:50'), 300);
+
+    assert.equal(match.matched, true);
+    assert.equal(match.interpolated, true);
+    assert(Math.abs(match.latitude - 41.885) < 1e-9);
+    assert(Math.abs(match.altitude - 190) < 1e-9);
+    assert.equal(match.nearestGap, 50);
+    assert(match.nearestDistance > 600 && match.nearestDistance < 800);
+  });
+
+  it('should use the nearest trackpoint across a long gap when it is close enough', () => {
+    const match = locateOnTrack(points, at('10:03:00'), 300);
+
+    assert.equal(match.interpolated, false);
+    assert.equal(match.latitude, 41.89);
+    assert.equal(match.nearestDistance, 0);
+  });
+
+  it('should report photos outside the track or inside a gap', () => {
+    assert.match(locateOnTrack(points, at('09:00:00'), 300).reason, /before the track starts/);
+    assert.match(locateOnTrack(points, at('13:00:00'), 300).reason, /after the track ends/);
+    assert.match(locateOnTrack(points, at('11:00:00'), 300).reason, /gap in the track/);
+  });
+
+  it('should merge tracks in time order without duplicate points', () => {
+    const merged = mergeTracks([parseGpx(GPX), parseGpx(GPX).slice(0, 1)]);
+    assert.equal(merged.length, 3);
+  });
+});
+
+describe('Location export', () => {
+  const waypoints = [
+    { latitude: 41.88, longitude: -87.62, altitude: null, time: Date.UTC(2024, 6, 4, 14, 30), name: '1. a.jpg', description: 'Chicago & more', link: 'trip_images/a.jpg', properties: { filename: 'a.jpg' } },
+    { latitude: 41.9, longitude: -87.65, altitude: 180.5, time: Date.UTC(2024, 6, 4, 15, 0), name: '2. <b>.jpg', description: '', link: null, properties: { filename: '<b>.jpg' } }
+  ];
+
+  it('should write GeoJSON points with an optional path', () => {
+    const collection = JSON.parse(buildGeoJson(waypoints, { name: 'Trip' }));
+    assert.equal(collection.type, 'FeatureCollection');
+    assert.equal(collection.name, 'Trip');
+    assert.deepEqual(collection.features.map(feature => feature.geometry.type), ['Point', 'Point', 'LineString']);
+    assert.deepEqual(collection.features[0].geometry.coordinates, [-87.62, 41.88]);
+    assert.deepEqual(collection.features[1].geometry.coordinates, [-87.65, 41.9, 180.5]);
+    assert.deepEqual(collection.features[1].properties, { filename: '<b>.jpg' });
+    assert.equal(JSON.parse(buildGeoJson(waypoints, { drawPath: false })).features.length, 2);
+  });
+
+  it('should write GPX waypoints and a track that reads back', () => {
+    const gpx = buildGpx(waypoints, { name: 'Trip' });
+    assert.match(gpx, /<wpt lat="41.88" lon="-87.62">\n {4}<time>2024-07-04T14:30:00Z<\/time>\n {4}<name>1. a.jpg<\/name>\n {4}<desc>Chicago &amp; more<\/desc>\n {4}<link href="trip_images\/a.jpg">/);
+    assert.match(gpx, /<name>2. &lt;b&gt;.jpg<\/name>/);
+    assert.match(gpx, /<ele>180.5<\/ele>/);
+    const track = parseGpx(gpx);
+    assert.deepEqual(track.map(point => [point.latitude, point.longitude, point.time]), waypoints.map(point => [point.latitude, point.longitude, point.time]));
+    assert.doesNotMatch(buildGpx(waypoints, { drawPath: false }), /<trk>/);
+  });
+});
@@ -0,0 +1,127 @@
+import { strict as assert } from 'assert';
+import { describe, it } from 'node:test';
+import { clusterStops, buildLegs, segmentTrip } from '../lib/trip.js';
+import { findPrivacyZone, haversineDistance } from '../lib/geo.js';
+
+const at = (time) => Date.parse(`2024-07-10T${time}Z`);
+const point = (latitude, longitude, altitude, time) => ({ latitude, longitude, altitude, time: at(time) });
+
+const HIKE = [
+  point(46.5600, 8.5600, 1200, '08:00:00'),
+  point(46.5605, 8.5602, 1205, '08:20:00'),
+  point(46.6000, 8.6000, 1800, '10:30:00'),
+  point(46.6003, 8.6001, 1810, '10:45:00'),
+  point(46.5500, 8.5000, 900, '15:00:00')
+];
+
+describe('Stop clustering', () => {
+  it('should group nearby photos taken close together into stops', () => {
+    const stops = clusterStops(HIKE);
+
+    assert.deepEqual(stops.map(stop => stop.points.length), [2, 2, 1]);
+    assert.equal(stops[0].latitude.toFixed(5), '46.56025');
+    assert.equal(stops[0].altitude, 1202.5);
+    assert.equal(stops[0].start, at('08:00:00'));
+    assert.equal(stops[0].end, at('08:20:00'));
+  });
+
+  it('should start a new stop after a long pause in the same place', () => {
+    const stops = clusterStops([point(46.56, 8.56, null, '08:00:00'), point(46.56, 8.56, null, '10:00:00')], { maxGapMinutes: 60 });
+
+    assert.equal(stops.length, 2);
+    assert.equal(stops[0].altitude, null);
+  });
+
+  it('should measure the radius from the first photo of a stop', () => {
+    // Each photo is 150 m from the previous one, so the third is 300 m from the first
+    const stops = clusterStops([
+      point(46.56, 8.56, null, '08:00:00'),
+      point(46.56135, 8.56, null, '08:01:00'),
+      point(46.5627, 8.56, null, '08:02:00')
+    ], { radius: 250 });
+
+    assert.deepEqual(stops.map(stop => stop.points.length), [2, 1]);
+  });
+
+  it('should keep a stop out of a private zone between its photos', () => {
+    // Two photos 120 m north and south of the centre of a 100 m zone: their mean lies inside it
+    const zones = [{ name: 'Home', latitude: 46.56, longitude: 8.56, radius: 100 }];
+    const photos = [point(46.56108, 8.56, null, '08:00:00'), point(46.55892, 8.56, null, '08:10:00')];
+    const avoid = (latitude, longitude) => !!findPrivacyZone(latitude, longitude, zones);
+
+    const [unprotected] = clusterStops(photos);
+    assert.ok(avoid(unprotected.latitude, unprotected.longitude));
+
+    const [stop] = clusterStops(photos, { avoid });
+    assert.equal(stop.points.length, 2);
+    assert.equal(avoid(stop.latitude, stop.longitude), false);
+    assert.ok(photos.some(photo => photo.latitude === stop.latitude && photo.longitude === stop.longitude));
+    assert.ok(haversineDistance(stop.latitude, stop.longitude, 46.56, 8.56) > 100);
+  });
+});
+
+describe('Trip legs', () => {
+  it('should compute distance, elapsed time, speed and elevation change between stops', () => {
+    const [leg] = buildLegs(clusterStops([point(0, 0, 100, '08:00:00'), point(0, 0.1, 150, '09:00:00')]));
+
+    assert.equal(Math.round(leg.distance), 11120);
+    assert.equal(leg.elapsed, 3600);
+    assert.equal(leg.speed.toFixed(2), '11.12');
+    assert.equal(leg.elevationGain, 50);
+    assert.equal(leg.elevationLoss, 0);
+  });
+
+  it('should leave speed and elevation unknown when they cannot be measured', () => {
+    const [leg] = buildLegs(clusterStops([point(0, 0, 100, '08:00:00'), point(0, 0.1, null, '08:00:00')]));
+
+    assert.equal(leg.speed, null);
+    assert.equal(leg.elevationGain, null);
+    assert.equal(leg.elevationLoss, null);
+  });
+
+  it('should add up the legs of a trip', () => {
+    const { stops, legs, totals } = segmentTrip(HIKE);
+
+    assert.equal(stops.length, 3);
+    assert.deepEqual(legs.map(leg => [leg.from, leg.to]), [[0, 1], [1, 2]]);
+    assert.equal(totals.distance, legs[0].distance + legs[1].distance);
+    assert.equal(totals.duration, 7 * 3600);
+    assert.equal(totals.travelTime, 7800 + 15300);
+    assert.equal(totals.elevationGain, 1805 - 1202.5);
+    assert.equal(totals.elevationLoss, 1805 - 900);
+  });
+
+  it('should return an empty trip for no points', () => {
+    const { stops, legs, totals } = segmentTrip([]);
+
+    assert.equal(stops.length, 0);
+    assert.equal(legs.length, 0);
+    assert.equal(totals.distance, 0);
+    assert.equal(totals.averageSpeed, null);
+    assert.equal(totals.elevationGain, null);
+    assert.equal(totals.elevationLoss, null);
+  });
+
+  it('should leave the elevation totals unknown when no leg has altitudes at both ends', () => {
+    const { legs, totals } = segmentTrip([
+      point(0, 0, 100, '08:00:00'),
+      point(0, 0.1, null, '09:00:00'),
+      point(0, 0.2, null, '10:00:00')
+    ]);
+
+    assert.equal(legs.length, 2);
+    assert.equal(totals.elevationGain, null);
+    assert.equal(totals.elevationLoss, null);
+  });
+
+  it('should add up only the legs with altitudes when some lack them', () => {
+    const { totals } = segmentTrip([
+      point(0, 0, 100, '08:00:00'),
+      point(0, 0.1, 130, '09:00:00'),
+      point(0, 0.2, null, '10:00:00')
+    ]);
+
+    assert.equal(totals.elevationGain, 30);
+    assert.equal(totals.elevationLoss, 0);
+  });
+});
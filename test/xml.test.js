@@ -0,0 +1,15 @@
+import { strict as assert } from 'assert';
+import { describe, it } from 'node:test';
+import { escapeXml, unescapeXml } from '../lib/xml.js';
+
+describe('XML escaping', () => {
+  it('should escape markup characters and quotes for text and attributes', () => {
+    assert.equal(escapeXml('Tom & Jerry\'s <"Café">'), 'Tom &amp; Jerry&apos;s &lt;&quot;Café&quot;&gt;');
+    assert.equal(escapeXml(42), '42');
+  });
+
+  it('should decode entities and character references back to the original text', () => {
+    assert.equal(unescapeXml('&lt;a&gt; &amp;lt; &#233;&#x2713;'), '<a> &lt; é✓');
+    assert.equal(unescapeXml(escapeXml('a "b" & \'c\'')), 'a "b" & \'c\'');
+  });
+});